@@ -1,9 +1,36 @@
-import React, { useState, useCallback, useEffect } from "react";
+import React, { useState, useCallback, useEffect, useRef } from "react";
 import ImageUploader from "./components/ImageUploader";
 import ImageEditor from "./components/ImageEditor";
 import FilterControls from "./components/FilterControls";
 import DownloadButton from "./components/DownloadButton";
-import useImageFilters from "./hooks/useImageFilters"; 
+import HistoryPanel from "./components/HistoryPanel";
+import PresetPanel from "./components/PresetPanel";
+import RecipePanel, { RecipeErrors } from "./components/RecipePanel";
+import BatchProcessor from "./components/BatchProcessor";
+import PhotoInfoPanel from "./components/PhotoInfoPanel";
+import HistogramPanel from "./components/HistogramPanel";
+import AdjustmentStackPanel from "./components/AdjustmentStackPanel";
+import useImageFilters, { defaultFilters, normalizeFilterValue, pickPersistentSettings } from "./hooks/useImageFilters"; 
+import useEditHistory from "./hooks/useEditHistory";
+import useImageHistogram from "./hooks/useImageHistogram";
+import { getOutputType, getFilterDefinition } from "./filters/pipeline";
+import { describeEnhancement } from "./filters/analysis";
+import { isIdentityTransform, rotateGeometry, flipGeometry } from "./filters/geometry";
+import { applyPreset } from "./utils/presets";
+import { defaultExportOptions } from "./utils/exportImage";
+import { importImageFile, blobToDataUrl, getPastedFile, ImageImportError } from "./utils/imageImport";
+import { recipeFromHash, getRecipeFilters, getRecipeExportOptions } from "./utils/recipe";
+
+// Human-readable names used for edit history entries. Registered filters name themselves
+// (`historyLabel`), so only the keys outside the filter registry are listed here.
+const filterHistoryLabels = {
+  transform: "Straighten",
+  layers: "Adjustment Stack",
+};
+
+const getFilterHistoryLabel = (filterType) => (
+  filterHistoryLabels[filterType] || getFilterDefinition(filterType)?.historyLabel || filterType
+);
 
 // Simple ErrorBoundary component
 class ErrorBoundary extends React.Component {
@@ -49,23 +76,78 @@ const App = () => {
     // `sourceImage` is the original uploaded image (Data URL)
     const [sourceImage, setSourceImage] = useState(null);
     const [originalFileName, setOriginalFileName] = useState("");
+    // EXIF metadata read on upload: { tiff, tags } (see `importImageFile`), or null
+    const [photoMetadata, setPhotoMetadata] = useState(null);
     
     // `imageForFiltering` is the image (Data URL) that filters should be applied to.
-    // This could be the `sourceImage` or a cropped version of it.
+    // Crops are stored as parameters in `filters.crop`, so this stays the uploaded original.
     const [imageForFiltering, setImageForFiltering] = useState(null);
 
     // State to track if the underlying HTMLImageElement for `imageForFiltering` is loading.
     const [isBaseImageElementLoading, setIsBaseImageElementLoading] = useState(false);
+    // Size of the loaded image element: { url, width, height }, where `url` is the `imageForFiltering` it belongs to.
+    const [baseImageSize, setBaseImageSize] = useState(null);
+
+    // Export settings live here (not in DownloadButton) so edit recipes can save and restore them.
+    const [exportOptions, setExportOptions] = useState({ ...defaultExportOptions, type: null }); // `type: null` follows the edit
+
+    // Recipe waiting to be applied once an image has loaded, e.g. one opened from a link before uploading.
+    const [pendingRecipe, setPendingRecipe] = useState(null);
+    const [recipeLinkErrors, setRecipeLinkErrors] = useState([]);
+    // What the last applied recipe could only approximate (see `validateRecipe`)
+    const [recipeWarnings, setRecipeWarnings] = useState([]);
+
+    // Last Auto Enhance: { values, summary }. Its summary is shown while the values are still in place.
+    const [autoEnhancement, setAutoEnhancement] = useState(null);
+
+    // Which clipping warnings are drawn over the preview
+    const [clippingOverlay, setClippingOverlay] = useState({ shadows: false, highlights: false });
+
+    // Files for batch mode; while set, the batch view replaces the editor. Empty when opened from the editor.
+    const [batchFiles, setBatchFiles] = useState(null);
+
+    // Why the last pasted image could not be opened, or ""
+    const [pasteError, setPasteError] = useState("");
+    // Pasted photo waiting for the user to confirm it replaces the edited one: { dataUrl, fileName, metadata }
+    const [pendingPaste, setPendingPaste] = useState(null);
+    const isPastingRef = useRef(false); // Ignores further pastes while one is being read
 
     const {
         filters,             // Current filter values from the hook
         updateFilter,        // Function to update a specific filter
         resetFilters,        // Function to reset all filters
+        setFilters,          // Function to replace all filter values (used by undo/redo)
         setupCanvas,         // Function to provide an HTMLImageElement to the hook
-        processedImage,      // Data URL of the image after filters are applied by the hook
-        isProcessing: isFilterProcessing // Boolean indicating if filters are currently being applied by the hook
+        processedImage,      // Object URL of the image after filters are applied by the hook
+        isProcessing: isFilterProcessing, // Boolean indicating if filters are currently being applied by the hook
+        progress: filterProgress, // Progress (0-1) of the render in flight
+        renderForExport,     // Renders the edit from the original pixels for download
+        renderThumbnail,     // Renders small previews of other filter values (used by the looks)
+        getAutoEnhancement,  // Analyses the photo and suggests light, colour and white balance values
+        geometryImage,       // The original with only the rotation, flips and straightening applied
+        sourceHistogram      // Histograms of the framed photo, drawn behind the levels and curves
     } = useImageFilters();
 
+    // The current edit, for async handlers that must not act on the state from before they awaited
+    const latestEditRef = useRef({ filters, imageForFiltering });
+    latestEditRef.current = { filters, imageForFiltering };
+
+    // Live histogram and clipping of the rendered preview; recomputed after each render finishes
+    const { histogram, clipping, clippingOverlayUrl } = useImageHistogram(processedImage, clippingOverlay);
+
+    // Edit history: every step stores a snapshot of `{ filters, imageForFiltering }`.
+    const {
+        entries: historyEntries,
+        currentIndex: historyIndex,
+        canUndo,
+        canRedo,
+        record: recordHistory,
+        undo,
+        redo,
+        jumpTo,
+        resetHistory,
+    } = useEditHistory();
+
     // Effect to load `imageForFiltering` into an HTMLImageElement and then pass it to `useImageFilters` via `setupCanvas`.
     useEffect(() => {
         let didCancel = false;
@@ -75,6 +157,7 @@ const App = () => {
             img.onload = () => {
                 if (!didCancel) {
                     setupCanvas(img); // Provide the loaded image element to the filter hook
+                    setBaseImageSize({ url: imageForFiltering, width: img.naturalWidth, height: img.naturalHeight });
                     setIsBaseImageElementLoading(false);
                 }
             };
@@ -100,20 +183,233 @@ const App = () => {
         return () => { didCancel = true; }; // General cleanup for the effect itself
     }, [imageForFiltering, setupCanvas]); // Re-run when imageForFiltering or setupCanvas changes
 
+    // A recipe shared as a link (#recipe=...) is read once on startup and applied to the next photo.
+    useEffect(() => {
+        try {
+            const recipe = recipeFromHash(window.location.hash);
+            if (recipe) {
+                setPendingRecipe(recipe);
+            }
+        } catch (error) {
+            setRecipeLinkErrors(error.errors || [error.message]);
+        }
+        if (window.location.hash) {
+            // Drop the hash so the address no longer claims to describe the edit once it changes
+            window.history.replaceState(null, "", `${window.location.pathname}${window.location.search}`);
+        }
+    }, []);
+
+    // Apply a pending recipe once the current image has loaded; the crop is fitted to its size.
+    useEffect(() => {
+        if (!pendingRecipe || !baseImageSize || baseImageSize.url !== imageForFiltering) return;
+        const nextFilters = getRecipeFilters(pendingRecipe, baseImageSize.width, baseImageSize.height);
+        setFilters(nextFilters);
+        setExportOptions(getRecipeExportOptions(pendingRecipe));
+        recordHistory("Apply recipe", { filters: nextFilters, imageForFiltering });
+        setRecipeWarnings(pendingRecipe.warnings || []);
+        setPendingRecipe(null);
+    }, [pendingRecipe, baseImageSize, imageForFiltering, setFilters, recordHistory]);
+
 
-    const handleImageUpload = useCallback((imageDataUrl, fileName = "") => {
+    const handleImageUpload = useCallback((imageDataUrl, fileName = "", metadata = null) => {
         setSourceImage(imageDataUrl);          // This is the image given to Cropper
         setImageForFiltering(imageDataUrl);    // Initially, the uploaded image is also the one to filter
         setOriginalFileName(fileName || "edited-photo"); // Provide a generic fallback
-        resetFilters(); // Reset filters when a new image is uploaded
-    }, [resetFilters]);
+        setPhotoMetadata(metadata); // The image itself is already upright and carries no metadata
+        setFilters(defaultFilters); // Reset every filter (including the focus area) when a new image is uploaded
+        resetHistory({ filters: { ...defaultFilters }, imageForFiltering: imageDataUrl }, "Original");
+    }, [setFilters, resetHistory]);
 
     // Callback from ImageEditor when a crop is applied.
     // `croppedImageDataUrl` is the Data URL of the newly cropped image.
-    const handleImageCropped = useCallback((croppedImageDataUrl) => {
-        setImageForFiltering(croppedImageDataUrl); // Set the cropped image as the new base for filters.
-                                                 // The useEffect above will then call setupCanvas with this.
+    // The crop is stored with the filters and applied to the original pixels at render time,
+    // so cropping never re-encodes the image. `crop` is null when the crop is removed.
+    // Subject strokes, local adjustment masks and the focus area are stored relative to the uncropped
+    // frame, so they need no remapping here.
+    // A focus area left outside the new crop is moved to its centre, so the background effect keeps a subject.
+    const handleImageCropped = useCallback((crop) => {
+        const { focusArea } = filters;
+        const isFocusOutside = crop && focusArea && (
+            focusArea.x < crop.x || focusArea.x > crop.x + crop.width || focusArea.y < crop.y || focusArea.y > crop.y + crop.height
+        );
+        const nextFilters = {
+            ...filters,
+            crop,
+            ...(isFocusOutside ? { focusArea: { ...focusArea, x: crop.x + crop.width / 2, y: crop.y + crop.height / 2 } } : {}),
+        };
+        setFilters(nextFilters);
+        recordHistory(crop ? "Crop" : "Remove crop", { filters: nextFilters, imageForFiltering });
+    }, [filters, imageForFiltering, setFilters, recordHistory]);
+
+    // Rotating and flipping turn the crop, painted masks and focus area with the photo, so they stay on the same part.
+    const handleRotate = useCallback((quarterTurns) => {
+        const nextFilters = { ...filters, ...rotateGeometry(filters, quarterTurns) };
+        setFilters(nextFilters);
+        recordHistory(quarterTurns > 0 ? "Rotate right" : "Rotate left", { filters: nextFilters, imageForFiltering });
+    }, [filters, imageForFiltering, setFilters, recordHistory]);
+
+    const handleFlip = useCallback((axis) => {
+        const nextFilters = { ...filters, ...flipGeometry(filters, axis) };
+        setFilters(nextFilters);
+        recordHistory(axis === "horizontal" ? "Flip horizontally" : "Flip vertically", { filters: nextFilters, imageForFiltering });
+    }, [filters, imageForFiltering, setFilters, recordHistory]);
+
+    const handleUpdateFilter = useCallback((filterType, value) => {
+        const nextFilters = { ...filters, [filterType]: normalizeFilterValue(filterType, value) };
+        updateFilter(filterType, value);
+        // Slider drags fire many updates; coalesce them per filter into a single history step.
+        recordHistory(
+            `Adjust ${getFilterHistoryLabel(filterType)}`,
+            { filters: nextFilters, imageForFiltering },
+            { coalesceKey: filterType }
+        );
+    }, [filters, imageForFiltering, updateFilter, recordHistory]);
+
+    const handleFocusAreaChange = useCallback((focusArea) => {
+        handleUpdateFilter("focusArea", focusArea);
+    }, [handleUpdateFilter]);
+
+    const handleStraightenChange = useCallback((straighten) => {
+        handleUpdateFilter("transform", { ...filters.transform, straighten });
+    }, [filters.transform, handleUpdateFilter]);
+
+    // Each brush stroke is its own history step, so strokes are not coalesced like slider drags.
+    const handleSubjectStrokesChange = useCallback((subjectStrokes) => {
+        updateFilter("subjectStrokes", subjectStrokes);
+        recordHistory(
+            subjectStrokes.length > 0 ? "Refine subject" : "Clear subject strokes",
+            { filters: { ...filters, subjectStrokes }, imageForFiltering }
+        );
+    }, [filters, imageForFiltering, updateFilter, recordHistory]);
+
+    // Each mask shape and list change is its own history step; slider drags come with a `coalesceKey`.
+    const handleLocalAdjustmentsChange = useCallback((localAdjustments, label, coalesceKey) => {
+        updateFilter("localAdjustments", localAdjustments);
+        recordHistory(label, { filters: { ...filters, localAdjustments }, imageForFiltering }, { coalesceKey });
+    }, [filters, imageForFiltering, updateFilter, recordHistory]);
+
+    // Reordering, hiding and duplicating layers are history steps of their own; slider drags on a
+    // duplicated layer come with a `coalesceKey` and are merged like other slider drags.
+    const handleLayersChange = useCallback((layers, label, coalesceKey) => {
+        updateFilter("layers", layers);
+        recordHistory(label, { filters: { ...filters, layers }, imageForFiltering }, { coalesceKey });
+    }, [filters, imageForFiltering, updateFilter, recordHistory]);
+
+    const handleResetFilters = useCallback(() => {
+        resetFilters();
+        recordHistory("Reset adjustments", { filters: { ...defaultFilters, ...pickPersistentSettings(filters) }, imageForFiltering });
+    }, [filters, imageForFiltering, resetFilters, recordHistory]);
+
+    // Applying a look replaces the adjustments but keeps the crop and subject settings.
+    const handleApplyPreset = useCallback((preset) => {
+        const nextFilters = applyPreset(filters, preset);
+        setFilters(nextFilters);
+        recordHistory(`Apply look "${preset.name}"`, { filters: nextFilters, imageForFiltering });
+    }, [filters, imageForFiltering, setFilters, recordHistory]);
+
+    // Auto Enhance only sets the slider values, so they stay editable afterwards.
+    const handleAutoEnhance = useCallback(async () => {
+        const analysedImage = imageForFiltering;
+        const suggestion = await getAutoEnhancement();
+        if (!suggestion) return;
+        // Analysing takes a moment: merge into the edit as it is now, so sliders moved meanwhile are
+        // kept, and drop the suggestion if another photo was opened in the meantime
+        const latest = latestEditRef.current;
+        if (latest.imageForFiltering !== analysedImage) return;
+        const nextFilters = { ...latest.filters, ...suggestion.values };
+        setFilters(nextFilters);
+        setAutoEnhancement({ values: suggestion.values, summary: describeEnhancement(suggestion.changes) });
+        recordHistory("Auto enhance", { filters: nextFilters, imageForFiltering: latest.imageForFiltering });
+    }, [imageForFiltering, getAutoEnhancement, setFilters, recordHistory]);
+
+    const autoEnhanceSummary = autoEnhancement && Object.keys(autoEnhancement.values).every((key) => filters[key] === autoEnhancement.values[key])
+        ? autoEnhancement.summary
+        : null;
+
+    const handleBatchUpload = useCallback((files) => {
+        setBatchFiles(files);
+    }, []);
+
+    // Pasting an image (Ctrl+V / Cmd+V) anywhere on the page opens it, e.g. a screenshot or a photo
+    // copied from a chat app. While a photo with edits is open, the user is asked before it is replaced,
+    // as replacing it clears the edit and its history. Batch mode adds pasted images to the batch itself.
+    const hasEdits = historyEntries.length > 1;
+    useEffect(() => {
+        if (batchFiles) return undefined;
+        const handlePaste = (e) => {
+            const file = getPastedFile(e);
+            if (!file) return;
+            e.preventDefault();
+            if (isPastingRef.current) return;
+            isPastingRef.current = true;
+            setPasteError("");
+            // Reads EXIF metadata and applies the EXIF orientation, like a file picked in the uploader
+            importImageFile(file)
+                .then(async ({ blob, metadata }) => {
+                    const dataUrl = await blobToDataUrl(blob);
+                    if (sourceImage && hasEdits) {
+                        setPendingPaste({ dataUrl, fileName: file.name, metadata });
+                    } else {
+                        handleImageUpload(dataUrl, file.name, metadata);
+                    }
+                })
+                .catch((err) => {
+                    setPasteError(err instanceof ImageImportError
+                        ? err.message
+                        : "The pasted image could not be read. Please try copying it again or save it and upload the file.");
+                    console.error("Error while reading the pasted image:", err);
+                })
+                .finally(() => {
+                    isPastingRef.current = false;
+                });
+        };
+        window.addEventListener("paste", handlePaste);
+        return () => window.removeEventListener("paste", handlePaste);
+    }, [batchFiles, sourceImage, hasEdits, handleImageUpload]);
+
+    const handleConfirmPaste = () => {
+        handleImageUpload(pendingPaste.dataUrl, pendingPaste.fileName, pendingPaste.metadata);
+        setPendingPaste(null);
+    };
+
+    const handleLoadRecipe = useCallback((recipe) => {
+        setPendingRecipe(recipe); // Applied by the effect above once the image is ready
     }, []);
+
+    // Apply a snapshot returned by undo/redo/jumpTo (null means there was nothing to move to).
+    const applyHistoryState = useCallback((state) => {
+        if (!state) return;
+        setFilters(state.filters);
+        setImageForFiltering(state.imageForFiltering);
+    }, [setFilters]);
+
+    const handleUndo = useCallback(() => applyHistoryState(undo()), [undo, applyHistoryState]);
+    const handleRedo = useCallback(() => applyHistoryState(redo()), [redo, applyHistoryState]);
+    const handleJumpTo = useCallback((index) => applyHistoryState(jumpTo(index)), [jumpTo, applyHistoryState]);
+
+    // Keyboard shortcuts: Ctrl+Z / Cmd+Z to undo, Ctrl+Shift+Z / Ctrl+Y to redo.
+    useEffect(() => {
+        if (!sourceImage) return;
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            const target = e.target;
+            // Leave native text undo alone while typing in a field
+            if (target && (target.isContentEditable || target.tagName === "TEXTAREA" ||
+                (target.tagName === "INPUT" && target.type !== "range"))) {
+                return;
+            }
+            const key = e.key.toLowerCase();
+            if (key === "z" && !e.shiftKey) {
+                e.preventDefault();
+                handleUndo();
+            } else if ((key === "z" && e.shiftKey) || key === "y") {
+                e.preventDefault();
+                handleRedo();
+            }
+        };
+        window.addEventListener("keydown", handleKeyDown);
+        return () => window.removeEventListener("keydown", handleKeyDown);
+    }, [sourceImage, handleUndo, handleRedo]);
     
     // Overall loading state for the main editor and filter controls area.
     // Show loader if the base image for filtering is loading OR if filters are being processed.
@@ -134,18 +430,85 @@ const App = () => {
             </header>
 
             <main className="max-w-6xl mx-auto">
-                {!sourceImage ? ( // If no source image uploaded yet, show uploader
-                    <ImageUploader onImageUpload={handleImageUpload} />
+                {!sourceImage && !batchFiles && pendingRecipe && ( // A recipe from a link waits for a photo
+                    <div className="max-w-md mx-auto mb-4 p-3 bg-blue-50 border border-blue-200 rounded-md text-sm text-blue-800 flex items-center justify-between">
+                        <span>An edit recipe was loaded from the link. Upload a photo to apply it.</span>
+                        <button onClick={() => setPendingRecipe(null)} className="ml-3 text-xs text-blue-600 hover:underline">Dismiss</button>
+                    </div>
+                )}
+                {recipeLinkErrors.length > 0 && ( // The recipe in the link could not be used
+                    <div className="max-w-md mx-auto mb-4 p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-700">
+                        <div className="flex items-center justify-between">
+                            <span>The recipe in this link could not be loaded:</span>
+                            <button onClick={() => setRecipeLinkErrors([])} className="ml-3 text-xs text-red-600 hover:underline">Dismiss</button>
+                        </div>
+                        <RecipeErrors errors={recipeLinkErrors} />
+                    </div>
+                )}
+                {recipeWarnings.length > 0 && ( // The applied recipe may not reproduce the edit exactly
+                    <div className="max-w-md mx-auto mb-4 p-3 bg-amber-50 border border-amber-200 rounded-md text-sm text-amber-800">
+                        <div className="flex items-center justify-between">
+                            <span>The recipe was applied with some differences:</span>
+                            <button onClick={() => setRecipeWarnings([])} className="ml-3 text-xs text-amber-700 hover:underline">Dismiss</button>
+                        </div>
+                        <RecipeErrors errors={recipeWarnings} className="text-amber-700" />
+                    </div>
+                )}
+                {pendingPaste && !batchFiles && ( // A pasted photo would replace the edited one
+                    <div className="max-w-md mx-auto mb-4 p-3 bg-blue-50 border border-blue-200 rounded-md text-sm text-blue-800">
+                        <p>Open the pasted image "{pendingPaste.fileName}"? This replaces the current photo, and its edits and history are lost.</p>
+                        <div className="mt-2 flex justify-end gap-2">
+                            <button onClick={() => setPendingPaste(null)} className="px-3 py-1 text-xs border border-blue-300 rounded-md bg-white text-blue-700 hover:bg-blue-100">
+                                Keep Current Photo
+                            </button>
+                            <button onClick={handleConfirmPaste} className="px-3 py-1 text-xs rounded-md bg-blue-600 text-white hover:bg-blue-700">
+                                Open Pasted Image
+                            </button>
+                        </div>
+                    </div>
+                )}
+                {pasteError && ( // The pasted image could not be opened
+                    <div className="max-w-md mx-auto mb-4 p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-700 flex items-center justify-between">
+                        <span>{pasteError}</span>
+                        <button onClick={() => setPasteError("")} className="ml-3 text-xs text-red-600 hover:underline">Dismiss</button>
+                    </div>
+                )}
+                {batchFiles ? ( // Batch mode applies the current edit to many photos
+                    <BatchProcessor
+                        initialFiles={batchFiles}
+                        baseFilters={filters} // The edit of the photo in the editor (defaults if there is none)
+                        exportOptions={exportOptions}
+                        onExportOptionsChange={setExportOptions}
+                        onExit={() => setBatchFiles(null)}
+                        exitLabel={sourceImage ? "Back to Editor" : "Back to Upload"}
+                    />
+                ) : !sourceImage ? ( // If no source image uploaded yet, show uploader
+                    <ImageUploader onImageUpload={handleImageUpload} onBatchUpload={handleBatchUpload} />
                 ) : (
                     <ErrorBoundary>
                         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
                             {/* Left/Main Column: Editor */}
                             <div className="lg:col-span-2">
                                 <ImageEditor
-                                    imageUrl={sourceImage} // Image for Cropper to use (original or last explicitly set one)
+                                    imageUrl={sourceImage} // The uploaded original
                                     processedImageUrl={processedImage} // Final filtered image from hook, for display when not cropping
+                                    originalImageUrl={isIdentityTransform(filters.transform) ? sourceImage : geometryImage} // Rotated/straightened original, for the cropper and comparisons
+                                    crop={filters.crop} // Current crop, restored when the cropper is reopened
                                     onImageCropped={handleImageCropped} // Callback after crop is applied
+                                    transform={filters.transform} // Rotation, flips and straightening
+                                    onRotate={handleRotate} // Called with +1 / -1 quarter turns
+                                    onFlip={handleFlip} // Called with "horizontal" or "vertical"
+                                    onStraightenChange={handleStraightenChange} // Called while the straighten slider is dragged
                                     isFilterProcessing={isFilterProcessing} // Pass down filter processing state
+                                    focusArea={filters.focusArea} // Region kept sharp by background blur
+                                    onFocusAreaChange={handleFocusAreaChange} // Called while the focus area is dragged on the preview
+                                    isFocusAreaEnabled={filters.backgroundBlur > 0 || filters.backgroundMode !== "blur"} // Subject tools only matter with a background effect on
+                                    subjectStrokes={filters.subjectStrokes} // Brush strokes refining subject detection
+                                    onSubjectStrokesChange={handleSubjectStrokesChange} // Called when a stroke is added or strokes are cleared
+                                    localAdjustments={filters.localAdjustments}
+                                    onLocalAdjustmentsChange={handleLocalAdjustmentsChange} // Records mask and slider changes of local adjustments in the history
+                                    hasTransparentBackground={filters.backgroundMode === "remove"} // Show a checkerboard behind transparent output
+                                    clippingOverlayUrl={clippingOverlayUrl} // Marks clipped shadows and highlights when switched on
                                 />
                             </div>
 
@@ -154,23 +517,72 @@ const App = () => {
                                 {/* Only show FilterControls and DownloadButton if there's an image active for filtering */}
                                 {imageForFiltering && ( 
                                     <>
+                                    <PresetPanel
+                                        filters={filters}
+                                        onApplyPreset={handleApplyPreset} // Applies a look and records it in the history
+                                        renderThumbnail={renderThumbnail} // Renders each look on the current photo
+                                        disabled={isBaseImageElementLoading}
+                                    />
+                                    <HistogramPanel
+                                        histogram={histogram}
+                                        clipping={clipping}
+                                        clippingOverlay={clippingOverlay}
+                                        onClippingOverlayChange={setClippingOverlay}
+                                    />
                                     <FilterControls
                                         filters={filters} // Current filter values from the hook
-                                        onUpdateFilter={updateFilter} // Function to update a filter
-                                        onResetFilters={resetFilters} // Function to reset all filters
-                                        disabled={isEditingAreaLoading} // Disable controls if base image loading or filters processing
+                                        onUpdateFilter={handleUpdateFilter} // Updates a filter and records it in the history
+                                        onResetFilters={handleResetFilters} // Resets all filters and records it in the history
+                                        onAutoEnhance={handleAutoEnhance} // Analyses the photo and sets suggested values
+                                        autoEnhanceSummary={autoEnhanceSummary} // What the last Auto Enhance changed
+                                        histogram={sourceHistogram} // Shown behind the levels and tone curve
+                                        disabled={isBaseImageElementLoading} // Rendering runs off the main thread, so sliders stay usable while it works
+                                    />
+                                    <AdjustmentStackPanel
+                                        filters={filters}
+                                        onLayersChange={handleLayersChange} // Reorders, hides or duplicates layers and records it in the history
+                                        disabled={isBaseImageElementLoading}
+                                    />
+                                    <HistoryPanel
+                                        entries={historyEntries}
+                                        currentIndex={historyIndex}
+                                        canUndo={canUndo}
+                                        canRedo={canRedo}
+                                        onUndo={handleUndo}
+                                        onRedo={handleRedo}
+                                        onJumpTo={handleJumpTo}
+                                    />
+                                    <PhotoInfoPanel metadata={photoMetadata} />
+                                    <RecipePanel
+                                        filters={filters}
+                                        exportOptions={exportOptions}
+                                        onLoadRecipe={handleLoadRecipe} // Applies a validated recipe to this photo
+                                        fileName={originalFileName || "edited-photo"}
+                                        disabled={isBaseImageElementLoading}
                                     />
                                     <DownloadButton
-                                        processedImage={processedImage} // Final image from the hook to download
+                                        processedImage={processedImage} // Preview of the edit; the download is rendered from the original pixels
+                                        renderForExport={renderForExport} // Renders the edit unencoded so the download is encoded once
                                         originalFileName={originalFileName || "edited-photo"} // Ensure generic fallback
                                         disabled={isEditingAreaLoading || !processedImage} // Disable if loading or no processed image
+                                        defaultType={getOutputType(filters)} // PNG when the background was removed, JPEG otherwise
+                                        sourceExif={photoMetadata && photoMetadata.tiff} // Uploaded photo's metadata, kept as chosen
+                                        options={exportOptions} // Export settings, also saved in edit recipes
+                                        onOptionsChange={setExportOptions}
                                     />
+                                    <button
+                                        onClick={() => setBatchFiles([])}
+                                        disabled={isBaseImageElementLoading}
+                                        className="w-full max-w-md mx-auto block px-4 py-2 text-sm border border-gray-300 rounded-lg text-gray-700 bg-white hover:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed"
+                                    >
+                                        Apply This Edit to Many Photos
+                                    </button>
                                     </>
                                 )}
                                  {isEditingAreaLoading && imageForFiltering && ( // Show a loader if controls are disabled due to loading
                                     <div className="flex items-center justify-center p-4 bg-white rounded-lg shadow text-gray-500">
                                         <div className="animate-spin rounded-full h-5 w-5 border-t-2 border-b-2 border-blue-500 mr-2"></div>
-                                        Processing...
+                                        Processing... {Math.round(filterProgress * 100)}%
                                     </div>
                                 )}
                             </div>
@@ -178,7 +590,7 @@ const App = () => {
                     </ErrorBoundary>
                 )}
 
-                {!sourceImage && ( // Show tips section if no image is uploaded yet
+                {!sourceImage && !batchFiles && ( // Show tips section if no image is uploaded yet
                      <div className="mt-12 bg-white rounded-lg shadow-sm p-6">
                         <h2 className="text-xl font-semibold text-gray-800 mb-4">
                             Tips for Enhancing Your Photos
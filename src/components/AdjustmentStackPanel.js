@@ -0,0 +1,212 @@
+import React, { useState } from "react";
+import { getFilterDefinition, isFilterActive } from "../filters/pipeline";
+import {
+  resolveLayers, getLayerValue, getLayerLabel, isDuplicateLayer, canDuplicateLayer,
+  moveLayer, toggleLayerVisibility, duplicateLayer, removeLayer, setLayerValue,
+} from "../filters/layers";
+
+const iconButtonClassName = "h-6 min-w-6 px-1 rounded text-xs text-gray-500 hover:bg-gray-200 hover:text-gray-800 disabled:text-gray-300 disabled:hover:bg-transparent disabled:cursor-not-allowed";
+
+const EyeIcon = ({ open }) => (
+  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="14" height="14" aria-hidden="true">
+    <rect width="256" height="256" fill="none"/>
+    <path d="M128,56C48,56,16,128,16,128s32,72,112,72,112-72,112-72S208,56,128,56Z" fill="none" stroke="currentColor" strokeLinecap="round" strokeLinejoin="round" strokeWidth="20"/>
+    <circle cx="128" cy="128" r="40" fill="none" stroke="currentColor" strokeLinecap="round" strokeLinejoin="round" strokeWidth="20"/>
+    {!open && <line x1="48" y1="40" x2="208" y2="216" fill="none" stroke="currentColor" strokeLinecap="round" strokeLinejoin="round" strokeWidth="20"/>}
+  </svg>
+);
+
+// The adjustment stack: every filter as a layer that runs in list order (top first). Layers can be
+// dragged (or moved with the arrow buttons) into a new order, hidden without losing their value, and
+// slider adjustments can be duplicated to apply them again at another point of the stack.
+// `onLayersChange(layers, label, coalesceKey)` is called with the new stack and a history label;
+// `coalesceKey` is set for slider drags on a duplicate.
+const AdjustmentStackPanel = ({ filters, onLayersChange, disabled = false }) => {
+  const [showAll, setShowAll] = useState(false);
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null); // Listed position the dragged layer would land in front of
+
+  const layers = resolveLayers(filters.layers);
+  // Unless "Show all" is on, only layers that change the photo (or would, once shown) are listed
+  const isLayerInUse = (layer) => isDuplicateLayer(layer) || isFilterActive(layer.type, getLayerValue(layer, filters), filters);
+  const listedLayers = showAll ? layers : layers.filter(isLayerInUse);
+
+  const update = (nextLayers, label, coalesceKey) => {
+    if (typeof onLayersChange === "function" && !disabled) {
+      onLayersChange(nextLayers, label, coalesceKey);
+    }
+  };
+
+  // Moves `layer` in front of the listed layer at `listIndex` (or behind the last listed layer).
+  // Unlisted layers keep their place relative to the listed ones around them.
+  const moveToListIndex = (layer, listIndex) => {
+    const currentIndex = listedLayers.indexOf(layer);
+    const others = listedLayers.filter((candidate) => candidate !== layer);
+    const targetIndex = currentIndex !== -1 && listIndex > currentIndex ? listIndex - 1 : listIndex;
+    if (others.length === 0 || targetIndex === currentIndex) return;
+    const remaining = layers.filter((candidate) => candidate !== layer);
+    const toIndex = targetIndex < others.length
+      ? remaining.indexOf(others[targetIndex])
+      : remaining.indexOf(others[others.length - 1]) + 1;
+    update(moveLayer(layers, layer.id, toIndex), `Move ${getLayerLabel(layer)}`);
+  };
+
+  const handleDragStart = (e, layer) => {
+    setDraggedId(layer.id);
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", layer.id); // Firefox only starts a drag with data set
+    e.dataTransfer.setDragImage(e.currentTarget.closest("li"), 0, 0); // Drag the whole row, not just the handle
+  };
+
+  // Drops in front of the hovered row's upper half, behind its lower half
+  const handleDragOver = (e, index) => {
+    if (!draggedId) return;
+    e.preventDefault();
+    const rect = e.currentTarget.getBoundingClientRect();
+    setDropIndex(e.clientY < rect.top + rect.height / 2 ? index : index + 1);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    const layer = layers.find((candidate) => candidate.id === draggedId);
+    if (layer && dropIndex !== null) {
+      moveToListIndex(layer, dropIndex);
+    }
+    handleDragEnd();
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropIndex(null);
+  };
+
+  const renderLayer = (layer, index) => {
+    const definition = getFilterDefinition(layer.type);
+    const label = getLayerLabel(layer);
+    const value = getLayerValue(layer, filters);
+    const isInUse = isLayerInUse(layer);
+    return (
+      <li
+        key={layer.id}
+        onDragOver={(e) => handleDragOver(e, index)}
+        onDrop={handleDrop}
+        className={`px-2 py-1.5 rounded-md border border-gray-200 bg-white ${layer.id === draggedId ? "opacity-50" : ""} ${
+          dropIndex === index ? "border-t-2 border-t-blue-500" : ""
+        } ${dropIndex === index + 1 && index === listedLayers.length - 1 ? "border-b-2 border-b-blue-500" : ""}`}
+      >
+        <div className="flex items-center">
+          {/* Only the handle starts a drag, so the slider of a duplicate can still be dragged */}
+          <span
+            draggable={!disabled}
+            onDragStart={(e) => handleDragStart(e, layer)}
+            onDragEnd={handleDragEnd}
+            title="Drag to reorder"
+            className={`mr-2 text-gray-400 select-none ${disabled ? "" : "cursor-grab"}`}
+            aria-hidden="true"
+          >
+            ⋮⋮
+          </span>
+          <span className={`flex-1 min-w-0 truncate text-sm ${layer.visible && isInUse ? "text-gray-700" : "text-gray-400"}`}>
+            {label}
+          </span>
+          {typeof value === "number" && (
+            <span className="mx-2 text-xs font-medium text-gray-500">{definition.format(value)}</span>
+          )}
+          <button
+            onClick={() => moveToListIndex(layer, index - 1)}
+            disabled={disabled || index === 0}
+            title="Move up"
+            aria-label={`Move ${label} up`}
+            className={iconButtonClassName}
+          >
+            ↑
+          </button>
+          <button
+            onClick={() => moveToListIndex(layer, index + 2)}
+            disabled={disabled || index === listedLayers.length - 1}
+            title="Move down"
+            aria-label={`Move ${label} down`}
+            className={iconButtonClassName}
+          >
+            ↓
+          </button>
+          <button
+            onClick={() => update(toggleLayerVisibility(layers, layer.id), `${layer.visible ? "Hide" : "Show"} ${label}`)}
+            disabled={disabled}
+            aria-pressed={!layer.visible}
+            title={layer.visible ? "Hide this adjustment" : "Show this adjustment"}
+            aria-label={`${layer.visible ? "Hide" : "Show"} ${label}`}
+            className={`${iconButtonClassName} flex items-center justify-center`}
+          >
+            <EyeIcon open={layer.visible} />
+          </button>
+          {canDuplicateLayer(layer.type) && (
+            <button
+              onClick={() => update(duplicateLayer(layers, layer.id, filters), `Duplicate ${label}`)}
+              disabled={disabled}
+              title="Duplicate this adjustment"
+              aria-label={`Duplicate ${label}`}
+              className={iconButtonClassName}
+            >
+              ⧉
+            </button>
+          )}
+          {isDuplicateLayer(layer) && (
+            <button
+              onClick={() => update(removeLayer(layers, layer.id), `Remove ${label}`)}
+              disabled={disabled}
+              title="Remove this duplicate"
+              aria-label={`Remove ${label}`}
+              className={`${iconButtonClassName} hover:text-red-600`}
+            >
+              ×
+            </button>
+          )}
+        </div>
+        {isDuplicateLayer(layer) && (
+          <input
+            type="range"
+            min={definition.min}
+            max={definition.max}
+            step={definition.step}
+            value={value}
+            onChange={(e) => update(setLayerValue(layers, layer.id, parseFloat(e.target.value)), `Adjust ${label}`, `layer:${layer.id}`)}
+            disabled={disabled || !layer.visible}
+            aria-label={label}
+            className="w-full h-2 mt-1 bg-gray-200 rounded-lg appearance-none cursor-pointer disabled:bg-gray-100 disabled:cursor-not-allowed"
+          />
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className={`w-full max-w-md bg-white rounded-lg shadow-md p-5 mb-5 ${disabled ? "opacity-75 cursor-not-allowed" : ""}`}>
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-xl font-semibold text-gray-800">Adjustment Stack</h2>
+        <button
+          onClick={() => setShowAll((previous) => !previous)}
+          aria-pressed={showAll}
+          className="px-2 py-1 text-xs border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100"
+        >
+          {showAll ? "Show in use" : "Show all"}
+        </button>
+      </div>
+
+      {listedLayers.length > 0 ? (
+        <ul className="space-y-1" onDragLeave={(e) => !e.currentTarget.contains(e.relatedTarget) && setDropIndex(null)}>
+          {listedLayers.map(renderLayer)}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">
+          No adjustments yet. Adjust a slider, or choose "Show all" to arrange the stack in advance.
+        </p>
+      )}
+      <p className="mt-3 text-xs text-gray-500">
+        Adjustments run from top to bottom; drag them to change the order. The profile frame is always drawn last.
+      </p>
+    </div>
+  );
+};
+
+export default AdjustmentStackPanel;
@@ -0,0 +1,30 @@
+import React from "react";
+
+// Sizes (CSS px) at which LinkedIn shows profile photos: profile page, cards, comments and the nav bar.
+const avatarSizes = [400, 200, 100, 48];
+
+// Shows the photo the way LinkedIn crops it: the centred square, masked to a circle, at real display sizes.
+const AvatarPreview = ({ imageUrl }) => {
+  if (!imageUrl) return null;
+
+  return (
+    <div className="mt-4 p-4 bg-gray-50 border rounded-lg">
+      <h3 className="text-sm font-medium text-gray-700 mb-3">How it looks on LinkedIn</h3>
+      <div className="flex flex-wrap items-end gap-4">
+        {avatarSizes.map((size) => (
+          <div key={size} className="flex flex-col items-center max-w-full">
+            <img
+              src={imageUrl}
+              alt={`Preview at ${size}px`}
+              className="rounded-full object-cover shadow-sm bg-white max-w-full"
+              style={{ width: `${size}px`, height: "auto", aspectRatio: "1 / 1" }}
+            />
+            <span className="text-xs text-gray-400 mt-1">{size}px</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AvatarPreview;
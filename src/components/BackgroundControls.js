@@ -0,0 +1,139 @@
+import React from "react";
+import { defaultBackgroundGradient } from "../filters/background";
+
+const backgroundModeOptions = [
+  { value: "blur", label: "Blur" },
+  { value: "color", label: "Color" },
+  { value: "gradient", label: "Gradient" },
+  { value: "image", label: "Image" },
+  { value: "remove", label: "Remove" },
+];
+
+// Background mode picker and the settings for the selected mode.
+// All values are stored in the shared filters object via `onUpdateFilter`.
+const BackgroundControls = ({ filters, onUpdateFilter, disabled = false }) => {
+  const mode = filters.backgroundMode || "blur";
+  const gradient = { ...defaultBackgroundGradient, ...(filters.backgroundGradient || {}) };
+
+  const update = (filterName, value) => {
+    if (typeof onUpdateFilter === "function" && !disabled) {
+      onUpdateFilter(filterName, value);
+    }
+  };
+
+  const updateGradient = (property, value) => {
+    update("backgroundGradient", { ...gradient, [property]: value });
+  };
+
+  // Reads the chosen file as a data URL so it can be stored with the other settings
+  const handleImageSelected = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ""; // Allow picking the same file again
+    if (!file || !file.type.startsWith("image/")) return;
+    const reader = new FileReader();
+    reader.onload = () => update("backgroundImage", reader.result);
+    reader.onerror = () => console.error("Could not read the background image:", reader.error);
+    reader.readAsDataURL(file);
+  };
+
+  return (
+    <div>
+      <label className="block text-sm text-gray-600 mb-2">Background</label>
+      <div className="flex flex-wrap gap-2 mb-3">
+        {backgroundModeOptions.map((option) => (
+          <button
+            key={option.value}
+            onClick={() => update("backgroundMode", option.value)}
+            disabled={disabled}
+            className={`px-3 py-1 text-xs rounded-full ${
+              mode === option.value ? "bg-blue-500 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+            } disabled:cursor-not-allowed`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {mode === "color" && (
+        <div className="flex items-center justify-between">
+          <label className="text-sm text-gray-600">Color</label>
+          <input
+            type="color"
+            value={filters.backgroundColor}
+            onChange={(e) => update("backgroundColor", e.target.value)}
+            disabled={disabled}
+            className="h-8 w-16 border border-gray-300 rounded cursor-pointer"
+          />
+        </div>
+      )}
+
+      {mode === "gradient" && (
+        <div className="space-y-3">
+          <div className="flex items-center justify-between">
+            <label className="text-sm text-gray-600">Colors</label>
+            <div className="flex items-center space-x-2">
+              <input
+                type="color"
+                value={gradient.from}
+                onChange={(e) => updateGradient("from", e.target.value)}
+                disabled={disabled}
+                aria-label="Gradient start color"
+                className="h-8 w-12 border border-gray-300 rounded cursor-pointer"
+              />
+              <input
+                type="color"
+                value={gradient.to}
+                onChange={(e) => updateGradient("to", e.target.value)}
+                disabled={disabled}
+                aria-label="Gradient end color"
+                className="h-8 w-12 border border-gray-300 rounded cursor-pointer"
+              />
+            </div>
+          </div>
+          <div>
+            <div className="flex justify-between mb-1">
+              <label className="text-sm text-gray-600">Angle</label>
+              <span className="text-sm font-medium text-gray-700">{gradient.angle}°</span>
+            </div>
+            <input
+              type="range"
+              min="0"
+              max="360"
+              step="1"
+              value={gradient.angle}
+              onChange={(e) => updateGradient("angle", parseFloat(e.target.value))}
+              disabled={disabled}
+              className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer disabled:bg-gray-100 disabled:cursor-not-allowed"
+            />
+          </div>
+        </div>
+      )}
+
+      {mode === "image" && (
+        <div className="flex items-center space-x-3">
+          {filters.backgroundImage && (
+            <img src={filters.backgroundImage} alt="Background" className="h-12 w-12 object-cover rounded border" />
+          )}
+          <label className={`px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 ${disabled ? "cursor-not-allowed" : "cursor-pointer hover:bg-gray-50"}`}>
+            {filters.backgroundImage ? "Change Image" : "Choose Image"}
+            <input type="file" accept="image/*" className="hidden" onChange={handleImageSelected} disabled={disabled} />
+          </label>
+        </div>
+      )}
+
+      {mode === "remove" && (
+        <p className="text-xs text-gray-500">
+          The background is made transparent and the photo downloads as a PNG.
+        </p>
+      )}
+
+      {mode === "blur" && (
+        <p className="text-xs text-gray-500">
+          Use the Background Blur slider above to set the strength.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default BackgroundControls;
@@ -0,0 +1,345 @@
+import React, { useState, useMemo, useRef, useEffect, useCallback } from "react";
+import useBatchProcessor from "../hooks/useBatchProcessor";
+import { batchCropRules, getDroppedFiles, partitionBatchFiles } from "../utils/batch";
+import { builtInPresets, loadUserPresets } from "../utils/presets";
+import { exportFormats, exportSizePresets } from "../utils/exportImage";
+import { importAcceptAttribute, getPastedFile } from "../utils/imageImport";
+
+const statusLabels = {
+  pending: "Waiting",
+  processing: "Processing",
+  done: "Ready",
+  error: "Failed",
+};
+
+// Batch mode: applies the current edit (optionally with a look) and a crop rule to many photos,
+// shows them in a grid with per-photo overrides and downloads them as one ZIP.
+const BatchProcessor = ({ initialFiles = [], baseFilters, exportOptions, onExportOptionsChange, onExit, exitLabel = "Back to Editor" }) => {
+  const initial = useMemo(() => partitionBatchFiles(initialFiles), [initialFiles]);
+  const {
+    items,
+    settings,
+    setSettings,
+    addFiles,
+    removeItem,
+    updateOverrides,
+    retryItem,
+    createZip,
+    isZipping,
+    zipProgress,
+    overallProgress,
+    isComplete,
+  } = useBatchProcessor({ baseFilters, exportOptions, initialFiles: initial.accepted });
+  const [skippedFiles, setSkippedFiles] = useState(initial.skipped);
+  const [selectedId, setSelectedId] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const [zipError, setZipError] = useState("");
+  const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+
+  const looks = useMemo(() => [...builtInPresets, ...loadUserPresets()], []);
+  const selectedItem = items.find((item) => item.id === selectedId) || null;
+  const includedCount = items.filter((item) => item.overrides.included).length;
+  const readyCount = items.filter((item) => item.overrides.included && item.status === "done").length;
+  const failedCount = items.filter((item) => item.overrides.included && item.status === "error").length;
+
+  const handleFiles = useCallback((files) => {
+    const { accepted, skipped } = partitionBatchFiles(files);
+    addFiles(accepted);
+    setSkippedFiles((prev) => [...prev, ...skipped]);
+  }, [addFiles]);
+
+  // Pasted images (Ctrl+V / Cmd+V) join the batch
+  useEffect(() => {
+    const handlePaste = (e) => {
+      const file = getPastedFile(e);
+      if (!file) return;
+      e.preventDefault();
+      handleFiles([file]);
+    };
+    window.addEventListener("paste", handlePaste);
+    return () => window.removeEventListener("paste", handlePaste);
+  }, [handleFiles]);
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFiles(await getDroppedFiles(e.dataTransfer));
+  };
+
+  const handleInputChange = (e) => {
+    handleFiles(Array.from(e.target.files || []));
+    e.target.value = ""; // Allow choosing the same files again
+  };
+
+  const handleDownloadZip = async () => {
+    setZipError("");
+    let url = null;
+    try {
+      const zip = await createZip();
+      url = URL.createObjectURL(zip);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = "edited-photos.zip";
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+    } catch (error) {
+      console.error("Error creating the ZIP file:", error);
+      setZipError(error.message || "The ZIP file could not be created.");
+    } finally {
+      if (url) {
+        // Give the browser time to start the download before the archive is released
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+      }
+    }
+  };
+
+  const updateExportOption = (name, value) => {
+    onExportOptionsChange({ ...exportOptions, [name]: value });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-md p-5">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-800">Batch Processing</h2>
+            <p className="text-sm text-gray-500">
+              {items.length} photo{items.length === 1 ? "" : "s"} · {readyCount} of {includedCount} ready
+              {failedCount > 0 && <span className="text-red-600"> · {failedCount} failed</span>}
+            </p>
+          </div>
+          <button onClick={onExit} className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100">
+            {exitLabel}
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+          <div>
+            <label className="block text-sm text-gray-600 mb-1" htmlFor="batch-look">Look</label>
+            <select
+              id="batch-look"
+              value={settings.look ? settings.look.id : ""}
+              onChange={(e) => setSettings((prev) => ({ ...prev, look: looks.find((look) => look.id === e.target.value) || null }))}
+              className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md"
+            >
+              <option value="">Current edit settings</option>
+              {looks.map((look) => (
+                <option key={look.id} value={look.id}>{look.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm text-gray-600 mb-1" htmlFor="batch-crop">Crop</label>
+            <select
+              id="batch-crop"
+              value={settings.cropRule}
+              onChange={(e) => setSettings((prev) => ({ ...prev, cropRule: e.target.value }))}
+              className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md"
+            >
+              {batchCropRules.map((rule) => (
+                <option key={rule.id} value={rule.id} disabled={rule.id === "current" && !baseFilters.crop}>{rule.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm text-gray-600 mb-1" htmlFor="batch-format">Format</label>
+            <select
+              id="batch-format"
+              value={exportOptions.type || ""}
+              onChange={(e) => updateExportOption("type", e.target.value || null)}
+              className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md"
+            >
+              <option value="">Automatic</option>
+              {exportFormats.map((format) => (
+                <option key={format.type} value={format.type}>{format.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm text-gray-600 mb-1" htmlFor="batch-size">Dimensions</label>
+            <select
+              id="batch-size"
+              value={exportOptions.sizePreset}
+              onChange={(e) => updateExportOption("sizePreset", e.target.value)}
+              className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md"
+            >
+              {exportSizePresets.map((preset) => (
+                <option key={preset.id} value={preset.id}>
+                  {preset.id === "custom" ? `Custom (${exportOptions.width || "auto"}×${exportOptions.height || "auto"})` : preset.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="mt-5">
+          <div className="flex justify-between text-xs text-gray-500 mb-1">
+            <span>{isComplete ? "All photos processed" : includedCount > 0 ? "Processing photos one at a time..." : "Add photos to start"}</span>
+            <span>{Math.round(overallProgress * 100)}%</span>
+          </div>
+          <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden" role="progressbar" aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round(overallProgress * 100)}>
+            <div className="h-full bg-blue-500 transition-all duration-200" style={{ width: `${overallProgress * 100}%` }}></div>
+          </div>
+        </div>
+
+        {skippedFiles.length > 0 && (
+          <p className="mt-3 text-xs text-amber-600">
+            Skipped {skippedFiles.length} file{skippedFiles.length === 1 ? "" : "s"} that {skippedFiles.length === 1 ? "is not a" : "are not"} JPG or PNG image{skippedFiles.length === 1 ? "" : "s"} under 10MB: {skippedFiles.slice(0, 5).join(", ")}{skippedFiles.length > 5 ? ", ..." : ""}
+          </p>
+        )}
+      </div>
+
+      <div
+        className={`bg-white rounded-lg shadow-md p-5 border-2 border-dashed ${isDragging ? "border-blue-500 bg-blue-50" : "border-transparent"}`}
+        onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+      >
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <p className="text-sm text-gray-500">Drop more photos or folders here. Click a photo to adjust it.</p>
+          <div className="flex space-x-2">
+            <button onClick={() => fileInputRef.current && fileInputRef.current.click()} className="px-3 py-1 text-xs border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100">
+              Add Photos
+            </button>
+            <button onClick={() => folderInputRef.current && folderInputRef.current.click()} className="px-3 py-1 text-xs border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100">
+              Add Folder
+            </button>
+          </div>
+          <input ref={fileInputRef} type="file" multiple accept={importAcceptAttribute} className="hidden" onChange={handleInputChange} />
+          <input ref={folderInputRef} type="file" webkitdirectory="" className="hidden" onChange={handleInputChange} />
+        </div>
+
+        {items.length === 0 ? (
+          <p className="py-12 text-center text-gray-400">No photos yet.</p>
+        ) : (
+          <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-6 gap-3">
+            {items.map((item) => (
+              <div key={item.id} className={`relative ${item.overrides.included ? "" : "opacity-50"}`}>
+                <button
+                  onClick={() => setSelectedId(item.id === selectedId ? null : item.id)}
+                  className={`relative block w-full aspect-square rounded-md overflow-hidden bg-gray-100 border-2 ${item.id === selectedId ? "border-blue-500" : "border-transparent hover:border-gray-300"}`}
+                  title={item.file.name}
+                >
+                  {item.thumbnailUrl ? (
+                    <img src={item.thumbnailUrl} alt={item.file.name} className="h-full w-full object-contain" />
+                  ) : (
+                    <div className="h-full w-full flex items-center justify-center">
+                      {item.status === "processing" && <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-500"></div>}
+                    </div>
+                  )}
+                  {item.status === "processing" && (
+                    <div className="absolute bottom-0 left-0 h-1 bg-blue-500" style={{ width: `${item.progress * 100}%` }}></div>
+                  )}
+                </button>
+                <p className="mt-1 text-xs text-gray-700 truncate" title={item.file.name}>{item.file.name}</p>
+                <p className={`text-xs ${item.status === "error" ? "text-red-600" : "text-gray-400"}`}>
+                  {item.overrides.included ? statusLabels[item.status] : "Excluded"}
+                  {(item.overrides.cropRule !== null || item.overrides.brightness !== null) && " · Adjusted"}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {selectedItem && (
+          <div className="mt-5 p-4 border border-gray-200 rounded-md space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="font-medium text-gray-800 truncate">{selectedItem.file.name}</h3>
+              <button
+                onClick={() => { removeItem(selectedItem.id); setSelectedId(null); }}
+                className="text-xs text-red-600 hover:underline"
+              >
+                Remove from Batch
+              </button>
+            </div>
+            {selectedItem.status === "error" && (
+              <p className="text-xs text-red-600">
+                {selectedItem.error}{" "}
+                <button onClick={() => retryItem(selectedItem.id)} className="underline">Try again</button>
+              </p>
+            )}
+            {selectedItem.status === "done" && selectedItem.warning && (
+              <p className="text-xs text-amber-600">{selectedItem.warning}</p>
+            )}
+            <label className="flex items-center space-x-2 text-sm text-gray-600 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={selectedItem.overrides.included}
+                onChange={(e) => updateOverrides(selectedItem.id, { included: e.target.checked })}
+                className="h-4 w-4"
+              />
+              <span>Include in the download</span>
+            </label>
+            <div className="flex items-center justify-between">
+              <label className="text-sm text-gray-600" htmlFor="batch-item-crop">Crop</label>
+              <select
+                id="batch-item-crop"
+                value={selectedItem.overrides.cropRule || ""}
+                onChange={(e) => updateOverrides(selectedItem.id, { cropRule: e.target.value || null })}
+                className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+              >
+                <option value="">Batch setting</option>
+                {batchCropRules.map((rule) => (
+                  <option key={rule.id} value={rule.id} disabled={rule.id === "current" && !baseFilters.crop}>{rule.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <div className="flex justify-between mb-1">
+                <label className="text-sm text-gray-600" htmlFor="batch-item-brightness">Brightness</label>
+                <span className="text-sm text-gray-700">
+                  {selectedItem.overrides.brightness === null ? "Batch setting" : `${Math.round(selectedItem.overrides.brightness * 100)}%`}
+                </span>
+              </div>
+              <input
+                id="batch-item-brightness"
+                type="range"
+                min="-0.5"
+                max="0.5"
+                step="0.01"
+                value={selectedItem.overrides.brightness === null ? baseFilters.brightness : selectedItem.overrides.brightness}
+                onChange={(e) => updateOverrides(selectedItem.id, { brightness: parseFloat(e.target.value) })}
+                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+              />
+            </div>
+            {(selectedItem.overrides.cropRule !== null || selectedItem.overrides.brightness !== null) && (
+              <button
+                onClick={() => updateOverrides(selectedItem.id, { cropRule: null, brightness: null })}
+                className="text-xs text-blue-600 hover:underline"
+              >
+                Use batch settings
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="max-w-md mx-auto">
+        <button
+          onClick={handleDownloadZip}
+          disabled={!isComplete || readyCount === 0 || isZipping}
+          className={`w-full flex items-center justify-center space-x-2 px-6 py-3 rounded-lg text-white font-medium transition-all duration-200 ${
+            isComplete && readyCount > 0 && !isZipping ? "bg-blue-600 hover:bg-blue-700" : "bg-gray-400 cursor-not-allowed"
+          }`}
+        >
+          {isZipping ? (
+            <>
+              <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
+              <span>Creating ZIP... {Math.round(zipProgress * 100)}%</span>
+            </>
+          ) : (
+            <span>Download {readyCount} Photo{readyCount === 1 ? "" : "s"} as ZIP</span>
+          )}
+        </button>
+        {failedCount > 0 && isComplete && (
+          <p className="mt-2 text-xs text-center text-gray-500">Photos that failed are left out of the ZIP.</p>
+        )}
+        {zipError && <p className="mt-2 text-sm text-red-600 text-center">{zipError}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default BatchProcessor;
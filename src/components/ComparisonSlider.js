@@ -0,0 +1,104 @@
+import React, { useRef } from "react";
+import CroppedImage from "./CroppedImage";
+
+const KEYBOARD_STEP = 0.02;
+const KEYBOARD_LARGE_STEP = 0.1;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+// Before/after split drawn over the processed preview. The original (cropped) image covers the
+// part before the split line: the left side for a vertical split, the top for a horizontal one.
+// `position` is the split position as a fraction of the width (vertical) or height (horizontal).
+const ComparisonSlider = ({ originalUrl, crop, orientation = "vertical", position = 0.5, onPositionChange }) => {
+  const containerRef = useRef(null);
+  const isDraggingRef = useRef(false);
+  const isVertical = orientation === "vertical";
+
+  const emitPosition = (value) => {
+    if (typeof onPositionChange === "function") {
+      onPositionChange(clamp(value));
+    }
+  };
+
+  const positionFromPointer = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return isVertical ? (e.clientX - rect.left) / rect.width : (e.clientY - rect.top) / rect.height;
+  };
+
+  const handlePointerDown = (e) => {
+    e.preventDefault();
+    isDraggingRef.current = true;
+    containerRef.current.setPointerCapture(e.pointerId);
+    emitPosition(positionFromPointer(e)); // Jump to where the user pressed
+  };
+
+  const handlePointerMove = (e) => {
+    if (!isDraggingRef.current) return;
+    emitPosition(positionFromPointer(e));
+  };
+
+  const endDrag = (e) => {
+    isDraggingRef.current = false;
+    if (containerRef.current && containerRef.current.hasPointerCapture(e.pointerId)) {
+      containerRef.current.releasePointerCapture(e.pointerId);
+    }
+  };
+
+  // Arrow keys along the split axis move the line; Shift moves it further, Home/End go to the edges.
+  const handleKeyDown = (e) => {
+    const step = e.shiftKey ? KEYBOARD_LARGE_STEP : KEYBOARD_STEP;
+    const keySteps = isVertical
+      ? { ArrowLeft: -step, ArrowRight: step }
+      : { ArrowUp: -step, ArrowDown: step };
+    if (keySteps[e.key] !== undefined) {
+      e.preventDefault();
+      emitPosition(position + keySteps[e.key]);
+    } else if (e.key === "Home" || e.key === "End") {
+      e.preventDefault();
+      emitPosition(e.key === "Home" ? 0 : 1);
+    }
+  };
+
+  const percentage = position * 100;
+  const clipPath = isVertical ? `inset(0 ${100 - percentage}% 0 0)` : `inset(0 0 ${100 - percentage}% 0)`;
+
+  return (
+    <div
+      ref={containerRef}
+      className={`absolute inset-0 touch-none select-none ${isVertical ? "cursor-ew-resize" : "cursor-ns-resize"}`}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={endDrag}
+      onPointerCancel={endDrag}
+    >
+      <div className="absolute inset-0" style={{ clipPath, WebkitClipPath: clipPath }}>
+        <CroppedImage src={originalUrl} crop={crop} alt="Original photo" />
+      </div>
+
+      <span className="absolute top-2 left-2 px-2 py-0.5 text-xs text-white bg-black/50 rounded pointer-events-none">Before</span>
+      <span className="absolute bottom-2 right-2 px-2 py-0.5 text-xs text-white bg-black/50 rounded pointer-events-none">After</span>
+
+      {/* Split line with a focusable handle */}
+      <div
+        className={`absolute bg-white shadow ${isVertical ? "top-0 bottom-0 w-0.5" : "left-0 right-0 h-0.5"}`}
+        style={isVertical ? { left: `${percentage}%`, transform: "translateX(-50%)" } : { top: `${percentage}%`, transform: "translateY(-50%)" }}
+      >
+        <div
+          role="slider"
+          tabIndex={0}
+          aria-label="Before/after split position"
+          aria-orientation={orientation}
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={Math.round(percentage)}
+          onKeyDown={handleKeyDown}
+          className="absolute top-1/2 left-1/2 h-8 w-8 -translate-x-1/2 -translate-y-1/2 transform rounded-full bg-white border-2 border-blue-500 shadow flex items-center justify-center focus:outline-none focus:ring-2 focus:ring-blue-300"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="16" height="16" className={isVertical ? "" : "transform rotate-90"}><rect width="256" height="256" fill="none"/><polyline points="96 64 32 128 96 192" fill="none" stroke="#3b82f6" strokeLinecap="round" strokeLinejoin="round" strokeWidth="24"/><polyline points="160 64 224 128 160 192" fill="none" stroke="#3b82f6" strokeLinecap="round" strokeLinejoin="round" strokeWidth="24"/></svg>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ComparisonSlider;
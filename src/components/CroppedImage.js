@@ -0,0 +1,26 @@
+import React from "react";
+
+// Shows the part of `src` described by `crop` (fractions of the image, or null for all of it),
+// stretched to fill its positioned parent. Used to show the original next to a cropped render
+// without re-encoding anything.
+const CroppedImage = ({ src, crop, alt = "", className = "" }) => {
+  const region = crop || { x: 0, y: 0, width: 1, height: 1 };
+  return (
+    <div className={`absolute inset-0 overflow-hidden ${className}`}>
+      <img
+        src={src}
+        alt={alt}
+        draggable={false}
+        className="absolute max-w-none select-none"
+        style={{
+          width: `${100 / region.width}%`,
+          height: `${100 / region.height}%`,
+          left: `${(-region.x / region.width) * 100}%`,
+          top: `${(-region.y / region.height) * 100}%`,
+        }}
+      />
+    </div>
+  );
+};
+
+export default CroppedImage;
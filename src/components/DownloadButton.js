@@ -1,70 +1,237 @@
 import React, { useState } from "react";
-import imageCompression from "browser-image-compression";
+import {
+    exportImage,
+    exportFormats,
+    exportSizePresets,
+    defaultExportOptions,
+    getFileExtension,
+    MAX_EXPORT_DIMENSION,
+} from "../utils/exportImage";
+import { metadataCapableTypes, metadataModes } from "../utils/metadata";
 
-const DownloadButton = ({ processedImage, originalFileName = "linkedin-profile" }) => {
+const DownloadButton = ({
+    processedImage,
+    renderForExport,            // Renders the edit at full resolution and hands the unencoded image to a callback
+    originalFileName = "linkedin-profile",
+    disabled = false,
+    defaultType = "image/jpeg", // Format matching the edit (PNG when the background is transparent)
+    sourceExif = null,          // EXIF payload of the uploaded photo, of which the export may keep some
+    options: controlledOptions, // Export settings when kept by the parent (e.g. for edit recipes)
+    onOptionsChange
+}) => {
     const [isCompressing, setIsCompressing] = useState(false);
     const [downloadProgress, setDownloadProgress] = useState(0);
+    const [showOptions, setShowOptions] = useState(false);
+    const [localOptions, setLocalOptions] = useState({ ...defaultExportOptions, type: null }); // `type: null` follows `defaultType`
+    const options = controlledOptions || localOptions;
+    const [exportError, setExportError] = useState("");
+    const [exportWarning, setExportWarning] = useState(""); // The download worked, but not entirely as set
 
-    const compressImage = async (imageUrl) => {
-        try {
-            // Convert data URL to Blob
-            const response = await fetch(imageUrl);
-            const blob = await response.blob();
-
-            // Compression options optimized for LinkedIn profile photos
-            const options = {
-                maxSizeMB: 1,
-                maxWidthOrHeight: 1000,
-                useWebWorker: true,
-                onProgress: (progress) => {
-                    setDownloadProgress(Math.round(progress * 100));
-                }
-            };
-
-            // Compress the image
-            const compressedBlob = await imageCompression(blob, options);
-            return URL.createObjectURL(compressedBlob);
-        } catch (error) {
-            console.error("Error compressing image:", error);
-            return imageUrl; // Fallback to original image
+    const exportType = options.type || defaultType;
+    const format = exportFormats.find((f) => f.type === exportType) || exportFormats[0];
+    const canKeepMetadata = metadataCapableTypes.includes(exportType);
+
+    const updateOption = (name, value) => {
+        const nextOptions = { ...options, [name]: value };
+        if (controlledOptions) {
+            onOptionsChange(nextOptions);
+        } else {
+            setLocalOptions(nextOptions);
         }
     };
 
     const handleDownload = async () => {
-        if (!processedImage) return;
+        if (!processedImage || disabled) return;
 
         setIsCompressing(true);
         setDownloadProgress(0);
+        setExportError("");
+        setExportWarning("");
 
+        let downloadUrl = null;
         try {
-            // Compress the image before download
-            const compressedImageUrl = await compressImage(processedImage);
+            // Rendering dominates the export time; size-limited compression reports the rest
+            const blob = await renderForExport(
+                (renderedImage) => exportImage(renderedImage, { ...options, type: exportType }, {
+                    sourceExif,
+                    onProgress: (progress) => setDownloadProgress(80 + Math.round(progress * 20)),
+                    onWarning: setExportWarning,
+                }),
+                { onProgress: (progress) => setDownloadProgress(Math.round(progress * 80)) }
+            );
+            downloadUrl = URL.createObjectURL(blob);
 
-            // Create download link
+            // Create download link; the extension follows the type the browser actually encoded
             const link = document.createElement("a");
-            link.href = compressedImageUrl;
-            link.download = `${originalFileName}-edited.jpg`;
+            link.href = downloadUrl;
+            link.download = `${originalFileName}-edited.${getFileExtension(blob.type)}`;
             document.body.appendChild(link);
             link.click();
             document.body.removeChild(link);
-
-            // Cleanup
-            URL.revokeObjectURL(compressedImageUrl);
         } catch (error) {
             console.error("Error during download:", error);
+            setExportError("The image could not be exported. Please try different export settings.");
         } finally {
+            if (downloadUrl) {
+                URL.revokeObjectURL(downloadUrl); // Cleanup
+            }
             setIsCompressing(false);
             setDownloadProgress(0);
         }
     };
 
+    const selectedPreset = exportSizePresets.find((p) => p.id === options.sizePreset) || exportSizePresets[0];
+    const isDisabled = !processedImage || typeof renderForExport !== "function" || isCompressing || disabled;
+
     return (
         <div className="w-full max-w-md mx-auto">
+            <div className="mb-3 bg-white rounded-lg shadow-md">
+                <button
+                    onClick={() => setShowOptions((prev) => !prev)}
+                    className="w-full flex items-center justify-between px-4 py-3 text-left text-sm font-medium text-gray-700"
+                    aria-expanded={showOptions}
+                >
+                    <span>
+                        Export Settings
+                        <span className="ml-2 font-normal text-gray-500">
+                            {format.label} · {selectedPreset.id === "custom" ? `${options.width || "auto"}×${options.height || "auto"}` : selectedPreset.label}
+                        </span>
+                    </span>
+                    <span className="text-gray-400">{showOptions ? "−" : "+"}</span>
+                </button>
+
+                {showOptions && (
+                    <div className="px-4 pb-4 space-y-4">
+                        <div>
+                            <label className="block text-sm text-gray-600 mb-2">Format</label>
+                            <div className="flex space-x-2">
+                                {exportFormats.map((f) => (
+                                    <button
+                                        key={f.type}
+                                        onClick={() => updateOption("type", f.type)}
+                                        className={`px-3 py-1 text-xs rounded-full ${exportType === f.type ? "bg-blue-500 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"}`}
+                                    >
+                                        {f.label}
+                                    </button>
+                                ))}
+                            </div>
+                            {exportType === "image/jpeg" && defaultType === "image/png" && (
+                                <p className="text-xs text-amber-600 mt-2">JPEG has no transparency; the removed background will be white.</p>
+                            )}
+                        </div>
+
+                        <div>
+                            <label className="block text-sm text-gray-600 mb-2" htmlFor="export-size">Dimensions</label>
+                            <select
+                                id="export-size"
+                                value={options.sizePreset}
+                                onChange={(e) => updateOption("sizePreset", e.target.value)}
+                                className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md"
+                            >
+                                {exportSizePresets.map((preset) => (
+                                    <option key={preset.id} value={preset.id}>{preset.label}</option>
+                                ))}
+                            </select>
+                            {options.sizePreset === "custom" && (
+                                <div className="flex items-center space-x-2 mt-2">
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        max={MAX_EXPORT_DIMENSION}
+                                        value={options.width}
+                                        onChange={(e) => updateOption("width", e.target.value === "" ? "" : parseInt(e.target.value, 10))}
+                                        placeholder="Auto"
+                                        aria-label="Width in pixels"
+                                        className="w-24 px-2 py-1 text-sm border border-gray-300 rounded-md"
+                                    />
+                                    <span className="text-gray-400">×</span>
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        max={MAX_EXPORT_DIMENSION}
+                                        value={options.height}
+                                        onChange={(e) => updateOption("height", e.target.value === "" ? "" : parseInt(e.target.value, 10))}
+                                        placeholder="Auto"
+                                        aria-label="Height in pixels"
+                                        className="w-24 px-2 py-1 text-sm border border-gray-300 rounded-md"
+                                    />
+                                    <span className="text-xs text-gray-500">px</span>
+                                </div>
+                            )}
+                            {options.sizePreset !== "original" && (
+                                <p className="text-xs text-gray-500 mt-1">The photo is cropped from the centre if its shape differs.</p>
+                            )}
+                        </div>
+
+                        {format.supportsQuality && (
+                            <div>
+                                <div className="flex justify-between mb-1">
+                                    <label className="text-sm text-gray-600">Quality</label>
+                                    <span className="text-sm font-medium text-gray-700">{Math.round(options.quality * 100)}%</span>
+                                </div>
+                                <input
+                                    type="range"
+                                    min="0.3"
+                                    max="1"
+                                    step="0.01"
+                                    value={options.quality}
+                                    onChange={(e) => updateOption("quality", parseFloat(e.target.value))}
+                                    className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                                />
+                            </div>
+                        )}
+
+                        <div className="flex items-center justify-between">
+                            <label className="text-sm text-gray-600" htmlFor="export-max-size">Max file size</label>
+                            <select
+                                id="export-max-size"
+                                value={options.maxSizeMB || ""}
+                                onChange={(e) => updateOption("maxSizeMB", e.target.value ? parseFloat(e.target.value) : null)}
+                                className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+                            >
+                                <option value="">No limit</option>
+                                <option value="0.5">500 KB</option>
+                                <option value="1">1 MB</option>
+                                <option value="2">2 MB</option>
+                                <option value="5">5 MB</option>
+                            </select>
+                        </div>
+
+                        <fieldset disabled={!canKeepMetadata || !sourceExif}>
+                            <legend className="text-sm text-gray-600 mb-2">Photo metadata</legend>
+                            <div className="space-y-2">
+                                {metadataModes.map((mode) => (
+                                    <label key={mode.id} className="flex items-start space-x-2 text-sm text-gray-700 cursor-pointer">
+                                        <input
+                                            type="radio"
+                                            name="export-metadata"
+                                            value={mode.id}
+                                            checked={(canKeepMetadata && sourceExif ? options.metadata : "none") === mode.id}
+                                            onChange={() => updateOption("metadata", mode.id)}
+                                            className="mt-1 h-4 w-4"
+                                        />
+                                        <span>
+                                            {mode.label}
+                                            <span className="block text-xs text-gray-500">{mode.description}</span>
+                                        </span>
+                                    </label>
+                                ))}
+                            </div>
+                            {!sourceExif ? (
+                                <p className="text-xs text-gray-500 mt-2">This photo has no metadata to keep.</p>
+                            ) : !canKeepMetadata && (
+                                <p className="text-xs text-gray-500 mt-2">Metadata can only be kept for JPEG and PNG exports.</p>
+                            )}
+                        </fieldset>
+                    </div>
+                )}
+            </div>
+
             <button
                 onClick={handleDownload}
-                disabled={!processedImage || isCompressing}
+                disabled={isDisabled}
                 className={`w-full flex items-center justify-center space-x-2 px-6 py-3 rounded-lg text-white font-medium transition-all duration-200 ${
-                    processedImage && !isCompressing
+                    !isDisabled
                         ? "bg-blue-600 hover:bg-blue-700"
                         : "bg-gray-400 cursor-not-allowed"
                 }`}
@@ -72,7 +239,7 @@ const DownloadButton = ({ processedImage, originalFileName = "linkedin-profile"
                 {isCompressing ? (
                     <>
                         <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
-                        <span>Optimizing... {downloadProgress}%</span>
+                        <span>Exporting... {downloadProgress}%</span>
                     </>
                 ) : (
                     <>
@@ -82,11 +249,12 @@ const DownloadButton = ({ processedImage, originalFileName = "linkedin-profile"
                 )}
             </button>
 
-            <div className="mt-2 text-center">
-                <p className="text-xs text-gray-500">
-                    Your image will be optimized for LinkedIn (max 1MB)
-                </p>
-            </div>
+            {exportError && (
+                <p className="mt-2 text-sm text-red-600 text-center">{exportError}</p>
+            )}
+            {exportWarning && (
+                <p className="mt-2 text-sm text-amber-600 text-center">{exportWarning}</p>
+            )}
 
             {processedImage && !isCompressing && (
                 <div className="mt-4 flex items-center justify-center space-x-4">
@@ -100,4 +268,4 @@ const DownloadButton = ({ processedImage, originalFileName = "linkedin-profile"
     );
 };
 
-export default DownloadButton;
\ No newline at end of file
+export default DownloadButton;
@@ -1,46 +1,95 @@
 import React, { useEffect, useState } from "react";
+import { getFilterDefinitions, getFilterSections, getFilterDefaults, getFilterControl, isFilterActive } from "../filters/pipeline";
+import BackgroundControls from "./BackgroundControls";
+import FrameControls from "./FrameControls";
+import ToneCurveEditor from "./ToneCurveEditor";
+import LevelsControl from "./LevelsControl";
 
 // Default values for filters to ensure the component always has a valid structure to work with
-const defaultFilterSettings = {
-  smoothing: 0,
-  brightness: 0,
-  contrast: 0,
-  blur: 0,
-  saturation: 0,
-  backgroundBlur: 0,
+const defaultFilterSettings = getFilterDefaults();
+
+// Icons of the built-in sections; other sections use the adjustments icon
+const sectionIcons = {
+  adjustments: <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="20" height="20"><rect width="256" height="256" fill="none"/><circle cx="104" cy="80" r="24" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><circle cx="168" cy="176" r="24" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="128" y1="80" x2="216" y2="80" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="40" y1="80" x2="80" y2="80" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="192" y1="176" x2="216" y2="176" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="40" y1="176" x2="144" y2="176" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/></svg>,
+  tone: <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="20" height="20"><rect width="256" height="256" fill="none"/><rect x="40" y="40" width="176" height="176" rx="8" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><path d="M40,216c64,0,72-176,176-176" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/></svg>,
+  refinements: <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="20" height="20"><rect width="256" height="256" fill="none"/><line x1="216" y1="128" x2="216" y2="176" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="192" y1="152" x2="240" y2="152" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="80" y1="40" x2="80" y2="88" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="56" y1="64" x2="104" y2="64" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="168" y1="184" x2="168" y2="216" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="152" y1="200" x2="184" y2="200" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="144" y1="80" x2="176" y2="112" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><rect x="21.49" y="105.37" width="213.02" height="45.25" rx="8" transform="translate(-53.02 128) rotate(-45)" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/></svg>,
+  focusEffects: <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="20" height="20"><rect width="256" height="256" fill="none"/><circle cx="128" cy="128" r="96" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="128" y1="32" x2="164.68" y2="134.7" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="44.86" y1="80" x2="152.14" y2="99.58" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="44.86" y1="176" x2="115.46" y2="92.89" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="128" y1="224" x2="91.32" y2="121.3" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="211.14" y1="176" x2="103.86" y2="156.42" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="211.14" y1="80" x2="140.54" y2="163.11" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/></svg>,
+  frame: <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="20" height="20"><rect width="256" height="256" fill="none"/><circle cx="128" cy="128" r="96" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><path d="M60.12,195.88A96,96,0,0,1,32,128" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="48"/></svg>,
+};
+
+// Feather of the focus area; the area itself is moved on the preview
+const FocusAreaControl = ({ definition, value, filters, onUpdateFilter, disabled }) => (
+  <div>
+    <div className="flex justify-between mb-1">
+      <label htmlFor="filter-focusArea-feather" className="text-sm text-gray-600">Focus Feather</label>
+      <span className="text-sm font-medium text-gray-700">
+        {definition.format(value.feather)}
+      </span>
+    </div>
+    <input
+      id="filter-focusArea-feather"
+      type="range"
+      min="0"
+      max="1"
+      step="0.01"
+      value={value.feather}
+      onChange={(e) => onUpdateFilter("focusArea", { ...value, feather: parseFloat(e.target.value) })}
+      disabled={disabled || !definition.isEnabled(filters)}
+      className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer disabled:bg-gray-100 disabled:cursor-not-allowed"
+    />
+    <div className="flex justify-between text-xs text-gray-400 mt-1">
+      <span>Hard Edge</span>
+      <span>Soft Edge</span>
+    </div>
+  </div>
+);
+
+// Controls for built-in filter definitions naming a custom `control`. Each is rendered with
+// { definition, value, filters, histogram, onUpdateFilter, disabled }, like registered controls.
+const builtinControls = {
+  levels: ({ value, histogram, onUpdateFilter, disabled }) => (
+    <LevelsControl levels={value} histogram={histogram} onUpdateFilter={onUpdateFilter} disabled={disabled} />
+  ),
+  curves: ({ value, histogram, onUpdateFilter, disabled }) => (
+    <ToneCurveEditor curves={value} histogram={histogram} onUpdateFilter={onUpdateFilter} disabled={disabled} />
+  ),
+  focusArea: FocusAreaControl,
+  background: ({ filters, onUpdateFilter, disabled }) => (
+    <BackgroundControls filters={filters} onUpdateFilter={onUpdateFilter} disabled={disabled} />
+  ),
+  frame: ({ value, onUpdateFilter, disabled }) => (
+    <FrameControls frame={value} onUpdateFilter={onUpdateFilter} disabled={disabled} />
+  ),
 };
 
-const FilterControls = ({ filters: filtersFromProps, onUpdateFilter, onResetFilters, disabled = false }) => {
+// Sections and controls are generated from the filter registry (see `filters/registry.js`).
+// `onAutoEnhance()` analyses the photo and applies suggested values (it may return a promise);
+// `autoEnhanceSummary` describes what the last Auto Enhance changed while its values are in place.
+// `histogram` ({ luminance, red, green, blue }) is drawn behind the levels and tone curve.
+// Custom filters bring their own controls with `registerFilterControl`.
+const FilterControls = ({ filters: filtersFromProps, onUpdateFilter, onResetFilters, onAutoEnhance, autoEnhanceSummary = null, histogram = null, disabled = false }) => {
   // Merge provided filters with defaults.
   const filters = { ...defaultFilterSettings, ...(filtersFromProps || {}) };
 
-  const [expanded, setExpanded] = useState({
-    adjustments: true,
-    refinements: false,
-    focusEffects: false,
-  });
+  const [expanded, setExpanded] = useState(() => (
+    Object.fromEntries(getFilterSections().map((section) => [section.id, section.expanded]))
+  ));
 
-  // State to track if any *incoming* filters (from props) are active (non-zero)
+  // State to track if any *incoming* filters (from props) are active
   const [hasActiveFilters, setHasActiveFilters] = useState(false);
+  const [isEnhancing, setIsEnhancing] = useState(false);
+  const [enhanceError, setEnhanceError] = useState("");
 
   useEffect(() => {
-    let isActive = false;
-    if (filtersFromProps) { 
-      for (const key in defaultFilterSettings) {
-        if (
-          filtersFromProps.hasOwnProperty(key) &&
-          typeof filtersFromProps[key] === "number" &&
-          // Check against the default value for that specific filter key.
-          // (The original check was `filtersFromProps[key] !== 0`, which is fine as all defaults are 0)
-          filtersFromProps[key] !== defaultFilterSettings[key] 
-        ) {
-          isActive = true;
-          break;
-        }
-      }
-    }
+    const isActive = Boolean(filtersFromProps) && getFilterDefinitions().some(({ id, neutral, parameterOf }) => {
+      if (!filtersFromProps.hasOwnProperty(id)) return false;
+      // A parameter moved off its default counts too, even while its filter is off
+      return parameterOf
+        ? typeof filtersFromProps[id] === "number" && filtersFromProps[id] !== neutral
+        : isFilterActive(id, filtersFromProps[id], filtersFromProps);
+    });
     setHasActiveFilters(isActive);
-  }, [filtersFromProps]); 
+  }, [filtersFromProps]);
 
   const handleSliderChange = (filterName, value) => {
     if (typeof onUpdateFilter === "function" && !disabled) {
@@ -48,12 +97,33 @@ const FilterControls = ({ filters: filtersFromProps, onUpdateFilter, onResetFilt
     }
   };
 
+  // Structured values are passed on as given by their control
+  const handleControlChange = (filterName, value) => {
+    if (typeof onUpdateFilter === "function" && !disabled) {
+      onUpdateFilter(filterName, value);
+    }
+  };
+
   const handleResetFiltersClick = () => {
     if (typeof onResetFilters === "function" && !disabled) {
       onResetFilters();
     }
   };
 
+  const handleAutoEnhanceClick = async () => {
+    if (typeof onAutoEnhance !== "function" || disabled || isEnhancing) return;
+    setIsEnhancing(true);
+    setEnhanceError("");
+    try {
+      await onAutoEnhance();
+    } catch (error) {
+      console.error("Auto Enhance failed:", error);
+      setEnhanceError("The photo could not be analyzed. Please adjust it manually.");
+    } finally {
+      setIsEnhancing(false);
+    }
+  };
+
   const toggleSection = (section) => {
     setExpanded((prevExpanded) => ({
       ...prevExpanded,
@@ -61,13 +131,81 @@ const FilterControls = ({ filters: filtersFromProps, onUpdateFilter, onResetFilt
     }));
   };
 
-  const formatValue = (value, isPercentage = true) => {
-    const numericValue = typeof value === "number" ? value : 0; 
-    if (isPercentage) {
-      const percentage = Math.round(numericValue * 100);
-      return `${percentage}%`;
+  // Slider for a numeric filter definition. `isEnabled` disables a slider that only matters
+  // while another filter is on.
+  const renderSlider = ({ id, label, min, max, step, format, lowLabel, highLabel, isEnabled }) => (
+    <div>
+      <div className="flex justify-between mb-1">
+        <label htmlFor={`filter-${id}`} className="text-sm text-gray-600">{label}</label>
+        <span className="text-sm font-medium text-gray-700">
+          {format(filters[id])}
+        </span>
+      </div>
+      <input
+        id={`filter-${id}`}
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={filters[id]}
+        onChange={(e) => handleSliderChange(id, e.target.value)}
+        disabled={disabled || (typeof isEnabled === "function" && !isEnabled(filters))}
+        className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer disabled:bg-gray-100 disabled:cursor-not-allowed"
+      />
+      <div className="flex justify-between text-xs text-gray-400 mt-1">
+        <span>{lowLabel}</span>
+        <span>{highLabel}</span>
+      </div>
+    </div>
+  );
+
+  const renderControl = (definition) => {
+    if (definition.control === "slider") {
+      return renderSlider(definition);
     }
-    return numericValue.toFixed(2); // For values not typically expressed as %
+    const Control = builtinControls[definition.control] || getFilterControl(definition.control);
+    if (!Control) {
+      console.warn(`No control named "${definition.control}" for filter "${definition.id}".`);
+      return null;
+    }
+    return (
+      <Control
+        definition={definition}
+        value={filters[definition.id]}
+        filters={filters}
+        histogram={histogram}
+        onUpdateFilter={handleControlChange}
+        disabled={disabled}
+      />
+    );
+  };
+
+  // Controls of a section: ungrouped filters first, then each group under its own subheading
+  const renderSectionControls = (definitions) => {
+    const groups = [];
+    definitions.forEach((definition) => {
+      const name = definition.group || null;
+      let group = groups.find((candidate) => candidate.name === name);
+      if (!group) {
+        group = { name, definitions: [] };
+        if (name === null) groups.unshift(group);
+        else groups.push(group);
+      }
+      group.definitions.push(definition);
+    });
+    return groups.map((group, index) => (
+      <React.Fragment key={group.name || ""}>
+        {group.name && (
+          <h3 className={`${index > 0 ? "pt-2 " : ""}text-xs font-semibold uppercase tracking-wide text-gray-500`}>{group.name}</h3>
+        )}
+        {group.definitions.map((definition) => (
+          <React.Fragment key={definition.id}>
+            {renderControl(definition)}
+            {definition.description && <p className="text-xs text-gray-500">{definition.description}</p>}
+          </React.Fragment>
+        ))}
+      </React.Fragment>
+    ));
   };
 
   return (
@@ -76,6 +214,24 @@ const FilterControls = ({ filters: filtersFromProps, onUpdateFilter, onResetFilt
         Photo Adjustments
       </h2>
 
+      {typeof onAutoEnhance === "function" && (
+        <div className="mb-4">
+          <button
+            onClick={handleAutoEnhanceClick}
+            disabled={disabled || isEnhancing}
+            className="w-full flex items-center justify-center px-4 py-2 text-sm bg-blue-500 text-white rounded-md hover:bg-blue-600 transition-colors disabled:bg-blue-300 disabled:cursor-not-allowed"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="16" height="16"><rect width="256" height="256" fill="none"/><path d="M84.27,171.73l-55.09-20.3a7.92,7.92,0,0,1,0-14.86l55.09-20.3,20.3-55.09a7.92,7.92,0,0,1,14.86,0l20.3,55.09,55.09,20.3a7.92,7.92,0,0,1,0,14.86l-55.09,20.3-20.3,55.09a7.92,7.92,0,0,1-14.86,0Z" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="176" y1="16" x2="176" y2="64" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="200" y1="40" x2="152" y2="40" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/></svg>
+            <span className="ml-2">{isEnhancing ? "Analyzing..." : "Auto Enhance"}</span>
+          </button>
+          {enhanceError ? (
+            <p className="mt-2 text-xs text-red-600">{enhanceError}</p>
+          ) : autoEnhanceSummary && (
+            <p className="mt-2 text-xs text-gray-600" role="status">{autoEnhanceSummary}</p>
+          )}
+        </div>
+      )}
+
       {hasActiveFilters && (
         <button
           onClick={handleResetFiltersClick}
@@ -87,205 +243,33 @@ const FilterControls = ({ filters: filtersFromProps, onUpdateFilter, onResetFilt
         </button>
       )}
 
-      {/* Adjustments Section */}
-      <div className="mb-4">
-        <button
-          onClick={() => toggleSection("adjustments")}
-          disabled={disabled}
-          className="w-full flex items-center justify-between text-left text-lg font-medium text-gray-700 py-2 disabled:text-gray-400"
-        >
-          <div className="flex items-center">
-            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="20" height="20"><rect width="256" height="256" fill="none"/><circle cx="104" cy="80" r="24" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><circle cx="168" cy="176" r="24" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="128" y1="80" x2="216" y2="80" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="40" y1="80" x2="80" y2="80" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="192" y1="176" x2="216" y2="176" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="40" y1="176" x2="144" y2="176" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/></svg>
-            <span className="ml-2">Light & Color</span>
-          </div>
-          <span className="text-gray-400">
-            {expanded.adjustments ? "−" : "+"}
-          </span>
-        </button>
-        
-        {expanded.adjustments && (
-          <div className="pl-2 mt-2 space-y-4">
-            <div>
-              <div className="flex justify-between mb-1">
-                <label className="text-sm text-gray-600">Brightness</label>
-                <span className="text-sm font-medium text-gray-700">
-                  {formatValue(filters.brightness)}
-                </span>
-              </div>
-              <input
-                type="range"
-                min="-0.5"
-                max="0.5"
-                step="0.01"
-                value={filters.brightness}
-                onChange={(e) => handleSliderChange("brightness", e.target.value)}
-                disabled={disabled}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer disabled:bg-gray-100 disabled:cursor-not-allowed"
-              />
-              <div className="flex justify-between text-xs text-gray-400 mt-1">
-                <span>Darker</span>
-                <span>Brighter</span>
-              </div>
-            </div>
-
-            <div>
-              <div className="flex justify-between mb-1">
-                <label className="text-sm text-gray-600">Contrast</label>
-                <span className="text-sm font-medium text-gray-700">
-                  {formatValue(filters.contrast)}
-                </span>
+      {getFilterSections().map((section) => {
+        const definitions = getFilterDefinitions().filter((definition) => definition.section === section.id && definition.control);
+        if (definitions.length === 0) return null;
+        return (
+          <div key={section.id} className="mb-4">
+            <button
+              onClick={() => toggleSection(section.id)}
+              disabled={disabled}
+              className="w-full flex items-center justify-between text-left text-lg font-medium text-gray-700 py-2 disabled:text-gray-400"
+            >
+              <div className="flex items-center">
+                {sectionIcons[section.id] || sectionIcons.adjustments}
+                <span className="ml-2">{section.label}</span>
               </div>
-              <input
-                type="range"
-                min="-0.5"
-                max="0.5"
-                step="0.01"
-                value={filters.contrast}
-                onChange={(e) => handleSliderChange("contrast", e.target.value)}
-                disabled={disabled}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer disabled:bg-gray-100 disabled:cursor-not-allowed"
-              />
-              <div className="flex justify-between text-xs text-gray-400 mt-1">
-                <span>Less</span>
-                <span>More</span>
-              </div>
-            </div>
-            
-            <div>
-              <div className="flex justify-between mb-1">
-                <label className="text-sm text-gray-600">Saturation</label>
-                <span className="text-sm font-medium text-gray-700">
-                  {formatValue(filters.saturation)}
-                </span>
-              </div>
-              <input
-                type="range"
-                min="-1" 
-                max="1"  
-                step="0.01"
-                value={filters.saturation}
-                onChange={(e) => handleSliderChange("saturation", e.target.value)}
-                disabled={disabled}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer disabled:bg-gray-100 disabled:cursor-not-allowed"
-              />
-              <div className="flex justify-between text-xs text-gray-400 mt-1">
-                <span>Grayscale</span>
-                <span>Vivid</span>
-              </div>
-            </div>
-          </div>
-        )}
-      </div>
+              <span className="text-gray-400">
+                {expanded[section.id] ? "−" : "+"}
+              </span>
+            </button>
 
-      {/* Refinements Section */}
-      <div className="mb-4">
-        <button
-          onClick={() => toggleSection("refinements")}
-          disabled={disabled}
-          className="w-full flex items-center justify-between text-left text-lg font-medium text-gray-700 py-2 disabled:text-gray-400"
-        >
-          <div className="flex items-center">
-            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="20" height="20"><rect width="256" height="256" fill="none"/><line x1="216" y1="128" x2="216" y2="176" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="192" y1="152" x2="240" y2="152" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="80" y1="40" x2="80" y2="88" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="56" y1="64" x2="104" y2="64" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="168" y1="184" x2="168" y2="216" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="152" y1="200" x2="184" y2="200" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="144" y1="80" x2="176" y2="112" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><rect x="21.49" y="105.37" width="213.02" height="45.25" rx="8" transform="translate(-53.02 128) rotate(-45)" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/></svg>
-            <span className="ml-2">Detail & Texture</span>
-          </div>
-          <span className="text-gray-400">
-            {expanded.refinements ? "−" : "+"}
-          </span>
-        </button>
-        
-        {expanded.refinements && (
-          <div className="pl-2 mt-2 space-y-4">
-            <div>
-              <div className="flex justify-between mb-1">
-                <label className="text-sm text-gray-600">Smoothing</label>
-                <span className="text-sm font-medium text-gray-700">
-                  {formatValue(filters.smoothing)}
-                </span>
-              </div>
-              <input
-                type="range"
-                min="0"
-                max="1"
-                step="0.01"
-                value={filters.smoothing}
-                onChange={(e) => handleSliderChange("smoothing", e.target.value)}
-                disabled={disabled}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer disabled:bg-gray-100 disabled:cursor-not-allowed"
-              />
-              <div className="flex justify-between text-xs text-gray-400 mt-1">
-                <span>Off</span>
-                <span>Max</span>
+            {expanded[section.id] && (
+              <div className="pl-2 mt-2 space-y-4">
+                {renderSectionControls(definitions)}
               </div>
-            </div>
-            <div>
-              <div className="flex justify-between mb-1">
-                <label className="text-sm text-gray-600">Overall Blur</label>
-                <span className="text-sm font-medium text-gray-700">
-                  {formatValue(filters.blur, false)} {/* Assuming blur is not a percentage */}
-                </span>
-              </div>
-              <input
-                type="range"
-                min="0"
-                max="0.5" 
-                step="0.01"
-                value={filters.blur}
-                onChange={(e) => handleSliderChange("blur", e.target.value)}
-                disabled={disabled}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer disabled:bg-gray-100 disabled:cursor-not-allowed"
-              />
-              <div className="flex justify-between text-xs text-gray-400 mt-1">
-                <span>None</span>
-                <span>Subtle</span>
-              </div>
-            </div>
+            )}
           </div>
-        )}
-      </div>
-
-      {/* Focus Effects Section */}
-      <div className="mb-4">
-        <button
-          onClick={() => toggleSection("focusEffects")}
-          disabled={disabled}
-          className="w-full flex items-center justify-between text-left text-lg font-medium text-gray-700 py-2 disabled:text-gray-400"
-        >
-          <div className="flex items-center">
-            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="20" height="20"><rect width="256" height="256" fill="none"/><circle cx="128" cy="128" r="96" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="128" y1="32" x2="164.68" y2="134.7" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="44.86" y1="80" x2="152.14" y2="99.58" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="44.86" y1="176" x2="115.46" y2="92.89" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="128" y1="224" x2="91.32" y2="121.3" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="211.14" y1="176" x2="103.86" y2="156.42" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="211.14" y1="80" x2="140.54" y2="163.11" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/></svg>
-            <span className="ml-2">Focus Effects</span>
-          </div>
-          <span className="text-gray-400">
-            {expanded.focusEffects ? "−" : "+"}
-          </span>
-        </button>
-        
-        {expanded.focusEffects && (
-          <div className="pl-2 mt-2 space-y-4">
-            <div>
-              <div className="flex justify-between mb-1">
-                <label className="text-sm text-gray-600">Background Blur</label>
-                <span className="text-sm font-medium text-gray-700">
-                  {formatValue(filters.backgroundBlur)}
-                </span>
-              </div>
-              <input
-                type="range"
-                min="0"
-                max="1"
-                step="0.01"
-                value={filters.backgroundBlur}
-                onChange={(e) => handleSliderChange("backgroundBlur", e.target.value)}
-                disabled={disabled}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer disabled:bg-gray-100 disabled:cursor-not-allowed"
-              />
-              <div className="flex justify-between text-xs text-gray-400 mt-1">
-                <span>None</span>
-                <span>Strong</span>
-              </div>
-            </div>
-          </div>
-        )}
-      </div>
+        );
+      })}
 
       <div className="mt-6 pt-4 border-t border-gray-100">
         <p className="text-xs text-gray-500">
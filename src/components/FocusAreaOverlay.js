@@ -0,0 +1,173 @@
+import React, { useState, useRef, useEffect } from "react";
+import { mapShapeToCrop, mapShapeFromCrop } from "../filters/geometry";
+
+const MIN_RADIUS = 0.05; // Fraction of the shorter image side
+const MAX_RADIUS = 1.5;
+const KEYBOARD_STEP = 0.01;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Interactive ellipse drawn over the preview image for positioning the background blur focus area.
+// `focusArea` uses the same normalised units as the filter pipeline (see `defaultFocusArea`): it is
+// relative to the uncropped frame, while the preview shows `crop`, so it is edited in crop units.
+const FocusAreaOverlay = ({ focusArea: frameFocusArea, crop = null, onChange }) => {
+  const containerRef = useRef(null);
+  const dragRef = useRef(null); // { mode, startX, startY, startFocusArea }
+  const [size, setSize] = useState({ width: 0, height: 0 });
+
+  // Track the rendered size of the preview so the ellipse can be drawn in screen pixels
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return undefined;
+    const updateSize = () => setSize({ width: element.clientWidth, height: element.clientHeight });
+    updateSize();
+    if (typeof ResizeObserver === "undefined") return undefined;
+    const observer = new ResizeObserver(updateSize);
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  const { width, height } = size;
+  const shortSide = Math.min(width, height);
+  const focusArea = width && height ? mapShapeToCrop(frameFocusArea, crop, width, height) : frameFocusArea;
+  const centerX = focusArea.x * width;
+  const centerY = focusArea.y * height;
+  const radiusX = focusArea.radiusX * shortSide;
+  const radiusY = focusArea.radiusY * shortSide;
+  const angle = (focusArea.rotation * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  // Handle positions along the ellipse's own (rotated) axes
+  const radiusXHandle = { x: centerX + radiusX * cos, y: centerY + radiusX * sin };
+  const radiusYHandle = { x: centerX - radiusY * sin, y: centerY + radiusY * cos };
+  const rotateHandle = { x: centerX + (radiusY + 24) * sin, y: centerY - (radiusY + 24) * cos };
+
+  const emitChange = (changes) => {
+    if (typeof onChange === "function") {
+      onChange(mapShapeFromCrop({ ...focusArea, ...changes }, crop, width, height));
+    }
+  };
+
+  const getPointerPosition = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  const startDrag = (mode) => (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const position = getPointerPosition(e);
+    dragRef.current = { mode, startX: position.x, startY: position.y, startFocusArea: focusArea };
+    containerRef.current.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag || !width || !height) return;
+    const position = getPointerPosition(e);
+    const offsetX = position.x - centerX;
+    const offsetY = position.y - centerY;
+
+    switch (drag.mode) {
+      case "move":
+        emitChange({
+          x: clamp(drag.startFocusArea.x + (position.x - drag.startX) / width, 0, 1),
+          y: clamp(drag.startFocusArea.y + (position.y - drag.startY) / height, 0, 1),
+        });
+        break;
+      case "radiusX": // Project the pointer onto the ellipse's local x axis
+        emitChange({ radiusX: clamp(Math.abs(offsetX * cos + offsetY * sin) / shortSide, MIN_RADIUS, MAX_RADIUS) });
+        break;
+      case "radiusY": // Project the pointer onto the ellipse's local y axis
+        emitChange({ radiusY: clamp(Math.abs(-offsetX * sin + offsetY * cos) / shortSide, MIN_RADIUS, MAX_RADIUS) });
+        break;
+      case "rotate": { // The rotation handle sits above the ellipse, i.e. at -90° in its local space
+        const degrees = (Math.atan2(offsetY, offsetX) * 180) / Math.PI + 90;
+        emitChange({ rotation: Math.round(((degrees + 540) % 360) - 180) });
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  const endDrag = (e) => {
+    if (!dragRef.current) return;
+    dragRef.current = null;
+    if (containerRef.current && containerRef.current.hasPointerCapture(e.pointerId)) {
+      containerRef.current.releasePointerCapture(e.pointerId);
+    }
+  };
+
+  // Arrow keys nudge the focus area; with Shift they resize it instead.
+  const handleKeyDown = (e) => {
+    const directions = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    const direction = directions[e.key];
+    if (!direction) return;
+    e.preventDefault();
+    if (e.shiftKey) {
+      emitChange({
+        radiusX: clamp(focusArea.radiusX + direction[0] * KEYBOARD_STEP, MIN_RADIUS, MAX_RADIUS),
+        radiusY: clamp(focusArea.radiusY - direction[1] * KEYBOARD_STEP, MIN_RADIUS, MAX_RADIUS),
+      });
+    } else {
+      emitChange({
+        x: clamp(focusArea.x + direction[0] * KEYBOARD_STEP, 0, 1),
+        y: clamp(focusArea.y + direction[1] * KEYBOARD_STEP, 0, 1),
+      });
+    }
+  };
+
+  const handleStyle = "cursor-pointer fill-white stroke-blue-500";
+
+  return (
+    <div
+      ref={containerRef}
+      className="absolute inset-0 touch-none"
+      onPointerMove={handlePointerMove}
+      onPointerUp={endDrag}
+      onPointerCancel={endDrag}
+    >
+      {width > 0 && height > 0 && (
+        <svg width={width} height={height} className="absolute inset-0">
+          {/* Outer edge of the feathered falloff */}
+          <ellipse
+            cx={centerX}
+            cy={centerY}
+            rx={radiusX * (1 + focusArea.feather)}
+            ry={radiusY * (1 + focusArea.feather)}
+            transform={`rotate(${focusArea.rotation} ${centerX} ${centerY})`}
+            fill="none"
+            stroke="white"
+            strokeOpacity="0.7"
+            strokeDasharray="4 4"
+            pointerEvents="none"
+          />
+          <ellipse
+            cx={centerX}
+            cy={centerY}
+            rx={radiusX}
+            ry={radiusY}
+            transform={`rotate(${focusArea.rotation} ${centerX} ${centerY})`}
+            fill="rgba(59,130,246,0.12)"
+            stroke="#3b82f6"
+            strokeWidth="2"
+            className="cursor-move focus:outline-none"
+            tabIndex={0}
+            role="application"
+            aria-label="Focus area. Drag to move, use the handles to resize and rotate. Arrow keys move it, Shift+arrow keys resize it."
+            onPointerDown={startDrag("move")}
+            onKeyDown={handleKeyDown}
+          />
+          <line x1={centerX} y1={centerY} x2={rotateHandle.x} y2={rotateHandle.y} stroke="#3b82f6" strokeDasharray="2 3" pointerEvents="none" />
+          <circle cx={radiusXHandle.x} cy={radiusXHandle.y} r="7" strokeWidth="2" className={handleStyle} onPointerDown={startDrag("radiusX")} />
+          <circle cx={radiusYHandle.x} cy={radiusYHandle.y} r="7" strokeWidth="2" className={handleStyle} onPointerDown={startDrag("radiusY")} />
+          <circle cx={rotateHandle.x} cy={rotateHandle.y} r="7" strokeWidth="2" className="cursor-grab fill-blue-500 stroke-white" onPointerDown={startDrag("rotate")} />
+        </svg>
+      )}
+    </div>
+  );
+};
+
+export default FocusAreaOverlay;
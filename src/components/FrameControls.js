@@ -0,0 +1,75 @@
+import React from "react";
+import { defaultFrame, framePresets } from "../filters/frame";
+
+const MAX_FRAME_TEXT_LENGTH = 24; // Longer text no longer fits along the ring
+
+// Settings for the profile frame ring. The frame is stored in the filters object and baked into the export.
+const FrameControls = ({ frame: frameFromProps, onUpdateFilter, disabled = false }) => {
+  const frame = { ...defaultFrame, ...(frameFromProps || {}) };
+
+  const updateFrame = (changes) => {
+    if (typeof onUpdateFilter === "function" && !disabled) {
+      onUpdateFilter("frame", { ...frame, ...changes });
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <label className="flex items-center space-x-2 text-sm text-gray-600 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={frame.enabled}
+          onChange={(e) => updateFrame({ enabled: e.target.checked })}
+          disabled={disabled}
+          className="h-4 w-4"
+        />
+        <span>Add frame to photo</span>
+      </label>
+
+      <div className="flex flex-wrap gap-2">
+        {framePresets.map((preset) => (
+          <button
+            key={preset.label}
+            onClick={() => updateFrame({ enabled: true, text: preset.text, color: preset.color })}
+            disabled={disabled}
+            className={`px-3 py-1 text-xs rounded-full ${
+              frame.enabled && frame.text === preset.text && frame.color === preset.color
+                ? "text-white"
+                : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+            } disabled:cursor-not-allowed`}
+            style={frame.enabled && frame.text === preset.text && frame.color === preset.color ? { backgroundColor: preset.color } : undefined}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex items-center space-x-2">
+        <input
+          type="text"
+          value={frame.text}
+          maxLength={MAX_FRAME_TEXT_LENGTH}
+          onChange={(e) => updateFrame({ text: e.target.value })}
+          disabled={disabled || !frame.enabled}
+          placeholder="Frame text"
+          aria-label="Frame text"
+          className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded-md disabled:bg-gray-100 disabled:cursor-not-allowed"
+        />
+        <input
+          type="color"
+          value={frame.color}
+          onChange={(e) => updateFrame({ color: e.target.value })}
+          disabled={disabled || !frame.enabled}
+          aria-label="Frame color"
+          className="h-8 w-12 border border-gray-300 rounded cursor-pointer disabled:cursor-not-allowed"
+        />
+      </div>
+
+      <p className="text-xs text-gray-500">
+        The frame is drawn around the circle LinkedIn shows and is included in the download.
+      </p>
+    </div>
+  );
+};
+
+export default FrameControls;
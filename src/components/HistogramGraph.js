@@ -0,0 +1,25 @@
+import React from "react";
+
+// Filled outline of a 256-bin `histogram` as an SVG path in a `width` × `height` box. Counts are
+// square-rooted and scaled to the tallest bin, so a few huge spikes don't flatten everything else.
+export const getHistogramPath = (histogram, width, height) => {
+  let peak = 0;
+  for (let i = 0; i < histogram.length; i++) {
+    peak = Math.max(peak, Math.sqrt(histogram[i]));
+  }
+  if (peak === 0) return "";
+  const step = width / (histogram.length - 1);
+  let path = `M0 ${height}`;
+  for (let i = 0; i < histogram.length; i++) {
+    path += ` L${(i * step).toFixed(1)} ${(height - (Math.sqrt(histogram[i]) / peak) * height).toFixed(1)}`;
+  }
+  return `${path} L${width} ${height} Z`;
+};
+
+// Histogram drawn inside an enclosing <svg>; renders nothing without a histogram.
+const HistogramGraph = ({ histogram, width, height, color = "#9ca3af", opacity = 0.5 }) => {
+  if (!histogram) return null;
+  return <path d={getHistogramPath(histogram, width, height)} fill={color} fillOpacity={opacity} stroke="none" />;
+};
+
+export default HistogramGraph;
@@ -0,0 +1,88 @@
+import React, { useState } from "react";
+import HistogramGraph from "./HistogramGraph";
+
+const GRAPH_WIDTH = 256;
+const GRAPH_HEIGHT = 96;
+
+const formatClipping = (fraction) => {
+  if (!fraction) return "0%";
+  return fraction < 0.001 ? "<0.1%" : `${(fraction * 100).toFixed(1)}%`;
+};
+
+// Live histogram of the edited preview with toggles for the clipping overlays on the preview.
+// `histogram` is { luminance, red, green, blue } and `clipping` the clipped fractions
+// { shadows, highlights } (see `useImageHistogram`); `clippingOverlay` ({ shadows, highlights })
+// says which overlays are on and `onClippingOverlayChange(next)` switches them.
+const HistogramPanel = ({ histogram = null, clipping = null, clippingOverlay, onClippingOverlayChange, disabled = false }) => {
+  const [mode, setMode] = useState("rgb"); // "rgb" | "luminance"
+
+  const toggleOverlay = (kind) => {
+    if (typeof onClippingOverlayChange === "function" && !disabled) {
+      onClippingOverlayChange({ ...clippingOverlay, [kind]: !clippingOverlay[kind] });
+    }
+  };
+
+  const renderClippingToggle = (kind, label, activeClassName) => (
+    <button
+      onClick={() => toggleOverlay(kind)}
+      disabled={disabled}
+      aria-pressed={clippingOverlay[kind]}
+      title={`Mark ${kind === "shadows" ? "pure black" : "pure white"} areas on the preview`}
+      className={`flex items-center px-2 py-1 text-xs border rounded-md transition-colors ${
+        clippingOverlay[kind] ? activeClassName : "bg-white border-gray-300 text-gray-700 hover:bg-gray-50"
+      } disabled:cursor-not-allowed`}
+    >
+      <span>{label}</span>
+      <span className="ml-1 font-medium">{clipping ? formatClipping(clipping[kind]) : "–"}</span>
+    </button>
+  );
+
+  return (
+    <div className={`w-full max-w-md bg-white rounded-lg shadow-md p-5 mb-5 ${disabled ? "opacity-75 cursor-not-allowed" : ""}`}>
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-xl font-semibold text-gray-800">Histogram</h2>
+        <div className="flex space-x-1">
+          {[["rgb", "RGB"], ["luminance", "Luminance"]].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setMode(value)}
+              aria-pressed={mode === value}
+              className={`px-2 py-1 text-xs rounded ${
+                mode === value ? "bg-gray-700 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <svg
+        viewBox={`0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-24 bg-gray-900 rounded"
+        role="img"
+        aria-label={`${mode === "rgb" ? "RGB" : "Luminance"} histogram of the edited photo`}
+      >
+        {histogram && mode === "rgb" && (
+          <>
+            <HistogramGraph histogram={histogram.red} width={GRAPH_WIDTH} height={GRAPH_HEIGHT} color="#ef4444" opacity={0.5} />
+            <HistogramGraph histogram={histogram.green} width={GRAPH_WIDTH} height={GRAPH_HEIGHT} color="#22c55e" opacity={0.5} />
+            <HistogramGraph histogram={histogram.blue} width={GRAPH_WIDTH} height={GRAPH_HEIGHT} color="#3b82f6" opacity={0.5} />
+          </>
+        )}
+        {histogram && mode === "luminance" && (
+          <HistogramGraph histogram={histogram.luminance} width={GRAPH_WIDTH} height={GRAPH_HEIGHT} color="#e5e7eb" opacity={0.8} />
+        )}
+      </svg>
+      {!histogram && <p className="mt-2 text-xs text-gray-500">The histogram appears once the preview has rendered.</p>}
+
+      <div className="flex items-center justify-between mt-3">
+        {renderClippingToggle("shadows", "Shadow clipping", "bg-blue-500 border-blue-500 text-white hover:bg-blue-600")}
+        {renderClippingToggle("highlights", "Highlight clipping", "bg-red-500 border-red-500 text-white hover:bg-red-600")}
+      </div>
+    </div>
+  );
+};
+
+export default HistogramPanel;
@@ -0,0 +1,64 @@
+import React from "react";
+
+const HistoryPanel = ({ entries = [], currentIndex = 0, canUndo, canRedo, onUndo, onRedo, onJumpTo, disabled = false }) => {
+  const handleJumpTo = (index) => {
+    if (typeof onJumpTo === "function" && !disabled) {
+      onJumpTo(index);
+    }
+  };
+
+  return (
+    <div className={`w-full max-w-md bg-white rounded-lg shadow-md p-5 mb-5 ${disabled ? "opacity-75 cursor-not-allowed" : ""}`}>
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-xl font-semibold text-gray-800">History</h2>
+        <div className="flex space-x-2">
+          <button
+            onClick={onUndo}
+            disabled={disabled || !canUndo}
+            title="Undo (Ctrl+Z)"
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-100 disabled:text-gray-400 disabled:hover:bg-white disabled:cursor-not-allowed"
+          >
+            Undo
+          </button>
+          <button
+            onClick={onRedo}
+            disabled={disabled || !canRedo}
+            title="Redo (Ctrl+Shift+Z)"
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-100 disabled:text-gray-400 disabled:hover:bg-white disabled:cursor-not-allowed"
+          >
+            Redo
+          </button>
+        </div>
+      </div>
+
+      <ol className="max-h-48 overflow-y-auto space-y-1">
+        {entries.map((entry, index) => (
+          <li key={index}>
+            <button
+              onClick={() => handleJumpTo(index)}
+              disabled={disabled}
+              className={`w-full text-left px-3 py-1 text-sm rounded-md transition-colors ${
+                index === currentIndex
+                  ? "bg-blue-500 text-white"
+                  : index > currentIndex
+                    ? "text-gray-400 hover:bg-gray-100" // Steps that can be redone
+                    : "text-gray-700 hover:bg-gray-100"
+              }`}
+            >
+              <span className="mr-2 text-xs opacity-75">{index + 1}.</span>
+              {entry.label}
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      <div className="mt-4 pt-3 border-t border-gray-100">
+        <p className="text-xs text-gray-500">
+          Tip: Press Ctrl+Z to undo and Ctrl+Shift+Z to redo. Click any step to jump back to it.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -1,18 +1,71 @@
 import React, { useState, useEffect, useRef, useMemo, useCallback } from "react";
 import Cropper from "react-cropper";
 import "cropperjs/dist/cropper.css";
+import FocusAreaOverlay from "./FocusAreaOverlay";
+import SubjectBrushOverlay from "./SubjectBrushOverlay";
+import LocalMaskOverlay from "./LocalMaskOverlay";
+import LocalAdjustmentsPanel, { getShapeHistoryLabel } from "./LocalAdjustmentsPanel";
+import AvatarPreview from "./AvatarPreview";
+import ComparisonSlider from "./ComparisonSlider";
+import CroppedImage from "./CroppedImage";
+import { MAX_STRAIGHTEN_ANGLE } from "../filters/geometry";
+import { defaultBrush } from "../filters/localAdjustments";
+
+// Checkerboard shown behind previews with a transparent background
+const transparencyPattern = {
+  backgroundImage: "repeating-conic-gradient(#e5e7eb 0% 25%, #ffffff 0% 50%)",
+  backgroundSize: "16px 16px",
+};
+
+// Grid laid over the preview while straightening, to line up horizons and edges against
+const straightenGridPattern = {
+  backgroundImage: "linear-gradient(to right, rgba(255, 255, 255, 0.7) 1px, transparent 1px), linear-gradient(to bottom, rgba(255, 255, 255, 0.7) 1px, transparent 1px)",
+  backgroundSize: "12.5% 12.5%",
+  boxShadow: "inset 0 0 0 1px rgba(255, 255, 255, 0.7)",
+};
 
 const ImageEditor = ({ 
     imageUrl, 
     processedImageUrl, 
+    originalImageUrl, // The original with its rotation, flips and straightening; crops are made on it
     onImageCropped, 
-    isFilterProcessing 
+    crop = null,
+    transform,
+    onRotate,
+    onFlip,
+    onStraightenChange,
+    isFilterProcessing,
+    focusArea,
+    onFocusAreaChange,
+    isFocusAreaEnabled = false,
+    subjectStrokes = [],
+    onSubjectStrokesChange,
+    localAdjustments = [],
+    onLocalAdjustmentsChange, // (localAdjustments, historyLabel, coalesceKey)
+    hasTransparentBackground = false,
+    clippingOverlayUrl = null // Transparent image marking clipped pixels of the processed preview
 }) => {
   const [cropperInstance, setCropperInstance] = useState(null);
   const [isCropping, setIsCropping] = useState(false);
   const [aspectRatio, setAspectRatio] = useState(NaN); // Default to free aspect ratio
   const [zoomLevel, setZoomLevel] = useState(0.1); 
   const [isCropperReady, setIsCropperReady] = useState(false);
+  const [isEditingFocusArea, setIsEditingFocusArea] = useState(false);
+  const [isRefiningSubject, setIsRefiningSubject] = useState(false);
+  const [isStraightening, setIsStraightening] = useState(false);
+  const [brushType, setBrushType] = useState("foreground"); // "foreground" (keep) | "background" (remove)
+  const [brushSize, setBrushSize] = useState(0.04); // Fraction of the shorter image side
+  const [isEditingLocal, setIsEditingLocal] = useState(false);
+  const [selectedLocalId, setSelectedLocalId] = useState(null);
+  const [maskTool, setMaskTool] = useState("brush"); // "brush" | "eraser" | "linear" | "radial"
+  const [maskBrush, setMaskBrush] = useState(defaultBrush); // { size, hardness, flow } of the mask brush
+  const [showLocalMask, setShowLocalMask] = useState(true);
+  const [isCirclePreview, setIsCirclePreview] = useState(false);
+  const [previewAspectRatio, setPreviewAspectRatio] = useState(1); // Width / height of the displayed image
+  const [compareMode, setCompareMode] = useState("off"); // "off" | "split" | "sideBySide"
+  const [splitOrientation, setSplitOrientation] = useState("vertical"); // "vertical" | "horizontal"
+  const [splitPosition, setSplitPosition] = useState(0.5);
+  const [isHoldingOriginal, setIsHoldingOriginal] = useState(false); // Press-and-hold shows the original
   const cropperRef = useRef(null);
 
   useEffect(() => {
@@ -30,8 +83,81 @@ const ImageEditor = ({
     }
   }, [imageUrl]);
 
+  // Leave focus-area editing and subject refinement when background effects are switched off
+  useEffect(() => {
+    if (!isFocusAreaEnabled) {
+      setIsEditingFocusArea(false);
+      setIsRefiningSubject(false);
+    }
+  }, [isFocusAreaEnabled]);
+
+  // Keep a local adjustment selected while editing: the previous one if it still exists, else the last
+  useEffect(() => {
+    if (!localAdjustments.some((localAdjustment) => localAdjustment.id === selectedLocalId)) {
+      setSelectedLocalId(localAdjustments.length > 0 ? localAdjustments[localAdjustments.length - 1].id : null);
+    }
+  }, [localAdjustments, selectedLocalId]);
+
+  const selectedLocalAdjustment = localAdjustments.find((localAdjustment) => localAdjustment.id === selectedLocalId) || null;
+
+  const handleAddMaskShape = useCallback((shape) => {
+    if (typeof onLocalAdjustmentsChange !== "function" || !selectedLocalAdjustment) return;
+    onLocalAdjustmentsChange(localAdjustments.map((localAdjustment) => (
+      localAdjustment.id === selectedLocalAdjustment.id
+        ? { ...localAdjustment, shapes: [...localAdjustment.shapes, shape] }
+        : localAdjustment
+    )), getShapeHistoryLabel(shape));
+  }, [onLocalAdjustmentsChange, localAdjustments, selectedLocalAdjustment]);
+
+  const handleAddSubjectStroke = useCallback((stroke) => {
+    if (typeof onSubjectStrokesChange === "function") {
+      onSubjectStrokesChange([...subjectStrokes, stroke]);
+    }
+  }, [onSubjectStrokesChange, subjectStrokes]);
+
+  // Comparing needs a rendered result; editing overlays and the comparison share the preview, so only one is active
+  const canCompare = Boolean(originalImageUrl && processedImageUrl);
+  const changeCompareMode = (mode) => {
+    setCompareMode(mode);
+    if (mode !== "off") {
+      setIsEditingFocusArea(false);
+      setIsRefiningSubject(false);
+      setIsStraightening(false);
+      setIsEditingLocal(false);
+    }
+  };
+
+  // Press-and-hold on the preview (or the "Hold to Compare" button) shows the original
+  const startHoldingOriginal = (e) => {
+    if (!canCompare || e.button > 0) return;
+    setIsHoldingOriginal(true);
+  };
+  const stopHoldingOriginal = () => setIsHoldingOriginal(false);
+  const handleHoldKeyDown = (e) => {
+    if ((e.key === " " || e.key === "Enter") && canCompare) {
+      e.preventDefault();
+      setIsHoldingOriginal(true);
+    }
+  };
+  const handleHoldKeyUp = (e) => {
+    if (e.key === " " || e.key === "Enter") {
+      e.preventDefault();
+      setIsHoldingOriginal(false);
+    }
+  };
+
   const handleCropChange = () => {
-    if (!imageUrl) return;
+    if (!originalImageUrl) return;
+    setIsEditingFocusArea(false);
+    setIsRefiningSubject(false);
+    setIsStraightening(false);
+    setIsEditingLocal(false);
+    setCompareMode("off");
+    if (crop) {
+      // Reopen the cropper the way the current crop was made
+      setAspectRatio(crop.aspectRatio || NaN);
+      if (crop.zoom) setZoomLevel(crop.zoom);
+    }
     setIsCropping(true);
   };
 
@@ -49,28 +175,54 @@ const ImageEditor = ({
       setCropperInstance(cropper);
       cropper.setAspectRatio(aspectRatio);
       cropper.zoomTo(zoomLevel);
+      if (crop) {
+        // Restore the previous crop box, centred in the view. `crop` is in fractions of the transformed photo.
+        const { naturalWidth, naturalHeight } = cropper.getImageData();
+        const canvasData = cropper.getCanvasData();
+        const containerData = cropper.getContainerData();
+        const displayScale = canvasData.width / naturalWidth;
+        cropper.moveTo(
+          containerData.width / 2 - (crop.x + crop.width / 2) * naturalWidth * displayScale,
+          containerData.height / 2 - (crop.y + crop.height / 2) * naturalHeight * displayScale
+        );
+        cropper.setData({
+          x: crop.x * naturalWidth,
+          y: crop.y * naturalHeight,
+          width: crop.width * naturalWidth,
+          height: crop.height * naturalHeight,
+        });
+      }
       setIsCropperReady(true);
     }
-  }, [aspectRatio, zoomLevel]); 
+  }, [aspectRatio, zoomLevel, crop]); 
 
+  // The crop is reported as parameters (fractions of the transformed photo) rather than pixels,
+  // so it is applied to the original at render time and never re-encoded.
   const applyCrop = useCallback(() => {
     if (!cropperInstance) return;
 
-    const croppedCanvas = cropperInstance.getCroppedCanvas({
-      minWidth: 200, 
-      minHeight: 200,
-      imageSmoothingEnabled: true,
-      imageSmoothingQuality: "high",
-    });
-    
-    if (croppedCanvas) {
-      const newCroppedImageUrl = croppedCanvas.toDataURL("image/jpeg", 0.92); 
-      if (typeof onImageCropped === "function") {
-        onImageCropped(newCroppedImageUrl); 
-      }
+    const data = cropperInstance.getData();
+    const { naturalWidth, naturalHeight } = cropperInstance.getImageData();
+    if (naturalWidth > 0 && naturalHeight > 0 && typeof onImageCropped === "function") {
+      const clampFraction = (value) => Math.min(1, Math.max(0, value));
+      onImageCropped({
+        x: clampFraction(data.x / naturalWidth),
+        y: clampFraction(data.y / naturalHeight),
+        width: clampFraction(data.width / naturalWidth),
+        height: clampFraction(data.height / naturalHeight),
+        aspectRatio: isNaN(aspectRatio) ? null : aspectRatio, // null = free
+        zoom: cropperInstance.getCanvasData().width / naturalWidth,
+      });
     }
     setIsCropping(false);
-  }, [cropperInstance, onImageCropped]);
+  }, [cropperInstance, onImageCropped, aspectRatio]);
+
+  const removeCrop = () => {
+    if (typeof onImageCropped === "function") {
+      onImageCropped(null);
+    }
+    setIsCropping(false);
+  };
 
   const cancelCrop = () => {
     setIsCropping(false);
@@ -86,17 +238,124 @@ const ImageEditor = ({
   const displayedImageWhenNotCropping = useMemo(() => {
     if (!imageUrl) return null;
     const srcToShow = processedImageUrl || imageUrl;
+    const previewStyle = hasTransparentBackground ? transparencyPattern : undefined;
+
+    if (compareMode === "sideBySide" && processedImageUrl) {
+      return (
+        <div className="flex items-start justify-center gap-2 w-full">
+          <figure className="w-1/2 flex flex-col items-center">
+            <div className="relative inline-block max-w-full">
+              {/* Invisible copy of the result sizes the cell exactly like the "after" image */}
+              <img src={processedImageUrl} alt="" aria-hidden="true" className="block max-w-full invisible" style={{ maxHeight: "420px" }} />
+              <CroppedImage src={originalImageUrl} crop={crop} alt="Original photo" className="rounded" />
+            </div>
+            <figcaption className="text-xs text-gray-500 mt-1">Before</figcaption>
+          </figure>
+          <figure className="w-1/2 flex flex-col items-center">
+            <div className="relative inline-block max-w-full" style={previewStyle}>
+              <img src={processedImageUrl} alt="Edited photo" className="block max-w-full rounded" style={{ maxHeight: "420px" }} />
+            </div>
+            <figcaption className="text-xs text-gray-500 mt-1">After</figcaption>
+          </figure>
+        </div>
+      );
+    }
+
+    // LinkedIn shows the largest centred circle; its diameter as a fraction of the image width/height
+    const circleWidth = Math.min(1, 1 / previewAspectRatio) * 100;
+    const circleHeight = Math.min(1, previewAspectRatio) * 100;
+    const allowHoldToCompare = canCompare && compareMode === "off" && !isEditingFocusArea && !isRefiningSubject && !isStraightening && !isEditingLocal;
     return (
-      <img 
-        src={srcToShow} 
-        alt="Photo preview" 
-        className="max-h-full max-w-full rounded shadow-sm object-contain"
-        style={{ maxHeight: "450px" }}
-      />
+      <div
+        className={`relative inline-block max-w-full ${isCirclePreview ? "overflow-hidden rounded" : ""} ${allowHoldToCompare ? "select-none" : ""}`}
+        style={previewStyle}
+        onPointerDown={allowHoldToCompare ? startHoldingOriginal : undefined}
+        onPointerUp={allowHoldToCompare ? stopHoldingOriginal : undefined}
+        onPointerLeave={allowHoldToCompare ? stopHoldingOriginal : undefined}
+        onPointerCancel={allowHoldToCompare ? stopHoldingOriginal : undefined}
+        onContextMenu={allowHoldToCompare ? (e) => e.preventDefault() : undefined} // Long-press on touch shouldn't open a menu
+      >
+        <img 
+          src={srcToShow} 
+          alt="Photo preview" 
+          className="block max-h-full max-w-full rounded shadow-sm object-contain"
+          style={{ maxHeight: "450px" }}
+          onLoad={(e) => setPreviewAspectRatio(e.target.naturalWidth / e.target.naturalHeight || 1)}
+          draggable={false}
+        />
+        {isHoldingOriginal && canCompare && (
+          <>
+            <CroppedImage src={originalImageUrl} crop={crop} alt="Original photo" className="rounded" />
+            <span className="absolute top-2 left-2 px-2 py-0.5 text-xs text-white bg-black/50 rounded pointer-events-none">Original</span>
+          </>
+        )}
+        {compareMode === "split" && canCompare && !isHoldingOriginal && (
+          <ComparisonSlider
+            originalUrl={originalImageUrl}
+            crop={crop}
+            orientation={splitOrientation}
+            position={splitPosition}
+            onPositionChange={setSplitPosition}
+          />
+        )}
+        {isCirclePreview && (
+          // Dims everything outside the circle LinkedIn displays
+          <div
+            className="absolute rounded-full pointer-events-none"
+            style={{
+              width: `${circleWidth}%`,
+              height: `${circleHeight}%`,
+              left: `${(100 - circleWidth) / 2}%`,
+              top: `${(100 - circleHeight) / 2}%`,
+              boxShadow: "0 0 0 9999px rgba(17, 24, 39, 0.55)",
+            }}
+          />
+        )}
+        {clippingOverlayUrl && processedImageUrl && compareMode === "off" && !isHoldingOriginal && (
+          <img
+            src={clippingOverlayUrl}
+            alt=""
+            aria-hidden="true"
+            className="absolute inset-0 w-full h-full rounded pointer-events-none"
+            draggable={false}
+          />
+        )}
+        {isStraightening && (
+          <div className="absolute inset-0 rounded pointer-events-none" style={straightenGridPattern} />
+        )}
+        {isEditingFocusArea && focusArea && (
+          <FocusAreaOverlay focusArea={focusArea} crop={crop} onChange={onFocusAreaChange} />
+        )}
+        {isEditingLocal && selectedLocalAdjustment && (
+          <LocalMaskOverlay
+            localAdjustment={selectedLocalAdjustment}
+            crop={crop}
+            tool={maskTool}
+            brush={maskBrush}
+            showMask={showLocalMask}
+            onAddShape={handleAddMaskShape}
+          />
+        )}
+        {isRefiningSubject && (
+          <SubjectBrushOverlay
+            strokes={subjectStrokes}
+            crop={crop}
+            brushType={brushType}
+            brushSize={brushSize}
+            onAddStroke={handleAddSubjectStroke}
+          />
+        )}
+      </div>
     );
-  }, [imageUrl, processedImageUrl]);
+  }, [
+    imageUrl, processedImageUrl, isEditingFocusArea, focusArea, onFocusAreaChange, hasTransparentBackground,
+    isRefiningSubject, subjectStrokes, brushType, brushSize, handleAddSubjectStroke, isCirclePreview, previewAspectRatio,
+    compareMode, splitOrientation, splitPosition, isHoldingOriginal, canCompare, crop, originalImageUrl, isStraightening,
+    clippingOverlayUrl, isEditingLocal, selectedLocalAdjustment, maskTool, maskBrush, showLocalMask, handleAddMaskShape,
+  ]);
 
   const showPreviewLoader = !isCropping && isFilterProcessing && imageUrl;
+  const straightenAngle = (transform && transform.straighten) || 0;
 
   // Helper to check if a number is NaN for styling active button
   const isNaNValue = (val) => typeof val === "number" && isNaN(val);
@@ -130,7 +389,7 @@ const ImageEditor = ({
             )}
             <Cropper
               ref={cropperRef}
-              src={imageUrl}
+              src={originalImageUrl}
               style={{ height: "100%", width: "100%", visibility: isCropperReady ? "visible" : "hidden" }}
               initialAspectRatio={aspectRatio} 
               guides={true}
@@ -139,7 +398,7 @@ const ImageEditor = ({
               background={false}
               responsive={true}
               autoCropArea={0.8}
-              checkOrientation={false}
+              checkOrientation={false} // EXIF orientation is already applied on upload (see importImageFile)
               movable={true}
               zoomable={true}
               zoomOnWheel={true}
@@ -148,6 +407,7 @@ const ImageEditor = ({
               cropBoxResizable={true}
               toggleDragModeOnDblclick={false}
               ready={onCropperInitialized}
+              zoom={(e) => setZoomLevel(e.detail.ratio)} // Keep the slider in sync with wheel/pinch zoom
             />
             {isCropperReady && (
                 <div className="p-4 bg-gray-50 border-t flex flex-wrap items-center justify-between gap-2">
@@ -165,6 +425,9 @@ const ImageEditor = ({
                     </div>
 
                     <div className="flex space-x-2 ml-auto">
+                      {crop && (
+                        <button onClick={removeCrop} className="px-4 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-100">Remove Crop</button>
+                      )}
                       <button onClick={cancelCrop} className="px-4 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-100">Cancel</button>
                       <button onClick={applyCrop} className="px-4 py-1 text-sm bg-blue-500 text-white rounded-md hover:bg-blue-600">Apply Crop</button>
                     </div>
@@ -177,7 +440,7 @@ const ImageEditor = ({
           <div className="relative flex justify-center items-center w-full h-full p-2">
             {displayedImageWhenNotCropping}
             {showPreviewLoader && (
-              <div className="absolute inset-0 bg-white bg-opacity-60 flex items-center justify-center rounded-lg z-10">
+              <div className="absolute inset-0 bg-white bg-opacity-60 flex items-center justify-center rounded-lg z-10 pointer-events-none">
                 <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
               </div>
             )}
@@ -190,14 +453,225 @@ const ImageEditor = ({
           <button
             onClick={handleCropChange}
             className="flex items-center px-4 py-2 bg-white border border-gray-300 rounded-md hover:bg-gray-50 text-gray-700 text-sm transition-colors"
-            disabled={isCropping || isFilterProcessing}
+            disabled={isCropping || isFilterProcessing || !originalImageUrl}
           >
             <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="16" height="16"><rect width="256" height="256" fill="none"/><polyline points="64 24 64 192 232 192" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="24" y1="64" x2="64" y2="64" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><polyline points="104 64 192 64 192 152" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="192" y1="192" x2="192" y2="232" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/></svg>
             <span className="ml-2">Crop Photo</span>
           </button>
+          <button
+            onClick={() => {
+              setIsEditingFocusArea(false);
+              setIsRefiningSubject(false);
+              setIsEditingLocal(false);
+              setCompareMode("off");
+              setIsStraightening((prev) => !prev);
+            }}
+            className={`flex items-center px-4 py-2 border rounded-md text-sm transition-colors ${
+              isStraightening
+                ? "bg-blue-500 border-blue-500 text-white hover:bg-blue-600"
+                : "bg-white border-gray-300 text-gray-700 hover:bg-gray-50"
+            }`}
+            aria-pressed={isStraightening}
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="16" height="16"><rect width="256" height="256" fill="none"/><polyline points="176 104 224 104 224 56" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><path d="M190.2,190.2a88,88,0,1,1,0-124.4L224,104" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/></svg>
+            <span className="ml-2">{isStraightening ? "Done" : "Rotate & Straighten"}</span>
+          </button>
+          <button
+            onClick={() => setIsCirclePreview((prev) => !prev)}
+            className={`flex items-center px-4 py-2 border rounded-md text-sm transition-colors ${
+              isCirclePreview
+                ? "bg-blue-500 border-blue-500 text-white hover:bg-blue-600"
+                : "bg-white border-gray-300 text-gray-700 hover:bg-gray-50"
+            }`}
+            aria-pressed={isCirclePreview}
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="16" height="16"><rect width="256" height="256" fill="none"/><circle cx="128" cy="128" r="96" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><circle cx="128" cy="108" r="32" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><path d="M63.8,199.37a72,72,0,0,1,128.4,0" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/></svg>
+            <span className="ml-2">Circle Preview</span>
+          </button>
+          <button
+            onClick={() => {
+              setIsEditingFocusArea(false);
+              setIsRefiningSubject(false);
+              setIsStraightening(false);
+              setCompareMode("off");
+              setIsEditingLocal((prev) => !prev);
+            }}
+            className={`flex items-center px-4 py-2 border rounded-md text-sm transition-colors ${
+              isEditingLocal
+                ? "bg-blue-500 border-blue-500 text-white hover:bg-blue-600"
+                : "bg-white border-gray-300 text-gray-700 hover:bg-gray-50"
+            }`}
+            aria-pressed={isEditingLocal}
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="16" height="16"><rect width="256" height="256" fill="none"/><rect x="40" y="40" width="176" height="176" rx="8" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><circle cx="128" cy="128" r="40" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24" stroke-dasharray="16 20"/></svg>
+            <span className="ml-2">{isEditingLocal ? "Done" : "Local Adjustments"}</span>
+          </button>
+          {isFocusAreaEnabled && (
+            <button
+              onClick={() => {
+                setIsRefiningSubject(false);
+                setIsStraightening(false);
+                setIsEditingLocal(false);
+                setCompareMode("off");
+                setIsEditingFocusArea((prev) => !prev);
+              }}
+              className={`flex items-center px-4 py-2 border rounded-md text-sm transition-colors ${
+                isEditingFocusArea
+                  ? "bg-blue-500 border-blue-500 text-white hover:bg-blue-600"
+                  : "bg-white border-gray-300 text-gray-700 hover:bg-gray-50"
+              }`}
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="16" height="16"><rect width="256" height="256" fill="none"/><ellipse cx="128" cy="128" rx="96" ry="72" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><circle cx="128" cy="128" r="16"/></svg>
+              <span className="ml-2">{isEditingFocusArea ? "Done" : "Adjust Focus Area"}</span>
+            </button>
+          )}
+          {isEditingFocusArea && (
+            <button
+              onClick={() => onFocusAreaChange && onFocusAreaChange({
+                ...focusArea,
+                // Centre of the crop, as the focus area is stored relative to the uncropped frame
+                x: crop ? crop.x + crop.width / 2 : 0.5,
+                y: crop ? crop.y + crop.height / 2 : 0.5,
+                rotation: 0,
+              })}
+              className="px-4 py-2 bg-white border border-gray-300 rounded-md hover:bg-gray-50 text-gray-700 text-sm transition-colors"
+            >
+              Recenter
+            </button>
+          )}
+          {isFocusAreaEnabled && (
+            <button
+              onClick={() => {
+                setIsEditingFocusArea(false);
+                setIsStraightening(false);
+                setIsEditingLocal(false);
+                setCompareMode("off");
+                setIsRefiningSubject((prev) => !prev);
+              }}
+              className={`flex items-center px-4 py-2 border rounded-md text-sm transition-colors ${
+                isRefiningSubject
+                  ? "bg-blue-500 border-blue-500 text-white hover:bg-blue-600"
+                  : "bg-white border-gray-300 text-gray-700 hover:bg-gray-50"
+              }`}
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="16" height="16"><rect width="256" height="256" fill="none"/><path d="M232,32c-48,8-96,56-112,104" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><path d="M88,144c-24,0-40,16-40,40,0,16-16,32-24,40,40,0,104-8,104-40A40,40,0,0,0,88,144Z" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/></svg>
+              <span className="ml-2">{isRefiningSubject ? "Done" : "Refine Subject"}</span>
+            </button>
+          )}
+        </div>
+      )}
+
+      {imageUrl && !isCropping && (
+        <div className="flex flex-wrap items-center gap-2 mt-3">
+          <span className="text-xs text-gray-500 mr-1">Compare:</span>
+          <button onClick={() => changeCompareMode("off")} className={`px-3 py-1 text-xs rounded-full ${compareMode === "off" ? "bg-blue-500 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"}`}>Off</button>
+          <button onClick={() => changeCompareMode("split")} disabled={!canCompare} className={`px-3 py-1 text-xs rounded-full disabled:cursor-not-allowed disabled:opacity-50 ${compareMode === "split" ? "bg-blue-500 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"}`}>Split</button>
+          <button onClick={() => changeCompareMode("sideBySide")} disabled={!canCompare} className={`px-3 py-1 text-xs rounded-full disabled:cursor-not-allowed disabled:opacity-50 ${compareMode === "sideBySide" ? "bg-blue-500 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"}`}>Side by Side</button>
+          {compareMode === "split" && (
+            <button
+              onClick={() => setSplitOrientation((prev) => (prev === "vertical" ? "horizontal" : "vertical"))}
+              className="px-3 py-1 text-xs border border-gray-300 rounded-full text-gray-700 hover:bg-gray-100"
+            >
+              {splitOrientation === "vertical" ? "Split Horizontally" : "Split Vertically"}
+            </button>
+          )}
+          {compareMode !== "sideBySide" && (
+            <button
+              onPointerDown={startHoldingOriginal}
+              onPointerUp={stopHoldingOriginal}
+              onPointerLeave={stopHoldingOriginal}
+              onPointerCancel={stopHoldingOriginal}
+              onKeyDown={handleHoldKeyDown}
+              onKeyUp={handleHoldKeyUp}
+              onBlur={stopHoldingOriginal}
+              onContextMenu={(e) => e.preventDefault()}
+              disabled={!canCompare}
+              className="ml-auto px-3 py-1 text-xs border border-gray-300 rounded-full text-gray-700 hover:bg-gray-100 select-none touch-none disabled:cursor-not-allowed disabled:opacity-50"
+            >
+              Hold to Compare
+            </button>
+          )}
         </div>
       )}
 
+      {imageUrl && !isCropping && isStraightening && (
+        <div className="mt-3 p-3 bg-gray-50 border rounded-md flex flex-wrap items-center gap-3">
+          <div className="flex items-center space-x-2">
+            <button onClick={() => onRotate && onRotate(-1)} className="px-3 py-1 text-xs border border-gray-300 rounded-md bg-white text-gray-700 hover:bg-gray-100">Rotate Left</button>
+            <button onClick={() => onRotate && onRotate(1)} className="px-3 py-1 text-xs border border-gray-300 rounded-md bg-white text-gray-700 hover:bg-gray-100">Rotate Right</button>
+            <button onClick={() => onFlip && onFlip("horizontal")} className="px-3 py-1 text-xs border border-gray-300 rounded-md bg-white text-gray-700 hover:bg-gray-100">Flip Horizontal</button>
+            <button onClick={() => onFlip && onFlip("vertical")} className="px-3 py-1 text-xs border border-gray-300 rounded-md bg-white text-gray-700 hover:bg-gray-100">Flip Vertical</button>
+          </div>
+          <div className="flex items-center w-full">
+            <label htmlFor="straighten" className="text-xs text-gray-500 mr-2">Straighten</label>
+            <input
+              id="straighten"
+              type="range"
+              min={-MAX_STRAIGHTEN_ANGLE}
+              max={MAX_STRAIGHTEN_ANGLE}
+              step="0.1"
+              value={straightenAngle}
+              onChange={(e) => onStraightenChange && onStraightenChange(parseFloat(e.target.value))}
+              className="flex-1 h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+            />
+            <span className="w-12 text-right text-xs text-gray-700">{straightenAngle.toFixed(1)}°</span>
+            <button
+              onClick={() => onStraightenChange && onStraightenChange(0)}
+              disabled={straightenAngle === 0}
+              className="ml-2 px-3 py-1 text-xs border border-gray-300 rounded-md hover:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed"
+            >
+              Level
+            </button>
+          </div>
+          <p className="w-full text-xs text-gray-500">
+            Straightening trims the edges so no empty corners show. Your crop turns and flips with the photo.
+          </p>
+        </div>
+      )}
+
+      {imageUrl && !isCropping && isRefiningSubject && (
+        <div className="mt-3 p-3 bg-gray-50 border rounded-md flex flex-wrap items-center gap-3">
+          <div className="flex items-center space-x-2">
+            <span className="text-xs text-gray-500 mr-1">Brush:</span>
+            <button onClick={() => setBrushType("foreground")} className={`px-3 py-1 text-xs rounded-full ${brushType === "foreground" ? "bg-green-500 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"}`}>Keep</button>
+            <button onClick={() => setBrushType("background")} className={`px-3 py-1 text-xs rounded-full ${brushType === "background" ? "bg-red-500 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"}`}>Remove</button>
+          </div>
+          <div className="flex items-center">
+            <span className="text-xs text-gray-500 mr-2">Size</span>
+            <input type="range" min="0.01" max="0.15" step="0.005" value={brushSize} onChange={(e) => setBrushSize(parseFloat(e.target.value))} className="w-24 h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"/>
+          </div>
+          <button
+            onClick={() => onSubjectStrokesChange && onSubjectStrokesChange([])}
+            disabled={subjectStrokes.length === 0}
+            className="ml-auto px-3 py-1 text-xs border border-gray-300 rounded-md hover:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed"
+          >
+            Clear Strokes
+          </button>
+          <p className="w-full text-xs text-gray-500">
+            Paint with Keep over parts of you that were cut off, and with Remove over background that was kept.
+          </p>
+        </div>
+      )}
+
+      {imageUrl && !isCropping && isEditingLocal && (
+        <LocalAdjustmentsPanel
+          localAdjustments={localAdjustments}
+          selectedId={selectedLocalId}
+          onSelect={setSelectedLocalId}
+          tool={maskTool}
+          onToolChange={setMaskTool}
+          brush={maskBrush}
+          onBrushChange={setMaskBrush}
+          showMask={showLocalMask}
+          onShowMaskChange={setShowLocalMask}
+          onChange={onLocalAdjustmentsChange}
+        />
+      )}
+
+      {imageUrl && !isCropping && isCirclePreview && (
+        <AvatarPreview imageUrl={processedImageUrl || imageUrl} />
+      )}
+
       <div className="mt-5 pt-4 border-t border-gray-100">
         <p className="text-xs text-gray-500">
           Tip: Use the crop tool to focus on the most important part of your image. Adjust filters for desired effects.
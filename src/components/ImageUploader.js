@@ -1,10 +1,21 @@
 import React, { useState, useRef, useCallback, useEffect } from "react";
-
-const ImageUploader = ({ onImageUpload }) => {
+import { getDroppedFiles } from "../utils/batch";
+import {
+    importImageFile,
+    blobToDataUrl,
+    checkImageFile,
+    ImageImportError,
+    importAcceptAttribute,
+    importFormatLabels,
+} from "../utils/imageImport";
+
+// `onBatchUpload(files)`, when given, receives several files or a dropped folder for batch mode.
+const ImageUploader = ({ onImageUpload, onBatchUpload }) => {
     const [isDragging, setIsDragging] = useState(false);
     const [error, setError] = useState("");
     const [isLoading, setIsLoading] = useState(false);
     const fileInputRef = useRef(null);
+    const folderInputRef = useRef(null);
     const debounceTimeoutRef = useRef(null);
 
     const handleDragEnter = (e) => {
@@ -27,21 +38,15 @@ const ImageUploader = ({ onImageUpload }) => {
         if (isLoading) return; // Important to prevent default to allow drop
     };
 
+    // Format and size checks (see `checkImageFile`); the error names what is wrong with the file
     const validateFile = (file) => {
-        if (!file) {
-            setError("No file selected.");
-            return false;
-        }
-        const validTypes = ["image/jpeg", "image/png", "image/jpg"];
-        if (!validTypes.includes(file.type)) {
-            setError("Invalid file type. Please upload a JPG, JPEG, or PNG image.");
-            return false;
-        }
-        if (file.size > 10 * 1024 * 1024) { // 10MB limit
-            setError("Image size is too large. Please upload an image smaller than 10MB.");
+        try {
+            checkImageFile(file);
+            return true;
+        } catch (err) {
+            setError(err.message);
             return false;
         }
-        return true;
     };
 
     const processFile = useCallback((file) => {
@@ -61,58 +66,36 @@ const ImageUploader = ({ onImageUpload }) => {
         setIsLoading(true);
         setError(""); 
 
-        const reader = new FileReader();
-
-        reader.onload = (e) => {
-            if (debounceTimeoutRef.current) {
-                clearTimeout(debounceTimeoutRef.current);
-            }
-            debounceTimeoutRef.current = setTimeout(() => {
-                if (onImageUpload && typeof onImageUpload === "function") {
-                    onImageUpload(e.target.result, file.name);
+        // Reads EXIF metadata and applies the EXIF orientation, so phone photos open upright
+        importImageFile(file)
+            .then(async ({ blob, metadata }) => {
+                const dataUrl = await blobToDataUrl(blob);
+                if (debounceTimeoutRef.current) {
+                    clearTimeout(debounceTimeoutRef.current);
                 }
+                debounceTimeoutRef.current = setTimeout(() => {
+                    if (onImageUpload && typeof onImageUpload === "function") {
+                        onImageUpload(dataUrl, file.name, metadata);
+                    }
+                    setIsLoading(false);
+                    if (fileInputRef.current) {
+                        fileInputRef.current.value = null;
+                    }
+                }, 300); // Debounce duration: 300ms
+            })
+            .catch((err) => {
+                if (debounceTimeoutRef.current) {
+                    clearTimeout(debounceTimeoutRef.current);
+                }
+                setError(err instanceof ImageImportError
+                    ? err.message
+                    : "Failed to read the file. It might be corrupted or an unsupported format. Please try a different file.");
                 setIsLoading(false);
                 if (fileInputRef.current) {
                     fileInputRef.current.value = null;
                 }
-            }, 300); // Debounce duration: 300ms
-        };
-
-        reader.onerror = () => {
-            if (debounceTimeoutRef.current) {
-                clearTimeout(debounceTimeoutRef.current);
-            }
-            setError("Failed to read the file. It might be corrupted or an unsupported format. Please try a different file.");
-            setIsLoading(false);
-            if (fileInputRef.current) {
-                fileInputRef.current.value = null;
-            }
-        };
-
-        reader.onabort = () => {
-            if (debounceTimeoutRef.current) {
-                clearTimeout(debounceTimeoutRef.current);
-            }
-            setError("File reading was aborted. Please try again.");
-            setIsLoading(false);
-            if (fileInputRef.current) {
-                fileInputRef.current.value = null;
-            }
-        };
-        
-        try {
-            reader.readAsDataURL(file);
-        } catch (err) {
-             if (debounceTimeoutRef.current) {
-                clearTimeout(debounceTimeoutRef.current);
-            }
-            setError("An unexpected error occurred while trying to read the file. Please ensure the file is valid.");
-            setIsLoading(false);
-            if (fileInputRef.current) {
-                fileInputRef.current.value = null;
-            }
-            console.error("Error during readAsDataURL:", err);
-        }
+                console.error("Error while reading the image:", err);
+            });
 
     }, [isLoading, onImageUpload]);
 
@@ -121,6 +104,21 @@ const ImageUploader = ({ onImageUpload }) => {
         e.stopPropagation();
         if (isLoading) return;
         setIsDragging(false);
+
+        // Several photos or a folder go to batch mode
+        const hasFolder = Array.from(e.dataTransfer.items || []).some((item) => {
+            const entry = typeof item.webkitGetAsEntry === "function" ? item.webkitGetAsEntry() : null;
+            return entry && entry.isDirectory;
+        });
+        if (onBatchUpload && (hasFolder || (e.dataTransfer.files && e.dataTransfer.files.length > 1))) {
+            getDroppedFiles(e.dataTransfer)
+                .then((files) => onBatchUpload(files))
+                .catch((err) => {
+                    console.error("Error reading dropped files:", err);
+                    setError("The dropped folder could not be read. Please try selecting the photos instead.");
+                });
+            return;
+        }
         
         const file = e.dataTransfer.files && e.dataTransfer.files[0];
         if (file) {
@@ -132,6 +130,11 @@ const ImageUploader = ({ onImageUpload }) => {
 
     const handleFileInput = (e) => {
         if (isLoading) return;
+        if (onBatchUpload && e.target.files && e.target.files.length > 1) {
+            onBatchUpload(Array.from(e.target.files));
+            e.target.value = null;
+            return;
+        }
         const file = e.target.files && e.target.files[0];
         if (file) {
             processFile(file);
@@ -175,10 +178,23 @@ const ImageUploader = ({ onImageUpload }) => {
                     type="file"
                     ref={fileInputRef}
                     className="hidden"
-                    accept="image/jpeg,image/png,image/jpg"
+                    accept={importAcceptAttribute}
+                    multiple={Boolean(onBatchUpload)}
                     onChange={handleFileInput}
                     disabled={isLoading}
                 />
+                {onBatchUpload && (
+                    <input
+                        type="file"
+                        ref={folderInputRef}
+                        className="hidden"
+                        webkitdirectory=""
+                        onChange={(e) => {
+                            onBatchUpload(Array.from(e.target.files || []));
+                            e.target.value = null;
+                        }}
+                    />
+                )}
                 
                 {isLoading ? (
                     <div className="flex flex-col items-center justify-center">
@@ -196,8 +212,27 @@ const ImageUploader = ({ onImageUpload }) => {
                             or click to select a file
                         </p>
                         <p className="mt-2 text-xs text-gray-400">
-                            Supports: JPG, PNG (max 10MB)
+                            Supports: {importFormatLabels.join(", ")} (max 10MB)
+                        </p>
+                        <p className="mt-1 text-xs text-gray-400">
+                            You can also paste an image with Ctrl+V
                         </p>
+                        {onBatchUpload && (
+                            <p className="mt-2 text-xs text-gray-500">
+                                Select several photos or{" "}
+                                <button
+                                    type="button"
+                                    className="text-blue-600 hover:underline"
+                                    onClick={(e) => {
+                                        e.stopPropagation(); // Don't open the single file picker as well
+                                        if (folderInputRef.current) folderInputRef.current.click();
+                                    }}
+                                >
+                                    a whole folder
+                                </button>{" "}
+                                to process them in a batch.
+                            </p>
+                        )}
                     </>
                 )}
                 
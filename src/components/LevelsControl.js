@@ -0,0 +1,89 @@
+import React from "react";
+import { defaultLevels, MIN_LEVELS_GAMMA, MAX_LEVELS_GAMMA } from "../filters/curves";
+import HistogramGraph from "./HistogramGraph";
+
+const GRAPH_WIDTH = 256;
+const GRAPH_HEIGHT = 80;
+const MIN_RANGE = 0.02; // Closest the black and white points may get
+
+// Levels over the photo's luminance histogram: input black point, white point and midtone gamma.
+// `levels` uses the pipeline's format (see `defaultLevels`).
+const LevelsControl = ({ levels: levelsFromProps, histogram = null, onUpdateFilter, disabled = false }) => {
+  const levels = { ...defaultLevels, ...(levelsFromProps || {}) };
+
+  const updateLevels = (changes) => {
+    if (typeof onUpdateFilter === "function" && !disabled) {
+      onUpdateFilter("levels", { ...levels, ...changes });
+    }
+  };
+
+  // The gamma marker sits where the output reaches mid-grey
+  const midtone = levels.black + (levels.white - levels.black) * 0.5 ** levels.gamma;
+
+  const renderSlider = (name, label, value, { min, max, step, format, onChange }) => (
+    <div>
+      <div className="flex justify-between mb-1">
+        <label htmlFor={`levels-${name}`} className="text-sm text-gray-600">{label}</label>
+        <span className="text-sm font-medium text-gray-700">{format(value)}</span>
+      </div>
+      <input
+        id={`levels-${name}`}
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        disabled={disabled}
+        className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer disabled:bg-gray-100 disabled:cursor-not-allowed"
+      />
+    </div>
+  );
+
+  const formatLevel = (value) => String(Math.round(value * 255));
+
+  return (
+    <div className="space-y-3">
+      <svg
+        viewBox={`0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-20 bg-gray-50 border border-gray-200 rounded"
+        role="img"
+        aria-label="Luminance histogram with levels"
+      >
+        {histogram && <HistogramGraph histogram={histogram.luminance} width={GRAPH_WIDTH} height={GRAPH_HEIGHT} color="#6b7280" />}
+        {/* Levels outside the black and white points are clipped */}
+        <rect x="0" y="0" width={levels.black * GRAPH_WIDTH} height={GRAPH_HEIGHT} fill="#111827" fillOpacity="0.15" />
+        <rect x={levels.white * GRAPH_WIDTH} y="0" width={(1 - levels.white) * GRAPH_WIDTH} height={GRAPH_HEIGHT} fill="#111827" fillOpacity="0.15" />
+        <line x1={levels.black * GRAPH_WIDTH} y1="0" x2={levels.black * GRAPH_WIDTH} y2={GRAPH_HEIGHT} stroke="#111827" strokeWidth="2" />
+        <line x1={midtone * GRAPH_WIDTH} y1="0" x2={midtone * GRAPH_WIDTH} y2={GRAPH_HEIGHT} stroke="#6b7280" strokeWidth="2" strokeDasharray="3 3" />
+        <line x1={levels.white * GRAPH_WIDTH} y1="0" x2={levels.white * GRAPH_WIDTH} y2={GRAPH_HEIGHT} stroke="#d1d5db" strokeWidth="2" />
+      </svg>
+      {!histogram && <p className="text-xs text-gray-500">The histogram appears once the photo has been analyzed.</p>}
+
+      {renderSlider("black", "Black Point", levels.black, {
+        min: 0,
+        max: 1,
+        step: 1 / 255,
+        format: formatLevel,
+        onChange: (black) => updateLevels({ black: Math.min(black, levels.white - MIN_RANGE) }),
+      })}
+      {renderSlider("gamma", "Midtones", levels.gamma, {
+        min: MIN_LEVELS_GAMMA,
+        max: MAX_LEVELS_GAMMA,
+        step: 0.01,
+        format: (value) => value.toFixed(2),
+        onChange: (gamma) => updateLevels({ gamma }),
+      })}
+      {renderSlider("white", "White Point", levels.white, {
+        min: 0,
+        max: 1,
+        step: 1 / 255,
+        format: formatLevel,
+        onChange: (white) => updateLevels({ white: Math.max(white, levels.black + MIN_RANGE) }),
+      })}
+    </div>
+  );
+};
+
+export default LevelsControl;
@@ -0,0 +1,200 @@
+import React from "react";
+import { getLocalFilterDefinitions } from "../filters/localAdjustments";
+
+const tools = [
+  ["brush", "Brush"],
+  ["eraser", "Eraser"],
+  ["linear", "Linear Gradient"],
+  ["radial", "Radial Gradient"],
+];
+
+const shapeLabels = {
+  brush: "Paint mask",
+  eraser: "Erase mask",
+  linear: "Add linear gradient",
+  radial: "Add radial gradient",
+};
+
+// History label for a finished mask shape
+export const getShapeHistoryLabel = (shape) => shapeLabels[shape.type === "brush" && shape.erase ? "eraser" : shape.type];
+
+// Tools shown below the preview while local adjustments are edited: the list of local adjustments,
+// the mask tools and the sliders of the selected one. `onChange(localAdjustments, label, coalesceKey)`
+// is called with the updated list and a history label; `coalesceKey` is set for slider drags.
+const LocalAdjustmentsPanel = ({
+  localAdjustments = [],
+  selectedId,
+  onSelect,
+  tool,
+  onToolChange,
+  brush,
+  onBrushChange,
+  showMask,
+  onShowMaskChange,
+  onChange,
+}) => {
+  const selected = localAdjustments.find((localAdjustment) => localAdjustment.id === selectedId) || null;
+
+  const update = (changes, label, coalesceKey) => {
+    if (typeof onChange !== "function" || !selected) return;
+    onChange(localAdjustments.map((localAdjustment) => (
+      localAdjustment.id === selected.id ? { ...localAdjustment, ...changes } : localAdjustment
+    )), label, coalesceKey);
+  };
+
+  const handleAdd = () => {
+    if (typeof onChange !== "function") return;
+    let number = localAdjustments.length + 1;
+    while (localAdjustments.some((localAdjustment) => localAdjustment.id === `local${number}`)) number++;
+    const localAdjustment = { id: `local${number}`, name: `Adjustment ${number}`, visible: true, invert: false, shapes: [], adjustments: {} };
+    onChange([...localAdjustments, localAdjustment], "Add local adjustment");
+    onSelect(localAdjustment.id);
+  };
+
+  const handleDelete = () => {
+    if (typeof onChange !== "function" || !selected) return;
+    const remaining = localAdjustments.filter((localAdjustment) => localAdjustment.id !== selected.id);
+    onChange(remaining, `Delete ${selected.name}`);
+    onSelect(remaining.length > 0 ? remaining[remaining.length - 1].id : null);
+  };
+
+  const renderBrushSlider = (property, label, min, max, step, format) => (
+    <div className="flex items-center">
+      <label htmlFor={`local-brush-${property}`} className="text-xs text-gray-500 mr-2">{label}</label>
+      <input
+        id={`local-brush-${property}`}
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={brush[property]}
+        onChange={(e) => onBrushChange({ ...brush, [property]: parseFloat(e.target.value) })}
+        className="w-20 h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+      />
+      <span className="w-9 text-right text-xs text-gray-700">{format(brush[property])}</span>
+    </div>
+  );
+  const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+  const renderAdjustmentSlider = (definition) => {
+    const value = selected.adjustments[definition.id] ?? definition.neutral;
+    return (
+      <div key={definition.id}>
+        <div className="flex justify-between">
+          <label htmlFor={`local-${definition.id}`} className="text-xs text-gray-600">{definition.historyLabel}</label>
+          <span className="text-xs font-medium text-gray-700">{definition.format(value)}</span>
+        </div>
+        <input
+          id={`local-${definition.id}`}
+          type="range"
+          min={definition.min}
+          max={definition.max}
+          step={definition.step}
+          value={value}
+          onChange={(e) => update(
+            { adjustments: { ...selected.adjustments, [definition.id]: parseFloat(e.target.value) } },
+            `Adjust ${selected.name} ${definition.historyLabel}`,
+            `local:${selected.id}:${definition.id}`
+          )}
+          className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+        />
+      </div>
+    );
+  };
+
+  return (
+    <div className="mt-3 p-3 bg-gray-50 border rounded-md space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        {localAdjustments.map((localAdjustment) => (
+          <button
+            key={localAdjustment.id}
+            onClick={() => onSelect(localAdjustment.id)}
+            aria-pressed={localAdjustment.id === selectedId}
+            className={`px-3 py-1 text-xs rounded-full ${
+              localAdjustment.id === selectedId ? "bg-blue-500 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+            } ${localAdjustment.visible === false ? "line-through" : ""}`}
+          >
+            {localAdjustment.name}
+          </button>
+        ))}
+        <button onClick={handleAdd} className="px-3 py-1 text-xs border border-gray-300 rounded-full bg-white text-gray-700 hover:bg-gray-100">
+          + New Adjustment
+        </button>
+      </div>
+
+      {!selected ? (
+        <p className="text-xs text-gray-500">
+          Add a local adjustment, paint where it should apply, then set its sliders. For example, brighten only your face.
+        </p>
+      ) : (
+        <>
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-xs text-gray-500 mr-1">Mask:</span>
+            {tools.map(([id, label]) => (
+              <button
+                key={id}
+                onClick={() => onToolChange(id)}
+                aria-pressed={tool === id}
+                className={`px-3 py-1 text-xs rounded-full ${tool === id ? "bg-blue-500 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"}`}
+              >
+                {label}
+              </button>
+            ))}
+            <label className="ml-auto flex items-center text-xs text-gray-600">
+              <input type="checkbox" checked={showMask} onChange={(e) => onShowMaskChange(e.target.checked)} className="mr-1" />
+              Show Mask
+            </label>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3">
+            {(tool === "brush" || tool === "eraser") && renderBrushSlider("size", "Size", 0.01, 0.3, 0.005, formatPercent)}
+            {tool !== "linear" && renderBrushSlider("hardness", "Hardness", 0, 1, 0.01, formatPercent)}
+            {(tool === "brush" || tool === "eraser") && renderBrushSlider("flow", "Flow", 0.05, 1, 0.01, formatPercent)}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={() => update({ visible: selected.visible === false }, `${selected.visible === false ? "Show" : "Hide"} ${selected.name}`)}
+              className="px-3 py-1 text-xs border border-gray-300 rounded-md bg-white text-gray-700 hover:bg-gray-100"
+            >
+              {selected.visible === false ? "Show" : "Hide"}
+            </button>
+            <button
+              onClick={() => update({ invert: !selected.invert }, `Invert ${selected.name} mask`)}
+              aria-pressed={Boolean(selected.invert)}
+              className={`px-3 py-1 text-xs border rounded-md ${
+                selected.invert ? "bg-blue-500 border-blue-500 text-white hover:bg-blue-600" : "bg-white border-gray-300 text-gray-700 hover:bg-gray-100"
+              }`}
+            >
+              Invert Mask
+            </button>
+            <button
+              onClick={() => update({ shapes: [] }, `Clear ${selected.name} mask`)}
+              disabled={selected.shapes.length === 0}
+              className="px-3 py-1 text-xs border border-gray-300 rounded-md bg-white text-gray-700 hover:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed"
+            >
+              Clear Mask
+            </button>
+            <button
+              onClick={handleDelete}
+              className="ml-auto px-3 py-1 text-xs border border-gray-300 rounded-md bg-white text-red-600 hover:bg-red-50"
+            >
+              Delete
+            </button>
+          </div>
+
+          <div className="grid grid-cols-2 gap-x-4 gap-y-2">
+            {getLocalFilterDefinitions().map(renderAdjustmentSlider)}
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Paint or drag a gradient over the preview to choose where these sliders apply; the red tint shows the mask.
+            Gradients are strongest where you start dragging.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LocalAdjustmentsPanel;
@@ -0,0 +1,204 @@
+import React, { useState, useRef, useEffect } from "react";
+import { createLocalMask } from "../filters/localAdjustments";
+import { mapShapeFromCrop } from "../filters/geometry";
+
+const MIN_POINT_SPACING = 3; // Screen pixels between recorded points of a stroke
+const MIN_GRADIENT_LENGTH = 8; // Shorter drags are ignored rather than adding a gradient
+const MASK_TINT = [239, 68, 68]; // Red, drawn at the mask's coverage
+const MASK_TINT_OPACITY = 0.5;
+
+const roundValue = (value) => Math.round(value * 10000) / 10000;
+const roundPoint = ([x, y]) => [roundValue(x), roundValue(y)];
+
+// Painting layer drawn over the preview for the mask of one local adjustment. `tool` is "brush",
+// "eraser", "linear" or "radial"; `brush` is { size, hardness, flow } (see `defaultBrush`).
+// The preview shows `crop`; shapes are drawn in fractions of it and each finished stroke or gradient
+// is passed to `onAddShape(shape)` in the frame-relative units of `localAdjustments.js`. With
+// `showMask` the current mask is tinted red.
+const LocalMaskOverlay = ({ localAdjustment, crop = null, tool = "brush", brush, showMask = true, onAddShape }) => {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [activeShape, setActiveShape] = useState(null); // Shape being drawn, in normalised units
+  const [pointer, setPointer] = useState(null); // Hover position for the brush outline, in normalised units
+
+  // Track the rendered size of the preview so shapes can be drawn in screen pixels
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return undefined;
+    const updateSize = () => setSize({ width: element.clientWidth, height: element.clientHeight });
+    updateSize();
+    if (typeof ResizeObserver === "undefined") return undefined;
+    const observer = new ResizeObserver(updateSize);
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  const { width, height } = size;
+  const shortSide = Math.min(width, height);
+
+  // Rasterise the mask at the overlay's size with the same code the renderer uses
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !width || !height || !showMask) return undefined;
+    let isCancelled = false;
+    const pixelWidth = Math.round(width);
+    const pixelHeight = Math.round(height);
+    createLocalMask(pixelWidth, pixelHeight, localAdjustment, { crop }).then((mask) => {
+      if (isCancelled) return;
+      canvas.width = pixelWidth;
+      canvas.height = pixelHeight;
+      const ctx = canvas.getContext("2d");
+      const imageData = ctx.createImageData(pixelWidth, pixelHeight);
+      for (let p = 0, i = 0; p < mask.length; p++, i += 4) {
+        imageData.data[i] = MASK_TINT[0];
+        imageData.data[i + 1] = MASK_TINT[1];
+        imageData.data[i + 2] = MASK_TINT[2];
+        imageData.data[i + 3] = mask[p] * MASK_TINT_OPACITY * 255;
+      }
+      ctx.putImageData(imageData, 0, 0);
+    });
+    return () => {
+      isCancelled = true;
+    };
+  }, [localAdjustment, crop, width, height, showMask]);
+
+  const getNormalizedPoint = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return [
+      Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+      Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height)),
+    ];
+  };
+
+  const handlePointerDown = (e) => {
+    if (!width || !height) return;
+    e.preventDefault();
+    containerRef.current.setPointerCapture(e.pointerId);
+    const point = getNormalizedPoint(e);
+    if (tool === "linear") {
+      setActiveShape({ type: "linear", erase: false, start: point, end: point });
+    } else if (tool === "radial") {
+      setActiveShape({ type: "radial", erase: false, center: point, radius: 0, feather: 1 - brush.hardness });
+    } else {
+      setActiveShape({ type: "brush", erase: tool === "eraser", ...brush, points: [point] });
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    const point = getNormalizedPoint(e);
+    setPointer(point);
+    if (!activeShape) return;
+    if (activeShape.type === "linear") {
+      setActiveShape((prev) => prev && { ...prev, end: point });
+    } else if (activeShape.type === "radial") {
+      const distance = Math.hypot((point[0] - activeShape.center[0]) * width, (point[1] - activeShape.center[1]) * height);
+      setActiveShape((prev) => prev && { ...prev, radius: distance / shortSide });
+    } else {
+      const lastPoint = activeShape.points[activeShape.points.length - 1];
+      const distance = Math.hypot((point[0] - lastPoint[0]) * width, (point[1] - lastPoint[1]) * height);
+      if (distance < MIN_POINT_SPACING) return;
+      setActiveShape((prev) => prev && { ...prev, points: [...prev.points, point] });
+    }
+  };
+
+  const endShape = (e) => {
+    if (!activeShape) return;
+    if (containerRef.current && containerRef.current.hasPointerCapture(e.pointerId)) {
+      containerRef.current.releasePointerCapture(e.pointerId);
+    }
+    const shape = activeShape;
+    setActiveShape(null);
+    if (typeof onAddShape !== "function") return;
+    if (shape.type === "linear") {
+      const length = Math.hypot((shape.end[0] - shape.start[0]) * width, (shape.end[1] - shape.start[1]) * height);
+      if (length < MIN_GRADIENT_LENGTH) return;
+    } else if (shape.type === "radial" && shape.radius * shortSide < MIN_GRADIENT_LENGTH) {
+      return;
+    }
+    // Store the shape relative to the uncropped frame, with coordinates rounded so stored shapes
+    // (and history snapshots) stay compact
+    const frameShape = mapShapeFromCrop(shape, crop, width, height);
+    if (frameShape.type === "brush") {
+      onAddShape({ ...frameShape, size: roundValue(frameShape.size), points: frameShape.points.map(roundPoint) });
+    } else if (frameShape.type === "linear") {
+      onAddShape({ ...frameShape, start: roundPoint(frameShape.start), end: roundPoint(frameShape.end) });
+    } else {
+      onAddShape({ ...frameShape, center: roundPoint(frameShape.center), radius: roundValue(frameShape.radius) });
+    }
+  };
+
+  // Outline of the shape being drawn; the mask itself only updates once it is added
+  const renderActiveShape = () => {
+    if (!activeShape) return null;
+    if (activeShape.type === "linear") {
+      const [x0, y0] = [activeShape.start[0] * width, activeShape.start[1] * height];
+      const [x1, y1] = [activeShape.end[0] * width, activeShape.end[1] * height];
+      return (
+        <g stroke="white" strokeWidth="1.5">
+          <line x1={x0} y1={y0} x2={x1} y2={y1} strokeDasharray="4 3" />
+          <circle cx={x0} cy={y0} r="4" fill="white" />
+          <circle cx={x1} cy={y1} r="4" fill="none" />
+        </g>
+      );
+    }
+    if (activeShape.type === "radial") {
+      const radius = activeShape.radius * shortSide;
+      return (
+        <g stroke="white" strokeWidth="1.5" fill="none">
+          <circle cx={activeShape.center[0] * width} cy={activeShape.center[1] * height} r={radius} />
+          <circle cx={activeShape.center[0] * width} cy={activeShape.center[1] * height} r={radius * (1 - activeShape.feather)} strokeDasharray="4 3" />
+        </g>
+      );
+    }
+    const color = activeShape.erase ? "rgba(255,255,255,0.5)" : `rgba(${MASK_TINT.join(",")},${MASK_TINT_OPACITY * activeShape.flow})`;
+    const strokeWidth = Math.max(1, activeShape.size * shortSide);
+    if (activeShape.points.length === 1) {
+      const [x, y] = activeShape.points[0];
+      return <circle cx={x * width} cy={y * height} r={strokeWidth / 2} fill={color} />;
+    }
+    return (
+      <polyline
+        points={activeShape.points.map(([x, y]) => `${x * width},${y * height}`).join(" ")}
+        fill="none"
+        stroke={color}
+        strokeWidth={strokeWidth}
+        strokeLinecap="round"
+        strokeLinejoin="round"
+      />
+    );
+  };
+
+  const isBrushTool = tool === "brush" || tool === "eraser";
+  return (
+    <div
+      ref={containerRef}
+      className="absolute inset-0 touch-none cursor-crosshair"
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={endShape}
+      onPointerCancel={endShape}
+      onPointerLeave={() => setPointer(null)}
+      role="application"
+      aria-label="Local adjustment mask. Paint or drag a gradient over the area to adjust."
+    >
+      {showMask && <canvas ref={canvasRef} className="absolute inset-0 w-full h-full rounded pointer-events-none" />}
+      {width > 0 && height > 0 && (
+        <svg width={width} height={height} className="absolute inset-0" pointerEvents="none">
+          {renderActiveShape()}
+          {isBrushTool && pointer && (
+            // Brush outline; the inner ring marks where coverage starts to fade
+            <g stroke="white" strokeWidth="1" fill="none">
+              <circle cx={pointer[0] * width} cy={pointer[1] * height} r={(brush.size * shortSide) / 2} />
+              {brush.hardness > 0 && brush.hardness < 1 && (
+                <circle cx={pointer[0] * width} cy={pointer[1] * height} r={(brush.size * shortSide * brush.hardness) / 2} strokeDasharray="2 2" />
+              )}
+            </g>
+          )}
+        </svg>
+      )}
+    </div>
+  );
+};
+
+export default LocalMaskOverlay;
@@ -0,0 +1,61 @@
+import React from "react";
+
+// "1/125 s", "2 s"
+const formatExposureTime = (seconds) => (seconds >= 1 ? `${Math.round(seconds * 10) / 10} s` : `1/${Math.round(1 / seconds)} s`);
+
+const formatCoordinate = (value, positive, negative) => `${Math.abs(value).toFixed(5)}° ${value >= 0 ? positive : negative}`;
+
+// Camera, date and location read from the uploaded photo's EXIF metadata (see `readExifTags`).
+const PhotoInfoPanel = ({ metadata }) => {
+  const tags = metadata ? metadata.tags : null;
+
+  const rows = [];
+  if (tags) {
+    // Models often repeat the make ("Canon" + "Canon EOS R6")
+    const camera = [tags.make, tags.model].filter(Boolean);
+    if (camera.length === 2 && camera[1].toLowerCase().startsWith(camera[0].toLowerCase())) {
+      camera.shift();
+    }
+    if (camera.length > 0) rows.push(["Camera", camera.join(" ")]);
+    if (tags.lens) rows.push(["Lens", tags.lens]);
+    const exposure = [
+      tags.exposureTime ? formatExposureTime(tags.exposureTime) : null,
+      tags.fNumber ? `f/${Math.round(tags.fNumber * 10) / 10}` : null,
+      tags.iso ? `ISO ${tags.iso}` : null,
+      tags.focalLength ? `${Math.round(tags.focalLength)} mm` : null,
+    ].filter(Boolean);
+    if (exposure.length > 0) rows.push(["Exposure", exposure.join(" · ")]);
+    if (tags.dateTaken) rows.push(["Taken", tags.dateTaken]);
+    if (tags.artist) rows.push(["Author", tags.artist]);
+    if (tags.copyright) rows.push(["Copyright", tags.copyright]);
+    if (tags.location) {
+      rows.push(["Location", `${formatCoordinate(tags.location.latitude, "N", "S")}, ${formatCoordinate(tags.location.longitude, "E", "W")}`]);
+    }
+  }
+
+  return (
+    <div className="w-full max-w-md bg-white rounded-lg shadow-md p-5 mb-5">
+      <h2 className="text-xl font-semibold text-gray-800 mb-3">Photo Info</h2>
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500">No camera, date or location information was found in this photo.</p>
+      ) : (
+        <dl className="grid grid-cols-3 gap-x-3 gap-y-1 text-sm">
+          {rows.map(([label, value]) => (
+            <React.Fragment key={label}>
+              <dt className="text-gray-500">{label}</dt>
+              <dd className="col-span-2 text-gray-800 break-words">{value}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      )}
+      {tags && tags.orientation !== 1 && (
+        <p className="mt-3 text-xs text-gray-500">The photo was turned upright using its camera orientation.</p>
+      )}
+      {tags && tags.location && (
+        <p className="mt-3 text-xs text-amber-600">This photo contains its GPS location. It is only included in downloads if you keep all metadata.</p>
+      )}
+    </div>
+  );
+};
+
+export default PhotoInfoPanel;
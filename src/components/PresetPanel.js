@@ -0,0 +1,221 @@
+import React, { useState, useEffect, useRef, useMemo } from "react";
+import { pickPersistentSettings } from "../hooks/useImageFilters";
+import {
+  builtInPresets,
+  presetFilterKeys,
+  applyPreset,
+  createPreset,
+  loadUserPresets,
+  saveUserPresets,
+  serializePresets,
+  parsePresets,
+} from "../utils/presets";
+
+const THUMBNAIL_RENDER_SIZE = 160; // Pixels on the longer side; shown at 64 CSS px on high-DPI screens
+const THUMBNAIL_DEBOUNCE_MS = 300;
+
+// Whether `filters` currently matches `preset` on every preset key
+const isPresetActive = (filters, preset) => {
+  const applied = applyPreset(filters, preset);
+  return presetFilterKeys.every((key) => JSON.stringify(applied[key]) === JSON.stringify(filters[key]));
+};
+
+// One-click looks rendered as thumbnails of the current photo, plus saving, importing and
+// exporting the user's own presets.
+const PresetPanel = ({ filters, onApplyPreset, renderThumbnail, disabled = false }) => {
+  const [userPresets, setUserPresets] = useState(loadUserPresets);
+  const [thumbnails, setThumbnails] = useState({}); // preset id -> object URL
+  const [newPresetName, setNewPresetName] = useState("");
+  const [message, setMessage] = useState(null); // { type: "error" | "warning" | "success", text, details? }
+  const thumbnailUrlsRef = useRef({});
+  const importInputRef = useRef(null);
+
+  const allPresets = useMemo(() => [...builtInPresets, ...userPresets], [userPresets]);
+
+  // Thumbnails only depend on the photo-specific settings (crop, subject), not on the current sliders
+  const persistentSettingsKey = JSON.stringify(pickPersistentSettings(filters));
+
+  useEffect(() => {
+    if (typeof renderThumbnail !== "function") return undefined;
+    let isCancelled = false;
+    const timerId = setTimeout(async () => {
+      const baseFilters = JSON.parse(persistentSettingsKey);
+      for (const preset of allPresets) {
+        try {
+          const blob = await renderThumbnail(applyPreset(baseFilters, preset), THUMBNAIL_RENDER_SIZE);
+          if (isCancelled) return;
+          const url = URL.createObjectURL(blob);
+          if (thumbnailUrlsRef.current[preset.id]) {
+            URL.revokeObjectURL(thumbnailUrlsRef.current[preset.id]); // Replace the outdated thumbnail
+          }
+          thumbnailUrlsRef.current[preset.id] = url;
+          setThumbnails((prev) => ({ ...prev, [preset.id]: url }));
+        } catch (error) {
+          if (isCancelled) return;
+          console.warn(`Could not render the thumbnail for "${preset.name}":`, error);
+        }
+      }
+    }, THUMBNAIL_DEBOUNCE_MS);
+    return () => {
+      isCancelled = true;
+      clearTimeout(timerId);
+    };
+  }, [renderThumbnail, persistentSettingsKey, allPresets]);
+
+  // Revoke all thumbnail URLs on unmount
+  useEffect(() => () => {
+    Object.values(thumbnailUrlsRef.current).forEach((url) => URL.revokeObjectURL(url));
+  }, []);
+
+  const updateUserPresets = (nextPresets) => {
+    setUserPresets(nextPresets);
+    if (!saveUserPresets(nextPresets)) {
+      setMessage({ type: "error", text: "Presets could not be saved in this browser." });
+    }
+  };
+
+  const handleApply = (preset) => {
+    if (typeof onApplyPreset === "function" && !disabled) {
+      onApplyPreset(preset);
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const name = newPresetName.trim();
+    if (!name) return;
+    const preset = createPreset(name, filters);
+    // Saving under an existing name replaces that preset
+    updateUserPresets([...userPresets.filter((p) => p.name !== preset.name), preset]);
+    setNewPresetName("");
+    setMessage({ type: "success", text: `Saved "${preset.name}".` });
+  };
+
+  const handleDelete = (preset) => {
+    updateUserPresets(userPresets.filter((p) => p.id !== preset.id));
+    if (thumbnailUrlsRef.current[preset.id]) {
+      URL.revokeObjectURL(thumbnailUrlsRef.current[preset.id]);
+      delete thumbnailUrlsRef.current[preset.id];
+    }
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([serializePresets(userPresets)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "photo-presets.json";
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ""; // Allow importing the same file again
+    if (!file) return;
+    try {
+      const { presets: imported, problems } = parsePresets(await file.text());
+      const importedNames = imported.map((p) => p.name);
+      // Imported presets replace saved ones with the same name
+      updateUserPresets([...userPresets.filter((p) => !importedNames.includes(p.name)), ...imported]);
+      const importedText = `Imported ${imported.length} preset${imported.length === 1 ? "" : "s"}.`;
+      setMessage(problems.length > 0
+        ? { type: "warning", text: `${importedText} Some invalid settings were left out:`, details: problems }
+        : { type: "success", text: importedText });
+    } catch (error) {
+      setMessage({ type: "error", text: error.message || "The presets could not be imported." });
+    }
+  };
+
+  return (
+    <div className={`w-full max-w-md bg-white rounded-lg shadow-md p-5 mb-5 ${disabled ? "opacity-75 cursor-not-allowed" : ""}`}>
+      <h2 className="text-xl font-semibold text-gray-800 mb-3">Looks</h2>
+
+      <div className="grid grid-cols-4 gap-3">
+        {allPresets.map((preset) => {
+          const isActive = isPresetActive(filters, preset);
+          return (
+            <div key={preset.id} className="relative flex flex-col items-center">
+              <button
+                onClick={() => handleApply(preset)}
+                disabled={disabled}
+                title={`Apply "${preset.name}"`}
+                className={`h-16 w-16 rounded-md overflow-hidden bg-gray-100 border-2 transition-colors disabled:cursor-not-allowed ${
+                  isActive ? "border-blue-500" : "border-transparent hover:border-gray-300"
+                }`}
+              >
+                {thumbnails[preset.id] ? (
+                  <img src={thumbnails[preset.id]} alt="" className="h-full w-full object-cover" />
+                ) : (
+                  <div className="h-full w-full animate-pulse bg-gray-200"></div>
+                )}
+              </button>
+              <span className="mt-1 text-xs text-center text-gray-600 leading-tight break-words w-full">{preset.name}</span>
+              {!preset.builtIn && (
+                <button
+                  onClick={() => handleDelete(preset)}
+                  title={`Delete "${preset.name}"`}
+                  aria-label={`Delete preset ${preset.name}`}
+                  className="absolute -top-1 -right-1 h-5 w-5 rounded-full bg-white border border-gray-300 text-gray-500 text-xs leading-none hover:bg-red-50 hover:text-red-600"
+                >
+                  ×
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <form onSubmit={handleSave} className="flex items-center space-x-2 mt-4">
+        <input
+          type="text"
+          value={newPresetName}
+          onChange={(e) => setNewPresetName(e.target.value)}
+          placeholder="Name your current settings"
+          maxLength={40}
+          aria-label="Preset name"
+          className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded-md"
+        />
+        <button
+          type="submit"
+          disabled={!newPresetName.trim()}
+          className="px-3 py-1 text-sm bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:bg-gray-300 disabled:cursor-not-allowed"
+        >
+          Save
+        </button>
+      </form>
+
+      <div className="flex items-center space-x-2 mt-3">
+        <button
+          onClick={() => importInputRef.current && importInputRef.current.click()}
+          className="px-3 py-1 text-xs border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100"
+        >
+          Import Presets
+        </button>
+        <button
+          onClick={handleExport}
+          disabled={userPresets.length === 0}
+          className="px-3 py-1 text-xs border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed"
+        >
+          Export Presets
+        </button>
+        <input ref={importInputRef} type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+      </div>
+
+      {message && (
+        <div className={`mt-2 text-xs ${message.type === "error" ? "text-red-600" : message.type === "warning" ? "text-amber-700" : "text-green-700"}`}>
+          <p>{message.text}</p>
+          {message.details && (
+            <ul className="mt-1 list-disc list-inside">
+              {message.details.map((detail, index) => <li key={index}>{detail}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PresetPanel;
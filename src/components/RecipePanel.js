@@ -0,0 +1,101 @@
+import React, { useState, useRef } from "react";
+import { createRecipe, serializeRecipe, parseRecipe, recipeToHash } from "../utils/recipe";
+
+// Lists validation problems (or, with another `className`, warnings) reported for a recipe.
+export const RecipeErrors = ({ errors, className = "text-red-600" }) => (
+  <ul className={`mt-2 text-xs ${className} list-disc list-inside space-y-0.5`}>
+    {errors.map((error) => (
+      <li key={error}>{error}</li>
+    ))}
+  </ul>
+);
+
+// Saves the current edit as a portable recipe (file or link) and loads recipes onto the photo.
+const RecipePanel = ({ filters, exportOptions, onLoadRecipe, fileName = "photo", disabled = false }) => {
+  const [errors, setErrors] = useState([]);
+  const [message, setMessage] = useState("");
+  const fileInputRef = useRef(null);
+
+  const showMessage = (text) => {
+    setErrors([]);
+    setMessage(text);
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([serializeRecipe(createRecipe(filters, exportOptions))], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${fileName}-recipe.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleCopyLink = async () => {
+    // Links leave out the background image: a data URL is too large for a URL
+    const recipe = createRecipe(filters, exportOptions, { includeBackgroundImage: false });
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}${recipeToHash(recipe)}`;
+    const note = filters.backgroundImage ? " The background image is not included; download the recipe file to keep it." : "";
+    try {
+      await navigator.clipboard.writeText(url);
+      showMessage(`Link copied.${note}`);
+    } catch (error) {
+      // Clipboard access can be denied; the address bar still lets the user copy the link
+      window.history.replaceState(null, "", url);
+      showMessage(`The link could not be copied automatically. Copy it from the address bar.${note}`);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ""; // Allow loading the same file again
+    if (!file) return;
+    try {
+      const recipe = parseRecipe(await file.text());
+      onLoadRecipe(recipe);
+      showMessage(`Applied "${file.name}".`);
+    } catch (error) {
+      setMessage("");
+      setErrors(error.errors || [error.message]);
+    }
+  };
+
+  return (
+    <div className={`w-full max-w-md bg-white rounded-lg shadow-md p-5 mb-5 ${disabled ? "opacity-75 cursor-not-allowed" : ""}`}>
+      <h2 className="text-xl font-semibold text-gray-800 mb-1">Edit Recipe</h2>
+      <p className="text-xs text-gray-500 mb-3">Save the crop, adjustments and export settings to apply them to other photos.</p>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={handleDownload}
+          disabled={disabled}
+          className="px-3 py-1 text-xs border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed"
+        >
+          Download Recipe
+        </button>
+        <button
+          onClick={handleCopyLink}
+          disabled={disabled}
+          className="px-3 py-1 text-xs border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed"
+        >
+          Copy Link
+        </button>
+        <button
+          onClick={() => fileInputRef.current && fileInputRef.current.click()}
+          disabled={disabled}
+          className="px-3 py-1 text-xs border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed"
+        >
+          Load Recipe
+        </button>
+        <input ref={fileInputRef} type="file" accept="application/json,.json" className="hidden" onChange={handleFileChange} />
+      </div>
+
+      {message && <p className="mt-2 text-xs text-green-700">{message}</p>}
+      {errors.length > 0 && <RecipeErrors errors={errors} />}
+    </div>
+  );
+};
+
+export default RecipePanel;
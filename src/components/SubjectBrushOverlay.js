@@ -0,0 +1,118 @@
+import React, { useState, useRef, useEffect } from "react";
+import { mapShapeToCrop, mapShapeFromCrop } from "../filters/geometry";
+
+const MIN_POINT_SPACING = 3; // Screen pixels between recorded points of a stroke
+
+const strokeColors = {
+  foreground: "rgba(34,197,94,0.55)", // Keep
+  background: "rgba(239,68,68,0.55)", // Remove
+};
+
+// Brush layer drawn over the preview for refining subject detection.
+// Strokes use normalised units: points are fractions of the image width/height and
+// `size` is the brush diameter as a fraction of the shorter image side. The preview shows `crop`,
+// while stored strokes are relative to the uncropped frame (see `mapShapeToCrop`).
+const SubjectBrushOverlay = ({ strokes = [], crop = null, brushType = "foreground", brushSize = 0.04, onAddStroke }) => {
+  const containerRef = useRef(null);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [activeStroke, setActiveStroke] = useState(null); // Stroke being drawn, in normalised units
+
+  // Track the rendered size of the preview so strokes can be drawn in screen pixels
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return undefined;
+    const updateSize = () => setSize({ width: element.clientWidth, height: element.clientHeight });
+    updateSize();
+    if (typeof ResizeObserver === "undefined") return undefined;
+    const observer = new ResizeObserver(updateSize);
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  const { width, height } = size;
+  const shortSide = Math.min(width, height);
+
+  const getNormalizedPoint = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return [
+      Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+      Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height)),
+    ];
+  };
+
+  const handlePointerDown = (e) => {
+    if (!width || !height) return;
+    e.preventDefault();
+    containerRef.current.setPointerCapture(e.pointerId);
+    setActiveStroke({ type: brushType, size: brushSize, points: [getNormalizedPoint(e)] });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!activeStroke) return;
+    const point = getNormalizedPoint(e);
+    const lastPoint = activeStroke.points[activeStroke.points.length - 1];
+    const distance = Math.hypot((point[0] - lastPoint[0]) * width, (point[1] - lastPoint[1]) * height);
+    if (distance < MIN_POINT_SPACING) return;
+    setActiveStroke((prev) => prev && { ...prev, points: [...prev.points, point] });
+  };
+
+  const endStroke = (e) => {
+    if (!activeStroke) return;
+    if (containerRef.current && containerRef.current.hasPointerCapture(e.pointerId)) {
+      containerRef.current.releasePointerCapture(e.pointerId);
+    }
+    // Store the stroke relative to the uncropped frame, with points rounded so stored strokes
+    // (and history snapshots) stay compact
+    const frameStroke = mapShapeFromCrop(activeStroke, crop, width, height);
+    const stroke = {
+      ...frameStroke,
+      points: frameStroke.points.map(([x, y]) => [Math.round(x * 10000) / 10000, Math.round(y * 10000) / 10000]),
+    };
+    setActiveStroke(null);
+    if (typeof onAddStroke === "function") {
+      onAddStroke(stroke);
+    }
+  };
+
+  const renderStroke = (stroke, key) => {
+    const strokeWidth = Math.max(1, stroke.size * shortSide);
+    const color = strokeColors[stroke.type] || strokeColors.foreground;
+    if (stroke.points.length === 1) {
+      const [x, y] = stroke.points[0];
+      return <circle key={key} cx={x * width} cy={y * height} r={strokeWidth / 2} fill={color} />;
+    }
+    return (
+      <polyline
+        key={key}
+        points={stroke.points.map(([x, y]) => `${x * width},${y * height}`).join(" ")}
+        fill="none"
+        stroke={color}
+        strokeWidth={strokeWidth}
+        strokeLinecap="round"
+        strokeLinejoin="round"
+      />
+    );
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className="absolute inset-0 touch-none cursor-crosshair"
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={endStroke}
+      onPointerCancel={endStroke}
+      role="application"
+      aria-label="Subject refinement brush. Paint over areas to keep or remove."
+    >
+      {width > 0 && height > 0 && (
+        <svg width={width} height={height} className="absolute inset-0" pointerEvents="none">
+          {strokes.map((stroke, index) => renderStroke(mapShapeToCrop(stroke, crop, width, height), index))}
+          {activeStroke && renderStroke(activeStroke, "active")}
+        </svg>
+      )}
+    </div>
+  );
+};
+
+export default SubjectBrushOverlay;
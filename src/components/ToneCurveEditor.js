@@ -0,0 +1,176 @@
+import React, { useRef, useState } from "react";
+import { defaultCurves, curveChannels, createCurveInterpolator, MAX_CURVE_POINTS } from "../filters/curves";
+import HistogramGraph from "./HistogramGraph";
+
+const SIZE = 256; // Drawing size of the graph; the SVG scales to the panel width
+const POINT_RADIUS = 5;
+const MIN_POINT_GAP = 0.01; // Closest two control points may get along the input axis
+const HIT_DISTANCE = 0.04; // How close (0-1) a click must be to a point to grab it instead of adding one
+
+const channelOptions = {
+  rgb: { label: "RGB", color: "#374151", histogram: "luminance" },
+  red: { label: "Red", color: "#dc2626", histogram: "red" },
+  green: { label: "Green", color: "#16a34a", histogram: "green" },
+  blue: { label: "Blue", color: "#2563eb", histogram: "blue" },
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const roundPoint = (value) => Math.round(value * 1000) / 1000;
+
+// Interactive tone curve for the composite RGB curve and each channel. Click the graph to add a
+// point, drag points to shape the curve and double-click a point to remove it. The end points can
+// be moved but not removed. `curves` uses the pipeline's format (see `defaultCurves`).
+const ToneCurveEditor = ({ curves: curvesFromProps, histogram = null, onUpdateFilter, disabled = false }) => {
+  const curves = { ...defaultCurves, ...(curvesFromProps || {}) };
+  const [channel, setChannel] = useState("rgb");
+  const svgRef = useRef(null);
+  const dragRef = useRef(null); // Index of the point being dragged
+  const points = curves[channel];
+  const { color } = channelOptions[channel];
+
+  const updatePoints = (nextPoints) => {
+    if (typeof onUpdateFilter === "function" && !disabled) {
+      onUpdateFilter("curves", { ...curves, [channel]: nextPoints });
+    }
+  };
+
+  // Pointer position in curve units: x is the input level, y the output level (0-1, bottom up)
+  const getCurvePosition = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return {
+      x: clamp((e.clientX - rect.left) / rect.width, 0, 1),
+      y: clamp(1 - (e.clientY - rect.top) / rect.height, 0, 1),
+    };
+  };
+
+  // Index of the control point under the pointer, or -1
+  const findPointAt = (e) => {
+    const { x, y } = getCurvePosition(e);
+    return points.findIndex(([px, py]) => Math.hypot(px - x, py - y) < HIT_DISTANCE);
+  };
+
+  const handlePointerDown = (e) => {
+    if (disabled || e.button !== 0) return;
+    e.preventDefault();
+    let index = findPointAt(e);
+    if (index === -1) {
+      const { x, y } = getCurvePosition(e);
+      if (points.length >= MAX_CURVE_POINTS) return;
+      // New points go between their neighbours, away from existing points
+      index = points.findIndex(([px]) => px > x);
+      if (index <= 0 || x - points[index - 1][0] < MIN_POINT_GAP || points[index][0] - x < MIN_POINT_GAP) return;
+      const nextPoints = [...points];
+      nextPoints.splice(index, 0, [roundPoint(x), roundPoint(y)]);
+      updatePoints(nextPoints);
+    }
+    dragRef.current = index;
+    svgRef.current.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const index = dragRef.current;
+    if (index === null || !points[index]) return;
+    const { x, y } = getCurvePosition(e);
+    // Points keep their order: each stays between its neighbours
+    const minX = index > 0 ? points[index - 1][0] + MIN_POINT_GAP : 0;
+    const maxX = index < points.length - 1 ? points[index + 1][0] - MIN_POINT_GAP : 1;
+    const nextPoints = [...points];
+    nextPoints[index] = [roundPoint(clamp(x, minX, maxX)), roundPoint(y)];
+    updatePoints(nextPoints);
+  };
+
+  const handlePointerUp = (e) => {
+    if (dragRef.current === null) return;
+    dragRef.current = null;
+    svgRef.current.releasePointerCapture(e.pointerId);
+  };
+
+  // Double-clicks are handled on the graph, which captures the pointer while dragging
+  const handleDoubleClick = (e) => {
+    const index = findPointAt(e);
+    if (disabled || index <= 0 || index === points.length - 1) return;
+    updatePoints(points.filter((_, i) => i !== index));
+  };
+
+  const interpolate = createCurveInterpolator(points);
+  let curvePath = "";
+  for (let i = 0; i <= 64; i++) {
+    const x = i / 64;
+    curvePath += `${i === 0 ? "M" : " L"}${(x * SIZE).toFixed(1)} ${((1 - clamp(interpolate(x), 0, 1)) * SIZE).toFixed(1)}`;
+  }
+
+  const isChannelModified = (name) => JSON.stringify(curves[name]) !== JSON.stringify(defaultCurves[name]);
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="flex space-x-1" role="tablist" aria-label="Curve channel">
+          {curveChannels.map((name) => (
+            <button
+              key={name}
+              role="tab"
+              aria-selected={channel === name}
+              onClick={() => setChannel(name)}
+              disabled={disabled}
+              className={`px-2 py-1 text-xs rounded ${
+                channel === name ? "bg-gray-700 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+              } disabled:cursor-not-allowed`}
+            >
+              {channelOptions[name].label}
+              {isChannelModified(name) && <span className="ml-1" aria-label="modified">•</span>}
+            </button>
+          ))}
+        </div>
+        <button
+          onClick={() => updatePoints(defaultCurves[channel])}
+          disabled={disabled || !isChannelModified(channel)}
+          className="text-xs text-blue-600 hover:text-blue-800 disabled:text-gray-400 disabled:cursor-not-allowed"
+        >
+          Reset {channelOptions[channel].label}
+        </button>
+      </div>
+
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${SIZE} ${SIZE}`}
+        className={`w-full aspect-square bg-gray-50 border border-gray-200 rounded touch-none select-none ${disabled ? "cursor-not-allowed" : "cursor-crosshair"}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onDoubleClick={handleDoubleClick}
+        role="img"
+        aria-label={`${channelOptions[channel].label} tone curve`}
+      >
+        {histogram && (
+          <HistogramGraph histogram={histogram[channelOptions[channel].histogram]} width={SIZE} height={SIZE} color={color} opacity={0.15} />
+        )}
+        {[0.25, 0.5, 0.75].map((line) => (
+          <g key={line} stroke="#e5e7eb" strokeWidth="1">
+            <line x1={line * SIZE} y1="0" x2={line * SIZE} y2={SIZE} />
+            <line x1="0" y1={line * SIZE} x2={SIZE} y2={line * SIZE} />
+          </g>
+        ))}
+        <line x1="0" y1={SIZE} x2={SIZE} y2="0" stroke="#d1d5db" strokeWidth="1" strokeDasharray="4 4" />
+        <path d={curvePath} fill="none" stroke={color} strokeWidth="2" />
+        {points.map(([x, y], index) => (
+          <circle
+            key={index}
+            cx={x * SIZE}
+            cy={(1 - y) * SIZE}
+            r={POINT_RADIUS}
+            fill="white"
+            stroke={color}
+            strokeWidth="2"
+          />
+        ))}
+      </svg>
+
+      <p className="text-xs text-gray-500">
+        Click to add a point, drag to shape the curve, double-click a point to remove it.
+      </p>
+    </div>
+  );
+};
+
+export default ToneCurveEditor;
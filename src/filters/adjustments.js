@@ -0,0 +1,127 @@
+// Per-pixel light and colour adjustments: exposure, white balance, tone ranges and vibrance.
+// Unlike brightness/contrast/saturation (CSS `ctx.filter` functions), these work on the pixel data
+// directly, mostly through lookup tables so each adjustment is a single pass over the image.
+import { ROWS_PER_CHECKPOINT, smoothstep } from "./pixelMath";
+
+// Filter keys handled here, in the order the sliders show them
+export const pixelAdjustmentKeys = ["exposure", "temperature", "tint", "highlights", "shadows", "whites", "blacks", "vibrance"];
+
+const srgbToLinear = (v) => (v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4);
+const linearToSrgb = (v) => (v <= 0.0031308 ? v * 12.92 : 1.055 * v ** (1 / 2.4) - 0.055);
+
+// 256-entry table mapping an sRGB channel value through `gain` applied in linear light
+const createGainTable = (gain) => {
+  const table = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) {
+    table[v] = Math.round(linearToSrgb(Math.min(1, srgbToLinear(v / 255) * gain)) * 255);
+  }
+  return table;
+};
+
+// Per-channel linear gains for the colour and exposure adjustments: [red, green, blue].
+// White balance gains are normalised so the overall brightness stays about the same.
+const getChannelGains = (filterType, value) => {
+  if (filterType === "exposure") {
+    const gain = 2 ** value; // `value` is in EV (stops)
+    return [gain, gain, gain];
+  }
+  const gains = filterType === "temperature"
+    ? [1 + 0.3 * value, 1, 1 - 0.3 * value] // Warmer: more red, less blue
+    : [1, 1 - 0.25 * value, 1]; // Positive tint: less green (magenta), negative: more green
+  const luminance = 0.2126 * gains[0] + 0.7152 * gains[1] + 0.0722 * gains[2];
+  return gains.map((gain) => gain / luminance);
+};
+
+// Change in luminance (0-1) the tone adjustments make at luminance `x` for `amount` (-1 to 1).
+// Each one peaks in its own range and leaves the others mostly alone.
+const toneCurves = {
+  shadows: (x, amount) => amount * x * (1 - x) * (1 - x), // Strongest around a third
+  highlights: (x, amount) => amount * x * x * (1 - x),    // Strongest around two thirds
+  whites: (x, amount) => amount * 0.25 * smoothstep(0.5, 1, x), // Moves the white point
+  blacks: (x, amount) => amount * 0.2 * (1 - smoothstep(0, 0.5, x)), // Moves the black point
+};
+
+// Skin tones are orange hues (red > green > blue) and should not become more saturated
+const isSkinTone = (r, g, b) => r > g && g > b && r - b > 15 && (g - b) / (r - b) < 0.75;
+
+// Runs `processRow(offset, end)` over each row of `imageData`, awaiting `checkpoint` regularly.
+const forEachRow = async (imageData, processRow, checkpoint) => {
+  const { width, height } = imageData;
+  for (let y = 0; y < height; y++) {
+    processRow(y * width * 4, (y + 1) * width * 4);
+    if ((y + 1) % ROWS_PER_CHECKPOINT === 0) {
+      await checkpoint((y + 1) / height);
+    }
+  }
+};
+
+// Maps every pixel of `imageData` through per-channel 256-entry lookup tables [red, green, blue].
+export const applyChannelTables = (imageData, [redTable, greenTable, blueTable], checkpoint = async () => {}) => {
+  const { data } = imageData;
+  return forEachRow(imageData, (start, end) => {
+    for (let i = start; i < end; i += 4) {
+      data[i] = redTable[data[i]];
+      data[i + 1] = greenTable[data[i + 1]];
+      data[i + 2] = blueTable[data[i + 2]];
+    }
+  }, checkpoint);
+};
+
+// Applies the pixel adjustment `filterType` (see `pixelAdjustmentKeys`) with `value` to
+// `imageData` in place. `checkpoint(fraction)` is awaited regularly so renders can be cancelled.
+export const applyPixelAdjustment = async (imageData, filterType, value, checkpoint = async () => {}) => {
+  const { data } = imageData;
+
+  if (filterType === "exposure" || filterType === "temperature" || filterType === "tint") {
+    await applyChannelTables(imageData, getChannelGains(filterType, value).map(createGainTable), checkpoint);
+    return;
+  }
+
+  if (toneCurves[filterType]) {
+    // Target luminance per luminance level; colours are scaled to it so hues are preserved
+    const curve = toneCurves[filterType];
+    const ratios = new Float32Array(256);
+    for (let level = 1; level < 256; level++) {
+      const x = level / 255;
+      ratios[level] = Math.max(0, x + curve(x, value)) / x;
+    }
+    const blackLevel = Math.round(Math.max(0, curve(0, value)) * 255); // Pure black can't be scaled
+    await forEachRow(imageData, (start, end) => {
+      for (let i = start; i < end; i += 4) {
+        const luma = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+        if (luma === 0) {
+          data[i] = data[i + 1] = data[i + 2] = blackLevel;
+          continue;
+        }
+        const ratio = ratios[luma];
+        data[i] = data[i] * ratio;
+        data[i + 1] = data[i + 1] * ratio;
+        data[i + 2] = data[i + 2] * ratio;
+      }
+    }, checkpoint);
+    return;
+  }
+
+  if (filterType === "vibrance") {
+    await forEachRow(imageData, (start, end) => {
+      for (let i = start; i < end; i += 4) {
+        const r = data[i];
+        const g = data[i + 1];
+        const b = data[i + 2];
+        const max = Math.max(r, g, b);
+        if (max === 0) continue;
+        const saturation = (max - Math.min(r, g, b)) / max;
+        // Muted colours change most; skin tones only a little
+        const protection = value > 0 && isSkinTone(r, g, b) ? 0.3 : 1;
+        const factor = 1 + value * (1 - saturation) * protection;
+        const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+        data[i] = luma + (r - luma) * factor;
+        data[i + 1] = luma + (g - luma) * factor;
+        data[i + 2] = luma + (b - luma) * factor;
+      }
+    }, checkpoint);
+    return;
+  }
+
+  console.warn(`Unknown pixel adjustment: ${filterType}`);
+};
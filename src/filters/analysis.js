@@ -0,0 +1,247 @@
+// Image analysis for Auto Enhance: histogram and colour statistics of a (small) rendering of the
+// photo, and the brightness, contrast, saturation and white balance values suggested from them.
+
+// Pixels this close to black or white count as clipped
+const CLIP_LOW = 3;
+const CLIP_HIGH = 252;
+
+const TARGET_MEDIAN = 0.46; // Mid-grey a typical portrait is exposed for
+const TARGET_RANGE = 0.9;   // Spread between the darkest and brightest percentiles after the contrast change
+const MAX_HIGHLIGHT = 0.97; // Brightening stops before the brightest percentile reaches this
+const MAX_SKIN_SATURATION = 0.5; // Skin is kept below this saturation, so faces don't turn orange
+const CAST_THRESHOLD = 0.035; // Difference between channel means (0-1) treated as a colour cast
+const CAST_CORRECTION = 2; // Temperature/tint per unit of channel difference; undercorrects on purpose
+
+// Clipped pixels: shadows crushed to black, highlights blown out to white in every channel
+const isShadowClipped = (luma) => luma <= CLIP_LOW;
+const isHighlightClipped = (r, g, b) => r >= CLIP_HIGH && g >= CLIP_HIGH && b >= CLIP_HIGH;
+
+// Skin tones by their chroma in YCbCr (Chai & Ngan), which holds up across complexions
+const isSkinTone = (cb, cr) => cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+
+// Value below which `fraction` of the histogram's pixels lie, as 0-1
+const getPercentile = (histogram, total, fraction) => {
+  const target = total * fraction;
+  let count = 0;
+  for (let value = 0; value < histogram.length; value++) {
+    count += histogram[value];
+    if (count >= target) return value / 255;
+  }
+  return 1;
+};
+
+// Statistics of `imageData` (transparent pixels are ignored):
+// { luminance: { histogram, low, median, high, mean }, clipping: { shadows, highlights },
+//   cast: { red, green, blue } (mean of each channel minus the overall mean, over mid-tones),
+//   saturation, skin: { fraction, saturation } }.
+export const analyzeImageData = ({ data }) => {
+  const histogram = new Uint32Array(256);
+  let total = 0;
+  let lumaSum = 0;
+  let shadowClipped = 0;
+  let highlightClipped = 0;
+  const channelSums = [0, 0, 0];
+  let midtoneCount = 0;
+  let saturationSum = 0;
+  let skinCount = 0;
+  let skinSaturationSum = 0;
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 128) continue;
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+    histogram[Math.round(luma)]++;
+    total++;
+    lumaSum += luma;
+    if (isShadowClipped(luma)) shadowClipped++;
+    if (isHighlightClipped(r, g, b)) highlightClipped++;
+
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const saturation = max === 0 ? 0 : (max - min) / max;
+    saturationSum += saturation;
+
+    // Colour casts show most clearly in the mid-tones; shadows and highlights are noisy or clipped
+    if (luma > 40 && luma < 215) {
+      channelSums[0] += r;
+      channelSums[1] += g;
+      channelSums[2] += b;
+      midtoneCount++;
+    }
+
+    const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+    const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+    if (luma > 40 && isSkinTone(cb, cr)) {
+      skinCount++;
+      skinSaturationSum += saturation;
+    }
+  }
+
+  if (total === 0) {
+    return null;
+  }
+
+  const channelMeans = channelSums.map((sum) => (midtoneCount > 0 ? sum / midtoneCount / 255 : 0));
+  const overallMean = (channelMeans[0] + channelMeans[1] + channelMeans[2]) / 3;
+  return {
+    luminance: {
+      histogram,
+      low: getPercentile(histogram, total, 0.01),
+      median: getPercentile(histogram, total, 0.5),
+      high: getPercentile(histogram, total, 0.99),
+      mean: lumaSum / total / 255,
+    },
+    clipping: { shadows: shadowClipped / total, highlights: highlightClipped / total },
+    cast: {
+      red: channelMeans[0] - overallMean,
+      green: channelMeans[1] - overallMean,
+      blue: channelMeans[2] - overallMean,
+    },
+    saturation: saturationSum / total,
+    skin: { fraction: skinCount / total, saturation: skinCount > 0 ? skinSaturationSum / skinCount : 0 },
+  };
+};
+
+// 256-bin histograms of `imageData`: { luminance, red, green, blue } (transparent pixels are ignored)
+export const computeHistograms = ({ data }) => {
+  const histograms = {
+    luminance: new Uint32Array(256),
+    red: new Uint32Array(256),
+    green: new Uint32Array(256),
+    blue: new Uint32Array(256),
+  };
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 128) continue;
+    histograms.red[data[i]]++;
+    histograms.green[data[i + 1]]++;
+    histograms.blue[data[i + 2]]++;
+    histograms.luminance[Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2])]++;
+  }
+  return histograms;
+};
+
+// Clipping values of the clipping mask
+export const CLIPPED_SHADOW = 1;
+export const CLIPPED_HIGHLIGHT = 2;
+
+// Clipped pixels of `imageData`: { mask, shadows, highlights }, where `mask` holds CLIPPED_SHADOW,
+// CLIPPED_HIGHLIGHT or 0 per pixel and `shadows`/`highlights` are the clipped fractions of the image.
+export const findClippedPixels = ({ data, width, height }) => {
+  const mask = new Uint8Array(width * height);
+  let shadows = 0;
+  let highlights = 0;
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    if (data[i + 3] < 128) continue;
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    if (isHighlightClipped(r, g, b)) {
+      mask[p] = CLIPPED_HIGHLIGHT;
+      highlights++;
+    } else if (isShadowClipped(0.299 * r + 0.587 * g + 0.114 * b)) {
+      mask[p] = CLIPPED_SHADOW;
+      shadows++;
+    }
+  }
+  const total = Math.max(1, width * height);
+  return { mask, shadows: shadows / total, highlights: highlights / total };
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const roundValue = (value) => Math.round(value * 100) / 100;
+const formatPercent = (value) => `${value > 0 ? "+" : "−"}${Math.round(Math.abs(value) * 100)}%`;
+
+// The dominant colour cast in `stats`, e.g. "blue", or null if the colours are balanced.
+export const getColorCast = (stats) => {
+  const { red, green, blue } = stats.cast;
+  if (blue - red > CAST_THRESHOLD) return "blue";
+  // Skin is naturally warm, so close-ups of faces aren't reported as warm
+  if (red - blue > CAST_THRESHOLD * 1.5 && stats.skin.fraction < 0.3) return "warm";
+  if (green > CAST_THRESHOLD) return "green";
+  if (-green > CAST_THRESHOLD) return "magenta";
+  return null;
+};
+
+// Suggested adjustments for a photo with `stats` (see `analyzeImageData`). Returns
+// { values: { brightness, contrast, saturation, temperature, tint }, changes }, where `changes` are short
+// descriptions of what the values do, e.g. ["brightened +12%", "kept skin tones natural"].
+export const suggestEnhancement = (stats) => {
+  const changes = [];
+  const { low, median, high } = stats.luminance;
+
+  // Exposure: move the median towards mid-grey without pushing the highlights into clipping
+  let brightnessFactor = clamp(TARGET_MEDIAN / Math.max(median, 0.05), 0.75, 1.35);
+  if (brightnessFactor > 1 && high * brightnessFactor > MAX_HIGHLIGHT) {
+    brightnessFactor = Math.max(1, MAX_HIGHLIGHT / Math.max(high, 0.01));
+    if (brightnessFactor < 1.02 && median < TARGET_MEDIAN - 0.05) {
+      changes.push("protected highlights");
+    }
+  }
+  let brightness = roundValue(brightnessFactor - 1);
+  if (Math.abs(brightness) < 0.02) brightness = 0;
+  if (brightness > 0) {
+    changes.unshift(median < 0.3 ? `lifted shadows ${formatPercent(brightness)}` : `brightened ${formatPercent(brightness)}`);
+  } else if (brightness < 0) {
+    changes.unshift(`darkened ${formatPercent(brightness)}`);
+  }
+
+  // Contrast: stretch a flat tonal range; soften when shadows and highlights are already clipped
+  let contrast = 0;
+  const range = high - low;
+  const clipped = stats.clipping.shadows + stats.clipping.highlights;
+  if (clipped > 0.04) {
+    contrast = -clamp(clipped, 0.04, 0.15);
+    changes.push(`softened contrast ${formatPercent(roundValue(contrast))} to recover clipped detail`);
+  } else if (range < TARGET_RANGE - 0.05) {
+    contrast = clamp(TARGET_RANGE / Math.max(range, 0.2) - 1, 0, 0.3);
+    changes.push(`added contrast ${formatPercent(roundValue(contrast))}`);
+  }
+  contrast = roundValue(contrast);
+
+  // Saturation: lift dull colours, calm oversaturated ones, and keep skin tones believable
+  let saturation = 0;
+  if (stats.saturation < 0.22) {
+    saturation = clamp((0.28 - stats.saturation) * 1.5, 0, 0.25);
+  } else if (stats.saturation > 0.5) {
+    saturation = -clamp(stats.saturation - 0.45, 0.05, 0.2);
+  }
+  if (saturation > 0 && stats.skin.fraction > 0.05 && stats.skin.saturation > 0) {
+    const skinLimit = MAX_SKIN_SATURATION / stats.skin.saturation - 1;
+    if (skinLimit < saturation) {
+      saturation = Math.max(0, skinLimit);
+      changes.push("kept skin tones natural");
+    }
+  }
+  saturation = roundValue(saturation);
+  if (Math.abs(saturation) < 0.02) saturation = 0;
+  if (saturation > 0) {
+    changes.push(`boosted color ${formatPercent(saturation)}`);
+  } else if (saturation < 0) {
+    changes.push(`muted color ${formatPercent(saturation)}`);
+  }
+
+  // White balance: neutralise most (not all) of a colour cast, since some warmth is usually wanted
+  let temperature = 0;
+  let tint = 0;
+  const cast = getColorCast(stats);
+  const { red, green, blue } = stats.cast;
+  if (cast === "blue" || cast === "warm") {
+    temperature = roundValue(clamp((blue - red) * CAST_CORRECTION, -0.5, 0.5));
+  } else if (cast === "green" || cast === "magenta") {
+    tint = roundValue(clamp(green * CAST_CORRECTION * 1.5, -0.5, 0.5));
+  }
+  if (temperature !== 0 || tint !== 0) {
+    changes.push(`reduced ${cast} cast`);
+  }
+
+  return { values: { brightness, contrast, saturation, temperature, tint }, changes };
+};
+
+// "Lifted shadows +12%, boosted color +8%" for a list of changes
+export const describeEnhancement = (changes) => {
+  if (changes.length === 0) return "The photo already looks balanced, so nothing was changed.";
+  const text = changes.join(", ");
+  return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+};
@@ -0,0 +1,154 @@
+// Background effects: subject masks (segmentation or focus ellipse) and the replacement
+// backgrounds drawn behind the subject. Shared by the worker and the main-thread pipeline.
+import { computeSubjectMask, upsampleSubjectMask, SEGMENTATION_SIZE } from "./segmentation";
+import { createCanvas } from "./canvas";
+
+// Default focus area: a centred circle. Like the crop, positions are fractions of the transformed
+// (uncropped) frame's width/height and radii fractions of its shorter side, so circles stay circular
+// on any aspect ratio (see `mapShapeToCrop` for drawing it on a crop);
+// rotation is in degrees and feather is the falloff width as a fraction of the radius.
+export const defaultFocusArea = {
+  x: 0.5,
+  y: 0.5,
+  radiusX: 0.4,
+  radiusY: 0.4,
+  rotation: 0,
+  feather: 0.25,
+};
+
+// What replaces the background behind the detected subject.
+export const backgroundModes = ["blur", "color", "gradient", "image", "remove"];
+
+// Default gradient: CSS-style angle in degrees (0 = bottom to top, 90 = left to right).
+export const defaultBackgroundGradient = { from: "#e0f2fe", to: "#1e3a8a", angle: 180 };
+
+// Whether the rendered image has transparent pixels and must be encoded as PNG.
+export const hasTransparentBackground = (filters) => filters.backgroundMode === "remove";
+
+// Fills `ctx` with an opaque ellipse described by `focusArea`, fading to transparent over the feather width.
+export const fillFocusMask = (ctx, focusArea) => {
+  const { width, height } = ctx.canvas;
+  const shortSide = Math.min(width, height);
+  const radiusX = Math.max(1, focusArea.radiusX * shortSide);
+  const radiusY = Math.max(1, focusArea.radiusY * shortSide);
+  const feather = Math.max(0.001, focusArea.feather);
+
+  ctx.save();
+  // Work in a space where the ellipse is the unit circle, so a radial gradient becomes elliptical
+  ctx.translate(focusArea.x * width, focusArea.y * height);
+  ctx.rotate((focusArea.rotation * Math.PI) / 180);
+  ctx.scale(radiusX, radiusY);
+
+  const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, 1 + feather);
+  gradient.addColorStop(0, "rgba(255,255,255,1)");
+  gradient.addColorStop(1 / (1 + feather), "rgba(255,255,255,1)"); // Fully sharp inside the ellipse
+  gradient.addColorStop(1, "rgba(255,255,255,0)");
+  ctx.fillStyle = gradient;
+
+  const extent = Math.hypot(width, height) / Math.min(radiusX, radiusY) + 2; // Covers the whole canvas in unit space
+  ctx.fillRect(-extent, -extent, extent * 2, extent * 2);
+  ctx.restore();
+};
+
+// Recent segmentations per source image, so slider changes don't re-run it: source -> [{ key, alpha }].
+// Two entries let the preview proxy and the full-resolution render share a source without evicting each other.
+const subjectMaskCache = new WeakMap();
+const MAX_CACHED_MASKS_PER_SOURCE = 2;
+
+// Computes (or reuses) the subject alpha mask for the unfiltered image on `ctx`.
+// `source` is the underlying image and `region` the part of it drawn on `ctx` (see `getSourceRegion`),
+// including its `transform` so masks are only reused for the same rotation and straightening;
+// `seeds` = { focusArea, strokes }. Resolves with a Uint8ClampedArray of alpha values, one per canvas pixel.
+export const getSubjectAlpha = async (ctx, { source: cacheSource, region }, seeds, checkpoint = async () => {}) => {
+  const { width, height } = ctx.canvas;
+  const key = JSON.stringify({ width, height, region, focusArea: seeds.focusArea, strokes: seeds.strokes });
+  const cachedMasks = subjectMaskCache.get(cacheSource) || [];
+  const cached = cachedMasks.find((entry) => entry.key === key);
+  if (cached) {
+    return cached.alpha;
+  }
+
+  // Segment a small working copy, then upsample the result guided by the full-resolution image
+  const scale = Math.min(1, SEGMENTATION_SIZE / Math.max(width, height));
+  const workingWidth = Math.max(1, Math.round(width * scale));
+  const workingHeight = Math.max(1, Math.round(height * scale));
+  const workingCanvas = createCanvas(workingWidth, workingHeight);
+  const workingCtx = workingCanvas.getContext("2d");
+  workingCtx.drawImage(ctx.canvas, 0, 0, workingWidth, workingHeight);
+
+  const mask = await computeSubjectMask(workingCtx.getImageData(0, 0, workingWidth, workingHeight), seeds, checkpoint);
+  const alpha = upsampleSubjectMask(mask, workingWidth, workingHeight, ctx.getImageData(0, 0, width, height));
+  subjectMaskCache.set(cacheSource, [{ key, alpha }, ...cachedMasks].slice(0, MAX_CACHED_MASKS_PER_SOURCE));
+  return alpha;
+};
+
+// Decoded replacement background, keyed by its data URL: { url, bitmap }
+let backgroundImageCache = null;
+
+// Decodes a replacement background image (data or object URL). Works in workers too.
+export const loadBackgroundImage = async (url) => {
+  if (!url) return null;
+  if (backgroundImageCache && backgroundImageCache.url === url) {
+    return backgroundImageCache.bitmap;
+  }
+  const response = await fetch(url);
+  const bitmap = await createImageBitmap(await response.blob());
+  if (backgroundImageCache) {
+    backgroundImageCache.bitmap.close();
+  }
+  backgroundImageCache = { url, bitmap };
+  return bitmap;
+};
+
+// Paints the replacement background for `filters.backgroundMode` onto `ctx`.
+// `content` is the current (filtered) image, used for the blur mode, whose radius is defined at
+// full resolution and multiplied by `resolutionScale` for downscaled renders.
+export const drawBackground = (ctx, filters, { content, backgroundImage, resolutionScale = 1 }) => {
+  const { width, height } = ctx.canvas;
+  ctx.save();
+  switch (filters.backgroundMode) {
+    case "color":
+      ctx.fillStyle = filters.backgroundColor || "#ffffff";
+      ctx.fillRect(0, 0, width, height);
+      break;
+    case "gradient": {
+      const { from, to, angle } = { ...defaultBackgroundGradient, ...(filters.backgroundGradient || {}) };
+      const radians = (angle * Math.PI) / 180;
+      const directionX = Math.sin(radians);
+      const directionY = -Math.cos(radians);
+      const halfLength = (Math.abs(width * directionX) + Math.abs(height * directionY)) / 2;
+      const gradient = ctx.createLinearGradient(
+        width / 2 - directionX * halfLength, height / 2 - directionY * halfLength,
+        width / 2 + directionX * halfLength, height / 2 + directionY * halfLength
+      );
+      gradient.addColorStop(0, from);
+      gradient.addColorStop(1, to);
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, 0, width, height);
+      break;
+    }
+    case "image":
+      if (backgroundImage) {
+        // Cover-fit the replacement image, centred
+        const coverScale = Math.max(width / backgroundImage.width, height / backgroundImage.height);
+        const drawWidth = backgroundImage.width * coverScale;
+        const drawHeight = backgroundImage.height * coverScale;
+        ctx.drawImage(backgroundImage, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+      } else {
+        ctx.fillStyle = "#ffffff";
+        ctx.fillRect(0, 0, width, height);
+      }
+      break;
+    case "remove":
+      ctx.clearRect(0, 0, width, height);
+      break;
+    case "blur":
+    default:
+      // Blurred copy drawn over the current content so edges stay opaque
+      ctx.filter = `blur(${(filters.backgroundBlur || 0) * 10 * resolutionScale}px)`; // Background blur strength
+      ctx.drawImage(content, 0, 0);
+      ctx.filter = "none";
+      break;
+  }
+  ctx.restore();
+};
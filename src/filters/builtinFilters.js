@@ -0,0 +1,404 @@
+// The editor's own filters and control sections, registered in pipeline order (see `registry.js`).
+import { registerFilter, registerFilterSection, formatDecimal } from "./registry";
+import { applySkinSmoothing } from "./skinSmoothing";
+import { applyPixelAdjustment } from "./adjustments";
+import { defaultCurves, defaultLevels, isCurvesActive, isLevelsActive, applyCurves, applyLevels } from "./curves";
+import { applySharpening, applyClarity } from "./detail";
+import { isLocalAdjustmentActive, applyLocalAdjustments } from "./localAdjustments";
+import { defaultVignette, applyVignette } from "./vignette";
+import { createCanvas } from "./canvas";
+import { mapShapeToCrop } from "./geometry";
+import { defaultFrame, drawProfileFrame } from "./frame";
+import { defaultFocusArea, defaultBackgroundGradient, fillFocusMask, drawBackground } from "./background";
+
+// Exposure is shown in stops, e.g. "+0.50 EV"
+const formatExposure = (value) => `${value > 0 ? "+" : ""}${(value || 0).toFixed(2)} EV`;
+// Sharpening radius in pixels and threshold in levels
+const formatPixels = (value) => `${(value || 0).toFixed(1)} px`;
+const formatLevels = (value) => String(Math.round(value || 0));
+
+// Redraws the canvas through a CSS `ctx.filter` function string, e.g. "brightness(1.2)".
+const applyCssFilter = (ctx, filterString) => {
+  const { width, height } = ctx.canvas;
+  const tempCanvas = createCanvas(width, height);
+  const tempCtx = tempCanvas.getContext("2d");
+
+  if (!tempCtx) {
+    console.error("Failed to get 2D context for temporary canvas in applyCssFilter.");
+    return;
+  }
+
+  // Draw current main canvas content to temp, then the filtered version on top of it.
+  // The unfiltered underlay keeps blurred edges from fading to transparent.
+  tempCtx.drawImage(ctx.canvas, 0, 0);
+  tempCtx.filter = filterString;
+  tempCtx.drawImage(ctx.canvas, 0, 0);
+  tempCtx.filter = "none";
+
+  // Clear main canvas and draw filtered temp canvas back
+  ctx.clearRect(0, 0, width, height);
+  ctx.filter = "none"; // Reset main context filter before drawing back
+  ctx.drawImage(tempCanvas, 0, 0);
+};
+
+// Replaces the background behind the subject: blurred copy, colour, gradient, image or nothing.
+const renderBackgroundEffect = (ctx, value, { filters, renderContext, resolutionScale }) => {
+  const { width, height } = ctx.canvas;
+  const currentContent = createCanvas(width, height);
+  const currentContentCtx = currentContent.getContext("2d");
+  if (!currentContentCtx) { console.error("Failed to get context for currentContent canvas."); return; }
+  currentContentCtx.drawImage(ctx.canvas, 0, 0);
+
+  // Main context gets the replacement background (blurred copy, colour, gradient, image or nothing)
+  drawBackground(ctx, filters, { content: currentContent, backgroundImage: renderContext.backgroundImage, resolutionScale });
+
+  const subjectLayer = createCanvas(width, height);
+  const subjectCtx = subjectLayer.getContext("2d");
+  if (!subjectCtx) { console.error("Failed to get context for subjectLayer canvas."); return; }
+  subjectCtx.drawImage(currentContent, 0, 0); // Current (pre-background) content
+
+  subjectCtx.globalCompositeOperation = "destination-in"; // Keep content only where the mask is opaque
+  if (renderContext.subjectAlpha) {
+    const maskData = subjectCtx.createImageData(width, height);
+    for (let i = 0; i < renderContext.subjectAlpha.length; i++) {
+      maskData.data[i * 4 + 3] = renderContext.subjectAlpha[i];
+    }
+    const maskCanvas = createCanvas(width, height);
+    maskCanvas.getContext("2d").putImageData(maskData, 0, 0);
+    subjectCtx.drawImage(maskCanvas, 0, 0);
+  } else {
+    // Segmentation unavailable: fall back to the ellipse, which is stored relative to the uncropped frame
+    fillFocusMask(subjectCtx, mapShapeToCrop(filters.focusArea || defaultFocusArea, filters.crop, width, height));
+  }
+
+  ctx.globalCompositeOperation = "source-over";
+  ctx.drawImage(subjectLayer, 0, 0); // Draw the subject on top
+};
+
+// One of the per-pixel light and colour adjustments in `adjustments.js`
+const pixelAdjustment = (id, label, lowLabel, highLabel, options = {}) => ({
+  id,
+  label,
+  section: "adjustments",
+  neutral: 0,
+  min: -1,
+  max: 1,
+  step: 0.01,
+  lowLabel,
+  highLabel,
+  local: true,
+  applyToImageData: (imageData, value, { checkpoint }) => applyPixelAdjustment(imageData, id, value, checkpoint),
+  ...options,
+});
+
+registerFilterSection({ id: "adjustments", label: "Light & Color", expanded: true });
+registerFilterSection({ id: "tone", label: "Tone Curve & Levels" });
+registerFilterSection({ id: "refinements", label: "Detail & Texture" });
+registerFilterSection({ id: "focusEffects", label: "Focus Effects" });
+registerFilterSection({ id: "frame", label: "Profile Frame" });
+
+registerFilter({
+  id: "smoothing", // Skin smoothing strength: 0 = off, 1 = max smoothing
+  label: "Skin Smoothing",
+  section: "refinements",
+  neutral: 0,
+  min: 0,
+  max: 1,
+  step: 0.01,
+  lowLabel: "Off",
+  highLabel: "Max",
+  local: true,
+  applyToImageData: (imageData, value, { filters, checkpoint }) => (
+    applySkinSmoothing(imageData, { strength: value, texture: filters.smoothingTexture }, checkpoint)
+  ),
+});
+registerFilter({
+  id: "smoothingTexture", // Skin texture retention: 0 = fully smoothed, 1 = keep all fine detail
+  label: "Texture Retention",
+  section: "refinements",
+  parameterOf: "smoothing",
+  neutral: 0.5,
+  min: 0,
+  max: 1,
+  step: 0.01,
+  lowLabel: "Airbrushed",
+  highLabel: "Natural",
+  isEnabled: (filters) => filters.smoothing !== 0, // Only meaningful while skin smoothing is on
+});
+
+// Exposure in EV (stops): -2 to 2, applied in linear light
+registerFilter(pixelAdjustment("exposure", "Exposure", "−2 EV", "+2 EV", { min: -2, max: 2, step: 0.05, format: formatExposure }));
+// White balance: -1 = cooler (blue) to 1 = warmer (amber); -1 = greener to 1 = more magenta
+registerFilter(pixelAdjustment("temperature", "Temperature", "Cooler", "Warmer", { group: "Color" }));
+registerFilter(pixelAdjustment("tint", "Tint", "Green", "Magenta", { group: "Color" }));
+// Tone ranges: -1 to 1 each
+registerFilter(pixelAdjustment("highlights", "Highlights", "Recover", "Brighten"));
+registerFilter(pixelAdjustment("shadows", "Shadows", "Deepen", "Lift"));
+registerFilter(pixelAdjustment("whites", "Whites", "Darker", "Brighter"));
+registerFilter(pixelAdjustment("blacks", "Blacks", "Deeper", "Lifted"));
+
+registerFilter({
+  id: "levels", // Input black point, white point and midtone gamma (see `defaultLevels`)
+  label: "Levels",
+  section: "tone",
+  group: "Levels",
+  neutral: defaultLevels,
+  control: "levels",
+  isActive: isLevelsActive,
+  applyToImageData: (imageData, value, { checkpoint }) => applyLevels(imageData, { ...defaultLevels, ...value }, checkpoint),
+});
+registerFilter({
+  id: "curves", // Tone curve control points for RGB and each channel (see `defaultCurves`)
+  label: "Tone Curve",
+  section: "tone",
+  group: "Curve",
+  neutral: defaultCurves,
+  control: "curves",
+  isActive: isCurvesActive,
+  applyToImageData: (imageData, value, { checkpoint }) => applyCurves(imageData, { ...defaultCurves, ...value }, checkpoint),
+});
+registerFilter({
+  id: "clarity", // Local contrast: -1 = softer to 1 = punchier mid-tone detail
+  label: "Clarity",
+  section: "refinements",
+  neutral: 0,
+  min: -1,
+  max: 1,
+  step: 0.01,
+  lowLabel: "Softer",
+  highLabel: "Punchier",
+  local: true,
+  applyToImageData: (imageData, value, { checkpoint }) => applyClarity(imageData, value, checkpoint),
+});
+registerFilter({
+  id: "brightness", // 0 = no change (100%), -0.5 = 50%, 0.5 = 150%
+  label: "Brightness",
+  section: "adjustments",
+  neutral: 0,
+  min: -0.5,
+  max: 0.5,
+  step: 0.01,
+  lowLabel: "Darker",
+  highLabel: "Brighter",
+  local: true,
+  isActive: (value) => value !== 0,
+  render: (ctx, value) => applyCssFilter(ctx, `brightness(${1 + value})`),
+});
+registerFilter({
+  id: "contrast", // 0 = no change (100%), -0.5 = 50%, 0.5 = 150%
+  label: "Contrast",
+  section: "adjustments",
+  neutral: 0,
+  min: -0.5,
+  max: 0.5,
+  step: 0.01,
+  lowLabel: "Less",
+  highLabel: "More",
+  local: true,
+  isActive: (value) => value !== 0,
+  render: (ctx, value) => applyCssFilter(ctx, `contrast(${1 + value})`),
+});
+registerFilter({
+  id: "blur", // 0 = off, 0.5 = max blur (4px at full resolution)
+  label: "Overall Blur",
+  section: "refinements",
+  neutral: 0,
+  min: 0,
+  max: 0.5,
+  step: 0.01,
+  lowLabel: "None",
+  highLabel: "Subtle",
+  local: true,
+  format: formatDecimal,
+  render: (ctx, value, { resolutionScale }) => applyCssFilter(ctx, `blur(${value * 8 * resolutionScale}px)`), // Map 0-1 to 0-8px blur at full resolution
+});
+// Saturation weighted towards muted colours, sparing skin tones: -1 to 1
+registerFilter(pixelAdjustment("vibrance", "Vibrance", "Muted", "Vibrant", { group: "Color" }));
+registerFilter({
+  id: "saturation", // 0 = no change (100%), -1 = 0% (grayscale), 1 = 200%
+  label: "Saturation",
+  section: "adjustments",
+  group: "Color",
+  neutral: 0,
+  min: -1,
+  max: 1,
+  step: 0.01,
+  lowLabel: "Grayscale",
+  highLabel: "Vivid",
+  local: true,
+  isActive: (value) => value !== 0,
+  render: (ctx, value) => applyCssFilter(ctx, `saturate(${1 + value})`),
+});
+
+registerFilter({
+  id: "sharpen", // Unsharp mask amount: 0 = off, 2 = 200%; spares skin away from edges
+  label: "Amount",
+  historyLabel: "Sharpening",
+  section: "refinements",
+  group: "Sharpening",
+  neutral: 0,
+  min: 0,
+  max: 2,
+  step: 0.01,
+  lowLabel: "Off",
+  highLabel: "Strong",
+  local: true,
+  applyToImageData: (imageData, value, { filters, checkpoint, resolutionScale }) => applySharpening(imageData, {
+    amount: value,
+    radius: (filters.sharpenRadius || 1) * resolutionScale, // The radius is defined at full resolution
+    threshold: filters.sharpenThreshold || 0,
+  }, checkpoint),
+});
+registerFilter({
+  id: "sharpenRadius", // Unsharp mask radius in full-resolution pixels: 0.5 to 3
+  label: "Radius",
+  historyLabel: "Sharpening Radius",
+  section: "refinements",
+  group: "Sharpening",
+  parameterOf: "sharpen",
+  neutral: 1,
+  min: 0.5,
+  max: 3,
+  step: 0.1,
+  lowLabel: "Fine",
+  highLabel: "Wide",
+  format: formatPixels,
+  isEnabled: (filters) => filters.sharpen !== 0,
+});
+registerFilter({
+  id: "sharpenThreshold", // Smallest difference sharpened, in levels (0-255): 0 to 32
+  label: "Threshold",
+  historyLabel: "Sharpening Threshold",
+  section: "refinements",
+  group: "Sharpening",
+  parameterOf: "sharpen",
+  neutral: 0,
+  min: 0,
+  max: 32,
+  step: 1,
+  lowLabel: "All detail",
+  highLabel: "Edges only",
+  format: formatLevels,
+  isEnabled: (filters) => filters.sharpen !== 0,
+  description: "Skin is only sharpened along real edges such as eyes and lips, so pores aren't emphasized.",
+});
+registerFilter({
+  id: "localAdjustments", // Adjustments limited to painted or gradient masks (see `localAdjustments.js`)
+  label: "Local Adjustments",
+  neutral: [],
+  isActive: (value, filters) => Array.isArray(value) && value.some((localAdjustment) => isLocalAdjustmentActive(localAdjustment, filters)),
+  render: (ctx, value, context) => applyLocalAdjustments(ctx, value, context),
+});
+
+registerFilter({
+  id: "backgroundBlur", // 0 = off, 1 = max background blur
+  label: "Background Blur",
+  section: "focusEffects",
+  neutral: 0,
+  min: 0,
+  max: 1,
+  step: 0.01,
+  lowLabel: "None",
+  highLabel: "Strong",
+  // Replacing or removing the background applies regardless of the blur amount
+  isActive: (value, filters) => Boolean(filters.backgroundMode && filters.backgroundMode !== "blur") || Math.abs(value) >= 0.01,
+  render: renderBackgroundEffect,
+});
+registerFilter({
+  id: "focusArea", // Region kept sharp by background blur (see `defaultFocusArea`), and segmentation seed
+  label: "Focus Area",
+  section: "focusEffects",
+  parameterOf: "backgroundBlur",
+  neutral: defaultFocusArea,
+  control: "focusArea",
+  isEnabled: (filters) => filters.backgroundBlur !== 0 || filters.backgroundMode !== "blur", // Only meaningful while a background effect is on
+  description: "Use \"Adjust Focus Area\" below the preview to move, resize and rotate the sharp region, "
+    + "and \"Refine Subject\" to brush over areas the subject detection missed.",
+});
+registerFilter({
+  id: "backgroundMode", // "blur" | "color" | "gradient" | "image" | "remove"
+  label: "Background Mode",
+  section: "focusEffects",
+  parameterOf: "backgroundBlur",
+  neutral: "blur",
+  control: "background",
+});
+registerFilter({ id: "backgroundColor", label: "Background Color", parameterOf: "backgroundBlur", neutral: "#ffffff" }); // Used by the "color" mode
+registerFilter({ id: "backgroundGradient", label: "Background Gradient", parameterOf: "backgroundBlur", neutral: defaultBackgroundGradient }); // Used by the "gradient" mode: { from, to, angle }
+registerFilter({ id: "backgroundImage", label: "Background Image", parameterOf: "backgroundBlur", neutral: null }); // Data URL used by the "image" mode
+registerFilter({ id: "subjectStrokes", label: "Subject Refinement", parameterOf: "backgroundBlur", neutral: [] }); // Brush strokes refining subject detection: [{ type, size, points }]
+
+registerFilter({
+  id: "vignette", // Edge darkening (-1) or lightening (1) of the cropped frame, over any background effect
+  label: "Amount",
+  historyLabel: "Vignette",
+  section: "focusEffects",
+  group: "Vignette",
+  neutral: 0,
+  min: -1,
+  max: 1,
+  step: 0.01,
+  lowLabel: "Darken Edges",
+  highLabel: "Lighten Edges",
+  applyToImageData: (imageData, value, { filters, checkpoint }) => applyVignette(imageData, value, {
+    midpoint: filters.vignetteMidpoint,
+    roundness: filters.vignetteRoundness,
+    feather: filters.vignetteFeather,
+  }, checkpoint),
+});
+registerFilter({
+  id: "vignetteMidpoint", // 0 = falloff near the centre to 1 = only in the corners
+  label: "Midpoint",
+  historyLabel: "Vignette Midpoint",
+  section: "focusEffects",
+  group: "Vignette",
+  parameterOf: "vignette",
+  neutral: defaultVignette.midpoint,
+  min: 0,
+  max: 1,
+  step: 0.01,
+  lowLabel: "Center",
+  highLabel: "Corners",
+  isEnabled: (filters) => filters.vignette !== 0,
+});
+registerFilter({
+  id: "vignetteRoundness", // -1 = rectangular, 0 = oval, 1 = circular
+  label: "Roundness",
+  historyLabel: "Vignette Roundness",
+  section: "focusEffects",
+  group: "Vignette",
+  parameterOf: "vignette",
+  neutral: defaultVignette.roundness,
+  min: -1,
+  max: 1,
+  step: 0.01,
+  lowLabel: "Rectangular",
+  highLabel: "Circular",
+  isEnabled: (filters) => filters.vignette !== 0,
+});
+registerFilter({
+  id: "vignetteFeather", // 0 = hard edge to 1 = very gradual
+  label: "Feather",
+  historyLabel: "Vignette Feather",
+  section: "focusEffects",
+  group: "Vignette",
+  parameterOf: "vignette",
+  neutral: defaultVignette.feather,
+  min: 0,
+  max: 1,
+  step: 0.01,
+  lowLabel: "Hard Edge",
+  highLabel: "Soft Edge",
+  isEnabled: (filters) => filters.vignette !== 0,
+});
+
+registerFilter({
+  id: "frame", // Profile frame ring baked into the export: { enabled, text, color }
+  label: "Profile Frame",
+  section: "frame",
+  neutral: defaultFrame,
+  control: "frame",
+  overlay: true,
+  isActive: (value) => Boolean(value && value.enabled),
+  render: (ctx, value) => drawProfileFrame(ctx, { ...defaultFrame, ...value }),
+});
@@ -0,0 +1,25 @@
+// Canvas helpers that work both on the main thread and inside a Web Worker.
+
+// Creates a canvas in whichever environment we are running in (window or worker).
+export const createCanvas = (width, height) => {
+  if (typeof document !== "undefined") {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+  return new OffscreenCanvas(width, height);
+};
+
+// Encodes a canvas of either kind to a Blob.
+export const canvasToBlob = (canvas, type = "image/jpeg", quality = 0.92) => {
+  if (typeof canvas.convertToBlob === "function") {
+    return canvas.convertToBlob({ type, quality }); // OffscreenCanvas
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error("Failed to encode canvas."));
+    }, type, quality);
+  });
+};
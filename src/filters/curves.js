@@ -0,0 +1,118 @@
+// Tone curves and levels. Both are turned into per-channel lookup tables and applied in one pass.
+import { applyChannelTables } from "./adjustments";
+
+// Control points [x, y] (0-1, sorted by x) of the composite curve and of each channel.
+// Two points from corner to corner are the identity curve.
+export const defaultCurves = {
+  rgb: [[0, 0], [1, 1]],
+  red: [[0, 0], [1, 1]],
+  green: [[0, 0], [1, 1]],
+  blue: [[0, 0], [1, 1]],
+};
+
+export const curveChannels = ["rgb", "red", "green", "blue"];
+export const MAX_CURVE_POINTS = 16;
+
+// Input black and white points (0-1) and the midtone gamma (> 1 brightens the midtones)
+export const defaultLevels = {
+  black: 0,
+  white: 1,
+  gamma: 1,
+};
+
+export const MIN_LEVELS_GAMMA = 0.25;
+export const MAX_LEVELS_GAMMA = 4;
+
+const isIdentityCurve = (points) => (
+  !points || points.every(([x, y]) => Math.abs(x - y) < 0.001) // Any points on the diagonal change nothing
+);
+
+export const isCurvesActive = (curves) => Boolean(curves) && curveChannels.some((channel) => !isIdentityCurve(curves[channel]));
+
+export const isLevelsActive = (levels) => Boolean(levels) && (
+  levels.black !== defaultLevels.black || levels.white !== defaultLevels.white || levels.gamma !== defaultLevels.gamma
+);
+
+// Monotone cubic interpolation (Fritsch–Carlson) through `points`: smooth, and unlike a natural
+// spline it never overshoots between control points. Returns `x => y`, flat outside the points.
+export const createCurveInterpolator = (points) => {
+  const n = points.length;
+  if (n === 0) return (x) => x;
+  if (n === 1) return () => points[0][1];
+  const xs = points.map((p) => p[0]);
+  const ys = points.map((p) => p[1]);
+  const slopes = [];
+  for (let i = 0; i < n - 1; i++) {
+    slopes.push((ys[i + 1] - ys[i]) / Math.max(1e-6, xs[i + 1] - xs[i]));
+  }
+  // Tangents: averages of neighbouring slopes, zero at local extrema, limited to stay monotone
+  const tangents = [slopes[0]];
+  for (let i = 1; i < n - 1; i++) {
+    tangents.push(slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2);
+  }
+  tangents.push(slopes[n - 2]);
+  for (let i = 0; i < n - 1; i++) {
+    if (slopes[i] === 0) {
+      tangents[i] = 0;
+      tangents[i + 1] = 0;
+      continue;
+    }
+    const a = tangents[i] / slopes[i];
+    const b = tangents[i + 1] / slopes[i];
+    const length = Math.hypot(a, b);
+    if (length > 3) {
+      tangents[i] = (3 / length) * a * slopes[i];
+      tangents[i + 1] = (3 / length) * b * slopes[i];
+    }
+  }
+
+  return (x) => {
+    if (x <= xs[0]) return ys[0];
+    if (x >= xs[n - 1]) return ys[n - 1];
+    let i = 0;
+    while (x > xs[i + 1]) i++;
+    const h = xs[i + 1] - xs[i];
+    const t = (x - xs[i]) / h;
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return (2 * t3 - 3 * t2 + 1) * ys[i]
+      + (t3 - 2 * t2 + t) * h * tangents[i]
+      + (-2 * t3 + 3 * t2) * ys[i + 1]
+      + (t3 - t2) * h * tangents[i + 1];
+  };
+};
+
+const createTable = (mapValue) => {
+  const table = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) {
+    table[v] = Math.round(Math.min(1, Math.max(0, mapValue(v / 255))) * 255);
+  }
+  return table;
+};
+
+// 256-entry lookup table for a curve's control points (in any order)
+export const createCurveTable = (points) => (
+  createTable(createCurveInterpolator([...(Array.isArray(points) ? points : defaultCurves.rgb)].sort((a, b) => a[0] - b[0])))
+);
+
+// 256-entry lookup table for `levels`
+export const createLevelsTable = ({ black = 0, white = 1, gamma = 1 } = {}) => {
+  const range = Math.max(1 / 255, white - black);
+  return createTable((x) => Math.min(1, Math.max(0, (x - black) / range)) ** (1 / gamma));
+};
+
+// Applies `curves` to `imageData` in place: each channel's curve, then the composite curve.
+export const applyCurves = (imageData, curves, checkpoint) => {
+  const composite = createCurveTable(curves.rgb);
+  const tables = ["red", "green", "blue"].map((channel) => {
+    const channelTable = createCurveTable(curves[channel]);
+    return channelTable.map((value) => composite[value]);
+  });
+  return applyChannelTables(imageData, tables, checkpoint);
+};
+
+// Applies `levels` to all three channels of `imageData` in place.
+export const applyLevels = (imageData, levels, checkpoint) => {
+  const table = createLevelsTable(levels);
+  return applyChannelTables(imageData, [table, table, table], checkpoint);
+};
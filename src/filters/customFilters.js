@@ -0,0 +1,29 @@
+// In-house filters. Register them here (or import modules that do) so both the editor and the
+// render worker know them; see `registry.js` for the definition format. For example:
+//
+//   import { registerFilter } from "./registry";
+//
+//   registerFilter({
+//     id: "sepia",
+//     label: "Sepia",
+//     section: "adjustments",
+//     group: "Color",
+//     neutral: 0,
+//     min: 0,
+//     max: 1,
+//     step: 0.01,
+//     lowLabel: "Off",
+//     highLabel: "Full",
+//     render: (ctx, value) => { ... },
+//   }, { before: "sharpen" });
+//
+// Filters whose value needs more than a slider name a `control` and register its component:
+//
+//   import { registerFilter, registerFilterControl } from "./registry";
+//   import DuotoneControl from "../components/DuotoneControl";
+//
+//   registerFilterControl("duotone", DuotoneControl); // Rendered with { value, onUpdateFilter, ... }
+//   registerFilter({ id: "duotone", label: "Duotone", section: "adjustments", neutral: null, control: "duotone", render });
+//
+// Recipes, presets, the edit history, the adjustment stack and `FilterControls` pick registered
+// filters and controls up automatically.
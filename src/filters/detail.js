@@ -0,0 +1,137 @@
+// Detail enhancement: unsharp-mask sharpening and clarity (local contrast). Both work on luminance
+// and add the same change to every channel, so edges gain contrast without colour fringes.
+import { ROWS_PER_CHECKPOINT, smoothstep } from "./pixelMath";
+import { boxBlur, skinLikelihood } from "./skinSmoothing";
+
+// Clarity compares each pixel with its surroundings over this fraction of the shorter side, so
+// preview and export (which differ only in size) see the same local contrast
+const CLARITY_RADIUS = 0.02;
+
+// Luminance (0-1) of every pixel of `imageData`
+const getLuminance = ({ data, width, height }) => {
+  const luminance = new Float32Array(width * height);
+  for (let p = 0, i = 0; p < luminance.length; p++, i += 4) {
+    luminance[p] = (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) / 255;
+  }
+  return luminance;
+};
+
+// Separable Gaussian blur with a fractional `sigma` (in pixels); small sigmas blur very little,
+// which is what a downscaled preview of fine sharpening should show. Large sigmas use three box
+// blurs of the same variance instead, which cost the same at any radius.
+const gaussianBlur = (src, width, height, sigma) => {
+  if (sigma >= 2) {
+    const boxRadius = Math.round((Math.sqrt(4 * sigma * sigma + 1) - 1) / 2);
+    const out = boxBlur(src, width, height, boxRadius);
+    boxBlur(out, width, height, boxRadius, out);
+    return boxBlur(out, width, height, boxRadius, out);
+  }
+  const radius = Math.max(1, Math.ceil(sigma * 3));
+  const kernel = new Float32Array(radius * 2 + 1);
+  let kernelSum = 0;
+  for (let k = -radius; k <= radius; k++) {
+    kernel[k + radius] = Math.exp(-(k * k) / (2 * sigma * sigma));
+    kernelSum += kernel[k + radius];
+  }
+  for (let k = 0; k < kernel.length; k++) kernel[k] /= kernelSum;
+
+  const tmp = new Float32Array(src.length);
+  const out = new Float32Array(src.length);
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        sum += src[row + Math.min(width - 1, Math.max(0, x + k))] * kernel[k + radius];
+      }
+      tmp[row + x] = sum;
+    }
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        sum += tmp[Math.min(height - 1, Math.max(0, y + k)) * width + x] * kernel[k + radius];
+      }
+      out[y * width + x] = sum;
+    }
+  }
+  return out;
+};
+
+// Adds `delta(p)` (0-1 luminance units) to every channel of each pixel, awaiting `checkpoint` regularly.
+const addLuminanceDelta = async ({ data, width, height }, delta, checkpoint, progressStart) => {
+  for (let y = 0; y < height; y++) {
+    for (let p = y * width, i = p * 4; p < (y + 1) * width; p++, i += 4) {
+      const change = delta(p) * 255;
+      if (change === 0) continue;
+      data[i] += change;
+      data[i + 1] += change;
+      data[i + 2] += change;
+    }
+    if ((y + 1) % ROWS_PER_CHECKPOINT === 0) {
+      await checkpoint(progressStart + (1 - progressStart) * ((y + 1) / height));
+    }
+  }
+};
+
+// Sharpens `imageData` in place with an unsharp mask. `amount` (0-2) scales the added edge contrast,
+// `radius` is the blur radius in pixels of the image being rendered and `threshold` (0-255 levels) is
+// the smallest difference that gets sharpened, so flat noise is left alone. An edge mask limits
+// sharpening on skin to real edges (eyes, lips, hairline) so pores and blemishes aren't emphasised.
+export const applySharpening = async (imageData, { amount, radius = 1, threshold = 0 }, checkpoint = async () => {}) => {
+  const { width, height, data } = imageData;
+  const luminance = getLuminance(imageData);
+  const blurred = gaussianBlur(luminance, width, height, Math.max(0.1, radius));
+  await checkpoint(0.3);
+
+  // Edge strength: local average of the gradient magnitude
+  const edges = new Float32Array(luminance.length);
+  for (let y = 0; y < height; y++) {
+    const above = Math.max(0, y - 1) * width;
+    const below = Math.min(height - 1, y + 1) * width;
+    for (let x = 0; x < width; x++) {
+      const left = Math.max(0, x - 1);
+      const right = Math.min(width - 1, x + 1);
+      const dx = blurred[y * width + right] - blurred[y * width + left];
+      const dy = blurred[below + x] - blurred[above + x];
+      edges[y * width + x] = Math.hypot(dx, dy);
+    }
+  }
+  boxBlur(edges, width, height, Math.max(1, Math.round(radius * 2)), edges);
+  await checkpoint(0.5);
+
+  const minDifference = threshold / 255;
+  await addLuminanceDelta(imageData, (p) => {
+    const difference = luminance[p] - blurred[p];
+    if (minDifference > 0 && Math.abs(difference) < minDifference) return 0;
+    const i = p * 4;
+    const skin = skinLikelihood(data[i], data[i + 1], data[i + 2]);
+    const mask = Math.max(smoothstep(0.02, 0.08, edges[p]), 1 - skin);
+    return amount * difference * mask;
+  }, checkpoint, 0.5);
+};
+
+// Adds (positive `value`, up to 1) or removes (negative, down to -1) local contrast in `imageData`
+// in place. Mid-tones change most so shadows and highlights don't clip, and positive clarity is
+// halved on skin, where it would mostly bring out wrinkles.
+export const applyClarity = async (imageData, value, checkpoint = async () => {}) => {
+  const { width, height, data } = imageData;
+  const luminance = getLuminance(imageData);
+  const radius = Math.max(1, Math.round(Math.min(width, height) * CLARITY_RADIUS));
+  // Three box blurs approximate a Gaussian at any radius in linear time
+  const blurred = boxBlur(luminance, width, height, radius);
+  boxBlur(blurred, width, height, radius, blurred);
+  boxBlur(blurred, width, height, radius, blurred);
+  await checkpoint(0.4);
+
+  await addLuminanceDelta(imageData, (p) => {
+    const midtones = 1 - (2 * luminance[p] - 1) ** 2;
+    let strength = value * midtones;
+    if (value > 0) {
+      const i = p * 4;
+      strength *= 1 - 0.5 * skinLikelihood(data[i], data[i + 1], data[i + 2]);
+    }
+    return strength * (luminance[p] - blurred[p]);
+  }, checkpoint, 0.4);
+};
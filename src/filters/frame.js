@@ -0,0 +1,82 @@
+// Profile frame: a coloured ring segment with curved text, like LinkedIn's "#OpenToWork" banner.
+// Drawn around the largest centred circle, which is the part LinkedIn shows as the profile photo.
+
+export const defaultFrame = {
+  enabled: false,
+  text: "#OpenToWork",
+  color: "#057642",
+};
+
+// Ready-made frames matching LinkedIn's own banners.
+export const framePresets = [
+  { label: "#OpenToWork", text: "#OpenToWork", color: "#057642" },
+  { label: "#Hiring", text: "#Hiring", color: "#6b3fa0" },
+];
+
+const BAND_THICKNESS = 0.17; // Fraction of the circle radius
+const BAND_CENTER_ANGLE = 135; // Degrees, clockwise from 3 o'clock: the lower-left of the circle
+const MIN_BAND_SWEEP = 150; // Degrees covered by the solid part of the band
+const FADE_SWEEP = 30; // Degrees over which each end of the band fades out
+const FADE_STEPS = 12;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Draws `frame` onto `ctx` around the centred circle of the canvas.
+export const drawProfileFrame = (ctx, frame) => {
+  const { width, height } = ctx.canvas;
+  const radius = Math.min(width, height) / 2;
+  const centerX = width / 2;
+  const centerY = height / 2;
+  const thickness = radius * BAND_THICKNESS;
+  const bandRadius = radius - thickness / 2;
+  const text = (frame.text || "").toUpperCase();
+
+  ctx.save();
+  ctx.font = `bold ${Math.round(thickness * 0.55)}px "Helvetica Neue", Arial, sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+
+  // Letter spacing adds breathing room between characters along the curve
+  const letterSpacing = thickness * 0.08;
+  const characterWidths = Array.from(text).map((character) => ctx.measureText(character).width + letterSpacing);
+  const textSweep = (characterWidths.reduce((sum, w) => sum + w, 0) / bandRadius) * (180 / Math.PI);
+  const solidSweep = Math.min(300, Math.max(MIN_BAND_SWEEP, textSweep + 30));
+  const startAngle = BAND_CENTER_ANGLE - solidSweep / 2;
+  const endAngle = BAND_CENTER_ANGLE + solidSweep / 2;
+
+  ctx.strokeStyle = frame.color || defaultFrame.color;
+  ctx.lineWidth = thickness;
+  ctx.lineCap = "butt";
+
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, bandRadius, toRadians(startAngle), toRadians(endAngle));
+  ctx.stroke();
+
+  // Both ends fade out gradually rather than stopping abruptly
+  const stepSweep = FADE_SWEEP / FADE_STEPS;
+  for (let step = 0; step < FADE_STEPS; step++) {
+    ctx.globalAlpha = 1 - (step + 1) / (FADE_STEPS + 1);
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, bandRadius, toRadians(endAngle + step * stepSweep), toRadians(endAngle + (step + 1) * stepSweep));
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, bandRadius, toRadians(startAngle - (step + 1) * stepSweep), toRadians(startAngle - step * stepSweep));
+    ctx.stroke();
+  }
+  ctx.globalAlpha = 1;
+
+  // Text runs counter-clockwise so it reads left to right along the bottom, letter tops towards the centre
+  ctx.fillStyle = "#ffffff";
+  let angle = toRadians(BAND_CENTER_ANGLE) + characterWidths.reduce((sum, w) => sum + w, 0) / bandRadius / 2;
+  Array.from(text).forEach((character, index) => {
+    const characterAngle = angle - characterWidths[index] / bandRadius / 2;
+    ctx.save();
+    ctx.translate(centerX + bandRadius * Math.cos(characterAngle), centerY + bandRadius * Math.sin(characterAngle));
+    ctx.rotate(characterAngle - Math.PI / 2);
+    ctx.fillText(character, 0, 0);
+    ctx.restore();
+    angle -= characterWidths[index] / bandRadius;
+  });
+
+  ctx.restore();
+};
@@ -0,0 +1,185 @@
+// Rotation, flipping and straightening of the source. They are applied when the source is drawn,
+// before the crop and every filter, so crops are defined on the transformed (upright) photo.
+
+export const defaultTransform = {
+  rotation: 0,           // Clockwise quarter turns in degrees: 0 | 90 | 180 | 270
+  flipHorizontal: false, // Mirror left to right
+  flipVertical: false,   // Mirror top to bottom
+  straighten: 0,         // Fine rotation in degrees, -45 to 45 (clockwise positive)
+};
+
+export const MAX_STRAIGHTEN_ANGLE = 45;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+export const isIdentityTransform = (transform) => (
+  !transform || (!transform.rotation && !transform.flipHorizontal && !transform.flipVertical && !transform.straighten)
+);
+
+// Size of the transformed photo for a `sourceWidth` × `sourceHeight` source. Quarter turns swap the
+// sides; straightening keeps the aspect ratio and shrinks to the largest rectangle that fits inside
+// the tilted photo, so no empty corners show.
+export const getTransformedFrame = (transform, sourceWidth, sourceHeight) => {
+  const { rotation = 0, straighten = 0 } = transform || {};
+  const swapsSides = rotation === 90 || rotation === 270;
+  const width = swapsSides ? sourceHeight : sourceWidth;
+  const height = swapsSides ? sourceWidth : sourceHeight;
+  if (!straighten) {
+    return { width, height };
+  }
+  const cos = Math.cos(toRadians(Math.abs(straighten)));
+  const sin = Math.sin(toRadians(Math.abs(straighten)));
+  const scale = Math.min(width / (width * cos + height * sin), height / (width * sin + height * cos));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+};
+
+// Draws `region` (in pixels of the transformed frame, see `getTransformedFrame`) of the transformed
+// `source` onto `ctx`, scaled to `width` × `height`.
+export const drawTransformedSource = (ctx, source, transform, region, width, height) => {
+  const sourceWidth = source.naturalWidth || source.width;
+  const sourceHeight = source.naturalHeight || source.height;
+  if (isIdentityTransform(transform)) {
+    ctx.drawImage(source, region.x, region.y, region.width, region.height, 0, 0, width, height);
+    return;
+  }
+  const frame = getTransformedFrame(transform, sourceWidth, sourceHeight);
+  ctx.save();
+  ctx.scale(width / region.width, height / region.height);
+  ctx.translate(frame.width / 2 - region.x, frame.height / 2 - region.y);
+  ctx.rotate(toRadians(transform.straighten || 0));
+  ctx.scale(transform.flipHorizontal ? -1 : 1, transform.flipVertical ? -1 : 1);
+  ctx.rotate(toRadians(transform.rotation || 0));
+  ctx.drawImage(source, -sourceWidth / 2, -sourceHeight / 2);
+  ctx.restore();
+};
+
+// Painted shapes (subject refinement strokes, local adjustment masks) and the focus area are stored
+// like the crop: points (`points`, `start`, `end`, `center`, or `x` and `y`) are fractions of the
+// transformed frame and sizes (`size`, `radius`, `radiusX`, `radiusY`) fractions of its shorter side,
+// so they stay on the same part of the photo when it is re-cropped. Returns `shape` with `mapPoint`
+// applied to its points and its sizes multiplied by `sizeScale`.
+export const mapShape = (shape, mapPoint, sizeScale = 1) => {
+  if (!shape || typeof shape !== "object") return shape;
+  const mapped = { ...shape };
+  if (Array.isArray(shape.points)) {
+    mapped.points = shape.points.map((point) => (Array.isArray(point) ? mapPoint(point) : point));
+  }
+  ["start", "end", "center"].forEach((key) => {
+    if (Array.isArray(shape[key])) mapped[key] = mapPoint(shape[key]);
+  });
+  if (typeof shape.x === "number" && typeof shape.y === "number") {
+    [mapped.x, mapped.y] = mapPoint([shape.x, shape.y]);
+  }
+  ["size", "radius", "radiusX", "radiusY"].forEach((key) => {
+    if (typeof shape[key] === "number") mapped[key] = shape[key] * sizeScale;
+  });
+  return mapped;
+};
+
+// Shorter side of the transformed frame, for a crop rendered at `width` × `height`
+const getFrameShortSide = (crop, width, height) => Math.min(width / crop.width, height / crop.height);
+
+// Returns a painted `shape` in fractions of the `crop` region rendered at `width` × `height` (sizes
+// in fractions of its shorter side), ready to be drawn there. Points outside the crop fall outside 0-1.
+export const mapShapeToCrop = (shape, crop, width, height) => {
+  if (!crop) return shape;
+  return mapShape(
+    shape,
+    ([x, y]) => [(x - crop.x) / crop.width, (y - crop.y) / crop.height],
+    getFrameShortSide(crop, width, height) / Math.min(width, height)
+  );
+};
+
+// The inverse of `mapShapeToCrop`: stores a `shape` drawn on the `crop` region rendered at
+// `width` × `height` in fractions of the transformed frame.
+export const mapShapeFromCrop = (shape, crop, width, height) => {
+  if (!crop) return shape;
+  return mapShape(
+    shape,
+    ([x, y]) => [crop.x + x * crop.width, crop.y + y * crop.height],
+    Math.min(width, height) / getFrameShortSide(crop, width, height)
+  );
+};
+
+// Wraps an angle in degrees into -180 to 180
+const wrapAngle = (degrees) => ((((degrees + 180) % 360) + 360) % 360) - 180;
+
+// Painted shapes and the focus area in `filters` with `mapPoint` applied, for the keys that are
+// present. `mapRotation(degrees)` turns the focus area's rotation along.
+const mapPaintedShapes = ({ subjectStrokes, localAdjustments, focusArea }, mapPoint, mapRotation) => {
+  const mapped = {};
+  if (focusArea && typeof focusArea === "object") {
+    mapped.focusArea = { ...mapShape(focusArea, mapPoint), rotation: wrapAngle(mapRotation(focusArea.rotation || 0)) };
+  }
+  if (Array.isArray(subjectStrokes)) {
+    mapped.subjectStrokes = subjectStrokes.map((stroke) => mapShape(stroke, mapPoint));
+  }
+  if (Array.isArray(localAdjustments)) {
+    mapped.localAdjustments = localAdjustments.map((localAdjustment) => (
+      localAdjustment && Array.isArray(localAdjustment.shapes)
+        ? { ...localAdjustment, shapes: localAdjustment.shapes.map((shape) => mapShape(shape, mapPoint)) }
+        : localAdjustment
+    ));
+  }
+  return mapped;
+};
+
+// Turns the photo by `quarterTurns` (1 = 90° clockwise, -1 = counter-clockwise) as it is shown,
+// keeping the crop, painted shapes and focus area on the same part of the photo. Returns
+// { transform, crop } and the remapped painted shapes of `filters` (see `mapPaintedShapes`).
+export const rotateGeometry = (filters, quarterTurns) => {
+  const { transform = defaultTransform, crop = null } = filters;
+  // A single flip mirrors the direction the underlying quarter turn has to go
+  const isMirrored = Boolean(transform.flipHorizontal) !== Boolean(transform.flipVertical);
+  const turns = isMirrored ? -quarterTurns : quarterTurns;
+  const rotation = ((((transform.rotation || 0) + turns * 90) % 360) + 360) % 360;
+
+  const clockwise = ((quarterTurns % 4) + 4) % 4 === 1;
+  let nextCrop = crop;
+  let mapPoint = (point) => point;
+  if (quarterTurns % 2 !== 0) {
+    mapPoint = clockwise ? ([x, y]) => [1 - y, x] : ([x, y]) => [y, 1 - x];
+  } else if (quarterTurns % 4 !== 0) {
+    mapPoint = ([x, y]) => [1 - x, 1 - y];
+  }
+  if (crop && quarterTurns % 2 !== 0) {
+    nextCrop = {
+      ...crop,
+      x: clockwise ? 1 - crop.y - crop.height : crop.y,
+      y: clockwise ? crop.x : 1 - crop.x - crop.width,
+      width: crop.height,
+      height: crop.width,
+      aspectRatio: crop.aspectRatio ? 1 / crop.aspectRatio : null,
+    };
+  } else if (crop && quarterTurns % 4 !== 0) {
+    nextCrop = { ...crop, x: 1 - crop.x - crop.width, y: 1 - crop.y - crop.height };
+  }
+  const mapRotation = (degrees) => degrees + quarterTurns * 90;
+  return { transform: { ...transform, rotation }, crop: nextCrop, ...mapPaintedShapes(filters, mapPoint, mapRotation) };
+};
+
+// Mirrors the photo as it is shown along `axis` ("horizontal" | "vertical"), together with the crop,
+// painted shapes and focus area. Returns { transform, crop } and the remapped painted shapes of
+// `filters`.
+export const flipGeometry = (filters, axis) => {
+  const { transform = defaultTransform, crop = null } = filters;
+  const isHorizontal = axis === "horizontal";
+  const nextTransform = {
+    ...transform,
+    flipHorizontal: isHorizontal ? !transform.flipHorizontal : transform.flipHorizontal,
+    flipVertical: isHorizontal ? transform.flipVertical : !transform.flipVertical,
+    straighten: transform.straighten ? -transform.straighten : 0, // Mirroring also mirrors the tilt
+  };
+  let nextCrop = crop;
+  if (crop) {
+    nextCrop = isHorizontal
+      ? { ...crop, x: 1 - crop.x - crop.width }
+      : { ...crop, y: 1 - crop.y - crop.height };
+  }
+  const mapPoint = isHorizontal ? ([x, y]) => [1 - x, y] : ([x, y]) => [x, 1 - y];
+  const mapRotation = (degrees) => -degrees; // Mirroring an ellipse mirrors its tilt
+  return { transform: nextTransform, crop: nextCrop, ...mapPaintedShapes(filters, mapPoint, mapRotation) };
+};
@@ -0,0 +1,104 @@
+// Adjustment stack: the order the filters run in, which of them are shown, and duplicated layers.
+// `filters.layers` is a list of { id, type, visible } where `type` is a registered filter. The first
+// layer of each type has `id === type` and reads its value from `filters[type]`, so the regular
+// controls edit it; duplicates (id "<type>:<n>") carry their own `value`. Overlays (the profile frame)
+// aren't layers and always go on top; parameter keys are shared by every layer of their filter.
+import { getFilterDefinitions, getFilterDefinition } from "./registry";
+
+const isStackable = (definition) => Boolean(definition) && !definition.parameterOf && !definition.overlay;
+
+// One visible layer per stackable filter, in registry order
+export const getDefaultLayers = () => (
+  getFilterDefinitions().filter(isStackable).map(({ id }) => ({ id, type: id, visible: true }))
+);
+
+export const isDuplicateLayer = (layer) => layer.id !== layer.type;
+
+// Only slider filters can be duplicated, as the stack edits a duplicate's value with its slider
+export const canDuplicateLayer = (type) => {
+  const definition = getFilterDefinition(type);
+  return isStackable(definition) && definition.control === "slider";
+};
+
+export const getLayerValue = (layer, filters) => (isDuplicateLayer(layer) ? layer.value : filters[layer.type]);
+
+// Label of a layer in the stack, e.g. "Clarity" or "Clarity 2" for its first duplicate
+export const getLayerLabel = (layer) => {
+  const { historyLabel } = getFilterDefinition(layer.type);
+  return isDuplicateLayer(layer) ? `${historyLabel} ${layer.id.split(":")[1]}` : historyLabel;
+};
+
+// Returns a well-formed stack for `layers`: malformed, unknown and repeated layers are dropped,
+// duplicate values are clamped to their slider range, and stackable filters missing from `layers`
+// (stacks saved before they were registered, or none at all) are added after the filter that
+// precedes them in registry order.
+export const resolveLayers = (layers) => {
+  if (!Array.isArray(layers)) {
+    return getDefaultLayers();
+  }
+  const ids = new Set();
+  const resolved = [];
+  layers.forEach((layer) => {
+    if (!layer || typeof layer !== "object" || typeof layer.id !== "string" || ids.has(layer.id)) return;
+    const definition = getFilterDefinition(layer.type);
+    if (!isStackable(definition)) return;
+    const visible = layer.visible !== false;
+    if (!isDuplicateLayer(layer)) {
+      resolved.push({ id: layer.id, type: layer.type, visible });
+    } else if (canDuplicateLayer(layer.type) && typeof layer.value === "number" && Number.isFinite(layer.value)) {
+      const value = Math.min(definition.max, Math.max(definition.min, layer.value));
+      resolved.push({ id: layer.id, type: layer.type, visible, value });
+    } else {
+      return;
+    }
+    ids.add(layer.id);
+  });
+
+  let previousIndex = -1;
+  getFilterDefinitions().filter(isStackable).forEach(({ id }) => {
+    const index = resolved.findIndex((layer) => layer.id === id);
+    if (index === -1) {
+      resolved.splice(previousIndex + 1, 0, { id, type: id, visible: true });
+      previousIndex += 1;
+    } else {
+      previousIndex = index;
+    }
+  });
+  return resolved;
+};
+
+// Returns `layers` with `layerId` moved to `toIndex`
+export const moveLayer = (layers, layerId, toIndex) => {
+  const fromIndex = layers.findIndex((layer) => layer.id === layerId);
+  if (fromIndex === -1) return layers;
+  const next = [...layers];
+  const [layer] = next.splice(fromIndex, 1);
+  next.splice(Math.min(next.length, Math.max(0, toIndex)), 0, layer);
+  return next;
+};
+
+// Returns `layers` with the visibility of `layerId` switched; values are kept either way
+export const toggleLayerVisibility = (layers, layerId) => (
+  layers.map((layer) => (layer.id === layerId ? { ...layer, visible: !layer.visible } : layer))
+);
+
+// Returns `layers` with a copy of `layerId` (at its current value in `filters`) running right after it
+export const duplicateLayer = (layers, layerId, filters) => {
+  const index = layers.findIndex((layer) => layer.id === layerId);
+  if (index === -1 || !canDuplicateLayer(layers[index].type)) return layers;
+  const source = layers[index];
+  let number = 2;
+  while (layers.some((layer) => layer.id === `${source.type}:${number}`)) number++;
+  const copy = { id: `${source.type}:${number}`, type: source.type, visible: true, value: getLayerValue(source, filters) };
+  return [...layers.slice(0, index + 1), copy, ...layers.slice(index + 1)];
+};
+
+// Returns `layers` without the duplicate `layerId`; the first layer of a filter can't be removed
+export const removeLayer = (layers, layerId) => (
+  layers.filter((layer) => layer.id !== layerId || !isDuplicateLayer(layer))
+);
+
+// Returns `layers` with the value of the duplicate `layerId` set to `value`
+export const setLayerValue = (layers, layerId, value) => (
+  layers.map((layer) => (layer.id === layerId && isDuplicateLayer(layer) ? { ...layer, value } : layer))
+);
@@ -0,0 +1,193 @@
+// Local adjustments: sets of slider values applied only where a painted or gradient mask covers the
+// photo. `filters.localAdjustments` is a list of { id, name, visible, invert, shapes, adjustments },
+// where `adjustments` holds values of filters registered with `local: true` (e.g. { exposure: 0.3 })
+// and `shapes` build up the mask in order:
+//   { type: "brush", erase, size, hardness, flow, points }
+//       A painted stroke. `size` is the brush diameter, `hardness` the part of the radius that is fully
+//       covered and `flow` how much one stroke adds (overlapping strokes build up).
+//   { type: "linear", erase, start: [x, y], end: [x, y] }
+//       Full coverage behind `start`, fading out towards `end`.
+//   { type: "radial", erase, center: [x, y], radius, feather }
+//       Full coverage inside the circle, fading out over the outer `feather` (0-1) of its radius.
+// Shapes with `erase` remove coverage instead. Like the crop, points are fractions of the transformed
+// (uncropped) frame's width and height and sizes fractions of its shorter side, so a mask covers the
+// same part of the photo in the preview proxy and the full-resolution export, and after re-cropping.
+// Rotating and flipping remap them with the crop (see `rotateGeometry`).
+import { getFilterDefinitions, isRegisteredFilterActive, runFilter } from "./registry";
+import { mapShapeToCrop } from "./geometry";
+import { ROWS_PER_CHECKPOINT, smoothstep } from "./pixelMath";
+
+export const defaultBrush = {
+  size: 0.08,
+  hardness: 0.5,
+  flow: 0.8,
+};
+
+// Dabs are stamped this fraction of the brush diameter apart along a stroke
+const DAB_SPACING = 0.15;
+
+// Filters that can be part of a local adjustment, in pipeline order
+export const getLocalFilterDefinitions = () => getFilterDefinitions().filter((definition) => definition.local);
+
+export const isLocalAdjustmentActive = (localAdjustment, filters = {}) => {
+  if (!localAdjustment || localAdjustment.visible === false) return false;
+  const { shapes = [], invert = false, adjustments = {} } = localAdjustment;
+  if (shapes.length === 0 && !invert) return false; // An empty mask covers nothing
+  const localFilters = { ...filters, ...adjustments };
+  return getLocalFilterDefinitions().some(({ id }) => id in adjustments && isRegisteredFilterActive(id, adjustments[id], localFilters));
+};
+
+// Composites a shape's coverage (0-1) into `mask` at pixel `p`
+const addCoverage = (mask, p, coverage, erase) => {
+  if (coverage <= 0) return;
+  mask[p] = erase ? mask[p] * (1 - coverage) : mask[p] + coverage * (1 - mask[p]);
+};
+
+// Within a stroke, overlapping dabs don't build up: each pixel takes the strongest dab covering it,
+// and the whole stroke is then added at `flow`.
+const drawBrushStroke = (mask, strokeCoverage, width, height, { erase, size, hardness, flow, points }) => {
+  const shortSide = Math.min(width, height);
+  const radius = Math.max(0.5, (size * shortSide) / 2);
+  const pixelPoints = points.map(([x, y]) => [x * width, y * height]);
+  const dabs = [pixelPoints[0]];
+  for (let i = 1; i < pixelPoints.length; i++) {
+    const [x0, y0] = pixelPoints[i - 1];
+    const [x1, y1] = pixelPoints[i];
+    const steps = Math.max(1, Math.ceil(Math.hypot(x1 - x0, y1 - y0) / (radius * 2 * DAB_SPACING)));
+    for (let step = 1; step <= steps; step++) {
+      dabs.push([x0 + ((x1 - x0) * step) / steps, y0 + ((y1 - y0) * step) / steps]);
+    }
+  }
+
+  // Bounding box of the stroke, clipped to the frame
+  let [minX, minY, maxX, maxY] = [Infinity, Infinity, -Infinity, -Infinity];
+  dabs.forEach(([x, y]) => {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  });
+  const left = Math.max(0, Math.floor(minX - radius));
+  const right = Math.min(width - 1, Math.ceil(maxX + radius));
+  const top = Math.max(0, Math.floor(minY - radius));
+  const bottom = Math.min(height - 1, Math.ceil(maxY + radius));
+  if (left > right || top > bottom) return;
+  for (let y = top; y <= bottom; y++) {
+    strokeCoverage.fill(0, y * width + left, y * width + right + 1);
+  }
+
+  const inner = Math.min(0.99, Math.max(0, hardness));
+  dabs.forEach(([cx, cy]) => {
+    const dabLeft = Math.max(left, Math.floor(cx - radius));
+    const dabRight = Math.min(right, Math.ceil(cx + radius));
+    const dabTop = Math.max(top, Math.floor(cy - radius));
+    const dabBottom = Math.min(bottom, Math.ceil(cy + radius));
+    for (let y = dabTop; y <= dabBottom; y++) {
+      for (let x = dabLeft; x <= dabRight; x++) {
+        const distance = Math.hypot(x + 0.5 - cx, y + 0.5 - cy) / radius;
+        if (distance >= 1) continue;
+        const coverage = 1 - smoothstep(inner, 1, distance);
+        const p = y * width + x;
+        if (coverage > strokeCoverage[p]) strokeCoverage[p] = coverage;
+      }
+    }
+  });
+
+  for (let y = top; y <= bottom; y++) {
+    for (let p = y * width + left; p <= y * width + right; p++) {
+      addCoverage(mask, p, strokeCoverage[p] * flow, erase);
+    }
+  }
+};
+
+const drawLinearGradient = (mask, width, height, { erase, start, end }) => {
+  const [x0, y0] = [start[0] * width, start[1] * height];
+  const dx = end[0] * width - x0;
+  const dy = end[1] * height - y0;
+  const lengthSquared = dx * dx + dy * dy;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // Position along the gradient: 0 at `start`, 1 at `end`
+      const t = lengthSquared > 0 ? ((x + 0.5 - x0) * dx + (y + 0.5 - y0) * dy) / lengthSquared : 0;
+      addCoverage(mask, y * width + x, 1 - smoothstep(0, 1, t), erase);
+    }
+  }
+};
+
+const drawRadialGradient = (mask, width, height, { erase, center, radius, feather }) => {
+  const cx = center[0] * width;
+  const cy = center[1] * height;
+  const pixelRadius = Math.max(0.5, radius * Math.min(width, height));
+  const inner = 1 - Math.min(1, Math.max(0.01, feather));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const distance = Math.hypot(x + 0.5 - cx, y + 0.5 - cy) / pixelRadius;
+      addCoverage(mask, y * width + x, 1 - smoothstep(inner, 1, distance), erase);
+    }
+  }
+};
+
+// Rasterises the mask of `localAdjustment` for the `crop` region (null for the whole frame) rendered at
+// `width`×`height`. Resolves with a Float32Array of coverage values (0-1), one per pixel.
+export const createLocalMask = async (width, height, { shapes = [], invert = false }, { crop = null, checkpoint = async () => {} } = {}) => {
+  const mask = new Float32Array(width * height);
+  let strokeCoverage = null;
+  for (let index = 0; index < shapes.length; index++) {
+    const shape = mapShapeToCrop(shapes[index] || {}, crop, width, height);
+    // Shapes missing their geometry (e.g. from a hand-edited recipe) are skipped
+    if (shape.type === "brush" && Array.isArray(shape.points) && shape.points.length > 0) {
+      strokeCoverage = strokeCoverage || new Float32Array(width * height);
+      drawBrushStroke(mask, strokeCoverage, width, height, { ...defaultBrush, ...shape });
+    } else if (shape.type === "linear" && Array.isArray(shape.start) && Array.isArray(shape.end)) {
+      drawLinearGradient(mask, width, height, shape);
+    } else if (shape.type === "radial" && Array.isArray(shape.center) && typeof shape.radius === "number") {
+      drawRadialGradient(mask, width, height, { feather: 0.5, ...shape });
+    }
+    await checkpoint((index + 1) / shapes.length);
+  }
+  if (invert) {
+    for (let p = 0; p < mask.length; p++) mask[p] = 1 - mask[p];
+  }
+  return mask;
+};
+
+// Applies every active local adjustment in `localAdjustments` to the canvas of `ctx`: its filters run
+// over the whole frame (in pipeline order, sharing the global parameter keys in `filters`) and the
+// result is blended with the unadjusted pixels through its mask.
+export const applyLocalAdjustments = async (ctx, localAdjustments, { filters, checkpoint, renderContext, resolutionScale }) => {
+  const active = localAdjustments.filter((localAdjustment) => isLocalAdjustmentActive(localAdjustment, filters));
+  const { width, height } = ctx.canvas;
+  for (let index = 0; index < active.length; index++) {
+    const localAdjustment = active[index];
+    const progress = (fraction) => checkpoint((index + fraction) / active.length);
+    const mask = await createLocalMask(width, height, localAdjustment, {
+      crop: filters.crop,
+      checkpoint: (fraction) => progress(fraction * 0.2),
+    });
+    const before = ctx.getImageData(0, 0, width, height);
+
+    const localFilters = { ...filters, ...localAdjustment.adjustments };
+    const definitions = getLocalFilterDefinitions()
+      .filter(({ id }) => id in localAdjustment.adjustments && isRegisteredFilterActive(id, localFilters[id], localFilters));
+    for (let step = 0; step < definitions.length; step++) {
+      const definition = definitions[step];
+      const filterProgress = (fraction) => progress(0.2 + (0.7 * (step + fraction)) / definitions.length);
+      await runFilter(ctx, definition, localFilters[definition.id], { filters: localFilters, checkpoint: filterProgress, renderContext, resolutionScale });
+    }
+
+    const after = ctx.getImageData(0, 0, width, height);
+    for (let y = 0; y < height; y++) {
+      for (let p = y * width, i = p * 4; p < (y + 1) * width; p++, i += 4) {
+        const coverage = mask[p];
+        if (coverage >= 1) continue;
+        for (let c = 0; c < 4; c++) {
+          after.data[i + c] = before.data[i + c] + (after.data[i + c] - before.data[i + c]) * coverage;
+        }
+      }
+      if ((y + 1) % ROWS_PER_CHECKPOINT === 0) {
+        await progress(0.9 + (0.1 * (y + 1)) / height);
+      }
+    }
+    ctx.putImageData(after, 0, 0);
+  }
+};
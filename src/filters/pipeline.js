@@ -0,0 +1,160 @@
+import "./builtinFilters";
+import "./customFilters";
+import { getFilterDefinitions, getFilterDefinition, isRegisteredFilterActive, runFilter } from "./registry";
+import { resolveLayers, getLayerValue } from "./layers";
+import { createCanvas } from "./canvas";
+import { getTransformedFrame, drawTransformedSource, mapShapeToCrop } from "./geometry";
+import { defaultFocusArea, getSubjectAlpha, loadBackgroundImage, hasTransparentBackground } from "./background";
+
+export { createCanvas, canvasToBlob } from "./canvas";
+export { defaultFocusArea } from "./background";
+export { defaultFrame } from "./frame";
+export { defaultTransform } from "./geometry";
+export { defaultCurves, defaultLevels } from "./curves";
+export { defaultVignette } from "./vignette";
+export {
+  registerFilter, registerFilterSection, registerFilterControl, getFilterDefinitions, getFilterDefinition, getFilterSections,
+  getFilterDefaults, getFilterControl,
+} from "./registry";
+
+// Filter render pipeline shared by the filter worker and the main-thread fallback.
+// Nothing in here touches the DOM directly, so it runs against both HTMLCanvasElement
+// and OffscreenCanvas contexts.
+
+// How long (ms) a render may run before it yields so newer requests can be received.
+const YIELD_INTERVAL_MS = 25;
+
+// Thrown (and reported back) when a render is superseded by a newer one.
+export class RenderCancelledError extends Error {
+  constructor(message = "Render was cancelled by a newer request.") {
+    super(message);
+    this.name = "RenderCancelledError";
+  }
+}
+
+const yieldToEventLoop = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Returns an async `checkpoint(progress)` function for long-running work.
+// It reports progress, yields to the event loop every YIELD_INTERVAL_MS and throws
+// a RenderCancelledError once `isCancelled()` becomes true.
+const createCheckpoint = ({ isCancelled = () => false, onProgress } = {}) => {
+  let lastYield = Date.now();
+  return async (progress) => {
+    if (typeof onProgress === "function") {
+      onProgress(Math.min(1, Math.max(0, progress)));
+    }
+    if (Date.now() - lastYield >= YIELD_INTERVAL_MS) {
+      await yieldToEventLoop();
+      lastYield = Date.now();
+    }
+    if (isCancelled()) {
+      throw new RenderCancelledError();
+    }
+  };
+};
+
+// Keys that only parameterise another filter (key -> owning filter), from the registry. They are
+// read by the owning filter's step and never run as steps of their own.
+export const getFilterParameterKeys = () => Object.fromEntries(
+  getFilterDefinitions().filter((definition) => definition.parameterOf).map((definition) => [definition.id, definition.parameterOf])
+);
+
+// Keys describing which part of the source is rendered. They are applied when the source is
+// drawn (see `getSourceRegion` and `drawTransformedSource`) and never run as filter steps.
+export const geometryKeys = ["transform", "crop"];
+
+// MIME type the rendered image should be encoded as.
+export const getOutputType = (filters) => (hasTransparentBackground(filters) ? "image/png" : "image/jpeg");
+
+// Whether a filter value would change the image at all. `filters` holds all current values.
+export const isFilterActive = (filterType, value, filters = {}) => (
+  !geometryKeys.includes(filterType) && isRegisteredFilterActive(filterType, value, filters)
+);
+
+// Applies a single filter to `ctx`. `checkpoint(fraction)` is called with the progress (0-1)
+// through this filter and may throw RenderCancelledError. `filters` holds all current values,
+// so a filter can read its parameter keys (see `getFilterParameterKeys`). `renderContext` carries
+// per-render resources prepared by `renderImage` (e.g. the subject mask) and `resolutionScale`,
+// the render size relative to full resolution: pixel radii are defined at full resolution and
+// multiplied by it, so a downscaled preview looks like the full-size export.
+export const applyFilter = async (ctx, filterType, value, checkpoint = async () => {}, filters = {}, renderContext = {}) => {
+  if (!isFilterActive(filterType, value, filters)) {
+    return;
+  }
+  const context = { filters, checkpoint, renderContext, resolutionScale: renderContext.resolutionScale || 1 };
+  await runFilter(ctx, getFilterDefinition(filterType), value, context);
+};
+
+// The rectangle of a `sourceWidth`×`sourceHeight` source that is rendered, in source pixels.
+// `crop` is { x, y, width, height } in fractions of the source size, or null for the whole image.
+// With a rotation or straightening, the source is the transformed frame (see `getTransformedFrame`).
+export const getSourceRegion = (crop, sourceWidth, sourceHeight) => {
+  if (!crop) {
+    return { x: 0, y: 0, width: sourceWidth, height: sourceHeight };
+  }
+  const x = Math.min(sourceWidth - 1, Math.max(0, Math.round(crop.x * sourceWidth)));
+  const y = Math.min(sourceHeight - 1, Math.max(0, Math.round(crop.y * sourceHeight)));
+  return {
+    x,
+    y,
+    width: Math.max(1, Math.min(sourceWidth - x, Math.round(crop.width * sourceWidth))),
+    height: Math.max(1, Math.min(sourceHeight - y, Math.round(crop.height * sourceHeight))),
+  };
+};
+
+// Draws the transformed and cropped `source` (an ImageBitmap, image element or canvas) onto a fresh
+// canvas and applies every active filter in adjustment stack order (see `layers.js`), overlays last.
+// Resolves with the rendered canvas.
+// Options: `isCancelled()` to abort stale renders, `onProgress(0-1)` for progress reporting,
+// `maxDimension` to render a downscaled proxy whose longer side is at most that many pixels.
+export const renderImage = async (source, filters, { isCancelled, onProgress, maxDimension } = {}) => {
+  const frame = getTransformedFrame(filters.transform, source.naturalWidth || source.width, source.naturalHeight || source.height);
+  const region = getSourceRegion(filters.crop, frame.width, frame.height);
+  const resolutionScale = maxDimension > 0 ? Math.min(1, maxDimension / Math.max(region.width, region.height)) : 1;
+  const width = Math.max(1, Math.round(region.width * resolutionScale));
+  const height = Math.max(1, Math.round(region.height * resolutionScale));
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  if (!ctx) {
+    throw new Error("Failed to get 2D context for processing canvas.");
+  }
+
+  // Draw the original pixels inside the crop onto the canvas first (downscaled for previews)
+  ctx.imageSmoothingQuality = "high";
+  drawTransformedSource(ctx, source, filters.transform, region, width, height);
+
+  const checkpoint = createCheckpoint({ isCancelled, onProgress });
+  // Visible layers in stack order, then the overlays
+  const activeFilters = [
+    ...resolveLayers(filters.layers).filter((layer) => layer.visible).map((layer) => [layer.type, getLayerValue(layer, filters)]),
+    ...getFilterDefinitions().filter((definition) => definition.overlay).map(({ id }) => [id, filters[id]]),
+  ].filter(([filterType, value]) => isFilterActive(filterType, value, filters));
+
+  // Background effects need the subject mask of the unfiltered image, so segment before any filter runs
+  const renderContext = { resolutionScale };
+  if (activeFilters.some(([filterType]) => filterType === "backgroundBlur")) {
+    try {
+      renderContext.subjectAlpha = await getSubjectAlpha(ctx, { source, region: { ...region, transform: filters.transform } }, {
+        // The focus area and strokes are stored relative to the uncropped frame; segmentation works on the crop
+        focusArea: mapShapeToCrop(filters.focusArea || defaultFocusArea, filters.crop, width, height),
+        strokes: (filters.subjectStrokes || []).map((stroke) => mapShapeToCrop(stroke, filters.crop, width, height)),
+      }, checkpoint);
+      if (filters.backgroundMode === "image") {
+        renderContext.backgroundImage = await loadBackgroundImage(filters.backgroundImage);
+      }
+    } catch (error) {
+      if (error instanceof RenderCancelledError) throw error;
+      console.error("Subject segmentation failed, falling back to the focus area:", error);
+    }
+  }
+
+  // Sequentially apply all active filters; progress is split evenly between them
+  for (let index = 0; index < activeFilters.length; index++) {
+    const [filterType, value] = activeFilters[index];
+    await checkpoint(index / activeFilters.length);
+    await applyFilter(ctx, filterType, value, (fraction) => checkpoint((index + fraction) / activeFilters.length), filters, renderContext);
+  }
+  await checkpoint(1);
+
+  return canvas;
+};
@@ -0,0 +1,10 @@
+// Helpers shared by the filters that loop over pixel data themselves.
+
+// Rows processed between checkpoints, so long passes yield to cancellation and progress updates
+export const ROWS_PER_CHECKPOINT = 64;
+
+// 0 below `edge0`, 1 above `edge1` and a smooth S-curve in between
+export const smoothstep = (edge0, edge1, x) => {
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+};
@@ -0,0 +1,138 @@
+// Filter registry: every adjustment declares itself here once, and the render pipeline, the
+// default filter values and the generated controls in `FilterControls` are all built from it.
+//
+// A filter definition is a plain object:
+//   id           Key of the filter's value in the filters object
+//   label        Label of its control; `historyLabel` (defaults to `label`) names it in the edit history
+//   section      Id of the control section it is shown in (see `registerFilterSection`)
+//   group        Optional subheading it is listed under within the section
+//   neutral      Value that leaves the image unchanged; the default value
+//   min, max, step, lowLabel, highLabel
+//                Slider range and end labels (numeric filters)
+//   format       `value => string` shown next to the slider (defaults to a percentage)
+//   control      "slider" (default for numbers), the name of a custom control (built into
+//                `FilterControls` or added with `registerFilterControl`), or null for no control
+//   isEnabled    Optional `filters => boolean`; the control is disabled while it returns false
+//   description  Optional hint shown below the control
+//   parameterOf  Id of the filter this value only parameterises; parameters never render on their own
+//   overlay      True for filters drawn on top of the finished photo, after every other filter
+//   local        True for sliders that can also be applied to part of the photo (see `localAdjustments.js`)
+//   isActive     Optional `(value, filters) => boolean`; defaults to "differs from `neutral`"
+//   render       `async (ctx, value, context)` drawing the filter onto the canvas, where `context` is
+//                { filters, checkpoint, renderContext, resolutionScale } (see `applyFilter`)
+//   applyToImageData
+//                Alternative to `render` for per-pixel filters: `async (imageData, value, context)`
+//                changing the pixels in place
+//
+// The registry is shared by the main thread and the render worker, so definitions must be
+// registered by modules both load: built-in filters in `builtinFilters.js`, others in `customFilters.js`.
+
+const sections = [];
+const definitions = [];
+const controls = {}; // Custom control components by name
+
+// Values below this distance from neutral don't visibly change the image
+const NEGLIGIBLE_CHANGE = 0.01;
+
+// Value formatters for slider definitions
+export const formatPercent = (value) => `${Math.round((typeof value === "number" ? value : 0) * 100)}%`;
+export const formatDecimal = (value) => (typeof value === "number" ? value : 0).toFixed(2);
+
+// Adds a control section: { id, label, expanded } (`expanded`: whether it starts open).
+// Sections are shown in registration order.
+export const registerFilterSection = (section) => {
+  if (!section || !section.id || !section.label) {
+    throw new Error("A filter section needs an id and a label.");
+  }
+  if (sections.some((existing) => existing.id === section.id)) {
+    throw new Error(`Filter section "${section.id}" is already registered.`);
+  }
+  sections.push({ expanded: false, ...section });
+};
+
+// Adds a filter definition (see above). Filters run in registration order, overlays last;
+// `{ before: id }` inserts the filter in front of an already registered one instead of at the end.
+export const registerFilter = (definition, { before } = {}) => {
+  if (!definition || !definition.id || !definition.label) {
+    throw new Error("A filter needs an id and a label.");
+  }
+  if (definitions.some((existing) => existing.id === definition.id)) {
+    throw new Error(`Filter "${definition.id}" is already registered.`);
+  }
+  if (!definition.parameterOf && typeof definition.render !== "function" && typeof definition.applyToImageData !== "function") {
+    throw new Error(`Filter "${definition.id}" needs a render or applyToImageData function.`);
+  }
+  const isNumeric = typeof definition.neutral === "number";
+  const normalized = {
+    format: formatPercent,
+    control: isNumeric ? "slider" : null,
+    historyLabel: definition.label,
+    ...definition,
+  };
+  const index = before ? definitions.findIndex((existing) => existing.id === before) : -1;
+  if (before && index === -1) {
+    throw new Error(`Cannot register "${definition.id}" before unknown filter "${before}".`);
+  }
+  definitions.splice(index === -1 ? definitions.length : index, 0, normalized);
+};
+
+// Adds the component rendering the custom `control` called `name`, for filters whose value needs more
+// than a slider. `FilterControls` renders it with { definition, value, filters, histogram,
+// onUpdateFilter, disabled }, where `onUpdateFilter(id, value)` changes a filter value.
+export const registerFilterControl = (name, component) => {
+  if (!name || !component) {
+    throw new Error("A filter control needs a name and a component.");
+  }
+  if (controls[name]) {
+    throw new Error(`Filter control "${name}" is already registered.`);
+  }
+  controls[name] = component;
+};
+
+export const getFilterControl = (name) => controls[name] || null;
+
+export const getFilterSections = () => sections;
+
+// Every registered definition in pipeline order
+export const getFilterDefinitions = () => definitions;
+
+export const getFilterDefinition = (id) => definitions.find((definition) => definition.id === id) || null;
+
+// Neutral value of every registered filter, keyed by id in pipeline order. Structured values are
+// copied so callers can't change the definitions through them.
+export const getFilterDefaults = () => {
+  const defaults = {};
+  definitions.forEach(({ id, neutral }) => {
+    defaults[id] = Array.isArray(neutral) ? [...neutral] : neutral && typeof neutral === "object" ? { ...neutral } : neutral;
+  });
+  return defaults;
+};
+
+// Runs the filter `definition` with `value` on the canvas of `ctx`; `context` is passed on to its
+// `render` or `applyToImageData` function.
+export const runFilter = async (ctx, definition, value, context) => {
+  if (typeof definition.applyToImageData === "function") {
+    const { width, height } = ctx.canvas;
+    const imageData = ctx.getImageData(0, 0, width, height);
+    await definition.applyToImageData(imageData, value, context);
+    ctx.putImageData(imageData, 0, 0);
+  } else {
+    await definition.render(ctx, value, context);
+  }
+  ctx.globalCompositeOperation = "source-over"; // Ensure composite operation is reset
+};
+
+// Whether `value` of the filter `id` would change the image. `filters` holds all current values.
+export const isRegisteredFilterActive = (id, value, filters = {}) => {
+  const definition = getFilterDefinition(id);
+  if (!definition || definition.parameterOf) {
+    return false;
+  }
+  if (typeof definition.isActive === "function") {
+    return definition.isActive(value, filters);
+  }
+  if (typeof value === "number" && typeof definition.neutral === "number") {
+    return Math.abs(value - definition.neutral) >= NEGLIGIBLE_CHANGE;
+  }
+  return JSON.stringify(value) !== JSON.stringify(definition.neutral);
+};
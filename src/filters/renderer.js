@@ -0,0 +1,155 @@
+import { renderImage, canvasToBlob, getOutputType, RenderCancelledError } from "./pipeline";
+
+// Whether the filter pipeline can run in a worker on an OffscreenCanvas in this browser.
+const supportsWorkerRendering = () => {
+  if (typeof Worker === "undefined" || typeof OffscreenCanvas === "undefined" || typeof createImageBitmap === "undefined") {
+    return false;
+  }
+  try {
+    // Some browsers only expose WebGL contexts on OffscreenCanvas
+    return Boolean(new OffscreenCanvas(1, 1).getContext("2d"));
+  } catch (error) {
+    return false;
+  }
+};
+
+// Creates a renderer that applies filters to one image at a time.
+// Only the most recent `render()` call produces a result; older ones reject with RenderCancelledError.
+// Uses a Web Worker when available and falls back to rendering on the main thread.
+export const createFilterRenderer = () => {
+  let latestJobId = 0;
+  const pendingJobs = new Map(); // jobId -> { resolve, reject, onProgress }
+
+  let worker = null;
+  if (supportsWorkerRendering()) {
+    try {
+      worker = new Worker(new URL("../workers/filterWorker.js", import.meta.url));
+    } catch (error) {
+      console.warn("Could not start the filter worker, rendering on the main thread instead.", error);
+      worker = null;
+    }
+  }
+
+  // Main-thread fallback keeps the image element itself; the worker gets an ImageBitmap.
+  let fallbackSource = null;
+  // Resolves once the current image has been handed to the worker, so renders never overtake it.
+  let imageReady = Promise.resolve();
+
+  const settleJob = (jobId, settle) => {
+    const job = pendingJobs.get(jobId);
+    if (!job) return;
+    pendingJobs.delete(jobId);
+    settle(job);
+  };
+
+  // Reject every pending job older than `jobId`.
+  const cancelOlderJobs = (jobId) => {
+    pendingJobs.forEach((job, pendingJobId) => {
+      if (pendingJobId < jobId) {
+        settleJob(pendingJobId, ({ reject }) => reject(new RenderCancelledError()));
+      }
+    });
+  };
+
+  if (worker) {
+    worker.onmessage = (event) => {
+      const { type, jobId, progress, blob, bitmap, message } = event.data || {};
+      switch (type) {
+        case "progress": {
+          const job = pendingJobs.get(jobId);
+          if (job && typeof job.onProgress === "function") job.onProgress(progress);
+          break;
+        }
+        case "result":
+          settleJob(jobId, ({ resolve, reject }) => (
+            jobId === latestJobId ? resolve(blob || bitmap) : reject(new RenderCancelledError())
+          ));
+          break;
+        case "cancelled":
+          settleJob(jobId, ({ reject }) => reject(new RenderCancelledError()));
+          break;
+        case "error":
+          settleJob(jobId, ({ reject }) => reject(new Error(message || "Filter worker failed.")));
+          break;
+        default:
+          break;
+      }
+    };
+    worker.onerror = (event) => {
+      console.error("Filter worker error:", event.message || event);
+      pendingJobs.forEach((job, jobId) => settleJob(jobId, ({ reject }) => reject(new Error("Filter worker crashed."))));
+    };
+  }
+
+  // Provide the image (HTMLImageElement) that subsequent renders apply filters to.
+  const setImage = (imageElement) => {
+    fallbackSource = imageElement;
+    if (worker && imageElement) {
+      imageReady = createImageBitmap(imageElement)
+        .then((bitmap) => worker.postMessage({ type: "setImage", bitmap }, [bitmap]))
+        .catch((error) => console.error("Failed to transfer image to the filter worker:", error));
+    }
+    return imageReady;
+  };
+
+  // Render the current image with `filters`. Resolves with an encoded Blob (JPEG, or PNG when transparent),
+  // or with `output: "bitmap"` an unencoded drawable (ImageBitmap or canvas) so export encodes only once.
+  // `maxDimension` renders a downscaled proxy instead of the full resolution.
+  const render = (filters, { onProgress, output = "blob", maxDimension } = {}) => {
+    const jobId = ++latestJobId;
+    cancelOlderJobs(jobId);
+
+    return new Promise((resolve, reject) => {
+      pendingJobs.set(jobId, { resolve, reject, onProgress });
+
+      if (worker) {
+        imageReady.then(() => {
+          if (jobId === latestJobId) {
+            worker.postMessage({ type: "render", jobId, filters, output, maxDimension });
+          } else {
+            settleJob(jobId, (job) => job.reject(new RenderCancelledError()));
+          }
+        });
+        return;
+      }
+
+      if (!fallbackSource) {
+        settleJob(jobId, (job) => job.reject(new Error("No image has been set on the filter renderer.")));
+        return;
+      }
+      renderImage(fallbackSource, filters, {
+        maxDimension,
+        isCancelled: () => jobId !== latestJobId,
+        onProgress: (progress) => {
+          const job = pendingJobs.get(jobId);
+          if (job && typeof job.onProgress === "function") job.onProgress(progress);
+        },
+      })
+        .then((canvas) => (output === "bitmap" ? canvas : canvasToBlob(canvas, getOutputType(filters), 0.92)))
+        .then((blob) => settleJob(jobId, (job) => (
+          jobId === latestJobId ? job.resolve(blob) : job.reject(new RenderCancelledError())
+        )))
+        .catch((error) => settleJob(jobId, (job) => job.reject(error)));
+    });
+  };
+
+  // Cancel any in-flight render without starting a new one.
+  const cancel = () => {
+    const jobId = ++latestJobId;
+    cancelOlderJobs(jobId);
+    if (worker) {
+      worker.postMessage({ type: "cancel", jobId });
+    }
+  };
+
+  const dispose = () => {
+    cancel();
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    fallbackSource = null;
+  };
+
+  return { setImage, render, cancel, dispose, usesWorker: Boolean(worker) };
+};
@@ -0,0 +1,328 @@
+// On-device subject/background segmentation, GrabCut style:
+// colour models (Gaussian mixtures) for subject and background are seeded from the focus area and
+// the user's brush strokes, then alternately refitted and regularised with a mean-field pass over
+// an edge-aware neighbourhood term. Everything runs locally on a small working copy of the image.
+import { boxBlur, createUpsampleTable } from "./skinSmoothing";
+
+// Longest side (px) of the working copy segmentation runs on.
+export const SEGMENTATION_SIZE = 320;
+
+const COMPONENTS = 5;           // Gaussians per colour model
+const OUTER_ITERATIONS = 4;     // Model refits
+const MEAN_FIELD_SWEEPS = 5;    // Smoothing sweeps per refit
+const SMOOTHNESS = 3;           // Weight of the neighbourhood term
+const COVARIANCE_FLOOR = 30;    // Added to covariance diagonals (RGB units²) to keep them invertible
+
+// Seed labels
+const DEFINITE_BACKGROUND = 0;
+const PROBABLE_BACKGROUND = 1;
+const PROBABLE_FOREGROUND = 2;
+const DEFINITE_FOREGROUND = 3;
+
+const invert3x3 = (m) => {
+  const [a, b, c, d, e, f, g, h, i] = m;
+  const A = e * i - f * h;
+  const B = -(d * i - f * g);
+  const C = d * h - e * g;
+  const determinant = a * A + b * B + c * C;
+  const inv = 1 / determinant;
+  return {
+    determinant,
+    inverse: [
+      A * inv, -(b * i - c * h) * inv, (b * f - c * e) * inv,
+      B * inv, (a * i - c * g) * inv, -(a * f - c * d) * inv,
+      C * inv, -(a * h - b * g) * inv, (a * e - b * d) * inv,
+    ],
+  };
+};
+
+// Fits a Gaussian mixture to the pixels in `members` (indices into `rgb`) given each member's component.
+const fitMixture = (rgb, members, assignments) => {
+  const stats = Array.from({ length: COMPONENTS }, () => ({ count: 0, sum: [0, 0, 0], products: new Float64Array(9) }));
+  for (let m = 0; m < members.length; m++) {
+    const p = members[m] * 3;
+    const s = stats[assignments[m]];
+    const color = [rgb[p], rgb[p + 1], rgb[p + 2]];
+    s.count++;
+    for (let r = 0; r < 3; r++) {
+      s.sum[r] += color[r];
+      for (let c = 0; c < 3; c++) s.products[r * 3 + c] += color[r] * color[c];
+    }
+  }
+
+  const total = Math.max(1, members.length);
+  return stats
+    .filter((s) => s.count > 0)
+    .map((s) => {
+      const mean = s.sum.map((value) => value / s.count);
+      const covariance = [];
+      for (let r = 0; r < 3; r++) {
+        for (let c = 0; c < 3; c++) {
+          covariance.push(s.products[r * 3 + c] / s.count - mean[r] * mean[c] + (r === c ? COVARIANCE_FLOOR : 0));
+        }
+      }
+      const { determinant, inverse } = invert3x3(covariance);
+      return {
+        mean,
+        inverse,
+        // log(weight) - 0.5 * log(det) - 1.5 * log(2π)
+        logScale: Math.log(s.count / total) - 0.5 * Math.log(Math.max(determinant, 1e-6)) - 2.7568,
+      };
+    });
+};
+
+// Log-likelihood of one colour under each component; returns { best, logSum }.
+const evaluateMixture = (model, r, g, b) => {
+  let best = 0;
+  let bestValue = -Infinity;
+  const values = [];
+  for (let k = 0; k < model.length; k++) {
+    const { mean, inverse, logScale } = model[k];
+    const dr = r - mean[0];
+    const dg = g - mean[1];
+    const db = b - mean[2];
+    const mahalanobis =
+      dr * (inverse[0] * dr + inverse[1] * dg + inverse[2] * db) +
+      dg * (inverse[3] * dr + inverse[4] * dg + inverse[5] * db) +
+      db * (inverse[6] * dr + inverse[7] * dg + inverse[8] * db);
+    const value = logScale - 0.5 * mahalanobis;
+    values.push(value);
+    if (value > bestValue) {
+      bestValue = value;
+      best = k;
+    }
+  }
+  let sum = 0;
+  for (let k = 0; k < values.length; k++) sum += Math.exp(values[k] - bestValue);
+  return { best, logSum: bestValue + Math.log(sum) };
+};
+
+// Initial component assignment: split members into COMPONENTS luminance bands.
+const initialAssignments = (rgb, members) => {
+  const luma = members.map((index) => rgb[index * 3] * 0.299 + rgb[index * 3 + 1] * 0.587 + rgb[index * 3 + 2] * 0.114);
+  const order = members.map((_, m) => m).sort((a, b) => luma[a] - luma[b]);
+  const assignments = new Uint8Array(members.length);
+  order.forEach((m, rank) => {
+    assignments[m] = Math.min(COMPONENTS - 1, Math.floor((rank * COMPONENTS) / order.length));
+  });
+  return assignments;
+};
+
+// Stamps a stroke (normalised points, size as a fraction of the short side) into the label map.
+const stampStroke = (labels, width, height, stroke) => {
+  const label = stroke.type === "background" ? DEFINITE_BACKGROUND : DEFINITE_FOREGROUND;
+  const radius = Math.max(1, (stroke.size * Math.min(width, height)) / 2);
+  const points = stroke.points || [];
+  const stamp = (cx, cy) => {
+    for (let y = Math.max(0, Math.floor(cy - radius)); y <= Math.min(height - 1, Math.ceil(cy + radius)); y++) {
+      for (let x = Math.max(0, Math.floor(cx - radius)); x <= Math.min(width - 1, Math.ceil(cx + radius)); x++) {
+        if ((x - cx) * (x - cx) + (y - cy) * (y - cy) <= radius * radius) labels[y * width + x] = label;
+      }
+    }
+  };
+  for (let p = 0; p < points.length; p++) {
+    const [x1, y1] = points[p];
+    const [x0, y0] = p > 0 ? points[p - 1] : points[p];
+    // Interpolate between consecutive points so fast strokes have no gaps
+    const distance = Math.hypot((x1 - x0) * width, (y1 - y0) * height);
+    const steps = Math.max(1, Math.ceil(distance / Math.max(1, radius / 2)));
+    for (let s = 1; s <= steps; s++) {
+      stamp((x0 + ((x1 - x0) * s) / steps) * width, (y0 + ((y1 - y0) * s) / steps) * height);
+    }
+  }
+};
+
+// Initial labels: the focus ellipse core is subject and the rest of the ellipse probable subject.
+// Portraits usually continue below the face, so a band under the ellipse (the shoulders) is also
+// probable subject. The remaining area is probable background, the top and side borders definite
+// background, and brush strokes override everything.
+const createSeedLabels = (width, height, { focusArea, strokes = [] }) => {
+  const labels = new Uint8Array(width * height);
+  const shortSide = Math.min(width, height);
+  const radiusX = Math.max(1, focusArea.radiusX * shortSide);
+  const radiusY = Math.max(1, focusArea.radiusY * shortSide);
+  const angle = (-focusArea.rotation * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const border = Math.max(1, Math.round(shortSide * 0.01));
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const dx = x + 0.5 - focusArea.x * width;
+      const dy = y + 0.5 - focusArea.y * height;
+      const localX = (dx * cos - dy * sin) / radiusX;
+      const localY = (dx * sin + dy * cos) / radiusY;
+      const distance = Math.sqrt(localX * localX + localY * localY); // 1 on the ellipse edge
+
+      let label;
+      if (distance <= 0.5) label = DEFINITE_FOREGROUND;
+      else if (distance <= 1) label = PROBABLE_FOREGROUND;
+      else if (localY > 0.8 && Math.abs(localX) < 1.6) label = PROBABLE_FOREGROUND; // Below the chin
+      else if (y < border || x < border || x >= width - border) label = DEFINITE_BACKGROUND; // Bottom edge is often the subject's shoulders
+      else label = PROBABLE_BACKGROUND;
+      labels[y * width + x] = label;
+    }
+  }
+  strokes.forEach((stroke) => stampStroke(labels, width, height, stroke));
+  return labels;
+};
+
+// Segments `imageData` (a small working copy) into subject and background.
+// `seeds` = { focusArea, strokes }. Resolves with a Float32Array of subject probabilities (0-1).
+export const computeSubjectMask = async (imageData, seeds, checkpoint = async () => {}) => {
+  const { width, height, data } = imageData;
+  const count = width * height;
+  const rgb = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    rgb[i * 3] = data[i * 4];
+    rgb[i * 3 + 1] = data[i * 4 + 1];
+    rgb[i * 3 + 2] = data[i * 4 + 2];
+  }
+
+  const labels = createSeedLabels(width, height, seeds);
+  const probability = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    probability[i] = labels[i] >= PROBABLE_FOREGROUND ? 1 : 0;
+  }
+
+  // Edge-aware neighbour weights (right and down), scaled by the mean colour contrast
+  const rightWeights = new Float32Array(count);
+  const downWeights = new Float32Array(count);
+  let contrastSum = 0;
+  let contrastCount = 0;
+  const colorDistance = (a, b) => {
+    const dr = rgb[a * 3] - rgb[b * 3];
+    const dg = rgb[a * 3 + 1] - rgb[b * 3 + 1];
+    const db = rgb[a * 3 + 2] - rgb[b * 3 + 2];
+    return dr * dr + dg * dg + db * db;
+  };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (x < width - 1) { rightWeights[i] = colorDistance(i, i + 1); contrastSum += rightWeights[i]; contrastCount++; }
+      if (y < height - 1) { downWeights[i] = colorDistance(i, i + width); contrastSum += downWeights[i]; contrastCount++; }
+    }
+  }
+  const beta = 1 / (2 * Math.max(1, contrastSum / Math.max(1, contrastCount)));
+  for (let i = 0; i < count; i++) {
+    rightWeights[i] = SMOOTHNESS * Math.exp(-beta * rightWeights[i]);
+    downWeights[i] = SMOOTHNESS * Math.exp(-beta * downWeights[i]);
+  }
+  await checkpoint(0.1);
+
+  const unary = new Float32Array(count);
+  let foregroundModel = null;
+  let backgroundModel = null;
+  for (let iteration = 0; iteration < OUTER_ITERATIONS; iteration++) {
+    // 1. Refit both colour models from the current hard labels.
+    const foregroundMembers = [];
+    const backgroundMembers = [];
+    for (let i = 0; i < count; i++) {
+      (probability[i] >= 0.5 ? foregroundMembers : backgroundMembers).push(i);
+    }
+    if (foregroundMembers.length === 0 || backgroundMembers.length === 0) break;
+
+    const fitFor = (members, previousModel) => {
+      const assignments = previousModel
+        ? Uint8Array.from(members, (index) => evaluateMixture(previousModel, rgb[index * 3], rgb[index * 3 + 1], rgb[index * 3 + 2]).best)
+        : initialAssignments(rgb, members);
+      return fitMixture(rgb, members, assignments);
+    };
+    foregroundModel = fitFor(foregroundMembers, foregroundModel);
+    backgroundModel = fitFor(backgroundMembers, backgroundModel);
+
+    // 2. Data term: log-likelihood ratio of subject vs background colour.
+    for (let i = 0; i < count; i++) {
+      const r = rgb[i * 3];
+      const g = rgb[i * 3 + 1];
+      const b = rgb[i * 3 + 2];
+      const ratio = evaluateMixture(foregroundModel, r, g, b).logSum - evaluateMixture(backgroundModel, r, g, b).logSum;
+      unary[i] = Math.max(-12, Math.min(12, ratio));
+    }
+
+    // 3. Mean-field sweeps; definite seeds never change.
+    for (let sweep = 0; sweep < MEAN_FIELD_SWEEPS; sweep++) {
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const i = y * width + x;
+          if (labels[i] === DEFINITE_FOREGROUND || labels[i] === DEFINITE_BACKGROUND) continue;
+          let field = unary[i];
+          if (x > 0) field += rightWeights[i - 1] * (2 * probability[i - 1] - 1);
+          if (x < width - 1) field += rightWeights[i] * (2 * probability[i + 1] - 1);
+          if (y > 0) field += downWeights[i - width] * (2 * probability[i - width] - 1);
+          if (y < height - 1) field += downWeights[i] * (2 * probability[i + width] - 1);
+          probability[i] = 1 / (1 + Math.exp(-field));
+        }
+      }
+    }
+    await checkpoint(0.1 + (0.9 * (iteration + 1)) / OUTER_ITERATIONS);
+  }
+  return boxBlur(probability, width, height, 1);
+};
+
+// Upsamples a low-resolution subject mask to the size of `guide` (full-resolution ImageData),
+// using a fast guided filter on luminance so mask edges snap to image edges (hair, shoulders).
+// Returns a Uint8ClampedArray of alpha values (0-255), one per pixel.
+export const upsampleSubjectMask = (mask, maskWidth, maskHeight, guide) => {
+  const { width, height, data } = guide;
+  const scaleX = width / maskWidth;
+  const scaleY = height / maskHeight;
+  const lowCount = maskWidth * maskHeight;
+  const radius = 2;
+  const epsilon = 1e-3;
+
+  // Luminance guide at mask resolution (nearest sample of the block centre)
+  const lowGuide = new Float32Array(lowCount);
+  for (let y = 0; y < maskHeight; y++) {
+    const sourceY = Math.min(height - 1, Math.floor((y + 0.5) * scaleY));
+    for (let x = 0; x < maskWidth; x++) {
+      const sourceX = Math.min(width - 1, Math.floor((x + 0.5) * scaleX));
+      const i = (sourceY * width + sourceX) * 4;
+      lowGuide[y * maskWidth + x] = (data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114) / 255;
+    }
+  }
+
+  const product = new Float32Array(lowCount);
+  const guideSquared = new Float32Array(lowCount);
+  for (let i = 0; i < lowCount; i++) {
+    product[i] = lowGuide[i] * mask[i];
+    guideSquared[i] = lowGuide[i] * lowGuide[i];
+  }
+  const meanGuide = boxBlur(lowGuide, maskWidth, maskHeight, radius);
+  const meanMask = boxBlur(mask, maskWidth, maskHeight, radius);
+  const meanProduct = boxBlur(product, maskWidth, maskHeight, radius);
+  const meanGuideSquared = boxBlur(guideSquared, maskWidth, maskHeight, radius);
+  const a = new Float32Array(lowCount);
+  const b = new Float32Array(lowCount);
+  for (let i = 0; i < lowCount; i++) {
+    const covariance = meanProduct[i] - meanGuide[i] * meanMask[i];
+    const variance = meanGuideSquared[i] - meanGuide[i] * meanGuide[i];
+    a[i] = covariance / (variance + epsilon);
+    b[i] = meanMask[i] - a[i] * meanGuide[i];
+  }
+  boxBlur(a, maskWidth, maskHeight, radius, a);
+  boxBlur(b, maskWidth, maskHeight, radius, b);
+
+  const columns = createUpsampleTable(width, maskWidth, scaleX);
+  const rows = createUpsampleTable(height, maskHeight, scaleY);
+  const alpha = new Uint8ClampedArray(width * height);
+  for (let y = 0; y < height; y++) {
+    const rowA = rows.index0[y] * maskWidth;
+    const rowB = rows.index1[y] * maskWidth;
+    const wy = rows.weight[y];
+    for (let x = 0; x < width; x++) {
+      const x0 = columns.index0[x];
+      const x1 = columns.index1[x];
+      const wx = columns.weight[x];
+      const sample = (arr) => {
+        const top = arr[rowA + x0] + (arr[rowA + x1] - arr[rowA + x0]) * wx;
+        const bottom = arr[rowB + x0] + (arr[rowB + x1] - arr[rowB + x0]) * wx;
+        return top + (bottom - top) * wy;
+      };
+      const i = y * width + x;
+      const luma = (data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114) / 255;
+      alpha[i] = Math.round((sample(a) * luma + sample(b)) * 255);
+    }
+  }
+  return alpha;
+};
@@ -0,0 +1,191 @@
+// Portrait skin smoothing: an edge-preserving guided filter (He et al.) restricted to skin tones.
+// Uses the "fast guided filter" variant: box statistics are computed on a subsampled copy and
+// upsampled bilinearly, so the whole filter runs in linear time per pixel regardless of radius.
+
+// Longest side (px) of the subsampled image the filter statistics are computed on.
+const WORKING_SIZE = 800;
+
+// Separable box filter using running sums (O(1) per pixel for any radius).
+// Edge pixels are normalised by the number of samples actually inside the image.
+export const boxBlur = (src, width, height, radius, out = new Float32Array(src.length)) => {
+  const tmp = new Float32Array(src.length);
+
+  // Horizontal pass: src -> tmp
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    let sum = 0;
+    let count = 0;
+    for (let x = 0; x <= Math.min(radius, width - 1); x++) {
+      sum += src[row + x];
+      count++;
+    }
+    for (let x = 0; x < width; x++) {
+      tmp[row + x] = sum / count;
+      const addX = x + radius + 1;
+      const removeX = x - radius;
+      if (addX < width) { sum += src[row + addX]; count++; }
+      if (removeX >= 0) { sum -= src[row + removeX]; count--; }
+    }
+  }
+
+  // Vertical pass: tmp -> out
+  for (let x = 0; x < width; x++) {
+    let sum = 0;
+    let count = 0;
+    for (let y = 0; y <= Math.min(radius, height - 1); y++) {
+      sum += tmp[y * width + x];
+      count++;
+    }
+    for (let y = 0; y < height; y++) {
+      out[y * width + x] = sum / count;
+      const addY = y + radius + 1;
+      const removeY = y - radius;
+      if (addY < height) { sum += tmp[addY * width + x]; count++; }
+      if (removeY >= 0) { sum -= tmp[removeY * width + x]; count--; }
+    }
+  }
+  return out;
+};
+
+// Soft skin-likelihood (0-1) for an RGB colour, based on the classic YCbCr skin cluster
+// (Cb 77-127, Cr 133-173) with a linear falloff outside it so mask edges aren't hard.
+export const skinLikelihood = (r, g, b) => {
+  const y = 0.299 * r + 0.587 * g + 0.114 * b;
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  const falloff = 10;
+  const distanceCb = Math.max(77 - cb, cb - 127, 0);
+  const distanceCr = Math.max(133 - cr, cr - 173, 0);
+  const chroma = Math.max(0, 1 - Math.max(distanceCb, distanceCr) / falloff);
+  // Very dark or blown-out pixels carry no reliable skin colour
+  const luma = Math.min(1, Math.max(0, (y - 30) / 30)) * Math.min(1, Math.max(0, (250 - y) / 20));
+  return chroma * luma;
+};
+
+// Builds bilinear sampling tables mapping full-resolution coordinates onto the subsampled grid.
+export const createUpsampleTable = (fullSize, lowSize, scale) => {
+  const index0 = new Int32Array(fullSize);
+  const index1 = new Int32Array(fullSize);
+  const weight = new Float32Array(fullSize);
+  for (let i = 0; i < fullSize; i++) {
+    const position = Math.min(lowSize - 1, Math.max(0, (i + 0.5) / scale - 0.5));
+    index0[i] = Math.floor(position);
+    index1[i] = Math.min(lowSize - 1, index0[i] + 1);
+    weight[i] = position - index0[i];
+  }
+  return { index0, index1, weight };
+};
+
+// Smooths skin in `imageData` in place.
+// `strength` (0-1) controls how much variation is flattened; `texture` (0-1) controls how much
+// fine pore-level detail is added back on top of the smoothed result.
+// `checkpoint(fraction)` is awaited regularly so long renders can report progress and be cancelled.
+export const applySkinSmoothing = async (imageData, { strength, texture = 0.5 }, checkpoint = async () => {}) => {
+  const { width, height, data } = imageData;
+  const scale = Math.max(1, Math.ceil(Math.max(width, height) / WORKING_SIZE));
+  const lowWidth = Math.ceil(width / scale);
+  const lowHeight = Math.ceil(height / scale);
+  const lowCount = lowWidth * lowHeight;
+
+  // Filter radius (in subsampled pixels) follows the face scale: ~1.5% of the short side
+  const radius = Math.max(1, Math.round((Math.min(width, height) * 0.015) / scale));
+  // Regularisation: differences well below sqrt(eps) are smoothed, larger ones (edges) are kept
+  const epsilon = Math.pow(0.01 + 0.09 * strength, 2);
+  const blend = Math.min(1, 0.35 + strength * 0.65);
+
+  // 1. Subsample each channel (block average) into [0, 1] floats.
+  const lowChannels = [new Float32Array(lowCount), new Float32Array(lowCount), new Float32Array(lowCount)];
+  const lowCounts = new Float32Array(lowCount);
+  for (let y = 0; y < height; y++) {
+    const lowRow = Math.floor(y / scale) * lowWidth;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const lowIndex = lowRow + Math.floor(x / scale);
+      lowChannels[0][lowIndex] += data[i];
+      lowChannels[1][lowIndex] += data[i + 1];
+      lowChannels[2][lowIndex] += data[i + 2];
+      lowCounts[lowIndex]++;
+    }
+  }
+  for (let i = 0; i < lowCount; i++) {
+    const divisor = lowCounts[i] * 255;
+    lowChannels[0][i] /= divisor;
+    lowChannels[1][i] /= divisor;
+    lowChannels[2][i] /= divisor;
+  }
+  await checkpoint(0.1);
+
+  // 2. Soft skin mask on the subsampled image, feathered by the filter radius.
+  const skinMask = new Float32Array(lowCount);
+  for (let i = 0; i < lowCount; i++) {
+    skinMask[i] = skinLikelihood(lowChannels[0][i] * 255, lowChannels[1][i] * 255, lowChannels[2][i] * 255);
+  }
+  boxBlur(skinMask, lowWidth, lowHeight, radius, skinMask);
+  await checkpoint(0.2);
+
+  // 3. Self-guided filter coefficients per channel: q = meanA * I + meanB.
+  const coefficients = [];
+  const squared = new Float32Array(lowCount);
+  for (let c = 0; c < 3; c++) {
+    const channel = lowChannels[c];
+    for (let i = 0; i < lowCount; i++) squared[i] = channel[i] * channel[i];
+    const mean = boxBlur(channel, lowWidth, lowHeight, radius);
+    const meanSquared = boxBlur(squared, lowWidth, lowHeight, radius);
+    const a = new Float32Array(lowCount);
+    const b = new Float32Array(lowCount);
+    for (let i = 0; i < lowCount; i++) {
+      const variance = Math.max(0, meanSquared[i] - mean[i] * mean[i]);
+      a[i] = variance / (variance + epsilon);
+      b[i] = mean[i] - a[i] * mean[i];
+    }
+    coefficients.push({ a: boxBlur(a, lowWidth, lowHeight, radius, a), b: boxBlur(b, lowWidth, lowHeight, radius, b) });
+    await checkpoint(0.2 + (c + 1) * 0.1);
+  }
+
+  // 4. Full-resolution pass: upsample coefficients and mask, add back fine texture, blend.
+  const original = new Uint8ClampedArray(data); // Unmodified copy so neighbours are read before being overwritten
+  const columns = createUpsampleTable(width, lowWidth, scale);
+  const rows = createUpsampleTable(height, lowHeight, scale);
+  const sampleLow = (arr, rowA, rowB, wy, x) => {
+    const x0 = columns.index0[x];
+    const x1 = columns.index1[x];
+    const wx = columns.weight[x];
+    const top = arr[rowA + x0] + (arr[rowA + x1] - arr[rowA + x0]) * wx;
+    const bottom = arr[rowB + x0] + (arr[rowB + x1] - arr[rowB + x0]) * wx;
+    return top + (bottom - top) * wy;
+  };
+
+  for (let y = 0; y < height; y++) {
+    const rowA = rows.index0[y] * lowWidth;
+    const rowB = rows.index1[y] * lowWidth;
+    const wy = rows.weight[y];
+    const rowAbove = Math.max(0, y - 1) * width;
+    const rowCenter = y * width;
+    const rowBelow = Math.min(height - 1, y + 1) * width;
+
+    for (let x = 0; x < width; x++) {
+      const mask = sampleLow(skinMask, rowA, rowB, wy, x) * blend;
+      if (mask < 0.01) continue; // Not skin: leave eyes, hair, clothes and background untouched
+
+      const i = (y * width + x) * 4;
+      const xLeft = Math.max(0, x - 1);
+      const xRight = Math.min(width - 1, x + 1);
+      for (let c = 0; c < 3; c++) {
+        const value = original[i + c] / 255;
+        const smoothed = sampleLow(coefficients[c].a, rowA, rowB, wy, x) * value + sampleLow(coefficients[c].b, rowA, rowB, wy, x);
+
+        // Fine detail = pixel minus its 3x3 neighbourhood mean
+        const neighbourhood =
+          original[(rowAbove + xLeft) * 4 + c] + original[(rowAbove + x) * 4 + c] + original[(rowAbove + xRight) * 4 + c] +
+          original[(rowCenter + xLeft) * 4 + c] + original[(rowCenter + x) * 4 + c] + original[(rowCenter + xRight) * 4 + c] +
+          original[(rowBelow + xLeft) * 4 + c] + original[(rowBelow + x) * 4 + c] + original[(rowBelow + xRight) * 4 + c];
+        const detail = value - neighbourhood / (9 * 255);
+
+        const target = smoothed + texture * detail;
+        data[i + c] = Math.round((value + (target - value) * mask) * 255);
+      }
+    }
+    await checkpoint(0.5 + 0.5 * ((y + 1) / height));
+  }
+  return imageData;
+};
@@ -0,0 +1,56 @@
+// Vignette: darkens (or lightens) the edges of the rendered frame to draw the eye to the centre.
+// It is computed on the final, cropped canvas, so it always follows the crop.
+import { ROWS_PER_CHECKPOINT, smoothstep } from "./pixelMath";
+
+export const defaultVignette = {
+  midpoint: 0.5,  // Where the falloff is centred: 0 = close to the centre, 1 = out in the corners
+  roundness: 0,   // -1 = rectangular, 0 = oval matching the frame, 1 = circular
+  feather: 0.5,   // Width of the transition: 0 = hard edge, 1 = very gradual
+};
+
+const MAX_STRENGTH = 0.8; // Even at full amount the corners keep some detail
+
+// Applies a vignette of `amount` (-1 = darken to 1 = lighten the edges) with { midpoint, roundness,
+// feather } (see `defaultVignette`) to `imageData` in place. Alpha is left alone, so transparent
+// backgrounds stay transparent.
+export const applyVignette = async (imageData, amount, options = {}, checkpoint = async () => {}) => {
+  const { midpoint, roundness, feather } = { ...defaultVignette, ...options };
+  const { width, height, data } = imageData;
+  const halfWidth = width / 2;
+  const halfHeight = height / 2;
+
+  // Positive roundness pulls both radii towards a circle; negative roundness squares off the
+  // shape with a superellipse exponent instead
+  const circleRadius = Math.sqrt(halfWidth * halfHeight);
+  const circularity = Math.max(0, roundness);
+  const radiusX = halfWidth + (circleRadius - halfWidth) * circularity;
+  const radiusY = halfHeight + (circleRadius - halfHeight) * circularity;
+  const exponent = 2 + Math.max(0, -roundness) * 6;
+
+  // Distance is 1 at the middle of each edge of an oval vignette; the falloff is centred on `centre`
+  const centre = 0.4 + midpoint * 0.9;
+  const spread = 0.02 + feather * 0.6;
+  const inner = Math.max(0, centre - spread);
+  const outer = centre + spread;
+  const strength = Math.min(1, Math.abs(amount)) * MAX_STRENGTH;
+
+  for (let y = 0; y < height; y++) {
+    const v = Math.abs((y + 0.5 - halfHeight) / radiusY);
+    const vPower = exponent === 2 ? v * v : v ** exponent;
+    for (let x = 0; x < width; x++) {
+      const u = Math.abs((x + 0.5 - halfWidth) / radiusX);
+      const distance = exponent === 2 ? Math.sqrt(u * u + vPower) : (u ** exponent + vPower) ** (1 / exponent);
+      if (distance <= inner) continue;
+      const weight = smoothstep(inner, outer, distance) * strength;
+      const i = (y * width + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        data[i + c] = amount < 0
+          ? data[i + c] * (1 - weight)
+          : data[i + c] + (255 - data[i + c]) * weight;
+      }
+    }
+    if ((y + 1) % ROWS_PER_CHECKPOINT === 0) {
+      await checkpoint((y + 1) / height);
+    }
+  }
+};
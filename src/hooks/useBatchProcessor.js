@@ -0,0 +1,271 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { createFilterRenderer } from "../filters/renderer";
+import { createCanvas, canvasToBlob, getOutputType, defaultTransform } from "../filters/pipeline";
+import { mapShape } from "../filters/geometry";
+import { exportImage } from "../utils/exportImage";
+import { applyPreset } from "../utils/presets";
+import { getBatchCrop, getBatchFileName } from "../utils/batch";
+import { createZipWriter } from "../utils/zip";
+import { importImageFile } from "../utils/imageImport";
+
+const THUMBNAIL_MAX_DIMENSION = 240;
+
+// Per-photo settings that replace the batch-wide ones; null means "use the batch setting".
+const defaultOverrides = { cropRule: null, brightness: null, included: true };
+
+// Loads a File, upright and with its metadata (see `importImageFile`), into an HTMLImageElement
+// via an object URL. Resolves with { image, url, metadata }; the caller revokes `url` once done.
+const loadImageFile = async (file) => {
+  const { blob, metadata } = await importImageFile(file);
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const image = new Image();
+    image.onload = () => resolve({ image, url, metadata });
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("The photo could not be read."));
+    };
+    image.src = url;
+  });
+};
+
+// Small JPEG preview of a rendered (unencoded) image.
+const createThumbnail = async (rendered) => {
+  const scale = Math.min(1, THUMBNAIL_MAX_DIMENSION / Math.max(rendered.width, rendered.height));
+  const canvas = createCanvas(Math.max(1, Math.round(rendered.width * scale)), Math.max(1, Math.round(rendered.height * scale)));
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#ffffff"; // Transparent backgrounds show as white in the grid
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(rendered, 0, 0, canvas.width, canvas.height);
+  return canvasToBlob(canvas, "image/jpeg", 0.8);
+};
+
+const closeImage = (image) => {
+  if (image && typeof image.close === "function") {
+    image.close();
+  }
+};
+
+let nextItemId = 0;
+
+const createItems = (files) => files.map((file) => ({
+  id: `batch-${++nextItemId}`,
+  file,
+  status: "pending",
+  progress: 0,
+  revision: 0, // Bumped whenever the photo's settings change, so stale renders are discarded
+  overrides: { ...defaultOverrides },
+  result: null,
+  thumbnailUrl: null,
+  error: null,
+  warning: null, // Why the result isn't quite as set, e.g. metadata that didn't fit
+}));
+
+// Applies one edit to many photos, one photo at a time so memory use stays flat however many
+// photos are queued: only the photo being rendered is decoded, finished photos are kept as
+// encoded Blobs. `baseFilters` are the editor's filters (their crop is used by the "current"
+// crop rule) and `exportOptions` the export settings every photo is encoded with.
+const useBatchProcessor = ({ baseFilters, exportOptions, initialFiles = [] }) => {
+  // Items: { id, file, status: "pending" | "processing" | "done" | "error", progress, revision,
+  //          overrides, result (Blob), thumbnailUrl, error, warning }
+  const [items, setItems] = useState(() => createItems(initialFiles));
+  // `look` is a preset applied on top of the editor's filters (null keeps them as they are)
+  const [settings, setSettings] = useState({ look: null, cropRule: "square" });
+  const [isZipping, setIsZipping] = useState(false);
+  const [zipProgress, setZipProgress] = useState(0);
+  const rendererRef = useRef(null);
+  const isRunningRef = useRef(false);
+  const isMountedRef = useRef(true);
+  const thumbnailUrlsRef = useRef(new Set());
+  const renderSettingsRef = useRef({ baseFilters, exportOptions, settings }); // Settings the queued renders use
+
+  // The renderer is created lazily and, with the thumbnails, released on unmount.
+  useEffect(() => {
+    isMountedRef.current = true;
+    const thumbnailUrls = thumbnailUrlsRef.current;
+    return () => {
+      isMountedRef.current = false;
+      if (rendererRef.current) {
+        rendererRef.current.dispose();
+        rendererRef.current = null;
+      }
+      thumbnailUrls.forEach((url) => URL.revokeObjectURL(url));
+      thumbnailUrls.clear();
+    };
+  }, []);
+
+  const updateItem = useCallback((id, changes) => {
+    setItems((prev) => prev.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  // Filters for one photo of `width` × `height` pixels: the batch look, its crop rule and overrides.
+  const getItemFilters = useCallback((item, width, height) => {
+    const baseCrop = baseFilters.crop || { x: 0, y: 0, width: 1, height: 1 };
+    const crop = getBatchCrop(item.overrides.cropRule || settings.cropRule, width, height, baseFilters.crop);
+    const itemCrop = crop || { x: 0, y: 0, width: 1, height: 1 };
+    const filters = {
+      ...(settings.look ? applyPreset(baseFilters, settings.look) : baseFilters),
+      subjectStrokes: [], // Strokes refine the subject of one specific photo
+      localAdjustments: [], // Masks are painted on one specific photo too
+      transform: { ...defaultTransform }, // As do rotation, flips and straightening
+      crop,
+      // The focus area keeps its place within the crop (it is stored relative to the uncropped frame)
+      focusArea: mapShape(baseFilters.focusArea, ([x, y]) => [
+        itemCrop.x + ((x - baseCrop.x) / baseCrop.width) * itemCrop.width,
+        itemCrop.y + ((y - baseCrop.y) / baseCrop.height) * itemCrop.height,
+      ]),
+    };
+    if (item.overrides.brightness !== null) {
+      filters.brightness = item.overrides.brightness;
+    }
+    return filters;
+  }, [baseFilters, settings]);
+
+  const processItem = useCallback(async (item) => {
+    isRunningRef.current = true;
+    updateItem(item.id, { status: "processing", progress: 0, error: null });
+    if (!rendererRef.current) {
+      rendererRef.current = createFilterRenderer();
+    }
+    const renderer = rendererRef.current;
+
+    let loaded = null;
+    let rendered = null;
+    try {
+      loaded = await loadImageFile(item.file);
+      await renderer.setImage(loaded.image);
+      const filters = getItemFilters(item, loaded.image.naturalWidth, loaded.image.naturalHeight);
+      rendered = await renderer.render(filters, {
+        output: "bitmap",
+        onProgress: (progress) => updateItem(item.id, { progress: progress * 0.9 }),
+      });
+      let warning = null;
+      const result = await exportImage(rendered, { ...exportOptions, type: exportOptions.type || getOutputType(filters) }, {
+        sourceExif: loaded.metadata && loaded.metadata.tiff,
+        onWarning: (message) => { warning = message; },
+      });
+      const thumbnail = await createThumbnail(rendered);
+      if (!isMountedRef.current) return;
+
+      const thumbnailUrl = URL.createObjectURL(thumbnail);
+      thumbnailUrlsRef.current.add(thumbnailUrl);
+      setItems((prev) => prev.map((current) => {
+        if (current.id !== item.id) return current;
+        if (current.thumbnailUrl) {
+          URL.revokeObjectURL(current.thumbnailUrl);
+          thumbnailUrlsRef.current.delete(current.thumbnailUrl);
+        }
+        // Settings changed while rendering: keep the new preview but render again
+        const isCurrent = current.revision === item.revision;
+        return { ...current, status: isCurrent ? "done" : "pending", progress: 1, result: isCurrent ? result : null, warning: isCurrent ? warning : null, thumbnailUrl };
+      }));
+    } catch (error) {
+      if (!isMountedRef.current) return;
+      console.error(`Batch processing failed for ${item.file.name}:`, error);
+      setItems((prev) => prev.map((current) => (
+        current.id !== item.id ? current
+          : current.revision === item.revision
+            ? { ...current, status: "error", error: error.message || "The photo could not be processed." }
+            : { ...current, status: "pending" }
+      )));
+    } finally {
+      closeImage(rendered);
+      if (loaded) {
+        URL.revokeObjectURL(loaded.url);
+        loaded.image.src = ""; // Release the decoded pixels
+      }
+      isRunningRef.current = false;
+    }
+  }, [exportOptions, getItemFilters, updateItem]);
+
+  // Process pending photos one after another
+  useEffect(() => {
+    if (isRunningRef.current) return;
+    const next = items.find((item) => item.status === "pending" && item.overrides.included);
+    if (next) {
+      processItem(next);
+    }
+  }, [items, processItem]);
+
+  // Changing the look, crop rule or export settings renders every photo again
+  useEffect(() => {
+    const previous = renderSettingsRef.current;
+    if (previous.baseFilters === baseFilters && previous.exportOptions === exportOptions && previous.settings === settings) return;
+    renderSettingsRef.current = { baseFilters, exportOptions, settings };
+    setItems((prev) => prev.map((item) => ({ ...item, status: "pending", progress: 0, result: null, revision: item.revision + 1 })));
+  }, [baseFilters, exportOptions, settings]);
+
+  const addFiles = useCallback((files) => {
+    const newItems = createItems(files);
+    setItems((prev) => [...prev, ...newItems]);
+  }, []);
+
+  const removeItem = useCallback((id) => {
+    setItems((prev) => prev.filter((item) => {
+      if (item.id === id && item.thumbnailUrl) {
+        URL.revokeObjectURL(item.thumbnailUrl);
+        thumbnailUrlsRef.current.delete(item.thumbnailUrl);
+      }
+      return item.id !== id;
+    }));
+  }, []);
+
+  // Changes one photo's overrides; anything but including/excluding it renders it again.
+  const updateOverrides = useCallback((id, changes) => {
+    setItems((prev) => prev.map((item) => {
+      if (item.id !== id) return item;
+      const overrides = { ...item.overrides, ...changes };
+      const needsRender = Object.keys(changes).some((key) => key !== "included") || (overrides.included && !item.result);
+      return needsRender
+        ? { ...item, overrides, status: "pending", progress: 0, result: null, revision: item.revision + 1 }
+        : { ...item, overrides };
+    }));
+  }, []);
+
+  const retryItem = useCallback((id) => {
+    setItems((prev) => prev.map((item) => (item.id === id ? { ...item, status: "pending", progress: 0, error: null } : item)));
+  }, []);
+
+  // Builds one ZIP of every included, finished photo, keeping the original file names.
+  const createZip = useCallback(async () => {
+    const finished = items.filter((item) => item.overrides.included && item.status === "done" && item.result);
+    setIsZipping(true);
+    setZipProgress(0);
+    try {
+      const zip = createZipWriter();
+      const usedNames = new Set();
+      for (let i = 0; i < finished.length; i++) {
+        const { file, result } = finished[i];
+        await zip.add(getBatchFileName(file.name, result.type, usedNames), result, new Date(file.lastModified || Date.now()));
+        if (isMountedRef.current) setZipProgress((i + 1) / finished.length);
+      }
+      return zip.finish();
+    } finally {
+      if (isMountedRef.current) setIsZipping(false);
+    }
+  }, [items]);
+
+  const includedItems = items.filter((item) => item.overrides.included);
+  const completedCount = includedItems.filter((item) => item.status === "done" || item.status === "error").length;
+  const activeItem = includedItems.find((item) => item.status === "processing");
+  const overallProgress = includedItems.length === 0
+    ? 0
+    : (completedCount + (activeItem ? activeItem.progress : 0)) / includedItems.length;
+
+  return {
+    items,
+    settings,
+    setSettings,
+    addFiles,
+    removeItem,
+    updateOverrides,
+    retryItem,
+    createZip,
+    isZipping,
+    zipProgress,
+    overallProgress, // 0-1 over all included photos
+    isComplete: includedItems.length > 0 && completedCount === includedItems.length,
+  };
+};
+
+export default useBatchProcessor;
@@ -0,0 +1,77 @@
+import { useState, useRef, useCallback } from "react";
+
+// Consecutive records sharing a coalesce key within this window (ms) are merged into one step,
+// so dragging a slider produces a single history entry instead of one per input event.
+const COALESCE_WINDOW_MS = 1000;
+
+// Upper bound on stored steps; the oldest entries are dropped first.
+const MAX_HISTORY_ENTRIES = 100;
+
+const createHistory = (initialState, label = "Original") => ({
+  entries: [{ label, state: initialState }],
+  index: 0,
+});
+
+const useEditHistory = (initialState = null) => {
+  // The history lives in a ref so undo/redo can return the target state synchronously;
+  // the mirrored state value only exists to re-render consumers.
+  const historyRef = useRef(createHistory(initialState));
+  const [history, setHistory] = useState(historyRef.current);
+  // Tracks the last coalescable record: { key, time }. Cleared whenever the position changes.
+  const coalesceRef = useRef(null);
+
+  const commit = useCallback((nextHistory) => {
+    historyRef.current = nextHistory;
+    setHistory(nextHistory);
+  }, []);
+
+  // Start a fresh history, e.g. when a new image is uploaded.
+  const resetHistory = useCallback((state, label = "Original") => {
+    coalesceRef.current = null;
+    commit(createHistory(state, label));
+  }, [commit]);
+
+  // Record a new step. Any redo steps beyond the current position are discarded.
+  // When `coalesceKey` matches the previous record and arrives within the window, the current step is replaced.
+  const record = useCallback((label, state, { coalesceKey } = {}) => {
+    const { entries, index } = historyRef.current;
+    const now = Date.now();
+    const last = coalesceRef.current;
+    const shouldCoalesce = Boolean(
+      coalesceKey && last && last.key === coalesceKey && now - last.time < COALESCE_WINDOW_MS && index > 0
+    );
+
+    const kept = entries.slice(0, shouldCoalesce ? index : index + 1);
+    const nextEntries = [...kept, { label, state }].slice(-MAX_HISTORY_ENTRIES);
+    coalesceRef.current = coalesceKey ? { key: coalesceKey, time: now } : null;
+    commit({ entries: nextEntries, index: nextEntries.length - 1 });
+  }, [commit]);
+
+  // Move to a specific step. Returns that step's state, or null if the index is out of range.
+  const jumpTo = useCallback((targetIndex) => {
+    const { entries, index } = historyRef.current;
+    if (targetIndex < 0 || targetIndex >= entries.length || targetIndex === index) {
+      return null;
+    }
+    coalesceRef.current = null;
+    commit({ entries, index: targetIndex });
+    return entries[targetIndex].state;
+  }, [commit]);
+
+  const undo = useCallback(() => jumpTo(historyRef.current.index - 1), [jumpTo]);
+  const redo = useCallback(() => jumpTo(historyRef.current.index + 1), [jumpTo]);
+
+  return {
+    entries: history.entries,     // [{ label, state }], oldest first
+    currentIndex: history.index,  // Index of the step currently applied
+    canUndo: history.index > 0,
+    canRedo: history.index < history.entries.length - 1,
+    record,                       // Record a new step
+    undo,                         // Step back; returns the state to apply or null
+    redo,                         // Step forward; returns the state to apply or null
+    jumpTo,                       // Jump to any step; returns the state to apply or null
+    resetHistory,                 // Replace the whole history with a single initial step
+  };
+};
+
+export default useEditHistory;
@@ -1,21 +1,131 @@
-import { useState, useEffect, useCallback, useMemo } from "react";
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import { createFilterRenderer } from "../filters/renderer";
+import { RenderCancelledError, defaultTransform, getFilterDefaults } from "../filters/pipeline";
+import { getDefaultLayers } from "../filters/layers";
+import { isIdentityTransform } from "../filters/geometry";
+import { createCanvas } from "../filters/canvas";
+import { analyzeImageData, computeHistograms, suggestEnhancement } from "../filters/analysis";
 
 // Define default filter values outside the hook for stable reference
 // These represent the neutral state for each filter, suitable for general photo editing.
+// Geometry first, then every registered filter at its neutral value in pipeline order
+// (see `builtinFilters.js` for what each value means)
 const defaultFilters = {
-  smoothing: 0,    // 0 = off, 1 = max smoothing
-  brightness: 0,   // 0 = no change (100%), -0.5 = 50%, 0.5 = 150%
-  contrast: 0,     // 0 = no change (100%), -0.5 = 50%, 0.5 = 150%
-  blur: 0,         // 0 = off, 0.5 = max blur (e.g., 4px if scaled by 8)
-  saturation: 0,   // 0 = no change (100%), -1 = 0% (grayscale), 1 = 200%
-  backgroundBlur: 0, // 0 = off, 1 = max background blur
+  transform: { ...defaultTransform }, // Rotation, flips and straightening, applied before the crop (see `defaultTransform`)
+  crop: null,      // Crop of the transformed photo: { x, y, width, height } as fractions, plus { aspectRatio, zoom } for the cropper
+  ...getFilterDefaults(),
+  layers: getDefaultLayers(), // Adjustment stack: run order, visibility and duplicated layers (see `layers.js`)
+};
+
+// Converts an incoming value to the type stored for `filterType`: slider values become numbers,
+// structured settings (objects, arrays, strings such as colours) are stored as given.
+const normalizeFilterValue = (filterType, value) => {
+  if (typeof value === "number" || (typeof value === "string" && typeof defaultFilters[filterType] !== "string")) {
+    return Number(value);
+  }
+  return value;
+};
+
+// Settings that describe the framing and where the subject is rather than an adjustment; kept when adjustments are reset.
+const pickPersistentSettings = (filters) => ({
+  transform: filters.transform,
+  crop: filters.crop,
+  focusArea: filters.focusArea,
+  subjectStrokes: filters.subjectStrokes,
+});
+
+// The interactive preview is rendered from a proxy no larger than the preview area
+// (at most 640 CSS px on its longer side) at the device pixel ratio.
+const PREVIEW_MAX_CSS_SIZE = 640;
+const getPreviewMaxDimension = () => Math.ceil(PREVIEW_MAX_CSS_SIZE * ((typeof window !== "undefined" && window.devicePixelRatio) || 1));
+
+// How long (ms) the edit must stay unchanged before the full-resolution render starts in the background.
+const REFINEMENT_DELAY_MS = 800;
+
+// The transformed original (shown by the cropper and as "before" when comparing) is rendered at
+// most this large, once the rotation and straightening have stayed unchanged for a moment.
+const GEOMETRY_PREVIEW_MAX_DIMENSION = 2048;
+const GEOMETRY_PREVIEW_DELAY_MS = 300;
+
+// Auto Enhance and the histogram analyse a rendering this small; statistics don't need more pixels
+const ANALYSIS_MAX_DIMENSION = 256;
+const HISTOGRAM_DELAY_MS = 300;
+
+// Pixels of an encoded image `blob`
+const readImageData = async (blob) => {
+  const bitmap = await createImageBitmap(blob);
+  try {
+    const canvas = createCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(bitmap, 0, 0);
+    return ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+  } finally {
+    bitmap.close();
+  }
+};
+
+// Closes an ImageBitmap once nobody uses it any more; canvases (main-thread fallback) are left to the GC.
+const closeImage = (image) => {
+  if (image && typeof image.close === "function") {
+    image.close();
+  }
 };
 
 const useImageFilters = () => {
   const [internalFilters, setInternalFilters] = useState({ ...defaultFilters });
   const [originalImage, setOriginalImage] = useState(null); // HTMLImageElement
-  const [processedImage, setProcessedImage] = useState(null); // Data URL
+  const [processedImage, setProcessedImage] = useState(null); // Object URL of the rendered JPEG
   const [isProcessing, setIsProcessing] = useState(false);
+  const [progress, setProgress] = useState(0); // Progress (0-1) of the current render
+  const rendererRef = useRef(null);
+  // Full-resolution render of the current edit, started by the refinement pass or an export:
+  // { filters, image, promise, users, released }. Released (and its bitmap closed) when the edit changes.
+  const fullResolutionRef = useRef(null);
+  // Thumbnails (e.g. preset previews) use their own renderer so they never cancel the preview.
+  // Its renders are queued, because a renderer only completes its latest render.
+  const thumbnailRendererRef = useRef(null);
+  const thumbnailQueueRef = useRef(Promise.resolve());
+  // Original with only the transform applied: { image, transform, url }, or null
+  const [geometryPreview, setGeometryPreview] = useState(null);
+  const [sourceHistogram, setSourceHistogram] = useState(null); // Histograms of the framed photo
+
+  // The renderer (and its worker) is created lazily and torn down on unmount.
+  const getRenderer = useCallback(() => {
+    if (!rendererRef.current) {
+      rendererRef.current = createFilterRenderer();
+    }
+    return rendererRef.current;
+  }, []);
+
+  useEffect(() => {
+    return () => {
+      if (rendererRef.current) {
+        rendererRef.current.dispose();
+        rendererRef.current = null;
+      }
+      if (thumbnailRendererRef.current) {
+        thumbnailRendererRef.current.dispose();
+        thumbnailRendererRef.current = null;
+      }
+    };
+  }, []);
+
+  // Revoke each rendered object URL once it has been replaced.
+  useEffect(() => {
+    return () => {
+      if (processedImage && processedImage.startsWith("blob:")) {
+        URL.revokeObjectURL(processedImage);
+      }
+    };
+  }, [processedImage]);
+
+  useEffect(() => {
+    return () => {
+      if (geometryPreview) {
+        URL.revokeObjectURL(geometryPreview.url);
+      }
+    };
+  }, [geometryPreview]);
 
   // Memoized filters object: its reference only changes if its content changes.
   const filters = useMemo(() => internalFilters, [internalFilters]);
@@ -28,221 +138,228 @@ const useImageFilters = () => {
         setIsProcessing(false); // Ensure processing is false if setup fails
         return;
     }
+    getRenderer().setImage(imageElement); // Hand the pixels to the renderer before the next render
+    if (thumbnailRendererRef.current) {
+      thumbnailRendererRef.current.setImage(imageElement);
+    }
     setOriginalImage(imageElement);
     // Setting originalImage will trigger the main useEffect (via processImage dependency) to process it.
-  }, []);
-
-  const applyFilter = useCallback((ctx, filterType, value) => {
-    // Initial check to see if filter should be skipped based on value
-    // For non-additive/non-subtractive filters (like smoothing, blur, backgroundBlur), skip if value is negligible.
-    if (filterType !== "brightness" && filterType !== "contrast" && filterType !== "saturation" && Math.abs(value) < 0.01) {
-        return; 
-    }
-    // For additive/subtractive filters (brightness, contrast, saturation), skip if value is exactly neutral (0).
-    if ((filterType === "brightness" || filterType === "contrast" || filterType === "saturation") && value === 0) {
-        return;
-    }
-    
-    const width = ctx.canvas.width;
-    const height = ctx.canvas.height;
-    let tempCanvas, tempCtx; // Declare here for helper function scope
-
-    const applyCssFilterAndRedraw = (filterString) => {
-        tempCanvas = document.createElement("canvas");
-        tempCanvas.width = width;
-        tempCanvas.height = height;
-        tempCtx = tempCanvas.getContext("2d");
-        
-        if (!tempCtx) {
-            console.error("Failed to get 2D context for temporary canvas in applyCssFilterAndRedraw.");
-            return; 
-        }
-        
-        // Draw current main canvas content to temp
-        tempCtx.drawImage(ctx.canvas, 0, 0); 
-        
-        // Apply CSS filter on temp canvas
-        tempCtx.filter = filterString; 
-        tempCtx.drawImage(tempCanvas, 0, 0); // Redraw with filter applied (itself to itself)
-        
-        // Clear main canvas and draw filtered temp canvas back
-        ctx.clearRect(0, 0, width, height); 
-        ctx.filter = "none"; // Reset main context filter before drawing back
-        ctx.drawImage(tempCanvas, 0, 0); 
-    };
-
-    switch (filterType) {
-      case "smoothing":
-        if (value > 0) { // Only apply if value is positive
-          const imageData = ctx.getImageData(0, 0, width, height);
-          const data = imageData.data;
-          // Strength (1-6): lower is finer. value (0-1) maps to strength.
-          const strength = Math.max(1, Math.floor(value * 5) + 1); 
-          
-          for (let i = 0; i < data.length; i += 4) {
-            for (let j = 0; j < 3; j++) { // R, G, B channels
-              let sum = 0;
-              let count = 0;
-              const currentPixelY = Math.floor(i / (width * 4));
-              const currentPixelX = Math.floor((i % (width * 4)) / 4);
-
-              for (let y = -strength; y <= strength; y++) {
-                for (let x = -strength; x <= strength; x++) {
-                  const sampleY = currentPixelY + y;
-                  const sampleX = currentPixelX + x;
-                  if (sampleX >= 0 && sampleX < width && sampleY >= 0 && sampleY < height) {
-                    const sampleIndex = (sampleY * width + sampleX) * 4 + j;
-                    sum += data[sampleIndex];
-                    count++;
-                  }
-                }
-              }
-              if (count > 0) {
-                const originalWeight = Math.max(0.05, 1 - (value * 0.9)); // Blend smoothed with original
-                const smoothWeight = 1 - originalWeight;
-                data[i + j] = Math.round((data[i + j] * originalWeight) + ((sum / count) * smoothWeight));
-              }
-            }
-          }
-          ctx.putImageData(imageData, 0, 0);
-        }
-        break;
-      case "brightness":
-        applyCssFilterAndRedraw(`brightness(${1 + value})`);
-        break;
-      case "contrast":
-        applyCssFilterAndRedraw(`contrast(${1 + value})`);
-        break;
-      case "blur":
-        if (value > 0) { // Only apply if value is positive
-          applyCssFilterAndRedraw(`blur(${value * 8}px)`); // Map 0-1 to 0-8px blur (e.g. if slider max is 0.5 -> 4px)
-        }
-        break;
-      case "saturation":
-        applyCssFilterAndRedraw(`saturate(${1 + value})`); // value from -1 (grayscale) to 1 (double saturation)
-        break;
-      case "backgroundBlur":
-        if (value > 0) { // Only apply if value is positive
-          const centerX = width / 2;
-          const centerY = height / 2;
-          const focusRadius = Math.min(width, height) * 0.35; // Area to keep in focus
-
-          const currentContent = document.createElement("canvas");
-          currentContent.width = width;
-          currentContent.height = height;
-          const currentContentCtx = currentContent.getContext("2d");
-          if (!currentContentCtx) { console.error("Failed to get context for currentContent canvas."); return; }
-          currentContentCtx.drawImage(ctx.canvas, 0, 0);
-
-          const blurredCanvas = document.createElement("canvas");
-          blurredCanvas.width = width;
-          blurredCanvas.height = height;
-          const blurredCtx = blurredCanvas.getContext("2d");
-          if (!blurredCtx) { console.error("Failed to get context for blurredCanvas."); return; }
-          blurredCtx.drawImage(currentContent, 0, 0);
-          blurredCtx.filter = `blur(${value * 10}px)`; // Background blur strength
-          blurredCtx.drawImage(blurredCanvas, 0, 0); 
-          blurredCtx.filter = "none";
-
-          ctx.clearRect(0, 0, width, height);
-          ctx.drawImage(blurredCanvas, 0, 0); // Main context now has fully blurred image
-
-          const sharpMask = document.createElement("canvas");
-          sharpMask.width = width;
-          sharpMask.height = height;
-          const sharpMaskCtx = sharpMask.getContext("2d");
-          if (!sharpMaskCtx) { console.error("Failed to get context for sharpMask canvas."); return; }
-          const gradient = sharpMaskCtx.createRadialGradient(
-            centerX, centerY, focusRadius * 0.6, // Inner radius of sharp area
-            centerX, centerY, focusRadius * 1.4  // Outer radius where it becomes fully transparent
-          );
-          gradient.addColorStop(0, "rgba(255,255,255,1)"); 
-          gradient.addColorStop(0.7, "rgba(255,255,255,1)");
-          gradient.addColorStop(1, "rgba(255,255,255,0)"); 
-          sharpMaskCtx.fillStyle = gradient;
-          sharpMaskCtx.fillRect(0, 0, width, height);
-          
-          const sharpFocusLayer = document.createElement("canvas");
-          sharpFocusLayer.width = width;
-          sharpFocusLayer.height = height;
-          const sflCtx = sharpFocusLayer.getContext("2d");
-          if (!sflCtx) { console.error("Failed to get context for sharpFocusLayer canvas."); return; }
-          sflCtx.drawImage(currentContent, 0, 0); // Original (pre-blur) content
-          sflCtx.globalCompositeOperation = "destination-in";
-          sflCtx.drawImage(sharpMask, 0, 0); // Apply mask: keeps original content only where mask is opaque
-
-          ctx.globalCompositeOperation = "source-over"; // Reset composite operation
-          ctx.drawImage(sharpFocusLayer, 0, 0); // Draw sharp focused layer on top
-        }
-        break;
-      default:
-        console.warn(`Unknown filter type: ${filterType}`);
-    }
-    ctx.globalCompositeOperation = "source-over"; // Ensure composite operation is reset
-  }, []); // applyFilter is stable as it operates on arguments and has no closure over hook state.
+  }, [getRenderer]);
 
   const processImage = useCallback(() => {
+    const renderer = getRenderer();
     if (!originalImage || originalImage.naturalWidth === 0) {
+      renderer.cancel();
       setProcessedImage(null); // Clear output if no valid source
       setIsProcessing(false);  // Ensure processing state is false
       return;
     }
 
     setIsProcessing(true); // Set processing true at the beginning of actual work
-    
-    // Using a microtask (Promise.resolve) to allow UI updates before heavy canvas operations.
-    Promise.resolve().then(() => {
-        try {
-            const canvas = document.createElement("canvas");
-            canvas.width = originalImage.naturalWidth;
-            canvas.height = originalImage.naturalHeight;
-            const ctx = canvas.getContext("2d");
-
-            if (!ctx) {
-                console.error("Failed to get 2D context for processing canvas.");
-                setProcessedImage(null); 
-                // setIsProcessing(false) will be called in the finally block
-                return; 
-            }
-            
-            // Draw the original image onto the canvas first
-            ctx.drawImage(originalImage, 0, 0, canvas.width, canvas.height);
-            
-            // Sequentially apply all filters from the current 'filters' state object
-            Object.entries(filters).forEach(([filterType, value]) => {
-               applyFilter(ctx, filterType, value);
-            });
-            
-            const dataUrl = canvas.toDataURL("image/jpeg", 0.92); // Use JPEG for general photos
-            setProcessedImage(dataUrl);
-        } catch (error) {
-            console.error("Error during image processing:", error);
-            setProcessedImage(null); // Clear processed image on error
-        } finally {
-            setIsProcessing(false); // Set processing false when done or if an error occurs
+    setProgress(0);
+
+    // The renderer runs the pipeline in a worker (or yields regularly on the main thread),
+    // and rejects with RenderCancelledError when a newer render supersedes this one.
+    renderer.render(filters, { onProgress: setProgress, maxDimension: getPreviewMaxDimension() })
+      .then((blob) => {
+        setProcessedImage(URL.createObjectURL(blob));
+        setProgress(1);
+        setIsProcessing(false); // Set processing false when done
+      })
+      .catch((error) => {
+        if (error instanceof RenderCancelledError) {
+          return; // A newer render is already in flight and owns `isProcessing`
         }
-    });
-  }, [originalImage, filters, applyFilter]); // `processImage` is recreated if `originalImage` or `filters` change. `applyFilter` is stable.
+        console.error("Error during image processing:", error);
+        setProcessedImage(null); // Clear processed image on error
+        setIsProcessing(false);
+      });
+  }, [originalImage, filters, getRenderer]); // `processImage` is recreated if `originalImage` or `filters` change.
 
   const updateFilter = useCallback((filterType, value) => {
     setInternalFilters(prevFilters => {
-      const newNumericValue = Number(value);
+      const newValue = normalizeFilterValue(filterType, value);
       // Check if the value has actually changed to avoid unnecessary state updates
-      if (prevFilters.hasOwnProperty(filterType) && prevFilters[filterType] === newNumericValue) {
+      if (prevFilters.hasOwnProperty(filterType) && prevFilters[filterType] === newValue) {
         return prevFilters; // No change, return the same object reference
       }
       // Value changed, return a new object reference to trigger re-renders and effects
       return {
         ...prevFilters,
-        [filterType]: newNumericValue,
+        [filterType]: newValue,
       };
     });
   }, []); // `updateFilter` itself is stable.
 
+  // The transform, crop, focus area and subject strokes are not adjustments, so they survive a reset.
   const resetFilters = useCallback(() => {
-    setInternalFilters({ ...defaultFilters }); // Reset to defaults, creates a new object
+    setInternalFilters(prevFilters => ({ ...defaultFilters, ...pickPersistentSettings(prevFilters) })); // Reset to defaults, creates a new object
   }, []); // `resetFilters` is stable.
 
+  // Replace all filter values at once, e.g. when restoring a step from the edit history.
+  // Keys missing from `nextFilters` fall back to their defaults.
+  const setFilters = useCallback((nextFilters) => {
+    setInternalFilters({ ...defaultFilters, ...(nextFilters || {}) });
+  }, []); // `setFilters` is stable.
+
+
+  const releaseFullResolution = useCallback(() => {
+    const entry = fullResolutionRef.current;
+    fullResolutionRef.current = null;
+    if (!entry) return;
+    entry.released = true;
+    entry.promise.then((image) => entry.users === 0 && closeImage(image), () => {});
+  }, []);
+
+  const storeFullResolution = useCallback((forFilters, forImage, promise) => {
+    releaseFullResolution();
+    const entry = { filters: forFilters, image: forImage, promise, users: 0, released: false };
+    fullResolutionRef.current = entry;
+    promise.catch(() => {
+      if (fullResolutionRef.current === entry) fullResolutionRef.current = null; // Cancelled or failed: nothing to keep
+    });
+    return entry;
+  }, [releaseFullResolution]);
+
+  // A full-resolution render only stays valid for the edit it was made from.
+  useEffect(() => {
+    const entry = fullResolutionRef.current;
+    if (entry && (entry.filters !== filters || entry.image !== originalImage)) {
+      releaseFullResolution();
+    }
+  }, [filters, originalImage, releaseFullResolution]);
+
+  useEffect(() => releaseFullResolution, [releaseFullResolution]); // Free the bitmap on unmount
+
+  // Progressive refinement: once the edit has been still for a moment, render it at full resolution
+  // in the background so a download can reuse it. Any new preview render cancels it.
+  useEffect(() => {
+    if (!originalImage || !processedImage || isProcessing) return undefined;
+    const timerId = setTimeout(() => {
+      const entry = fullResolutionRef.current;
+      if (entry && entry.filters === filters && entry.image === originalImage) return;
+      storeFullResolution(filters, originalImage, getRenderer().render(filters, { output: "bitmap" }));
+    }, REFINEMENT_DELAY_MS);
+    return () => clearTimeout(timerId);
+  }, [originalImage, processedImage, isProcessing, filters, getRenderer, storeFullResolution]);
+
+  // Renders `thumbnailFilters` applied to the current image as a small encoded Blob whose longer
+  // side is at most `maxDimension` pixels. Calls are queued and run one after another.
+  const renderThumbnail = useCallback((thumbnailFilters, maxDimension = 128) => {
+    if (!originalImage) {
+      return Promise.reject(new Error("There is no image to render a thumbnail of."));
+    }
+    if (!thumbnailRendererRef.current) {
+      thumbnailRendererRef.current = createFilterRenderer();
+      thumbnailRendererRef.current.setImage(originalImage);
+    }
+    const renderer = thumbnailRendererRef.current;
+    const result = thumbnailQueueRef.current.then(() => renderer.render(thumbnailFilters, { maxDimension }));
+    thumbnailQueueRef.current = result.catch(() => {}); // A failed thumbnail must not block the queue
+    return result;
+  }, [originalImage]);
+
+  // Keep a rendering of the original with the current rotation, flips and straightening (and nothing
+  // else), since crops are made on the transformed photo. Not needed without a transform.
+  const transform = filters.transform;
+  useEffect(() => {
+    if (!originalImage || isIdentityTransform(transform)) {
+      setGeometryPreview(null);
+      return undefined;
+    }
+    let didCancel = false;
+    const timerId = setTimeout(() => {
+      renderThumbnail({ transform }, GEOMETRY_PREVIEW_MAX_DIMENSION)
+        .then((blob) => {
+          if (!didCancel) setGeometryPreview({ image: originalImage, transform, url: URL.createObjectURL(blob) });
+        })
+        .catch((error) => console.error("Failed to render the transformed original:", error));
+    }, GEOMETRY_PREVIEW_DELAY_MS);
+    return () => {
+      didCancel = true;
+      clearTimeout(timerId);
+    };
+  }, [originalImage, transform, renderThumbnail]);
+
+  // Only hand out the preview while it matches the current image and transform
+  const geometryImage = geometryPreview && geometryPreview.image === originalImage && geometryPreview.transform === transform
+    ? geometryPreview.url
+    : null;
+
+  // Auto Enhance: analyses the photo as framed (rotation and crop, but no adjustments) and resolves
+  // with { values, changes } (see `suggestEnhancement`), or null for a fully transparent image.
+  // The values are suggestions for the light, colour and white balance sliders.
+  const getAutoEnhancement = useCallback(async () => {
+    const blob = await renderThumbnail({ transform: filters.transform, crop: filters.crop }, ANALYSIS_MAX_DIMENSION);
+    const stats = analyzeImageData(await readImageData(blob));
+    return stats ? suggestEnhancement(stats) : null;
+  }, [filters.transform, filters.crop, renderThumbnail]);
+
+  // Histograms of the photo as framed, before any adjustment (see `computeHistograms`). Levels and
+  // curves are drawn over them; recomputed once the framing has stayed unchanged for a moment.
+  const crop = filters.crop;
+  useEffect(() => {
+    if (!originalImage) {
+      setSourceHistogram(null);
+      return undefined;
+    }
+    let didCancel = false;
+    const timerId = setTimeout(() => {
+      renderThumbnail({ transform, crop }, ANALYSIS_MAX_DIMENSION)
+        .then(readImageData)
+        .then((imageData) => {
+          if (!didCancel) setSourceHistogram(computeHistograms(imageData));
+        })
+        .catch((error) => console.error("Failed to compute the histogram:", error));
+    }, HISTOGRAM_DELAY_MS);
+    return () => {
+      didCancel = true;
+      clearTimeout(timerId);
+    };
+  }, [originalImage, transform, crop, renderThumbnail]);
+
+  // Renders the current edit from the original pixels at full resolution and calls `consume(image)`
+  // with the unencoded drawable (ImageBitmap or canvas), so the download is encoded exactly once.
+  // Resolves with what `consume` returns. Reuses the refinement pass when it matches the edit;
+  // otherwise a separate renderer is used so preview renders triggered meanwhile don't cancel the export.
+  const renderForExport = useCallback(async (consume, { onProgress } = {}) => {
+    if (!originalImage) {
+      throw new Error("There is no image to export.");
+    }
+
+    let entry = fullResolutionRef.current;
+    let exportRenderer = null;
+    if (!entry || entry.filters !== filters || entry.image !== originalImage) {
+      exportRenderer = createFilterRenderer();
+      exportRenderer.setImage(originalImage);
+      entry = storeFullResolution(filters, originalImage, exportRenderer.render(filters, { onProgress, output: "bitmap" }));
+    }
+
+    entry.users += 1;
+    try {
+      let image;
+      try {
+        image = await entry.promise;
+      } catch (error) {
+        if (!(error instanceof RenderCancelledError) || exportRenderer) throw error;
+        // The background refinement was cancelled by a newer preview: render this edit on its own
+        entry.users -= 1;
+        exportRenderer = createFilterRenderer();
+        exportRenderer.setImage(originalImage);
+        entry = { promise: exportRenderer.render(filters, { onProgress, output: "bitmap" }), users: 1, released: true };
+        image = await entry.promise;
+      }
+      return await consume(image);
+    } finally {
+      entry.users -= 1;
+      if (entry.released && entry.users === 0) {
+        entry.promise.then(closeImage, () => {});
+      }
+      if (exportRenderer) {
+        exportRenderer.dispose();
+      }
+    }
+  }, [originalImage, filters, storeFullResolution]);
 
   // useEffect to manage debounced image processing when originalImage or filter-dependent processImage function changes.
   useEffect(() => {
@@ -258,7 +375,10 @@ const useImageFilters = () => {
       }, 150); // Debounce duration: 150ms
     } else {
       // No valid original image, or it became invalid.
-      // Clear any processed image and ensure processing state is false.
+      // Cancel any render in flight, clear any processed image and ensure processing state is false.
+      if (rendererRef.current) {
+        rendererRef.current.cancel();
+      }
       setProcessedImage(null);
       setIsProcessing(false); 
     }
@@ -277,10 +397,18 @@ const useImageFilters = () => {
     filters,        // The current filter values (memoized)
     updateFilter,   // Function to update a specific filter
     resetFilters,   // Function to reset all filters to default
+    setFilters,     // Function to replace all filter values (e.g. undo/redo)
     setupCanvas,    // Function to initialize with an HTMLImageElement
-    processedImage, // Data URL of the image after filters are applied
+    processedImage, // Object URL of the image after filters are applied
     isProcessing,   // Boolean indicating if filters are currently being applied
+    progress,       // Progress (0-1) of the render in flight
+    renderForExport, // Function rendering the current edit at full resolution, unencoded, for export
+    renderThumbnail, // Function rendering small previews of other filter values (e.g. presets)
+    getAutoEnhancement, // Function analysing the photo and suggesting light, colour and white balance values
+    geometryImage,  // Object URL of the original with only the transform applied (null without one or while rendering)
+    sourceHistogram, // { luminance, red, green, blue } histograms of the framed, unadjusted photo, or null
   };
 };
 
+export { defaultFilters, normalizeFilterValue, pickPersistentSettings };
 export default useImageFilters;
\ No newline at end of file
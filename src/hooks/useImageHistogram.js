@@ -0,0 +1,142 @@
+import { useState, useEffect } from "react";
+import { createCanvas, canvasToBlob } from "../filters/canvas";
+import { computeHistograms, findClippedPixels, CLIPPED_SHADOW, CLIPPED_HIGHLIGHT } from "../filters/analysis";
+
+// The histogram is computed from a copy of the image this small; the clipping overlay uses full size
+const HISTOGRAM_MAX_DIMENSION = 320;
+
+// Colours of the clipping overlay: blue for crushed shadows, red for blown highlights
+const SHADOW_CLIPPING_COLOR = [37, 99, 235];
+const HIGHLIGHT_CLIPPING_COLOR = [239, 68, 68];
+
+// Runs `callback` once the browser is idle, so analysis never competes with slider interaction.
+// Returns a function cancelling it.
+const scheduleIdle = (callback) => {
+  if (typeof window.requestIdleCallback === "function") {
+    const id = window.requestIdleCallback(callback, { timeout: 500 });
+    return () => window.cancelIdleCallback(id);
+  }
+  const id = setTimeout(callback, 50);
+  return () => clearTimeout(id);
+};
+
+// Pixels of `bitmap`, scaled down to at most `maxDimension` on its longer side if given
+const getBitmapImageData = (bitmap, maxDimension) => {
+  const scale = maxDimension ? Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height)) : 1;
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+  const ctx = createCanvas(width, height).getContext("2d");
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  return ctx.getImageData(0, 0, width, height);
+};
+
+// Transparent PNG marking the clipped pixels of `clipped` (see `findClippedPixels`) that are switched on
+const createClippingOverlay = async ({ mask }, width, height, { shadows, highlights }) => {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  const overlay = ctx.createImageData(width, height);
+  for (let p = 0; p < mask.length; p++) {
+    const color = (mask[p] === CLIPPED_SHADOW && shadows && SHADOW_CLIPPING_COLOR)
+      || (mask[p] === CLIPPED_HIGHLIGHT && highlights && HIGHLIGHT_CLIPPING_COLOR);
+    if (!color) continue;
+    overlay.data[p * 4] = color[0];
+    overlay.data[p * 4 + 1] = color[1];
+    overlay.data[p * 4 + 2] = color[2];
+    overlay.data[p * 4 + 3] = 255;
+  }
+  ctx.putImageData(overlay, 0, 0);
+  return URL.createObjectURL(await canvasToBlob(canvas, "image/png"));
+};
+
+// Live histogram and clipping of the image at `imageUrl` (the rendered preview). Everything is
+// recomputed in idle time after the image changes, so it follows the debounced render.
+// `clippingOverlay` ({ shadows, highlights }) selects which clipped pixels the overlay marks.
+// Returns { histogram, clipping, clippingOverlayUrl }: `histogram` is { luminance, red, green, blue }
+// (see `computeHistograms`), `clipping` the clipped fractions { shadows, highlights }, and
+// `clippingOverlayUrl` an object URL of the overlay (null while no overlay is switched on).
+const useImageHistogram = (imageUrl, clippingOverlay = { shadows: false, highlights: false }) => {
+  const [analysis, setAnalysis] = useState(null); // { histogram, clipping }
+  const [overlay, setOverlay] = useState(null); // { shadows, highlights, url }
+  const showShadows = Boolean(clippingOverlay.shadows);
+  const showHighlights = Boolean(clippingOverlay.highlights);
+
+  useEffect(() => {
+    if (!imageUrl) {
+      setAnalysis(null);
+      return undefined;
+    }
+    let didCancel = false;
+    const cancelIdle = scheduleIdle(async () => {
+      try {
+        const bitmap = await createImageBitmap(await (await fetch(imageUrl)).blob());
+        try {
+          if (didCancel) return;
+          const imageData = getBitmapImageData(bitmap, HISTOGRAM_MAX_DIMENSION);
+          const { shadows, highlights } = findClippedPixels(imageData);
+          setAnalysis({ histogram: computeHistograms(imageData), clipping: { shadows, highlights } });
+        } finally {
+          bitmap.close();
+        }
+      } catch (error) {
+        if (!didCancel) console.error("Failed to compute the histogram:", error);
+      }
+    });
+    return () => {
+      didCancel = true;
+      cancelIdle();
+    };
+  }, [imageUrl]);
+
+  useEffect(() => {
+    if (!imageUrl || (!showShadows && !showHighlights)) {
+      setOverlay(null);
+      return undefined;
+    }
+    let didCancel = false;
+    const cancelIdle = scheduleIdle(async () => {
+      try {
+        const bitmap = await createImageBitmap(await (await fetch(imageUrl)).blob());
+        let url;
+        try {
+          if (didCancel) return;
+          const imageData = getBitmapImageData(bitmap);
+          url = await createClippingOverlay(findClippedPixels(imageData), imageData.width, imageData.height, {
+            shadows: showShadows,
+            highlights: showHighlights,
+          });
+        } finally {
+          bitmap.close();
+        }
+        if (didCancel) {
+          URL.revokeObjectURL(url);
+        } else {
+          setOverlay({ shadows: showShadows, highlights: showHighlights, url });
+        }
+      } catch (error) {
+        if (!didCancel) console.error("Failed to compute the clipping overlay:", error);
+      }
+    });
+    return () => {
+      didCancel = true;
+      cancelIdle();
+    };
+  }, [imageUrl, showShadows, showHighlights]);
+
+  // Revoke each overlay once it has been replaced
+  useEffect(() => {
+    return () => {
+      if (overlay) {
+        URL.revokeObjectURL(overlay.url);
+      }
+    };
+  }, [overlay]);
+
+  // The last histogram and overlay stay up while the next ones are computed, so they don't flicker
+  return {
+    histogram: analysis ? analysis.histogram : null,
+    clipping: analysis ? analysis.clipping : null,
+    clippingOverlayUrl: overlay && overlay.shadows === showShadows && overlay.highlights === showHighlights ? overlay.url : null,
+  };
+};
+
+export default useImageHistogram;
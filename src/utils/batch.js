@@ -0,0 +1,87 @@
+// Helpers for batch mode: collecting dropped photos, crop rules and output file names.
+import { fitRecipeCrop } from "./recipe";
+import { getFileExtension } from "./exportImage";
+import { getImportFormat, MAX_IMPORT_FILE_SIZE } from "./imageImport";
+
+// How each photo of a batch is cropped. `aspectRatio` rules crop the largest centred area of that shape.
+export const batchCropRules = [
+  { id: "none", label: "No crop" },
+  { id: "square", label: "Centered square", aspectRatio: 1 },
+  { id: "portrait", label: "Centered portrait (4:5)", aspectRatio: 4 / 5 },
+  { id: "banner", label: "Centered banner (4:1)", aspectRatio: 4 },
+  { id: "current", label: "Same as the current crop" },
+];
+
+// Crop (as stored in `filters.crop`) for a photo of `width` × `height` pixels under `ruleId`.
+// `currentCrop` is the crop of the photo open in the editor, used by the "current" rule.
+export const getBatchCrop = (ruleId, width, height, currentCrop = null) => {
+  if (ruleId === "current") {
+    return fitRecipeCrop(currentCrop, width, height);
+  }
+  const rule = batchCropRules.find((r) => r.id === ruleId);
+  if (!rule || !rule.aspectRatio) return null;
+  return fitRecipeCrop({ x: 0, y: 0, width: 1, height: 1, aspectRatio: rule.aspectRatio }, width, height);
+};
+
+// Output name keeping the original file name, with the extension of the exported type.
+// `usedNames` (a Set) makes names unique within the archive: "photo.jpg", "photo (2).jpg", ...
+export const getBatchFileName = (originalName, type, usedNames) => {
+  const baseName = originalName.replace(/\.[^./]+$/, "") || "photo";
+  const extension = getFileExtension(type);
+  let name = `${baseName}.${extension}`;
+  for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+    name = `${baseName} (${n}).${extension}`;
+  }
+  usedNames.add(name.toLowerCase());
+  return name;
+};
+
+// Reads all files below a FileSystemEntry (from a dropped folder), depth first.
+const readEntryFiles = async (entry) => {
+  if (entry.isFile) {
+    return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+  }
+  if (!entry.isDirectory) return [];
+  const reader = entry.createReader();
+  const files = [];
+  // readEntries returns the directory contents in chunks until it yields an empty list
+  for (;;) {
+    const entries = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (entries.length === 0) break;
+    for (const child of entries) {
+      files.push(...(await readEntryFiles(child)));
+    }
+  }
+  return files;
+};
+
+// Files from a drop, including the contents of dropped folders where the browser supports it.
+export const getDroppedFiles = async (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items || [])
+    .map((item) => (item.kind === "file" && typeof item.webkitGetAsEntry === "function" ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+  if (entries.length === 0) {
+    return Array.from(dataTransfer.files || []);
+  }
+  const files = [];
+  for (const entry of entries) {
+    files.push(...(await readEntryFiles(entry)));
+  }
+  return files;
+};
+
+// Splits `files` into photos batch mode can process and the names of those it skips.
+export const partitionBatchFiles = (files) => {
+  const accepted = [];
+  const skipped = [];
+  files.forEach((file) => {
+    if (file.name.startsWith(".")) return; // Hidden system files such as .DS_Store
+    if (getImportFormat(file) && file.size <= MAX_IMPORT_FILE_SIZE) { // Same formats and limit as single uploads
+      accepted.push(file);
+    } else {
+      skipped.push(file.name);
+    }
+  });
+  accepted.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  return { accepted, skipped };
+};
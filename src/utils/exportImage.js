@@ -0,0 +1,95 @@
+// Turns the edited image into the downloadable file: resizing, encoding and metadata.
+import imageCompression from "browser-image-compression";
+import { createCanvas, canvasToBlob } from "../filters/canvas";
+import { writeMetadata } from "./metadata";
+
+export const exportFormats = [
+  { type: "image/jpeg", label: "JPEG", extension: "jpg", supportsQuality: true },
+  { type: "image/png", label: "PNG", extension: "png", supportsQuality: false },
+  { type: "image/webp", label: "WebP", extension: "webp", supportsQuality: true },
+];
+
+// Output sizes. `null` dimensions keep the edited image's own size.
+export const exportSizePresets = [
+  { id: "original", label: "Original size", width: null, height: null },
+  { id: "profile", label: "Profile photo (400×400)", width: 400, height: 400 },
+  { id: "banner", label: "Banner (1584×396)", width: 1584, height: 396 },
+  { id: "custom", label: "Custom size", width: null, height: null },
+];
+
+export const MAX_EXPORT_DIMENSION = 8192;
+
+export const defaultExportOptions = {
+  type: "image/jpeg",
+  sizePreset: "original",
+  width: 400,   // Custom size only
+  height: 400,  // Custom size only
+  quality: 0.92,
+  maxSizeMB: null, // Optional file size limit
+  metadata: "none", // What to keep of the photo's EXIF metadata, see `metadataModes`
+};
+
+// File extension for the MIME type actually produced (browsers may fall back, e.g. WebP -> PNG).
+export const getFileExtension = (type) => {
+  const format = exportFormats.find((f) => f.type === type);
+  return format ? format.extension : "jpg";
+};
+
+// Output dimensions for `options` given the edited image's size.
+// A custom size with one side left empty keeps the aspect ratio.
+export const getExportDimensions = (options, sourceWidth, sourceHeight) => {
+  const clampDimension = (value) => Math.min(MAX_EXPORT_DIMENSION, Math.max(1, Math.round(value)));
+  const preset = exportSizePresets.find((p) => p.id === options.sizePreset) || exportSizePresets[0];
+
+  if (preset.id === "custom") {
+    const width = Number(options.width) || 0;
+    const height = Number(options.height) || 0;
+    if (width && height) return { width: clampDimension(width), height: clampDimension(height) };
+    if (width) return { width: clampDimension(width), height: clampDimension((width * sourceHeight) / sourceWidth) };
+    if (height) return { width: clampDimension((height * sourceWidth) / sourceHeight), height: clampDimension(height) };
+    return { width: sourceWidth, height: sourceHeight };
+  }
+  if (preset.width && preset.height) {
+    return { width: preset.width, height: preset.height };
+  }
+  return { width: sourceWidth, height: sourceHeight };
+};
+
+// Encodes the rendered, still unencoded edit (`image`: ImageBitmap or canvas) for download, so
+// the pixels are compressed exactly once. `sourceExif` is the EXIF payload of the uploaded photo,
+// of which `options.metadata` selects what is written into the file; `onWarning(message)` is called
+// if it can't be. Resolves with a Blob.
+export const exportImage = async (image, options = {}, { sourceExif, onProgress, onWarning } = {}) => {
+  const settings = { ...defaultExportOptions, ...options };
+  const { width, height } = getExportDimensions(settings, image.width, image.height);
+
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  if (settings.type === "image/jpeg") {
+    // JPEG has no transparency; white reads better than the default black
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, width, height);
+  }
+  // Cover-fit: fill the requested size, cropping the centre when the aspect ratio differs
+  const scale = Math.max(width / image.width, height / image.height);
+  const drawWidth = image.width * scale;
+  const drawHeight = image.height * scale;
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+
+  let blob = await canvasToBlob(canvas, settings.type, settings.quality);
+
+  if (settings.maxSizeMB > 0 && blob.size > settings.maxSizeMB * 1024 * 1024) {
+    blob = await imageCompression(new File([blob], `export.${getFileExtension(blob.type)}`, { type: blob.type }), {
+      maxSizeMB: settings.maxSizeMB,
+      fileType: blob.type,
+      initialQuality: settings.quality,
+      alwaysKeepResolution: true, // Only lower the quality; the dimensions were chosen explicitly
+      useWebWorker: true,
+      onProgress: (progress) => typeof onProgress === "function" && onProgress(progress / 100),
+    });
+  }
+
+  return writeMetadata(blob, sourceExif, settings.metadata, { onWarning });
+};
@@ -0,0 +1,219 @@
+// Importing photos: EXIF metadata is read once on upload and the EXIF orientation is applied to
+// the pixels, so every later step (cropper, filters, export) works on an upright image without
+// depending on how a browser treats the orientation tag. Formats the editor can't use as they are
+// (HEIC, GIF, BMP) are converted on import.
+import { readJpegExif, readExifTags, withJpegOrientation } from "./metadata";
+import { createCanvas, canvasToBlob } from "../filters/canvas";
+
+const UPRIGHT_JPEG_QUALITY = 0.95;
+
+// Formats photos can be opened from. `types` are MIME types and `extensions` file extensions;
+// browsers often leave the MIME type of HEIC files empty, so both are checked.
+// `convert`: "heic" decodes with the bundled HEIC decoder, "png" keeps the first frame as a PNG.
+// `checkDecoding`: browser support varies, so the file is test-decoded to report it clearly.
+export const importFormats = [
+  { label: "JPG", types: ["image/jpeg", "image/jpg", "image/pjpeg"], extensions: ["jpg", "jpeg", "jfif"] },
+  { label: "PNG", types: ["image/png"], extensions: ["png"] },
+  { label: "WebP", types: ["image/webp"], extensions: ["webp"], checkDecoding: true },
+  { label: "AVIF", types: ["image/avif"], extensions: ["avif"], checkDecoding: true },
+  { label: "GIF", types: ["image/gif"], extensions: ["gif"], convert: "png" },
+  { label: "BMP", types: ["image/bmp", "image/x-ms-bmp"], extensions: ["bmp"], convert: "png" },
+  { label: "HEIC", types: ["image/heic", "image/heif", "image/heic-sequence", "image/heif-sequence"], extensions: ["heic", "heif"], convert: "heic" },
+];
+
+// Image formats that are recognised but can't be opened, with the reason shown to the user.
+const unsupportedFormats = [
+  { label: "TIFF", types: ["image/tiff"], extensions: ["tif", "tiff"], reason: "TIFF files are not supported. Please save the photo as JPG or PNG first." },
+  { label: "SVG", types: ["image/svg+xml"], extensions: ["svg"], reason: "SVG files are drawings rather than photos and can't be edited here." },
+  { label: "ICO", types: ["image/x-icon", "image/vnd.microsoft.icon"], extensions: ["ico"], reason: "Icon files are not supported. Please upload a photo instead." },
+  { label: "PSD", types: ["image/vnd.adobe.photoshop"], extensions: ["psd"], reason: "Photoshop files are not supported. Please export the image as JPG or PNG first." },
+  { label: "JPEG XL", types: ["image/jxl"], extensions: ["jxl"], reason: "JPEG XL files are not supported yet. Please save the photo as JPG first." },
+  {
+    label: "RAW",
+    types: [],
+    extensions: ["dng", "cr2", "cr3", "nef", "arw", "orf", "rw2", "raf", "pef", "srw"],
+    reason: "Camera RAW files can't be opened here. Please export the photo as JPG from your camera or photo app first.",
+  },
+];
+
+export const MAX_IMPORT_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+
+// Thrown when a file can't be imported; `message` explains why in words meant for the user.
+export class ImageImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImageImportError";
+  }
+}
+
+// "Photo.HEIC" -> "heic"
+const getExtension = (name) => {
+  const match = /\.([^./]+)$/.exec(name || "");
+  return match ? match[1].toLowerCase() : "";
+};
+
+const findFormat = (formats, file) => {
+  const type = (file.type || "").toLowerCase();
+  const extension = getExtension(file.name);
+  return formats.find((format) => format.types.includes(type))
+    || (!type || type === "application/octet-stream" ? formats.find((format) => format.extensions.includes(extension)) : null)
+    || null;
+};
+
+// The import format of `file` (see `importFormats`), or null if it can't be opened.
+export const getImportFormat = (file) => findFormat(importFormats, file);
+
+// Labels of the formats that can be opened, e.g. for "Supports: JPG, PNG, ..."
+export const importFormatLabels = importFormats.map((format) => format.label);
+
+// Value for the `accept` attribute of file inputs
+export const importAcceptAttribute = importFormats
+  .flatMap((format) => [...format.types, ...format.extensions.map((extension) => `.${extension}`)])
+  .join(",");
+
+// "JPG, PNG, ... or HEIC"
+const supportedFormatList = `${importFormatLabels.slice(0, -1).join(", ")} or ${importFormatLabels[importFormatLabels.length - 1]}`;
+
+// Checks that `file` can be imported before reading it. Returns its import format or throws an
+// ImageImportError saying why it can't be used.
+export const checkImageFile = (file) => {
+  if (!file) {
+    throw new ImageImportError("No file selected.");
+  }
+  const format = getImportFormat(file);
+  if (!format) {
+    const unsupported = findFormat(unsupportedFormats, file);
+    if (unsupported) {
+      throw new ImageImportError(unsupported.reason);
+    }
+    if ((file.type || "").startsWith("image/")) {
+      const name = (getExtension(file.name) || file.type.slice(6)).toUpperCase();
+      throw new ImageImportError(`${name} images are not supported. Please upload a ${supportedFormatList} image.`);
+    }
+    throw new ImageImportError(`This file is not an image. Please upload a ${supportedFormatList} image.`);
+  }
+  if (file.size > MAX_IMPORT_FILE_SIZE) {
+    throw new ImageImportError("Image size is too large. Please upload an image smaller than 10MB.");
+  }
+  return format;
+};
+
+const loadImage = (url) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error("The photo could not be decoded."));
+  image.src = url;
+});
+
+// Canvas transforms for EXIF orientations 2-8 (drawn from the stored, unrotated pixels).
+// Orientations 5-8 swap width and height.
+const orientationTransforms = {
+  2: (w) => [-1, 0, 0, 1, w, 0],
+  3: (w, h) => [-1, 0, 0, -1, w, h],
+  4: (w, h) => [1, 0, 0, -1, 0, h],
+  5: () => [0, 1, 1, 0, 0, 0],
+  6: (w, h) => [0, 1, -1, 0, h, 0],
+  7: (w, h) => [0, -1, -1, 0, h, w],
+  8: (w, h) => [0, -1, 1, 0, 0, w],
+};
+
+// Re-encodes a JPEG with its EXIF `orientation` applied to the pixels.
+const drawUpright = async (buffer, orientation) => {
+  // Reset the tag first so the browser decodes the stored pixels unrotated
+  const url = URL.createObjectURL(new Blob([withJpegOrientation(buffer, 1)], { type: "image/jpeg" }));
+  try {
+    const image = await loadImage(url);
+    const { naturalWidth: width, naturalHeight: height } = image;
+    const swapsSides = orientation >= 5;
+    const canvas = createCanvas(swapsSides ? height : width, swapsSides ? width : height);
+    const ctx = canvas.getContext("2d");
+    ctx.transform(...orientationTransforms[orientation](width, height));
+    ctx.drawImage(image, 0, 0);
+    return await canvasToBlob(canvas, "image/jpeg", UPRIGHT_JPEG_QUALITY);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+// Decodes a HEIC/HEIF photo (e.g. from an iPhone) to a JPEG. The decoder is large, so it is only
+// loaded the first time a HEIC file is opened.
+const convertHeic = async (file) => {
+  const { default: heic2any } = await import("heic2any");
+  try {
+    const result = await heic2any({ blob: file, toType: "image/jpeg", quality: UPRIGHT_JPEG_QUALITY });
+    return Array.isArray(result) ? result[0] : result; // Image sequences (bursts, live photos) yield their first image
+  } catch (error) {
+    console.error("HEIC decoding failed:", error);
+    throw new ImageImportError("This HEIC photo could not be decoded. It may be damaged, or use a HEIC variant that isn't supported.");
+  }
+};
+
+// Decodes `file` in the browser, throwing an ImageImportError naming `format` if it can't.
+// Resolves with the decoded ImageBitmap, which shows the first frame of animated images.
+const decodeImage = async (file, format) => {
+  try {
+    return await createImageBitmap(file);
+  } catch (error) {
+    throw new ImageImportError(`This browser can't open ${format.label} images. Please try another browser or convert the photo to JPG.`);
+  }
+};
+
+// Keeps the first frame of a GIF, or the pixels of a BMP, as a PNG.
+const convertToPng = async (file, format) => {
+  const bitmap = await decodeImage(file, format);
+  try {
+    const canvas = createCanvas(bitmap.width, bitmap.height);
+    canvas.getContext("2d").drawImage(bitmap, 0, 0);
+    return await canvasToBlob(canvas, "image/png");
+  } finally {
+    bitmap.close();
+  }
+};
+
+// Reads an uploaded image file (see `importFormats`). Resolves with { blob, metadata }: `blob` is
+// the file itself, an upright re-encoded JPEG when the photo has a non-default EXIF orientation,
+// or the converted image for HEIC, GIF and BMP files; `metadata` is { tiff, tags } with the raw
+// EXIF payload and the tags read from it, or null without EXIF (converted files keep none).
+// Throws an ImageImportError for files that can't be opened.
+export const importImageFile = async (file) => {
+  const format = checkImageFile(file);
+  if (format.convert === "heic") {
+    return { blob: await convertHeic(file), metadata: null };
+  }
+  if (format.convert === "png") {
+    return { blob: await convertToPng(file, format), metadata: null };
+  }
+  if (format.checkDecoding) {
+    (await decodeImage(file, format)).close();
+  }
+  const buffer = await file.arrayBuffer();
+  const tiff = readJpegExif(buffer);
+  const metadata = tiff ? { tiff, tags: readExifTags(tiff) } : null;
+  const orientation = metadata ? metadata.tags.orientation : 1;
+  const blob = orientationTransforms[orientation] ? await drawUpright(buffer, orientation) : file;
+  return { blob, metadata };
+};
+
+// The file pasted with the `paste` event `e` (an image first, else any file), or null. Pastes into text
+// fields are left alone. Copied images usually arrive as "image.png"; they are renamed so downloads
+// get a sensible name.
+export const getPastedFile = (e) => {
+  const target = e.target;
+  if (target && (target.isContentEditable || target.tagName === "TEXTAREA" || target.tagName === "INPUT")) {
+    return null;
+  }
+  const items = Array.from((e.clipboardData && e.clipboardData.items) || []);
+  const item = items.find((entry) => entry.kind === "file" && entry.type.startsWith("image/"))
+    || items.find((entry) => entry.kind === "file");
+  const file = item && item.getAsFile();
+  if (!file) return null;
+  const isGenericName = !file.name || /^image\.\w+$/.test(file.name);
+  return isGenericName ? new File([file], `pasted-image.${file.type.split("/")[1] || "png"}`, { type: file.type }) : file;
+};
+
+export const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error || new Error("Failed to read the file."));
+  reader.readAsDataURL(blob);
+});
@@ -0,0 +1,339 @@
+// Reading EXIF metadata from uploaded photos and writing it into exported files.
+// Canvas encoders drop all metadata, so it is read from the original JPEG and written back
+// into the exported JPEG (APP1 segment) or PNG (eXIf chunk). Everything here works on raw bytes.
+
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0x00, 0x00]; // "Exif\0\0"
+const ORIENTATION_TAG = 0x0112;
+const MAX_SEGMENT_PAYLOAD = 0xffff - 2; // JPEG segment length field includes its own two bytes
+
+// Formats that can carry EXIF metadata in exports.
+export const metadataCapableTypes = ["image/jpeg", "image/png"];
+
+// What exports keep of the uploaded photo's metadata. Stripping everything is the private default.
+export const metadataModes = [
+  { id: "none", label: "Strip all metadata", description: "Recommended: nothing about the camera, date or location is shared." },
+  { id: "copyright", label: "Keep copyright and author only", description: "Credits the photographer without sharing camera, date or location." },
+  { id: "all", label: "Keep all metadata", description: "Includes camera, date and, if recorded, the GPS location." },
+];
+
+const hasExifHeader = (bytes, offset) => EXIF_HEADER.every((value, index) => bytes[offset + index] === value);
+
+// Byte range { start, end } of the TIFF-structured EXIF payload in JPEG `bytes`, or null.
+const findJpegExif = (bytes) => {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null; // Not a JPEG
+
+  let offset = 2;
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xff) return null; // Corrupt marker stream
+    const marker = bytes[offset + 1];
+    if (marker === 0xda || marker === 0xd9) return null; // Start of scan / end of image: no EXIF before the pixels
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    if (marker === 0xe1 && hasExifHeader(bytes, offset + 4)) {
+      return { start: offset + 4 + EXIF_HEADER.length, end: Math.min(bytes.length, offset + 2 + length) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+};
+
+// Returns the TIFF-structured EXIF payload of a JPEG (without the "Exif\0\0" header), or null.
+export const readJpegExif = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  const range = findJpegExif(bytes);
+  return range ? bytes.slice(range.start, range.end) : null;
+};
+
+// Returns a copy of `tiff` with the orientation tag set to `orientation`.
+// Exported pixels are already upright, so keeping the camera's orientation would rotate them twice.
+export const withExifOrientation = (tiff, orientation = 1) => {
+  const copy = tiff.slice();
+  if (copy.length < 8) return copy;
+  const view = new DataView(copy.buffer, copy.byteOffset, copy.byteLength);
+  const littleEndian = view.getUint16(0) === 0x4949; // "II" (Intel) vs "MM" (Motorola)
+  const ifdOffset = view.getUint32(4, littleEndian);
+  if (ifdOffset + 2 > copy.length) return copy;
+
+  const entryCount = view.getUint16(ifdOffset, littleEndian);
+  for (let index = 0; index < entryCount; index++) {
+    const entryOffset = ifdOffset + 2 + index * 12;
+    if (entryOffset + 12 > copy.length) break;
+    if (view.getUint16(entryOffset, littleEndian) === ORIENTATION_TAG) {
+      view.setUint16(entryOffset + 8, orientation, littleEndian); // SHORT value stored inline
+      break;
+    }
+  }
+  return copy;
+};
+
+// Returns a copy of JPEG `buffer` whose EXIF orientation tag is `orientation`, so the browser
+// decodes the stored pixels as they are (with 1) and the orientation can be applied explicitly.
+export const withJpegOrientation = (buffer, orientation = 1) => {
+  const bytes = new Uint8Array(buffer).slice();
+  const range = findJpegExif(bytes);
+  if (range) {
+    bytes.set(withExifOrientation(bytes.subarray(range.start, range.end), orientation), range.start);
+  }
+  return bytes;
+};
+
+// Inserts `tiff` as an EXIF APP1 segment into a JPEG that has none (as produced by canvas).
+// Returns the new bytes, or null if the metadata is too large for one segment.
+export const writeJpegExif = (buffer, tiff) => {
+  const bytes = new Uint8Array(buffer);
+  const payloadLength = EXIF_HEADER.length + tiff.length;
+  if (payloadLength > MAX_SEGMENT_PAYLOAD) return null;
+
+  // Keep the JFIF APP0 segment first, as the JFIF spec requires
+  let insertAt = 2;
+  if (bytes[2] === 0xff && bytes[3] === 0xe0) {
+    insertAt = 4 + ((bytes[4] << 8) | bytes[5]);
+  }
+
+  const segment = new Uint8Array(4 + payloadLength);
+  segment.set([0xff, 0xe1, ((payloadLength + 2) >> 8) & 0xff, (payloadLength + 2) & 0xff]);
+  segment.set(EXIF_HEADER, 4);
+  segment.set(tiff, 4 + EXIF_HEADER.length);
+
+  const result = new Uint8Array(bytes.length + segment.length);
+  result.set(bytes.subarray(0, insertAt));
+  result.set(segment, insertAt);
+  result.set(bytes.subarray(insertAt), insertAt + segment.length);
+  return result;
+};
+
+// CRC-32 as used by PNG chunks (and ZIP entries, see zip.js)
+let crcTable = null;
+export const crc32 = (bytes) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Inserts `tiff` as an eXIf chunk right after the PNG header chunk (it must precede the image data).
+export const writePngExif = (buffer, tiff) => {
+  const bytes = new Uint8Array(buffer);
+  const ihdrLength = (bytes[8] << 24) | (bytes[9] << 16) | (bytes[10] << 8) | bytes[11];
+  const insertAt = 8 + 12 + ihdrLength; // Signature, then IHDR length/type/data/CRC
+
+  const chunk = new Uint8Array(12 + tiff.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, tiff.length);
+  chunk.set([0x65, 0x58, 0x49, 0x66], 4); // "eXIf"
+  chunk.set(tiff, 8);
+  view.setUint32(8 + tiff.length, crc32(chunk.subarray(4, 8 + tiff.length)));
+
+  const result = new Uint8Array(bytes.length + chunk.length);
+  result.set(bytes.subarray(0, insertAt));
+  result.set(chunk, insertAt);
+  result.set(bytes.subarray(insertAt), insertAt + chunk.length);
+  return result;
+};
+
+// Reading tags. TIFF field types: size in bytes of one value.
+const typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const TAGS = {
+  make: 0x010f,
+  model: 0x0110,
+  orientation: ORIENTATION_TAG,
+  dateTime: 0x0132,
+  artist: 0x013b,
+  copyright: 0x8298,
+  exifIfd: 0x8769,
+  gpsIfd: 0x8825,
+  exposureTime: 0x829a,
+  fNumber: 0x829d,
+  iso: 0x8827,
+  dateTimeOriginal: 0x9003,
+  focalLength: 0x920a,
+  thumbnailOffset: 0x0201,
+  thumbnailLength: 0x0202,
+  lensModel: 0xa434,
+};
+
+// Reads the entries of the IFD at `offset` into a Map of tag -> value (numbers, strings or arrays).
+const readIfd = (view, offset, littleEndian) => {
+  const values = new Map();
+  if (offset + 2 > view.byteLength) return values;
+  const entryCount = view.getUint16(offset, littleEndian);
+  for (let index = 0; index < entryCount; index++) {
+    const entryOffset = offset + 2 + index * 12;
+    if (entryOffset + 12 > view.byteLength) break;
+    const tag = view.getUint16(entryOffset, littleEndian);
+    const type = view.getUint16(entryOffset + 2, littleEndian);
+    const count = view.getUint32(entryOffset + 4, littleEndian);
+    const size = typeSizes[type];
+    if (!size) continue;
+    // Values of up to four bytes are stored inline, larger ones at an offset
+    const valueOffset = size * count <= 4 ? entryOffset + 8 : view.getUint32(entryOffset + 8, littleEndian);
+    if (valueOffset + size * count > view.byteLength) continue;
+
+    if (type === 2) {
+      let text = "";
+      for (let i = 0; i < count; i++) {
+        const code = view.getUint8(valueOffset + i);
+        if (code === 0) break;
+        text += String.fromCharCode(code);
+      }
+      values.set(tag, text.trim());
+      continue;
+    }
+    const items = [];
+    for (let i = 0; i < Math.min(count, 16); i++) {
+      const at = valueOffset + i * size;
+      switch (type) {
+        case 3: items.push(view.getUint16(at, littleEndian)); break;
+        case 4: items.push(view.getUint32(at, littleEndian)); break;
+        case 9: items.push(view.getInt32(at, littleEndian)); break;
+        case 5: items.push(view.getUint32(at, littleEndian) / (view.getUint32(at + 4, littleEndian) || 1)); break;
+        case 10: items.push(view.getInt32(at, littleEndian) / (view.getInt32(at + 4, littleEndian) || 1)); break;
+        default: items.push(view.getUint8(at));
+      }
+    }
+    values.set(tag, count === 1 ? items[0] : items);
+  }
+  return values;
+};
+
+// EXIF "YYYY:MM:DD HH:MM:SS" -> "YYYY-MM-DD HH:MM"
+const formatExifDate = (value) => {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2})/.exec(value || "");
+  return match ? `${match[1]}-${match[2]}-${match[3]} ${match[4]}:${match[5]}` : null;
+};
+
+// Degrees/minutes/seconds plus "N"/"S"/"E"/"W" reference -> signed decimal degrees.
+const toDecimalDegrees = (dms, ref) => {
+  if (!Array.isArray(dms) || dms.length < 3) return null;
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return ref === "S" || ref === "W" ? -degrees : degrees;
+};
+
+// Reads the tags shown to the user from a TIFF-structured EXIF payload. Missing tags are null:
+// { orientation, make, model, lens, dateTaken, exposureTime, fNumber, iso, focalLength,
+//   artist, copyright, location: { latitude, longitude } | null }
+export const readExifTags = (tiff) => {
+  const empty = { orientation: 1, location: null };
+  if (!tiff || tiff.length < 8) return empty;
+  const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+  const littleEndian = view.getUint16(0) === 0x4949;
+  const ifd0 = readIfd(view, view.getUint32(4, littleEndian), littleEndian);
+  const exif = ifd0.has(TAGS.exifIfd) ? readIfd(view, ifd0.get(TAGS.exifIfd), littleEndian) : new Map();
+  const gps = ifd0.has(TAGS.gpsIfd) ? readIfd(view, ifd0.get(TAGS.gpsIfd), littleEndian) : new Map();
+
+  const text = (map, tag) => (typeof map.get(tag) === "string" && map.get(tag) ? map.get(tag) : null);
+  const number = (map, tag) => (typeof map.get(tag) === "number" && Number.isFinite(map.get(tag)) ? map.get(tag) : null);
+  const latitude = toDecimalDegrees(gps.get(2), gps.get(1));
+  const longitude = toDecimalDegrees(gps.get(4), gps.get(3));
+  const orientation = number(ifd0, TAGS.orientation);
+
+  return {
+    orientation: orientation >= 1 && orientation <= 8 ? orientation : 1,
+    make: text(ifd0, TAGS.make),
+    model: text(ifd0, TAGS.model),
+    lens: text(exif, TAGS.lensModel),
+    dateTaken: formatExifDate(text(exif, TAGS.dateTimeOriginal) || text(ifd0, TAGS.dateTime)),
+    exposureTime: number(exif, TAGS.exposureTime),
+    fNumber: number(exif, TAGS.fNumber),
+    iso: number(exif, TAGS.iso),
+    focalLength: number(exif, TAGS.focalLength),
+    artist: text(ifd0, TAGS.artist),
+    copyright: text(ifd0, TAGS.copyright),
+    location: latitude !== null && longitude !== null ? { latitude, longitude } : null,
+  };
+};
+
+// Builds a minimal little-endian TIFF payload holding only the Artist and Copyright tags,
+// or returns null when the photo has neither.
+export const createCopyrightExif = ({ artist, copyright }) => {
+  const encoder = new TextEncoder();
+  const entries = [[TAGS.artist, artist], [TAGS.copyright, copyright]]
+    .filter(([, value]) => value)
+    .map(([tag, value]) => [tag, encoder.encode(`${value}\0`)]);
+  if (entries.length === 0) return null;
+
+  const ifdSize = 2 + entries.length * 12 + 4;
+  const dataSize = entries.reduce((sum, [, bytes]) => sum + (bytes.length > 4 ? bytes.length : 0), 0);
+  const tiff = new Uint8Array(8 + ifdSize + dataSize);
+  const view = new DataView(tiff.buffer);
+  view.setUint16(0, 0x4949);       // "II": little-endian
+  view.setUint16(2, 42, true);
+  view.setUint32(4, 8, true);      // IFD0 follows the header
+  view.setUint16(8, entries.length, true);
+  let dataOffset = 8 + ifdSize;
+  entries.forEach(([tag, bytes], index) => { // Tags are already in ascending order
+    const entryOffset = 10 + index * 12;
+    view.setUint16(entryOffset, tag, true);
+    view.setUint16(entryOffset + 2, 2, true); // ASCII
+    view.setUint32(entryOffset + 4, bytes.length, true);
+    if (bytes.length <= 4) {
+      tiff.set(bytes, entryOffset + 8);
+    } else {
+      view.setUint32(entryOffset + 8, dataOffset, true);
+      tiff.set(bytes, dataOffset);
+      dataOffset += bytes.length;
+    }
+  });
+  // The next-IFD offset after the entries stays 0
+  return tiff;
+};
+
+// Returns a copy of `tiff` without IFD1, the embedded thumbnail, which still shows the unedited
+// original. IFD0 stops linking to it, and its entries and JPEG data are blanked as they would
+// otherwise still be in the file; a thumbnail at the end of the payload is cut off.
+export const withoutThumbnail = (tiff) => {
+  const copy = tiff.slice();
+  if (copy.length < 8) return copy;
+  const view = new DataView(copy.buffer, copy.byteOffset, copy.byteLength);
+  const littleEndian = view.getUint16(0) === 0x4949;
+  const ifdOffset = view.getUint32(4, littleEndian);
+  if (ifdOffset + 2 > copy.length) return copy;
+  const nextIfdAt = ifdOffset + 2 + view.getUint16(ifdOffset, littleEndian) * 12;
+  if (nextIfdAt + 4 > copy.length) return copy;
+  const thumbnailIfdOffset = view.getUint32(nextIfdAt, littleEndian);
+  view.setUint32(nextIfdAt, 0, littleEndian);
+  if (thumbnailIfdOffset === 0 || thumbnailIfdOffset + 2 > copy.length) return copy;
+
+  const thumbnailIfd = readIfd(view, thumbnailIfdOffset, littleEndian);
+  const thumbnailIfdEnd = thumbnailIfdOffset + 2 + view.getUint16(thumbnailIfdOffset, littleEndian) * 12 + 4;
+  copy.fill(0, thumbnailIfdOffset, Math.min(copy.length, thumbnailIfdEnd));
+  const start = thumbnailIfd.get(TAGS.thumbnailOffset);
+  const length = thumbnailIfd.get(TAGS.thumbnailLength);
+  if (typeof start !== "number" || typeof length !== "number" || start < 8 || start >= copy.length) return copy;
+  if (start + length >= copy.length) return copy.slice(0, start);
+  copy.fill(0, start, start + length);
+  return copy;
+};
+
+// Writes the uploaded photo's metadata into the exported `blob` as selected by `mode`
+// (see `metadataModes`). `tiff` is the photo's EXIF payload as read on upload.
+// Resolves with `blob` unchanged when there is nothing to keep or the format can't carry it.
+// `onWarning(message)` is called when the selected metadata could not be written.
+export const writeMetadata = async (blob, tiff, mode = "none", { onWarning } = {}) => {
+  if (mode === "none" || !tiff || !metadataCapableTypes.includes(blob.type)) return blob;
+  // Exported pixels are already upright, so the orientation is reset, and the thumbnail of the
+  // original would show the photo without the edit
+  const exif = mode === "copyright" ? createCopyrightExif(readExifTags(tiff)) : withoutThumbnail(withExifOrientation(tiff, 1));
+  if (!exif) return blob;
+
+  const buffer = await blob.arrayBuffer();
+  const bytes = blob.type === "image/png" ? writePngExif(buffer, exif) : writeJpegExif(buffer, exif);
+  if (!bytes) {
+    if (typeof onWarning === "function") {
+      onWarning("The photo's metadata is too large for a JPEG file, so the image was saved without it.");
+    }
+    return blob;
+  }
+  return new Blob([bytes], { type: blob.type });
+};
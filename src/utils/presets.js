@@ -0,0 +1,172 @@
+// Filter presets ("looks"): built-in ones plus user presets kept in localStorage.
+// A preset stores adjustment values only; the crop and subject settings belong to the photo.
+import { defaultFilters, pickPersistentSettings } from "../hooks/useImageFilters";
+import { getDefaultLayers, resolveLayers } from "../filters/layers";
+import { validateFilterValue } from "./recipe";
+
+const STORAGE_KEY = "photo-editor-app.presets";
+export const PRESET_FILE_TYPE = "photo-editor-app/presets";
+const PRESET_FILE_VERSION = 1;
+const MAX_PRESET_NAME_LENGTH = 40;
+
+// Keys that are photo-specific and never part of a preset (local adjustment masks are painted on this photo)
+const photoSpecificKeys = [...Object.keys(pickPersistentSettings(defaultFilters)), "backgroundImage", "localAdjustments"];
+
+// Filter keys a preset may set. Keys a preset leaves out fall back to their defaults when applied,
+// except the adjustment stack (see `applyPreset`).
+export const presetFilterKeys = Object.keys(defaultFilters).filter((key) => !photoSpecificKeys.includes(key));
+
+export const builtInPresets = [
+  {
+    id: "corporate-clean",
+    name: "Corporate Clean",
+    builtIn: true,
+    filters: { smoothing: 0.3, smoothingTexture: 0.6, brightness: 0.05, contrast: 0.08, saturation: -0.05, backgroundMode: "color", backgroundColor: "#f3f4f6" },
+  },
+  {
+    id: "warm-natural",
+    name: "Warm Natural",
+    builtIn: true,
+    filters: { smoothing: 0.15, smoothingTexture: 0.7, brightness: 0.04, contrast: 0.04, saturation: 0.15 },
+  },
+  {
+    id: "classic-bw",
+    name: "Classic B&W",
+    builtIn: true,
+    filters: { brightness: 0.02, contrast: 0.2, saturation: -1 },
+  },
+  {
+    id: "soft-focus",
+    name: "Soft Focus",
+    builtIn: true,
+    filters: { smoothing: 0.25, smoothingTexture: 0.5, brightness: 0.03, backgroundBlur: 0.6 },
+  },
+  {
+    id: "vivid",
+    name: "Vivid",
+    builtIn: true,
+    filters: { contrast: 0.12, saturation: 0.3 },
+  },
+];
+
+// Keeps only preset keys with valid values, checked against the schema recipes use. Filters that
+// recipes don't cover (e.g. custom structured filters) only need the same type as their default.
+// A message for each rejected value is pushed onto `problems`. Returns null if nothing usable is left.
+export const sanitizePresetFilters = (filters, problems = []) => {
+  if (!filters || typeof filters !== "object") return null;
+  const sanitized = {};
+  presetFilterKeys.forEach((key) => {
+    if (!Object.prototype.hasOwnProperty.call(filters, key)) return;
+    const value = filters[key];
+    const defaultValue = defaultFilters[key];
+    const isObject = value && typeof value === "object" && !Array.isArray(value);
+    const errors = validateFilterValue(key, value);
+    if (errors) {
+      if (errors.length > 0) {
+        problems.push(...errors);
+      } else {
+        sanitized[key] = isObject ? { ...defaultValue, ...value } : value;
+      }
+    } else if (typeof defaultValue === "number" && typeof value === "number" && Number.isFinite(value)) {
+      sanitized[key] = value;
+    } else if (typeof defaultValue === "string" && typeof value === "string") {
+      sanitized[key] = value;
+    } else if (defaultValue && typeof defaultValue === "object" && isObject) {
+      sanitized[key] = { ...defaultValue, ...value };
+    } else if (Array.isArray(defaultValue) && Array.isArray(value)) {
+      sanitized[key] = value;
+    } else {
+      problems.push(`${key} has the wrong type`);
+    }
+  });
+  return Object.keys(sanitized).length > 0 ? sanitized : null;
+};
+
+// Returns `filters` with the look of `preset` applied: adjustments come from the preset (or their
+// defaults), while the crop and subject settings of the current photo are kept. The adjustment stack
+// is only replaced by presets that saved one, so looks don't undo a rearranged or duplicated layer.
+export const applyPreset = (filters, preset) => {
+  const adjustments = {};
+  presetFilterKeys.forEach((key) => {
+    if (key !== "layers") adjustments[key] = defaultFilters[key];
+  });
+  return { ...filters, ...adjustments, ...preset.filters };
+};
+
+// Extracts the preset-able values of `filters`, e.g. to save the current sliders as a preset.
+// The adjustment stack is only saved if it differs from the default one.
+export const createPreset = (name, filters) => {
+  const { layers, ...presetFilters } = sanitizePresetFilters(filters) || {};
+  const isDefaultStack = !layers || JSON.stringify(resolveLayers(layers)) === JSON.stringify(getDefaultLayers());
+  return {
+    id: `user-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    name: name.trim().slice(0, MAX_PRESET_NAME_LENGTH),
+    filters: isDefaultStack ? presetFilters : { ...presetFilters, layers },
+  };
+};
+
+// Returns a valid user preset built from stored or imported data, or null if none can be built.
+// Messages about rejected values are pushed onto `problems`.
+const normalizeUserPreset = (preset, problems = []) => {
+  if (!preset || typeof preset.name !== "string" || !preset.name.trim()) return null;
+  const filterProblems = [];
+  const filters = sanitizePresetFilters(preset.filters, filterProblems);
+  const name = preset.name.trim().slice(0, MAX_PRESET_NAME_LENGTH);
+  problems.push(...filterProblems.map((problem) => `"${name}": ${problem}`));
+  if (!filters) return null;
+  return {
+    ...createPreset(preset.name, filters),
+    ...(typeof preset.id === "string" && preset.id.startsWith("user-") ? { id: preset.id } : {}),
+  };
+};
+
+export const loadUserPresets = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(stored) ? stored.map((preset) => normalizeUserPreset(preset)).filter(Boolean) : [];
+  } catch (error) {
+    console.warn("Could not load saved presets:", error);
+    return [];
+  }
+};
+
+export const saveUserPresets = (presets) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+    return true;
+  } catch (error) {
+    console.warn("Could not save presets:", error);
+    return false;
+  }
+};
+
+// Serialises presets into the shareable JSON file format.
+export const serializePresets = (presets) => JSON.stringify({
+  type: PRESET_FILE_TYPE,
+  version: PRESET_FILE_VERSION,
+  presets: presets.map(({ name, filters }) => ({ name, filters })),
+}, null, 2);
+
+// Parses a preset file. Accepts the exported format or a bare array of { name, filters }.
+// Returns { presets, problems }, where `problems` lists the values that were left out because they
+// are invalid. Throws an Error with a user-facing message if the file holds no usable presets.
+export const parsePresets = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error("The file is not valid JSON.");
+  }
+  if (data && !Array.isArray(data) && data.type !== PRESET_FILE_TYPE) {
+    throw new Error("The file is not a preset file.");
+  }
+  const entries = Array.isArray(data) ? data : data.presets;
+  const problems = [];
+  const presets = Array.isArray(entries) ? entries.map((entry) => normalizeUserPreset(entry, problems)).filter(Boolean) : [];
+  if (presets.length === 0) {
+    throw new Error(problems.length > 0
+      ? `The file contains no valid presets: ${problems.join("; ")}`
+      : "The file contains no valid presets.");
+  }
+  return { presets, problems };
+};
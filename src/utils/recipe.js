@@ -0,0 +1,521 @@
+// Edit recipes: a versioned, portable JSON description of an edit (crop, filter values and export
+// settings) that can be downloaded, shared as a URL hash and applied to another photo.
+import { defaultFilters } from "../hooks/useImageFilters";
+import { getFilterDefinition } from "../filters/pipeline";
+import { getLocalFilterDefinitions } from "../filters/localAdjustments";
+import { getDefaultLayers } from "../filters/layers";
+import { backgroundModes, defaultFocusArea } from "../filters/background";
+import { getTransformedFrame, mapShape, mapShapeFromCrop, MAX_STRAIGHTEN_ANGLE } from "../filters/geometry";
+import { MAX_CURVE_POINTS, MIN_LEVELS_GAMMA, MAX_LEVELS_GAMMA } from "../filters/curves";
+import { exportFormats, exportSizePresets, defaultExportOptions, MAX_EXPORT_DIMENSION } from "./exportImage";
+import { metadataModes } from "./metadata";
+
+export const RECIPE_TYPE = "photo-editor-app/recipe";
+export const RECIPE_VERSION = 4;
+const RECIPE_HASH_PARAM = "recipe";
+
+// Schema nodes: { type: "number", min, max } | { type: "integer", min, max } | { type: "boolean" }
+// | { type: "string", maxLength, pattern } | { type: "color" } | { type: "enum", values }
+// | { type: "object", properties } | { type: "array", items, maxItems } | { type: "tuple", items }.
+// `nullable: true` additionally allows null.
+const unit = { type: "number", min: 0, max: 1 };
+const color = { type: "color" };
+
+const cropSchema = {
+  type: "object",
+  nullable: true,
+  properties: {
+    x: unit,
+    y: unit,
+    width: { type: "number", min: 0.001, max: 1 },
+    height: { type: "number", min: 0.001, max: 1 },
+    aspectRatio: { type: "number", min: 0.01, max: 100, nullable: true }, // null = free
+  },
+};
+
+const point = { type: "tuple", items: [unit, unit] };
+const curveSchema = { type: "array", maxItems: MAX_CURVE_POINTS, items: point };
+
+// Schemas of the structured filter values. Slider values are checked against the range their
+// filter registers (see `getFilterSchema`).
+const structuredFilterSchema = {
+  transform: {
+    type: "object",
+    properties: {
+      rotation: { type: "enum", values: [0, 90, 180, 270] },
+      flipHorizontal: { type: "boolean" },
+      flipVertical: { type: "boolean" },
+      straighten: { type: "number", min: -MAX_STRAIGHTEN_ANGLE, max: MAX_STRAIGHTEN_ANGLE },
+    },
+  },
+  levels: {
+    type: "object",
+    properties: { black: unit, white: unit, gamma: { type: "number", min: MIN_LEVELS_GAMMA, max: MAX_LEVELS_GAMMA } },
+  },
+  curves: {
+    type: "object",
+    properties: { rgb: curveSchema, red: curveSchema, green: curveSchema, blue: curveSchema },
+  },
+  focusArea: {
+    type: "object",
+    properties: {
+      x: unit,
+      y: unit,
+      // Fractions of the uncropped frame, so smaller than the overlay allows on a tight crop
+      radiusX: { type: "number", min: 0.005, max: 1.5 },
+      radiusY: { type: "number", min: 0.005, max: 1.5 },
+      rotation: { type: "number", min: -180, max: 180 },
+      feather: unit,
+    },
+  },
+  backgroundMode: { type: "enum", values: backgroundModes },
+  backgroundColor: color,
+  backgroundGradient: {
+    type: "object",
+    properties: { from: color, to: color, angle: { type: "number", min: 0, max: 360 } },
+  },
+  backgroundImage: { type: "string", pattern: /^data:image\//, nullable: true },
+  subjectStrokes: {
+    type: "array",
+    maxItems: 500,
+    items: {
+      type: "object",
+      properties: {
+        type: { type: "enum", values: ["foreground", "background"] },
+        size: { type: "number", min: 0.001, max: 1 },
+        points: { type: "array", maxItems: 10000, items: point },
+      },
+    },
+  },
+  localAdjustments: {
+    type: "array",
+    maxItems: 20,
+    items: {
+      type: "object",
+      properties: {
+        id: { type: "string", maxLength: 64 },
+        name: { type: "string", maxLength: 40 },
+        visible: { type: "boolean" },
+        invert: { type: "boolean" },
+        shapes: {
+          type: "array",
+          maxItems: 500,
+          items: {
+            type: "object",
+            properties: {
+              type: { type: "enum", values: ["brush", "linear", "radial"] },
+              erase: { type: "boolean" },
+              size: { type: "number", min: 0.001, max: 1 }, // Brush diameter
+              hardness: unit,
+              flow: unit,
+              points: { type: "array", maxItems: 10000, items: point },
+              start: point, // Linear gradient
+              end: point,
+              center: point, // Radial gradient
+              radius: { type: "number", min: 0.001, max: 2 },
+              feather: unit,
+            },
+          },
+        },
+        // Values of the filters that can be applied locally, checked against their slider ranges
+        adjustments: {
+          type: "object",
+          properties: Object.fromEntries(getLocalFilterDefinitions().map(({ id, min, max }) => [id, { type: "number", min, max }])),
+        },
+      },
+    },
+  },
+  layers: {
+    type: "array",
+    maxItems: 200,
+    items: {
+      type: "object",
+      properties: {
+        id: { type: "string", maxLength: 64 },
+        type: { type: "string", maxLength: 64 }, // A stackable registered filter, checked in `validateRecipe`
+        visible: { type: "boolean" },
+        value: { type: "number" }, // Duplicated layers only; clamped to the filter's range when rendering
+      },
+    },
+  },
+  frame: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean" },
+      text: { type: "string", maxLength: 24 },
+      color,
+    },
+  },
+};
+
+// Schema of every filter value a recipe holds, in pipeline order. Registered filters without a
+// slider range or a schema above (e.g. custom structured filters) are left out of recipes.
+const getFilterSchema = () => {
+  const schema = {};
+  Object.keys(defaultFilters).forEach((key) => {
+    const definition = getFilterDefinition(key);
+    if (structuredFilterSchema[key]) {
+      schema[key] = structuredFilterSchema[key];
+    } else if (definition && typeof definition.min === "number" && typeof definition.max === "number") {
+      schema[key] = { type: "number", min: definition.min, max: definition.max };
+    }
+  });
+  return schema;
+};
+
+const exportSchema = {
+  type: "object",
+  properties: {
+    type: { type: "enum", values: exportFormats.map((f) => f.type), nullable: true }, // null = match the edit
+    sizePreset: { type: "enum", values: exportSizePresets.map((p) => p.id) },
+    width: { type: "integer", min: 1, max: MAX_EXPORT_DIMENSION, nullable: true },
+    height: { type: "integer", min: 1, max: MAX_EXPORT_DIMENSION, nullable: true },
+    quality: { type: "number", min: 0.3, max: 1 },
+    maxSizeMB: { type: "number", min: 0.01, max: 100, nullable: true },
+    metadata: { type: "enum", values: metadataModes.map((m) => m.id) },
+  },
+};
+
+// For migrating values stored relative to the recipe crop to the uncropped frame. Returns null without a
+// valid crop, else { mapCropShape, hasAspectRatio }: sizes depend on the photo's shape, which only a
+// fixed aspect ratio tells, so without one they are kept as they were and may come out too large.
+const getCropShapeMapper = (crop) => {
+  const isCrop = crop && typeof crop === "object" && ["x", "y", "width", "height"].every((key) => typeof crop[key] === "number");
+  if (!isCrop) return null;
+  const hasAspectRatio = crop.aspectRatio > 0;
+  const mapCropShape = hasAspectRatio
+    ? (shape) => mapShapeFromCrop(shape, crop, crop.aspectRatio * crop.height, crop.height)
+    : (shape) => mapShape(shape, ([x, y]) => [crop.x + x * crop.width, crop.y + y * crop.height]);
+  return { mapCropShape, hasAspectRatio };
+};
+
+// Upgrades recipe data of an older version to the current one, one version at a time. A migration
+// that can only approximate part of the edit pushes a message for the user onto `warnings`.
+const migrations = {
+  // Version 2 replaced the `keepMetadata` switch with metadata modes
+  1: (data) => {
+    if (!data.export || typeof data.export !== "object" || !("keepMetadata" in data.export)) return data;
+    const { keepMetadata, ...exportSettings } = data.export;
+    return { ...data, export: { ...exportSettings, metadata: keepMetadata === true ? "all" : "none" } };
+  },
+  // Version 3 stores subject strokes and local adjustment masks relative to the uncropped frame
+  // instead of the crop
+  2: (data, warnings) => {
+    const { filters } = data;
+    const mapper = getCropShapeMapper(data.crop);
+    if (!mapper || !filters || typeof filters !== "object") return data;
+    const { mapCropShape, hasAspectRatio } = mapper;
+    const migrated = { ...filters };
+    let hasShapes = false;
+    if (Array.isArray(filters.subjectStrokes)) {
+      migrated.subjectStrokes = filters.subjectStrokes.map(mapCropShape);
+      hasShapes = filters.subjectStrokes.length > 0;
+    }
+    if (Array.isArray(filters.localAdjustments)) {
+      migrated.localAdjustments = filters.localAdjustments.map((localAdjustment) => {
+        if (!localAdjustment || !Array.isArray(localAdjustment.shapes)) return localAdjustment;
+        hasShapes = hasShapes || localAdjustment.shapes.length > 0;
+        return { ...localAdjustment, shapes: localAdjustment.shapes.map(mapCropShape) };
+      });
+    }
+    if (hasShapes && !hasAspectRatio) {
+      warnings.push("This recipe was made by an older version of the editor: brush sizes of subject strokes and local adjustment masks may be off. Please check them.");
+    }
+    return { ...data, filters: migrated };
+  },
+  // Version 4 stores the focus area relative to the uncropped frame too
+  3: (data, warnings) => {
+    const { filters } = data;
+    const mapper = getCropShapeMapper(data.crop);
+    if (!mapper || !filters || typeof filters !== "object" || !filters.focusArea || typeof filters.focusArea !== "object") return data;
+    const { radiusX, radiusY } = filters.focusArea;
+    const isDefaultSize = radiusX === undefined || (radiusX === defaultFocusArea.radiusX && radiusY === defaultFocusArea.radiusY);
+    if (!mapper.hasAspectRatio && !isDefaultSize) {
+      warnings.push("This recipe was made by an older version of the editor: the size of the focus area may be off. Please check it.");
+    }
+    return { ...data, filters: { ...filters, focusArea: mapper.mapCropShape(filters.focusArea) } };
+  },
+};
+
+export class RecipeValidationError extends Error {
+  constructor(errors) {
+    super(errors.length === 1 ? errors[0] : `The recipe has ${errors.length} problems: ${errors.join("; ")}`);
+    this.name = "RecipeValidationError";
+    this.errors = errors; // One readable message per problem
+  }
+}
+
+const describe = (value) => (typeof value === "string" ? `"${value.length > 40 ? `${value.slice(0, 40)}…` : value}"` : JSON.stringify(value));
+
+// Checks `value` against `schema`, pushing a message for each problem found under `path` onto `errors`.
+// Missing object properties are allowed (they fall back to their defaults); unknown ones are not.
+const validateValue = (value, schema, path, errors) => {
+  if (value === null && schema.nullable) return;
+  const fail = (message) => errors.push(`${path} ${message}`);
+
+  switch (schema.type) {
+    case "number":
+    case "integer":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        fail(`must be a number, got ${describe(value)}`);
+      } else if (schema.type === "integer" && !Number.isInteger(value)) {
+        fail(`must be a whole number, got ${value}`);
+      } else if (value < schema.min || value > schema.max) {
+        fail(`is out of range: ${value} (allowed ${schema.min} to ${schema.max})`);
+      }
+      break;
+    case "boolean":
+      if (typeof value !== "boolean") fail(`must be true or false, got ${describe(value)}`);
+      break;
+    case "string":
+      if (typeof value !== "string") {
+        fail(`must be text, got ${describe(value)}`);
+      } else if (schema.maxLength && value.length > schema.maxLength) {
+        fail(`is too long (at most ${schema.maxLength} characters)`);
+      } else if (schema.pattern && !schema.pattern.test(value)) {
+        fail(`has an invalid format: ${describe(value)}`);
+      }
+      break;
+    case "color":
+      if (typeof value !== "string" || !/^#[0-9a-f]{6}$/i.test(value)) {
+        fail(`must be a colour like "#1a2b3c", got ${describe(value)}`);
+      }
+      break;
+    case "enum":
+      if (!schema.values.includes(value)) {
+        fail(`must be one of ${schema.values.map((v) => `"${v}"`).join(", ")}, got ${describe(value)}`);
+      }
+      break;
+    case "object":
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        fail(`must be an object, got ${describe(value)}`);
+        break;
+      }
+      Object.keys(value).forEach((key) => {
+        if (!schema.properties[key]) {
+          errors.push(`${path}.${key} is not a known setting`);
+        } else {
+          validateValue(value[key], schema.properties[key], `${path}.${key}`, errors);
+        }
+      });
+      break;
+    case "array":
+      if (!Array.isArray(value)) {
+        fail(`must be a list, got ${describe(value)}`);
+      } else if (schema.maxItems && value.length > schema.maxItems) {
+        fail(`has too many entries (at most ${schema.maxItems})`);
+      } else {
+        value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+      }
+      break;
+    case "tuple":
+      if (!Array.isArray(value) || value.length !== schema.items.length) {
+        fail(`must be a list of ${schema.items.length} values, got ${describe(value)}`);
+      } else {
+        value.forEach((item, index) => validateValue(item, schema.items[index], `${path}[${index}]`, errors));
+      }
+      break;
+    default:
+      fail("has no schema");
+  }
+};
+
+// A layer of a filter this editor doesn't have (e.g. an in-house filter of another build) can't be
+// rendered, and leaving it out would silently change the edit
+const validateLayerTypes = (layers, path, errors) => {
+  const layerTypes = getDefaultLayers().map((layer) => layer.type);
+  layers.forEach((layer, index) => {
+    if (layer && typeof layer.type === "string" && !layerTypes.includes(layer.type)) {
+      errors.push(`${path}[${index}].type names a filter this editor doesn't have: ${describe(layer.type)}`);
+    }
+  });
+};
+
+// Checks a single filter value against the schema recipes use, e.g. for presets. Returns the list of
+// problems found (empty if the value is valid), or null if recipes don't cover the filter.
+export const validateFilterValue = (key, value) => {
+  const schema = getFilterSchema()[key];
+  if (!schema) return null;
+  const errors = [];
+  validateValue(value, schema, key, errors);
+  if (key === "layers" && errors.length === 0) {
+    validateLayerTypes(value, key, errors);
+  }
+  return errors;
+};
+
+// Validates parsed recipe data and returns it normalized to the current version:
+// { version, crop, filters, export, warnings }, where filters and export settings left out of the
+// recipe take their defaults and `warnings` lists what upgrading an older recipe could only
+// approximate. Throws a RecipeValidationError listing every problem found.
+export const validateRecipe = (data) => {
+  if (!data || typeof data !== "object" || Array.isArray(data) || data.type !== RECIPE_TYPE) {
+    throw new RecipeValidationError(["This is not an edit recipe."]);
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new RecipeValidationError(["The recipe has no valid version number."]);
+  }
+  if (data.version > RECIPE_VERSION) {
+    throw new RecipeValidationError([`The recipe was made by a newer version of the editor (version ${data.version}). Please update and try again.`]);
+  }
+
+  const warnings = [];
+  for (let version = data.version; version < RECIPE_VERSION; version++) {
+    data = { ...migrations[version](data, warnings), version: version + 1 };
+  }
+
+  const errors = [];
+  Object.keys(data).forEach((key) => {
+    if (!["type", "version", "crop", "filters", "export"].includes(key)) {
+      errors.push(`${key} is not a known part of a recipe`);
+    }
+  });
+  if (data.crop !== undefined) {
+    validateValue(data.crop, cropSchema, "crop", errors);
+  }
+  const filterSchema = getFilterSchema();
+  if (data.filters !== undefined) {
+    validateValue(data.filters, { type: "object", properties: filterSchema }, "filters", errors);
+  }
+  if (data.export !== undefined) {
+    validateValue(data.export, exportSchema, "export", errors);
+  }
+  if (data.crop && data.crop.x + data.crop.width > 1.0001) {
+    errors.push("crop extends past the right edge of the photo (x + width > 1)");
+  }
+  if (data.crop && data.crop.y + data.crop.height > 1.0001) {
+    errors.push("crop extends past the bottom edge of the photo (y + height > 1)");
+  }
+  if (data.filters && Array.isArray(data.filters.layers)) {
+    validateLayerTypes(data.filters.layers, "filters.layers", errors);
+  }
+  if (errors.length > 0) {
+    throw new RecipeValidationError(errors);
+  }
+
+  const filters = {};
+  Object.keys(filterSchema).forEach((key) => {
+    const value = data.filters && data.filters[key] !== undefined ? data.filters[key] : defaultFilters[key];
+    const isObject = value && typeof value === "object" && !Array.isArray(value);
+    filters[key] = isObject ? { ...defaultFilters[key], ...value } : value;
+  });
+  return {
+    version: RECIPE_VERSION,
+    crop: data.crop ? { aspectRatio: null, ...data.crop } : null,
+    filters,
+    export: { ...defaultExportOptions, type: null, ...(data.export || {}) },
+    warnings,
+  };
+};
+
+// Builds a recipe from the current edit. The crop keeps its normalized rectangle and aspect ratio;
+// the cropper zoom is left out because it depends on the size of the photo.
+// `includeBackgroundImage: false` leaves out the (potentially large) background image data URL.
+export const createRecipe = (filters, exportOptions, { includeBackgroundImage = true } = {}) => {
+  const recipeFilters = {};
+  Object.keys(getFilterSchema()).forEach((key) => {
+    recipeFilters[key] = filters[key] !== undefined ? filters[key] : defaultFilters[key];
+  });
+  if (!includeBackgroundImage) {
+    delete recipeFilters.backgroundImage;
+  }
+  const { crop } = filters;
+  const recipeExport = {};
+  Object.keys(exportSchema.properties).forEach((key) => {
+    const value = exportOptions && exportOptions[key] !== undefined ? exportOptions[key] : defaultExportOptions[key];
+    recipeExport[key] = value === "" ? null : value; // An empty custom dimension means "auto"
+  });
+  return {
+    type: RECIPE_TYPE,
+    version: RECIPE_VERSION,
+    crop: crop ? { x: crop.x, y: crop.y, width: crop.width, height: crop.height, aspectRatio: crop.aspectRatio || null } : null,
+    filters: recipeFilters,
+    export: recipeExport,
+  };
+};
+
+// Adapts a recipe crop to a photo of `width` × `height` pixels: a fixed aspect ratio is kept in
+// pixels (a square stays square on a photo of another shape) around the same centre.
+export const fitRecipeCrop = (crop, width, height) => {
+  if (!crop) return null;
+  if (!crop.aspectRatio) return { ...crop };
+  let cropWidth = crop.width * width;
+  let cropHeight = crop.height * height;
+  if (cropWidth / cropHeight > crop.aspectRatio) {
+    cropWidth = cropHeight * crop.aspectRatio;
+  } else {
+    cropHeight = cropWidth / crop.aspectRatio;
+  }
+  // Shrink to fit inside the photo, then keep the centre as close as possible
+  const fit = Math.min(1, width / cropWidth, height / cropHeight);
+  cropWidth *= fit;
+  cropHeight *= fit;
+  const centerX = (crop.x + crop.width / 2) * width;
+  const centerY = (crop.y + crop.height / 2) * height;
+  const x = Math.min(width - cropWidth, Math.max(0, centerX - cropWidth / 2));
+  const y = Math.min(height - cropHeight, Math.max(0, centerY - cropHeight / 2));
+  return { x: x / width, y: y / height, width: cropWidth / width, height: cropHeight / height, aspectRatio: crop.aspectRatio };
+};
+
+// Filter values reproducing a validated `recipe` on a photo of `width` × `height` pixels.
+// The crop is fitted to the photo as the recipe's rotation and straightening leave it.
+export const getRecipeFilters = (recipe, width, height) => {
+  const frame = getTransformedFrame(recipe.filters.transform, width, height);
+  return {
+    ...defaultFilters,
+    ...recipe.filters,
+    crop: fitRecipeCrop(recipe.crop, frame.width, frame.height),
+  };
+};
+
+// Export settings of a validated `recipe` in the form the export panel edits them.
+export const getRecipeExportOptions = (recipe) => ({
+  ...recipe.export,
+  width: recipe.export.width === null ? "" : recipe.export.width,
+  height: recipe.export.height === null ? "" : recipe.export.height,
+});
+
+export const serializeRecipe = (recipe) => JSON.stringify(recipe, null, 2);
+
+// Parses and validates the text of a recipe file. Throws a RecipeValidationError.
+export const parseRecipe = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new RecipeValidationError(["The file is not valid JSON."]);
+  }
+  return validateRecipe(data);
+};
+
+// URL hashes hold the recipe as base64url-encoded UTF-8 JSON: #recipe=<data>
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+};
+
+export const recipeToHash = (recipe) => `#${RECIPE_HASH_PARAM}=${toBase64Url(JSON.stringify(recipe))}`;
+
+// Reads a recipe from a URL hash. Returns null if the hash holds no recipe; throws a
+// RecipeValidationError if it holds an invalid one.
+export const recipeFromHash = (hash) => {
+  const params = new URLSearchParams((hash || "").replace(/^#/, ""));
+  const encoded = params.get(RECIPE_HASH_PARAM);
+  if (!encoded) return null;
+  let text;
+  try {
+    text = fromBase64Url(encoded);
+  } catch (error) {
+    throw new RecipeValidationError(["The recipe link is damaged. Please copy the whole link again."]);
+  }
+  return parseRecipe(text);
+};
@@ -0,0 +1,86 @@
+// Minimal ZIP writer for downloading many exported images at once.
+// Entries are stored uncompressed: JPEG/PNG/WebP data does not shrink further, and storing lets the
+// archive be assembled from the existing Blobs without copying them into memory.
+import { crc32 } from "./metadata";
+
+const MAX_ZIP_ENTRIES = 0xffff;
+const MAX_ZIP_SIZE = 0xffffffff; // No ZIP64 support
+
+// MS-DOS time and date fields used by ZIP headers.
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: (Math.max(0, date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+// Creates a ZIP writer: `await add(name, blob, lastModified)` for each file, then `finish()`
+// returns the archive as a Blob. Only one entry's bytes are held in memory at a time (for its CRC).
+export const createZipWriter = () => {
+  const encoder = new TextEncoder();
+  const parts = [];         // Local headers and file Blobs, in archive order
+  const centralEntries = []; // Central directory records
+  let offset = 0;
+
+  const add = async (name, blob, lastModified = new Date()) => {
+    if (centralEntries.length >= MAX_ZIP_ENTRIES) {
+      throw new Error("Too many files for one ZIP archive.");
+    }
+    if (offset + blob.size > MAX_ZIP_SIZE) {
+      throw new Error("The ZIP archive would be larger than 4 GB.");
+    }
+    const nameBytes = encoder.encode(name);
+    const checksum = crc32(new Uint8Array(await blob.arrayBuffer()));
+    const { time, date } = toDosDateTime(lastModified);
+
+    const header = new DataView(new ArrayBuffer(30 + nameBytes.length));
+    header.setUint32(0, 0x04034b50, true); // Local file header signature
+    header.setUint16(4, 20, true);         // Version needed to extract
+    header.setUint16(6, 0x0800, true);     // Flags: file name is UTF-8
+    header.setUint16(8, 0, true);          // Method: stored
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, checksum, true);
+    header.setUint32(18, blob.size, true); // Compressed size
+    header.setUint32(22, blob.size, true); // Uncompressed size
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true);         // Extra field length
+    new Uint8Array(header.buffer).set(nameBytes, 30);
+
+    centralEntries.push({ nameBytes, checksum, size: blob.size, time, date, offset });
+    parts.push(header.buffer, blob);
+    offset += header.byteLength + blob.size;
+  };
+
+  const finish = () => {
+    const centralStart = offset;
+    const centralParts = centralEntries.map((entry) => {
+      const record = new DataView(new ArrayBuffer(46 + entry.nameBytes.length));
+      record.setUint32(0, 0x02014b50, true); // Central directory header signature
+      record.setUint16(4, 20, true);         // Version made by
+      record.setUint16(6, 20, true);         // Version needed to extract
+      record.setUint16(8, 0x0800, true);     // Flags: file name is UTF-8
+      record.setUint16(10, 0, true);         // Method: stored
+      record.setUint16(12, entry.time, true);
+      record.setUint16(14, entry.date, true);
+      record.setUint32(16, entry.checksum, true);
+      record.setUint32(20, entry.size, true);
+      record.setUint32(24, entry.size, true);
+      record.setUint16(28, entry.nameBytes.length, true);
+      // Extra field, comment, disk number, internal and external attributes are all zero
+      record.setUint32(42, entry.offset, true);
+      new Uint8Array(record.buffer).set(entry.nameBytes, 46);
+      return record.buffer;
+    });
+    const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, centralEntries.length, true);  // Entries on this disk
+    end.setUint16(10, centralEntries.length, true); // Entries in total
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, centralStart, true);
+
+    return new Blob([...parts, ...centralParts, end.buffer], { type: "application/zip" });
+  };
+
+  return { add, finish };
+};
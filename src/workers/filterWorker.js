@@ -0,0 +1,61 @@
+/* eslint-disable no-restricted-globals */
+// Web Worker that runs the filter pipeline off the main thread on an OffscreenCanvas.
+// Messages in:  { type: "setImage", bitmap } | { type: "render", jobId, filters, output, maxDimension } | { type: "cancel", jobId }
+//               `output` is "blob" (encoded preview, the default) or "bitmap" (unencoded pixels, for export);
+//               `maxDimension` renders a downscaled proxy (see `renderImage`)
+// Messages out: { type: "progress" | "result" | "cancelled" | "error", jobId, ... }
+import { renderImage, canvasToBlob, getOutputType, RenderCancelledError } from "../filters/pipeline";
+
+let sourceBitmap = null; // ImageBitmap of the image being edited
+let latestJobId = 0;     // Any running job with a different id is stale and gets cancelled
+
+const runRender = async ({ jobId, filters, output = "blob", maxDimension }) => {
+  if (!sourceBitmap) {
+    self.postMessage({ type: "error", jobId, message: "No image has been set on the filter worker." });
+    return;
+  }
+  try {
+    const canvas = await renderImage(sourceBitmap, filters, {
+      isCancelled: () => jobId !== latestJobId,
+      onProgress: (progress) => self.postMessage({ type: "progress", jobId, progress }),
+      maxDimension,
+    });
+    if (output === "bitmap") {
+      const bitmap = canvas.transferToImageBitmap();
+      self.postMessage({ type: "result", jobId, bitmap }, [bitmap]);
+      return;
+    }
+    const blob = await canvasToBlob(canvas, getOutputType(filters), 0.92); // JPEG for general photos, PNG when transparent
+    if (jobId !== latestJobId) {
+      throw new RenderCancelledError();
+    }
+    self.postMessage({ type: "result", jobId, blob });
+  } catch (error) {
+    if (error instanceof RenderCancelledError) {
+      self.postMessage({ type: "cancelled", jobId });
+    } else {
+      self.postMessage({ type: "error", jobId, message: error.message || String(error) });
+    }
+  }
+};
+
+self.onmessage = (event) => {
+  const message = event.data || {};
+  switch (message.type) {
+    case "setImage":
+      if (sourceBitmap) {
+        sourceBitmap.close();
+      }
+      sourceBitmap = message.bitmap;
+      break;
+    case "render":
+      latestJobId = message.jobId;
+      runRender(message);
+      break;
+    case "cancel":
+      latestJobId = message.jobId;
+      break;
+    default:
+      console.warn(`Filter worker received an unknown message type: ${message.type}`);
+  }
+};